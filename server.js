@@ -1,7 +1,30 @@
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const path = require('path');
+const alarms = require('./server/alarms');
+const alerts = require('./server/alerts');
+const collector = require('./server/collector');
+const devices = require('./server/devices');
+const endpoints = require('./server/endpoints');
+const exporter = require('./server/exporter');
+const fusionsolar = require('./server/fusionsolar');
+const history = require('./server/history');
+const metrics = require('./server/metrics');
+const mqttBridge = require('./server/mqttBridge');
+const plantConfig = require('./server/plantConfig');
+const portfolio = require('./server/portfolio');
+const { redact } = require('./server/redact');
+const regions = require('./server/regions');
+const reports = require('./server/reports');
+const serverAccounts = require('./server/serverAccounts');
+const sessions = require('./server/sessions');
+const shares = require('./server/shares');
+const simulator = require('./server/simulator');
+const stream = require('./server/stream');
+const timeseries = require('./server/timeseries');
+const users = require('./server/users');
+const vault = require('./server/vault');
+const views = require('./server/views');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -27,32 +50,65 @@ app.use(cors({
       return callback(null, true);
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Cache', 'Age', 'Content-Disposition']
 }));
 
 app.use(express.json());
+app.use(metrics.httpMiddleware);
 
-// Add logging middleware
+// Add logging middleware; credentials and passwords in bodies are redacted
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  if (req.method === 'POST' && !req.path.includes('login')) {
-    console.log('Request body:', req.body);
+  if (req.method === 'POST') {
+    console.log('Request body:', redact(req.body));
   }
   next();
 });
 
-// Health check endpoint for Railway - MUST be before static file serving
+const healthSummary = () => {
+  const { enabled, accounts } = collector.getStatus();
+  const { configured, entries, staleEntries } = vault.getStatus();
+  const alerting = alerts.getStatus();
+  const mqtt = mqttBridge.getStatus();
+  return {
+    collector: { enabled, accounts: Object.keys(accounts).length },
+    vault: { configured, entries, staleEntries },
+    alerts: { enabled: alerting.enabled, active: alerting.active },
+    stream: { clients: stream.getStatus().clients },
+    reports: { schedules: Object.keys(reports.getStatus().schedules).length },
+    mqtt: { enabled: mqtt.enabled, connected: mqtt.connected }
+  };
+};
+
+// Health check endpoint for Railway - MUST be before static file serving.
+// Anyone may check that the server is up. The module details name FusionSolar
+// users and quote upstream errors, so they need METRICS_TOKEN or an admin session.
 app.get('/health', (req, res) => {
   console.log('Health check called');
+  const details = metrics.authorized(req) ? {
+    collector: collector.getStatus(),
+    vault: vault.getStatus(),
+    alerts: alerts.getStatus(),
+    stream: stream.getStatus(),
+    reports: reports.getStatus(),
+    mqtt: mqttBridge.getStatus()
+  } : healthSummary();
   res.status(200).json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
     port: PORT,
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    ...details
   });
 });
 
+// Prometheus scrape endpoint - plant KPIs come from the background collector;
+// needs METRICS_TOKEN or an admin session
+app.get('/metrics', metrics.handle);
+collector.events.on('snapshot', metrics.recordSnapshot);
+
 // Test endpoint
 app.get('/test', (req, res) => {
   res.json({ 
@@ -62,6 +118,22 @@ app.get('/test', (req, res) => {
   });
 });
 
+// Offline FusionSolar simulator - replaces the real API for development and tests
+const SIMULATOR_ENABLED = process.env.FUSIONSOLAR_SIMULATOR === 'true';
+if (SIMULATOR_ENABLED) {
+  const fakeApi = simulator.createSimulator({
+    plants: simulator.loadPlants(process.env.SIMULATOR_PLANTS) ||
+      simulator.generatePlants(parseInt(process.env.SIMULATOR_PLANT_COUNT, 10)),
+    userName: process.env.SIMULATOR_USERNAME,
+    systemCode: process.env.SIMULATOR_SYSTEM_CODE,
+    failures: simulator.parseFailureRates(process.env.SIMULATOR_FAILURES),
+    pageSize: parseInt(process.env.SIMULATOR_PAGE_SIZE, 10) || undefined
+  });
+  app.use('/simulator', fakeApi.router());
+  regions.useOnly({ id: 'simulator', label: 'Simulator', host: `http://127.0.0.1:${PORT}/simulator` });
+  console.log('🧪 FusionSolar simulator enabled - no requests will reach Huawei');
+}
+
 // Serve static files from the React app build directory (for production)
 if (process.env.NODE_ENV === 'production') {
   console.log('Serving static files from build directory');
@@ -79,13 +151,24 @@ if (process.env.NODE_ENV === 'production') {
   }
 }
 
+// Regions the login form can choose from
+app.get('/api/huawei/regions', (req, res) => {
+  res.json({ success: true, data: regions.list() });
+});
+
 // Login endpoint - special case
 app.post('/api/huawei/login', async (req, res) => {
   try {
-    const { userName, systemCode } = req.body;
+    const { userName, systemCode, region = 'auto' } = req.body;
     
-    console.log('Login attempt for user:', userName);
+    console.log('Login attempt for user:', userName, 'region:', region);
     
+    if (users.ENABLED) {
+      return res.status(403).json({
+        success: false,
+        error: 'Sign in with your dashboard user - FusionSolar credentials are kept on the server'
+      });
+    }
     if (!userName || !systemCode) {
       return res.status(400).json({ 
         success: false,
@@ -93,114 +176,930 @@ app.post('/api/huawei/login', async (req, res) => {
       });
     }
     
-    const apiUrl = 'https://intl.fusionsolar.huawei.com/thirdData/login';
-    console.log('Making login request to:', apiUrl);
+    const result = await fusionsolar.authenticate({ userName, systemCode, region });
     
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Solar-Monitor-App/1.0'
-      },
-      body: JSON.stringify({
-        userName,
-        systemCode
-      })
+    if (!result.region) {
+      if (result.data.success && !result.xsrfToken) {
+        return res.status(502).json({
+          success: false,
+          error: 'Login succeeded but no XSRF token was returned'
+        });
+      }
+      return res.json(result.data);
+    }
+    
+    // Keep the token server-side and hand the browser a session cookie instead
+    const account = sessions.upsertAccount({ userName, systemCode }, result.xsrfToken, { region: result.region });
+    const session = sessions.createSession(account);
+    sessions.setSessionCookie(res, session);
+    console.log('Session created for user:', userName);
+    
+    res.json({ success: true, userName, region: result.region.id });
+    
+  } catch (error) {
+    if (error instanceof regions.UnknownRegionError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Login API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({ 
+        success: false,
+        error: `Login API error: ${error.message}` 
+      });
+    }
+    console.error('Login proxy error:', error.message);
+    res.status(500).json({ 
+      success: false,
+      error: 'Login proxy server error', 
+      details: error.message 
     });
+  }
+});
+
+const sendUserError = (res, error) => {
+  if (error instanceof users.UserError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof users.UserNotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error('Users error:', error.message);
+  res.status(500).json({
+    success: false,
+    error: 'Users error',
+    details: error.message
+  });
+};
+
+// Dashboard user login (AUTH_MODE=users). The session is backed by the
+// FusionSolar accounts configured on the server.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { userName, password } = req.body;
+    console.log('Dashboard login attempt for user:', userName);
+
+    if (!users.ENABLED) {
+      return res.status(400).json({
+        success: false,
+        error: 'Dashboard users are disabled (set AUTH_MODE=users)'
+      });
+    }
+
+    const user = await users.authenticate(userName, password);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid user name or password'
+      });
+    }
+
+    // Admins get in without a server account so they can add one to the vault
+    const linked = await serverAccounts.signIn();
+    if (linked.length === 0 && user.role !== 'admin') {
+      return res.status(503).json({
+        success: false,
+        error: 'No FusionSolar account could be signed in on the server'
+      });
+    }
+
+    if (linked.length === 0) {
+      console.warn('No server account signed in - admin session limited to users and the vault');
+    }
+    const session = sessions.createSession(linked[0] || null, user);
+    linked.slice(1).forEach(account => sessions.linkAccount(session, account));
+    sessions.setSessionCookie(res, session);
+    console.log('Session created for dashboard user:', user.userName);
+
+    res.json({ success: true, user });
+
+  } catch (error) {
+    console.error('Dashboard login error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Login server error',
+      details: error.message
+    });
+  }
+});
+
+// Change the signed-in user's own password
+app.put('/api/auth/password', sessions.requireSession, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only dashboard users have a password'
+      });
+    }
+    const { currentPassword, newPassword } = req.body;
+    await users.changePassword(req.user.id, currentPassword, newPassword);
+    res.json({ success: true });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+// Current session - lets the dashboard restore itself after a page refresh
+app.get('/api/huawei/session', (req, res) => {
+  const session = sessions.getSession(req);
+  const linked = session ? sessions.getSessionAccounts(session) : [];
+  const account = linked[0];
+  const user = session ? sessions.getSessionUser(session) : null;
+  // An admin without server accounts is signed in to set up the vault
+  const authenticated = Boolean(account) || Boolean(user && user.role === 'admin');
+  res.json({
+    success: true,
+    authenticated,
+    authMode: users.ENABLED ? 'users' : 'fusionsolar',
+    user: authenticated && user ? users.describe(user) : null,
+    userName: account ? account.userName : null,
+    region: account ? account.region : null,
+    accounts: linked.map(portfolio.describeAccount)
+  });
+});
+
+app.post('/api/huawei/logout', (req, res) => {
+  const session = sessions.getSession(req);
+  if (session) {
+    sessions.destroySession(session.id);
+  }
+  sessions.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Accounts linked to the current session
+app.get('/api/huawei/accounts', sessions.requireSession, (req, res) => {
+  res.json({ success: true, data: req.accounts.map(portfolio.describeAccount) });
+});
+
+// Link another FusionSolar account to the current session so its plants
+// show up in the same dashboard
+app.post('/api/huawei/accounts', sessions.requireSession, users.requireRole('admin'), async (req, res) => {
+  try {
+    const { userName, systemCode, region = 'auto' } = req.body;
     
-    console.log('Login API Response status:', response.status);
+    console.log('Linking account:', userName, 'region:', region);
     
-    if (!response.ok) {
-      console.error('Login API responded with error:', response.status, response.statusText);
-      return res.status(response.status).json({ 
+    if (!userName || !systemCode) {
+      return res.status(400).json({
         success: false,
-        error: `Login API error: ${response.status} ${response.statusText}` 
+        error: 'Username and system code are required'
       });
     }
     
-    const data = await response.json();
-    console.log('Login API Response success:', data.success);
+    const result = await fusionsolar.authenticate({ userName, systemCode, region });
+    
+    if (!result.region) {
+      return res.json(result.data);
+    }
+    
+    const account = sessions.upsertAccount({ userName, systemCode }, result.xsrfToken, { region: result.region });
+    sessions.linkAccount(req.session, account);
+    
+    res.json({ success: true, data: sessions.getSessionAccounts(req.session).map(portfolio.describeAccount) });
+    
+  } catch (error) {
+    if (error instanceof regions.UnknownRegionError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Login API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `Login API error: ${error.message}`
+      });
+    }
+    console.error('Link account error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Link account server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/huawei/accounts/:accountId', sessions.requireSession, users.requireRole('admin'), (req, res) => {
+  const { accountId } = req.params;
+  
+  if (!req.session.accountIds.includes(accountId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Account not linked: ${accountId}`
+    });
+  }
+  if (req.session.accountIds.length === 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot unlink the last account - sign out instead'
+    });
+  }
+  
+  sessions.unlinkAccount(req.session, accountId);
+  res.json({ success: true, data: sessions.getSessionAccounts(req.session).map(portfolio.describeAccount) });
+});
+
+// Historical KPIs - merges the hourly/daily/monthly/yearly endpoints into one range
+app.post('/api/history', sessions.requireSession, async (req, res) => {
+  try {
+    const { stationCodes, granularity, from, to } = req.body;
+    console.log(`History request: ${granularity} ${from}..${to} for`, stationCodes);
     
-    // Extract XSRF token from response headers
-    const xsrfToken = response.headers.get('xsrf-token') || 
-                      response.headers.get('XSRF-TOKEN') ||
-                      response.headers.get('X-XSRF-TOKEN');
+    const { data, age } = await portfolio.forStations(req.accounts, stationCodes, (account, ownCodes) =>
+      history.fetchHistory(account, { stationCodes: ownCodes, granularity, from, to }));
+    res.set('Age', String(age));
+    res.json(data);
     
-    // Add the XSRF token to the response data
-    if (xsrfToken) {
-      data.xsrfToken = xsrfToken;
-      console.log('XSRF Token extracted successfully');
+  } catch (error) {
+    if (error instanceof history.HistoryRequestError || error instanceof portfolio.PortfolioRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('History API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('History proxy error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'History proxy server error',
+      details: error.message
+    });
+  }
+});
+
+// CSV/XLSX download of real-time KPIs or a history range, one row per plant and period
+app.post('/api/export', sessions.requireSession, async (req, res) => {
+  try {
+    const { type, format, stationCodes, granularity, from, to } = req.body;
+    console.log(`Export request: ${type} as ${format} for`, stationCodes);
+    exporter.checkFormat(format);
+
+    let points;
+    if (type === 'realtime') {
+      const { data, age } = await portfolio.request(req.accounts, 'getStationRealKpi', { stationCodes });
+      if (!data.success) {
+        return res.status(502).json({
+          success: false,
+          failCode: data.failCode,
+          error: data.message || 'Failed to fetch real-time data'
+        });
+      }
+      const collectTime = Date.now() - age * 1000;
+      points = (data.data || []).map(point => ({ ...point, collectTime }));
+    } else if (type === 'history') {
+      const { data } = await portfolio.forStations(req.accounts, stationCodes, (account, ownCodes) =>
+        history.fetchHistory(account, { stationCodes: ownCodes, granularity, from, to }));
+      if (!data.success) {
+        return res.status(502).json({
+          success: false,
+          failCode: data.failCode,
+          error: data.message || 'Failed to fetch history'
+        });
+      }
+      points = data.data || [];
     } else {
-      console.warn('No XSRF token found in response headers');
-      // Log all headers for debugging
-      console.log('Available headers:', Object.fromEntries(response.headers.entries()));
+      throw new exporter.ExportRequestError('type must be realtime or history');
+    }
+
+    const { data: stationList } = await portfolio.listStations(req.accounts);
+    const table = exporter.buildTable(points, stationList.data || [], type === 'history' ? granularity : 'realtime');
+    const file = await exporter.render(table, { format, name: type === 'history' ? `history-${granularity}` : 'realtime' });
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.buffer);
+
+  } catch (error) {
+    if (error instanceof exporter.ExportRequestError ||
+        error instanceof history.HistoryRequestError ||
+        error instanceof portfolio.PortfolioRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Export API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('Export error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Export error',
+      details: error.message
+    });
+  }
+});
+
+// Daily or monthly performance report for the session's plants, downloaded as
+// HTML or emailed to the report recipients
+app.post('/api/reports', sessions.requireSession, async (req, res) => {
+  try {
+    const { period, date, stationCodes, email } = req.body;
+    console.log(`Report request: ${period} ${date || '(last complete)'}`, email ? 'by email' : '');
+    if (email && req.user && req.user.role === 'viewer') {
+      return res.status(403).json({
+        success: false,
+        error: 'Requires the admin or operator role'
+      });
+    }
+
+    const report = await reports.generate(req.accounts, { period, date, stationCodes });
+    if (email) {
+      const { sentTo } = await reports.deliver(report, ['email']);
+      return res.json({ success: true, sentTo });
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${reports.fileName(report)}"`);
+    res.send(reports.render(report));
+
+  } catch (error) {
+    if (error instanceof reports.ReportRequestError ||
+        error instanceof history.HistoryRequestError ||
+        error instanceof portfolio.PortfolioRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof reports.ReportDataError) {
+      return res.status(502).json({
+        success: false,
+        failCode: error.failCode,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Report API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('Report error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Report error',
+      details: error.message
+    });
+  }
+});
+
+// Devices of a station with their live KPIs (getDevList + getDevRealKpi)
+app.post('/api/devices', sessions.requireSession, async (req, res) => {
+  try {
+    const { stationCode } = req.body;
+    console.log('Device request for station:', stationCode);
+    
+    const owner = await portfolio.ownerOf(req.accounts, stationCode);
+    if (!owner) {
+      return res.json({
+        success: false,
+        failCode: portfolio.FAIL_CODE_INVALID_STATION,
+        message: `Station not found in any linked account: ${stationCode}`
+      });
     }
     
+    const { data, age } = await devices.fetchStationDevices(owner, stationCode);
+    res.set('Age', String(age));
     res.json(data);
     
   } catch (error) {
-    console.error('Login proxy error:', error.message);
-    res.status(500).json({ 
+    if (error instanceof devices.DeviceRequestError || error instanceof portfolio.PortfolioRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Device API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('Device proxy error:', error.message);
+    res.status(500).json({
       success: false,
-      error: 'Login proxy server error', 
-      details: error.message 
+      error: 'Device proxy server error',
+      details: error.message
     });
   }
 });
 
-// Generic Huawei API proxy endpoint for other endpoints
-app.post('/api/huawei/:endpoint', async (req, res) => {
+// Active alarms for a set of stations (getAlarmList)
+app.post('/api/alarms', sessions.requireSession, async (req, res) => {
   try {
-    const { endpoint } = req.params;
-    const { xsrfToken, ...body } = req.body;
+    const { stationCodes, days } = req.body;
+    console.log('Alarm request for stations:', stationCodes);
     
-    console.log('Endpoint:', endpoint);
-    console.log('XSRF Token:', xsrfToken ? 'Present' : 'Missing');
-    console.log('Request body:', body);
+    const { data, cache, age } = await portfolio.forStations(req.accounts, stationCodes, (account, ownCodes) =>
+      alarms.fetchAlarms(account, { stationCodes: ownCodes, days }));
+    res.set('X-Cache', cache);
+    res.set('Age', String(age));
+    res.json(data);
     
-    if (!xsrfToken) {
-      return res.status(400).json({ 
+  } catch (error) {
+    if (error instanceof alarms.AlarmRequestError || error instanceof portfolio.PortfolioRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Alarm API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
         success: false,
-        error: 'XSRF token is required' 
+        error: `API error: ${error.message}`
       });
     }
+    console.error('Alarm proxy error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Alarm proxy server error',
+      details: error.message
+    });
+  }
+});
+
+// Settings of the session's plants that FusionSolar doesn't store
+app.get('/api/plants/settings', sessions.requireSession, async (req, res) => {
+  try {
+    const stationCodes = await portfolio.ownedStations(req.accounts);
+    res.json({ success: true, data: plantConfig.get(stationCodes), supported: plantConfig.SETTINGS });
     
-    // Validate stationCodes for getStationRealKpi
-    if (endpoint === 'getStationRealKpi') {
-      if (!body.stationCodes || body.stationCodes.trim() === '') {
-        return res.status(400).json({
-          success: false,
-          error: 'stationCodes parameter is required and cannot be empty'
-        });
-      }
-      console.log('Station codes to query:', body.stationCodes);
+  } catch (error) {
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Station list API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('Plant settings error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Plant settings error',
+      details: error.message
+    });
+  }
+});
+
+app.put('/api/plants/:stationCode/settings', sessions.requireSession, users.requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const { stationCode } = req.params;
+    const owner = await portfolio.ownerOf(req.accounts, stationCode);
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        error: `Station not found in any linked account: ${stationCode}`
+      });
     }
     
-    const apiUrl = `https://intl.fusionsolar.huawei.com/thirdData/${endpoint}`;
-    console.log('Making request to:', apiUrl);
+    const settings = await plantConfig.update(stationCode, req.body);
+    console.log('Updated settings for station:', stationCode, settings);
+    res.json({ success: true, data: settings });
     
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'XSRF-TOKEN': xsrfToken,
-        'User-Agent': 'Solar-Monitor-App/1.0'
-      },
-      body: JSON.stringify(body)
+  } catch (error) {
+    if (error instanceof plantConfig.PlantConfigError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('Station list API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({
+        success: false,
+        error: `API error: ${error.message}`
+      });
+    }
+    console.error('Plant settings error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Plant settings error',
+      details: error.message
+    });
+  }
+});
+
+// Saved views and share links belong to the dashboard user, or to the
+// account the session signed in with
+const sessionOwner = (req) => (req.user ? `user:${req.user.id}` : req.session.accountIds[0]);
+
+const sendViewError = (res, error) => {
+  if (error instanceof views.ViewError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof views.ViewNotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error('Views error:', error.message);
+  res.status(500).json({
+    success: false,
+    error: 'Views error',
+    details: error.message
+  });
+};
+
+app.get('/api/views', sessions.requireSession, (req, res) => {
+  try {
+    const { activeViewId, views: saved } = views.list(sessionOwner(req));
+    res.json({
+      success: true,
+      data: saved,
+      activeViewId,
+      supported: { tiles: views.TILES, sorts: views.SORTS, columns: views.COLUMNS }
     });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+app.post('/api/views', sessions.requireSession, async (req, res) => {
+  try {
+    const view = await views.create(sessionOwner(req), req.body);
+    console.log('Created view:', view.name);
+    res.json({ success: true, data: view });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+// Registered before /api/views/:viewId so "active" isn't taken for an id
+app.put('/api/views/active', sessions.requireSession, async (req, res) => {
+  try {
+    const { viewId = null } = req.body;
+    await views.setActive(sessionOwner(req), viewId);
+    res.json({ success: true, activeViewId: viewId });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+app.put('/api/views/:viewId', sessions.requireSession, async (req, res) => {
+  try {
+    const view = await views.update(sessionOwner(req), req.params.viewId, req.body);
+    res.json({ success: true, data: view });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+app.delete('/api/views/:viewId', sessions.requireSession, async (req, res) => {
+  try {
+    await views.remove(sessionOwner(req), req.params.viewId);
+    res.json({ success: true });
+  } catch (error) {
+    sendViewError(res, error);
+  }
+});
+
+const sendShareError = (res, error) => {
+  if (error instanceof shares.ShareError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof shares.ShareNotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error('Shares error:', error.message);
+  res.status(500).json({
+    success: false,
+    error: 'Shares error',
+    details: error.message
+  });
+};
+
+// Admins see every share link, everyone else their own
+const shareScope = (req) => (req.user && req.user.role === 'admin' ? null : sessionOwner(req));
+
+app.get('/api/shares', sessions.requireSession, users.requireRole('admin', 'operator'), (req, res) => {
+  try {
+    res.json({ success: true, data: shares.list(shareScope(req)) });
+  } catch (error) {
+    sendShareError(res, error);
+  }
+});
+
+// Share links are answered with the server accounts, so they keep working
+// after the creator signs out; only stations the creator can see and the
+// server accounts own are shared
+app.post('/api/shares', sessions.requireSession, users.requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (serverAccounts.configured().length === 0) {
+      throw new shares.ShareError('Share links need a server account - add one to the credential vault or set COLLECTOR_ACCOUNTS');
+    }
+    const requested = Array.isArray(req.body && req.body.stationCodes) ? req.body.stationCodes : [];
+    const visible = new Set(await portfolio.ownedStations(req.accounts));
+    const hidden = requested.filter(code => !visible.has(code));
+    if (hidden.length > 0) {
+      throw new shares.ShareError(`Stations not found in any linked account: ${hidden.slice(0, 5).join(', ')}`);
+    }
+    const served = new Set(await portfolio.ownedStations(await serverAccounts.signIn()));
+    const unserved = requested.filter(code => !served.has(code));
+    if (unserved.length > 0) {
+      throw new shares.ShareError(`Stations not found in any server account: ${unserved.slice(0, 5).join(', ')}`);
+    }
+    const { share, token } = await shares.create(sessionOwner(req), req.body);
+    console.log(`Created share link "${share.label}" for ${share.stationCodes.length} plants until ${share.expiresAt}`);
+    res.json({ success: true, data: share, token });
+  } catch (error) {
+    sendShareError(res, error);
+  }
+});
+
+app.delete('/api/shares/:shareId', sessions.requireSession, users.requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    await shares.remove(shareScope(req), req.params.shareId);
+    console.log('Revoked share link:', req.params.shareId);
+    res.json({ success: true });
+  } catch (error) {
+    sendShareError(res, error);
+  }
+});
+
+// Read-only data behind a share link: the shared plants and their latest
+// getStationRealKpi figures, through the scheduler's cache
+app.get('/api/share', shares.requireShare, async (req, res) => {
+  try {
+    const accounts = portfolio.restrict(await serverAccounts.signIn(), req.share.stationCodes);
+    const stations = await portfolio.listStations(accounts);
+    if (!stations.data.success) {
+      return res.json({ success: false, failCode: stations.data.failCode, error: stations.data.message });
+    }
+
+    const plants = (stations.data.data || []).map(station => ({
+      stationCode: station.stationCode,
+      stationName: station.stationName,
+      capacity: station.capacity
+    }));
+    let data = [];
+    let age = 0;
+    if (plants.length > 0) {
+      const kpi = await portfolio.request(accounts, 'getStationRealKpi', {
+        stationCodes: plants.map(plant => plant.stationCode).join(',')
+      });
+      if (!kpi.data.success) {
+        return res.json({ success: false, failCode: kpi.data.failCode, error: kpi.data.message });
+      }
+      data = kpi.data.data || [];
+      age = kpi.age || 0;
+    }
+
+    res.json({
+      success: true,
+      share: { label: req.share.label, expiresAt: req.share.expiresAt },
+      plants,
+      data,
+      age
+    });
+  } catch (error) {
+    console.error('Share data error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Share data error',
+      details: error.message
+    });
+  }
+});
+
+const sendVaultError = (res, error) => {
+  if (error instanceof vault.VaultError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error instanceof vault.VaultNotFoundError) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error instanceof vault.VaultKeyError) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+  console.error('Vault error:', error.message);
+  res.status(500).json({
+    success: false,
+    error: 'Vault error',
+    details: error.message
+  });
+};
+
+// Stop signing in as a FusionSolar user the server no longer has credentials
+// for - after removing them, or when storing them failed after the login
+const releaseUnconfigured = async (userName) => {
+  const stillConfigured = serverAccounts.configured().some(credentials => credentials.userName === userName);
+  if (!stillConfigured) {
+    await serverAccounts.release(userName);
+  }
+};
+
+// FusionSolar credentials the server signs in with by itself (admins only).
+// System codes go in but never come back out.
+app.get('/api/vault', sessions.requireUser, users.requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, data: vault.list(), status: vault.getStatus() });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// New credentials are only stored once FusionSolar accepts them
+app.post('/api/vault', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const credentials = vault.prepare(req.body);
+    const account = await serverAccounts.accountFor(credentials).catch(error => {
+      throw new vault.VaultError(`FusionSolar login failed: ${error.message}`);
+    });
+    const entry = await vault.create(req.body).catch(async error => {
+      await releaseUnconfigured(credentials.userName);
+      throw error;
+    });
+    // Other users get the account the next time they sign in
+    sessions.linkAccount(req.session, account);
+    console.log('Stored credentials in the vault for:', entry.userName);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// Registered before /api/vault/:entryId so "rotate" isn't taken for an id
+app.post('/api/vault/rotate', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const result = await vault.rotate();
+    console.log(`Vault key rotation: re-encrypted ${result.rotated} of ${result.entries} entries`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+app.put('/api/vault/:entryId', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const previous = vault.list().find(entry => entry.id === entryId);
+    const credentials = vault.prepare(req.body, entryId);
+    await serverAccounts.accountFor(credentials).catch(error => {
+      throw new vault.VaultError(`FusionSolar login failed: ${error.message}`);
+    });
+    const entry = await vault.update(entryId, req.body).catch(async error => {
+      await releaseUnconfigured(credentials.userName);
+      throw error;
+    });
+    if (previous && previous.userName !== entry.userName) {
+      await serverAccounts.release(previous.userName);
+    }
+    console.log('Updated vault entry for:', entry.userName);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+app.delete('/api/vault/:entryId', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const userName = await vault.remove(req.params.entryId);
+    if (userName) {
+      await releaseUnconfigured(userName);
+    }
+    console.log('Removed vault entry for:', userName);
+    res.json({ success: true });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// Dashboard users (admins only)
+app.get('/api/users', sessions.requireUser, users.requireAdmin, (req, res) => {
+  res.json({ success: true, data: users.list(), roles: users.ROLES });
+});
+
+app.post('/api/users', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const user = await users.create(req.body);
+    console.log(`Created ${user.role} user:`, user.userName);
+    res.json({ success: true, data: user });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.put('/api/users/:userId', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    const user = await users.update(req.params.userId, req.body);
+    console.log('Updated user:', user.userName);
+    res.json({ success: true, data: user });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+app.delete('/api/users/:userId', sessions.requireUser, users.requireAdmin, async (req, res) => {
+  try {
+    await users.remove(req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendUserError(res, error);
+  }
+});
+
+// Live plant snapshots, alarms and upstream status as Server-Sent Events
+app.get('/api/stream', sessions.requireSession, stream.handle);
+
+// Alerts currently raised by the server-side rules for the session's accounts
+app.get('/api/alerts', sessions.requireSession, (req, res) => {
+  const active = alerts.listActive(req.accounts.map(account => account.id));
+  res.json({ success: true, data: active.filter(alert => portfolio.canSee(req.accounts, alert.stationCode)) });
+});
+
+// Recorded snapshots from the background collector
+app.get('/api/timeseries', sessions.requireSession, async (req, res) => {
+  try {
+    const { stationCodes, metric, from, to } = req.query;
+    const hidden = String(stationCodes || '').split(',').map(code => code.trim())
+      .filter(code => code && !portfolio.canSee(req.accounts, code));
+    if (hidden.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Stations not found in any linked account: ${hidden.slice(0, 5).join(', ')}`
+      });
+    }
+    const series = await timeseries.query(req.accounts.map(account => account.id), { stationCodes, metric, from, to });
+    res.json({ success: true, data: series });
     
-    console.log('API Response status:', response.status);
+  } catch (error) {
+    if (error instanceof timeseries.TimeseriesQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Time-series query error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Time-series query error',
+      details: error.message
+    });
+  }
+});
+
+// Documentation of the supported FusionSolar endpoints, generated from the registry
+app.get('/api/huawei/endpoints', (req, res) => {
+  if (req.query.format === 'markdown') {
+    return res.type('text/markdown').send(endpoints.describeMarkdown());
+  }
+  res.json({ success: true, data: endpoints.describe() });
+});
+
+// Generic Huawei API proxy endpoint for other endpoints
+app.post('/api/huawei/:endpoint', sessions.requireSession, async (req, res) => {
+  try {
+    const { endpoint } = req.params;
+    const body = req.body;
+    
+    console.log('Endpoint:', endpoint);
+    console.log('Request body:', redact(body));
+    
+    if (!endpoints.isSupported(endpoint)) {
+      return res.status(404).json({
+        success: false,
+        code: 'UNKNOWN_ENDPOINT',
+        error: `Unsupported endpoint: ${endpoint}`,
+        supported: Object.keys(endpoints.ENDPOINTS)
+      });
+    }
     
-    if (!response.ok) {
-      console.error('API responded with error:', response.status, response.statusText);
-      return res.status(response.status).json({ 
+    const problems = endpoints.validate(endpoint, body);
+    if (problems.length > 0) {
+      console.warn(`Rejected ${endpoint} request:`, problems);
+      return res.status(400).json({
         success: false,
-        error: `API error: ${response.status} ${response.statusText}` 
+        code: 'INVALID_BODY',
+        error: `Invalid request body for ${endpoint}`,
+        details: problems
       });
     }
     
-    const data = await response.json();
-    console.log('API Response success:', data.success);
+    // Split across the linked accounts, each going through the shared
+    // per-account scheduler: merges identical requests, caches within the
+    // endpoint's quota window and falls back to stale data on 407
+    const { data, cache, age } = await portfolio.request(req.accounts, endpoint, body);
+    console.log('API Response success:', data.success, `(cache: ${cache}, age: ${age}s)`);
+    
+    res.set('X-Cache', cache);
+    res.set('Age', String(age));
     
     // Handle specific API error cases
     if (!data.success) {
@@ -214,6 +1113,13 @@ app.post('/api/huawei/:endpoint', async (req, res) => {
     res.json(data);
     
   } catch (error) {
+    if (error instanceof fusionsolar.UpstreamError) {
+      console.error('API responded with error:', error.status, error.statusText);
+      return res.status(error.status).json({ 
+        success: false,
+        error: `API error: ${error.message}` 
+      });
+    }
     console.error('Proxy error:', error.message);
     res.status(500).json({ 
       success: false,
@@ -223,7 +1129,16 @@ app.post('/api/huawei/:endpoint', async (req, res) => {
   }
 });
 
-// Catch all handler: send back React's index.html file for any non-API routes
+// Unknown API paths get a JSON 404 instead of the React app
+app.all('/api/*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: `Not found: ${req.method} ${req.path}`
+  });
+});
+
+// Catch all handler: send back React's index.html file for any non-API routes,
+// so client-side routes such as /plants/NE=123 or /alarms survive a reload
 if (process.env.NODE_ENV === 'production') {
   app.get('*', (req, res) => {
     const indexPath = path.join(__dirname, 'build', 'index.html');
@@ -242,6 +1157,13 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // body-parser errors carry the raw body, which may hold credentials
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body is not valid JSON'
+    });
+  }
   console.error('Express error:', err);
   res.status(500).json({
     success: false,
@@ -255,14 +1177,75 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`🧪 Test endpoint: http://localhost:${PORT}/test`);
+  console.log(`📈 Prometheus metrics: http://localhost:${PORT}/metrics`);
+  if (SIMULATOR_ENABLED) {
+    console.log(`🧪 Simulator: http://localhost:${PORT}/simulator/thirdData (failures: /simulator/failures)`);
+  }
   console.log('📡 Available API endpoints:');
+  console.log('  GET  /api/huawei/regions - FusionSolar regions available for login');
   console.log('  POST /api/huawei/login - Login to Huawei FusionSolar');
-  console.log('  POST /api/huawei/getStationList - Get list of solar plants');
-  console.log('  POST /api/huawei/getStationRealKpi - Get real-time plant data');
+  console.log('  GET  /api/huawei/session - Current session status');
+  console.log('  POST /api/huawei/logout - End the current session');
+  console.log('  POST /api/auth/login - Sign in as a dashboard user (AUTH_MODE=users)');
+  console.log('  PUT  /api/auth/password - Change the signed-in user\'s password');
+  console.log('  GET  /api/huawei/accounts - Accounts linked to the session');
+  console.log('  POST /api/huawei/accounts - Link another FusionSolar account');
+  console.log('  DELETE /api/huawei/accounts/:accountId - Unlink an account');
+  console.log('  GET  /api/huawei/endpoints - Supported FusionSolar endpoints and parameters');
+  Object.keys(endpoints.ENDPOINTS).forEach(name => {
+    console.log(`  POST /api/huawei/${name} - ${endpoints.ENDPOINTS[name].description}`);
+  });
+  console.log('  POST /api/history - Hourly/daily/monthly/yearly history for a date range');
+  console.log('  POST /api/devices - Devices of a plant with live KPIs');
+  console.log('  POST /api/alarms - Active alarms for the selected plants');
+  console.log('  POST /api/export - CSV/XLSX export of real-time KPIs or a history range');
+  console.log('  POST /api/reports - Daily or monthly performance report (HTML download or email)');
+  console.log('  GET  /api/plants/settings - Stored settings of the session\'s plants');
+  console.log('  PUT  /api/plants/:stationCode/settings - Update a plant\'s settings (tilt, azimuth, losses, tariff, tags)');
+  console.log('  GET  /api/views - Saved dashboard views and the active one');
+  console.log('  POST /api/views - Save a new view');
+  console.log('  PUT  /api/views/active - Choose the view opened after sign-in');
+  console.log('  PUT  /api/views/:viewId - Update a view');
+  console.log('  DELETE /api/views/:viewId - Delete a view');
+  console.log('  GET  /api/users - Dashboard users (admins only)');
+  console.log('  POST /api/users - Create a user with a role and assigned stations');
+  console.log('  PUT  /api/users/:userId - Update a user\'s name, password, role or stations');
+  console.log('  DELETE /api/users/:userId - Delete a user');
+  console.log('  GET  /api/shares - Share links you created (all of them for admins)');
+  console.log('  POST /api/shares - Create a read-only share link for some plants');
+  console.log('  DELETE /api/shares/:shareId - Revoke a share link');
+  console.log('  GET  /api/share - Data behind a share link (Authorization: Bearer <token>)');
+  console.log('  GET  /api/vault - Stored server credentials, without system codes (admins only)');
+  console.log('  POST /api/vault - Store FusionSolar credentials for the server to sign in with');
+  console.log('  POST /api/vault/rotate - Re-encrypt the vault with the current key');
+  console.log('  PUT  /api/vault/:entryId - Update stored credentials, e.g. a new system code');
+  console.log('  DELETE /api/vault/:entryId - Remove stored credentials');
+  console.log('  GET  /api/stream - Live snapshots, alarms and status (Server-Sent Events)');
+  console.log('  GET  /api/alerts - Active server-side alerts (needs ALERTS_ENABLED=true)');
+  console.log('  GET  /api/timeseries - Recorded KPI snapshots by plant, metric and time range');
   
   if (process.env.NODE_ENV === 'production') {
     console.log('🌐 Serving React app from /build directory');
   }
+  
+  users.bootstrap().catch(error => console.error('Could not create the admin user:', error.message));
+  // Sign the server accounts in now so background jobs and dashboard users
+  // don't wait for the first login
+  const vaultStatus = vault.getStatus();
+  if (vaultStatus.entries > 0 && !vaultStatus.configured) {
+    console.warn('The credential vault has entries but no usable key - set VAULT_KEY or VAULT_KEY_FILE');
+  } else if (vaultStatus.staleEntries > 0) {
+    console.warn(`${vaultStatus.staleEntries} vault entries use a previous key - POST /api/vault/rotate to re-encrypt them`);
+  }
+  if (serverAccounts.configured().length > 0) {
+    serverAccounts.signIn()
+      .then(accounts => console.log(`🔐 Signed in ${accounts.length} server account(s)`))
+      .catch(error => console.error('Could not sign in the server accounts:', error.message));
+  }
+  collector.start();
+  alerts.start();
+  reports.start();
+  mqttBridge.start();
 });
 
 // Graceful shutdown
@@ -0,0 +1,57 @@
+const scheduler = require('./scheduler');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_LOOKBACK_DAYS = 30;
+
+// Round the window end so repeated calls within the quota window produce the
+// same request body and can be answered from the scheduler cache
+const WINDOW_ROUNDING_MS = 5 * 60 * 1000;
+
+class AlarmRequestError extends Error {}
+
+// Active alarms raised within the last `days` days for the given stations
+const fetchAlarms = async (account, { stationCodes, days = 7, language = 'en_US' }) => {
+  if (!stationCodes || String(stationCodes).trim() === '') {
+    throw new AlarmRequestError('stationCodes parameter is required and cannot be empty');
+  }
+  const lookback = Number(days);
+  if (!Number.isFinite(lookback) || lookback <= 0 || lookback > MAX_LOOKBACK_DAYS) {
+    throw new AlarmRequestError(`days must be between 1 and ${MAX_LOOKBACK_DAYS}`);
+  }
+
+  const endTime = Math.ceil(Date.now() / WINDOW_ROUNDING_MS) * WINDOW_ROUNDING_MS;
+  const beginTime = endTime - lookback * 24 * HOUR;
+
+  return scheduler.request(account, 'getAlarmList', {
+    stationCodes,
+    beginTime,
+    endTime,
+    language
+  });
+};
+
+// Active alarms raised between two times, in windows of at most
+// MAX_LOOKBACK_DAYS because getAlarmList rejects longer ranges
+const fetchAlarmsBetween = async (account, { stationCodes, beginTime, endTime, language = 'en_US' }) => {
+  const alarms = [];
+  let age = 0;
+  for (let from = beginTime; from < endTime; from += MAX_LOOKBACK_DAYS * 24 * HOUR) {
+    const to = Math.min(from + MAX_LOOKBACK_DAYS * 24 * HOUR, endTime);
+    const result = await scheduler.request(account, 'getAlarmList', {
+      stationCodes,
+      beginTime: from,
+      endTime: to,
+      language
+    });
+    if (!result.data.success) return result;
+    alarms.push(...(result.data.data || []));
+    age = Math.max(age, result.age);
+  }
+  return { data: { success: true, data: alarms }, cache: 'MISS', age };
+};
+
+module.exports = {
+  AlarmRequestError,
+  fetchAlarms,
+  fetchAlarmsBetween
+};
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const collector = require('./collector');
+const notifiers = require('./notifiers');
+const { DATA_DIR } = require('./timeseries');
+
+// Server-side alert rules evaluated on every getStationRealKpi snapshot the
+// background collector records (so they need COLLECTOR_ENABLED=true too):
+//   - health:          real_health_state turns Disconnected (1) or Faulty (2)
+//   - zero-power:      day_power is still 0 during daylight hours
+//   - underproduction: specific yield (kWh/kWp) far below the account's other
+//                      plants, or below a share of what the capacity allows
+// Each rule keeps one alert per plant. Recipients hear about changes only:
+// when an alert starts, changes, recovers and (optionally) as a reminder.
+// Changes during quiet hours are held back and only the resulting state is
+// sent once they end, so an alert that recovered overnight is never sent.
+const ENABLED = process.env.ALERTS_ENABLED === 'true';
+const STATE_FILE = path.join(DATA_DIR, 'alerts.json');
+
+const MINUTE = 60 * 1000;
+
+class AlertConfigError extends Error {}
+
+// "9-16" -> { start: 9, end: 16 }; ranges may wrap midnight, e.g. "22-6"
+const parseHours = (value, name) => {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 24) {
+    throw new AlertConfigError(`${name} must look like 9-16 (hours, server local time)`);
+  }
+  return { start: Number(match[1]), end: Number(match[2]) };
+};
+
+const inHours = (range, time) => {
+  if (!range) return false;
+  const date = new Date(time);
+  const hour = date.getHours() + date.getMinutes() / 60;
+  return range.start <= range.end
+    ? hour >= range.start && hour < range.end
+    : hour >= range.start || hour < range.end;
+};
+
+// Hours of the daylight window that have passed at `time`
+const daylightElapsed = (range, time) => {
+  const date = new Date(time);
+  const hour = date.getHours() + date.getMinutes() / 60;
+  return Math.max(0, Math.min(hour, range.end) - range.start);
+};
+
+const loadConfig = () => ({
+  daylight: parseHours(process.env.ALERT_DAYLIGHT_HOURS || '9-16', 'ALERT_DAYLIGHT_HOURS'),
+  quietHours: process.env.ALERT_QUIET_HOURS ? parseHours(process.env.ALERT_QUIET_HOURS, 'ALERT_QUIET_HOURS') : null,
+  peerRatio: parseFloat(process.env.ALERT_PEER_RATIO) || 0.5,
+  capacityRatio: parseFloat(process.env.ALERT_CAPACITY_RATIO) || 0.1,
+  remindMs: (parseFloat(process.env.ALERT_REMIND_HOURS) || 0) * 60 * MINUTE
+});
+
+const HEALTH_STATES = {
+  1: { severity: 'critical', text: 'Disconnected' },
+  2: { severity: 'major', text: 'Faulty' }
+};
+
+// Below this median specific yield nobody is producing much (dawn, heavy
+// overcast), so a comparison with peers says nothing
+const MIN_PEER_YIELD = 0.1;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Evaluate every rule for one account's snapshot. Returns a list of
+// { stationCode, rule, active, severity, message }. Rules that cannot judge
+// right now (e.g. outside daylight) return nothing, which keeps their state.
+const evaluate = ({ time, snapshots, stations }, config) => {
+  const results = [];
+  const daylight = inHours(config.daylight, time);
+  const capacities = new Map((stations || []).map(station => [station.stationCode, station.capacity * 1000]));
+
+  const yields = new Map();
+  snapshots.forEach(({ stationCode, dataItemMap }) => {
+    const kWp = capacities.get(stationCode);
+    if (kWp > 0 && dataItemMap && dataItemMap.day_power != null) {
+      yields.set(stationCode, parseFloat(dataItemMap.day_power) / kWp);
+    }
+  });
+
+  snapshots.forEach(({ stationCode, dataItemMap }) => {
+    const data = dataItemMap || {};
+    const health = HEALTH_STATES[data.real_health_state];
+    results.push({
+      stationCode,
+      rule: 'health',
+      active: Boolean(health),
+      severity: health ? health.severity : 'info',
+      message: health ? `Plant is ${health.text}` : 'Plant is healthy again'
+    });
+
+    // Outside daylight (or while disconnected, which the health rule already
+    // reports) production rules keep their previous state
+    if (!daylight || String(data.real_health_state) === '1') return;
+
+    const dayPower = parseFloat(data.day_power || 0);
+    results.push({
+      stationCode,
+      rule: 'zero-power',
+      active: dayPower === 0,
+      severity: 'major',
+      message: dayPower === 0 ? 'No energy produced today during daylight' : 'Producing energy again'
+    });
+
+    // No production at all is already covered by zero-power
+    const specificYield = yields.get(stationCode);
+    if (dayPower === 0 || specificYield === undefined) return;
+
+    const reasons = [];
+    const peers = [...yields].filter(([code]) => code !== stationCode).map(([, value]) => value);
+    if (peers.length >= 2) {
+      const peerMedian = median(peers);
+      if (peerMedian >= MIN_PEER_YIELD && specificYield < peerMedian * config.peerRatio) {
+        reasons.push(`${specificYield.toFixed(2)} kWh/kWp vs. ${peerMedian.toFixed(2)} median of other plants`);
+      }
+    }
+    const expected = config.capacityRatio * daylightElapsed(config.daylight, time);
+    if (expected > 0 && specificYield < expected) {
+      reasons.push(`${specificYield.toFixed(2)} kWh/kWp, expected at least ${expected.toFixed(2)}`);
+    }
+    results.push({
+      stationCode,
+      rule: 'underproduction',
+      active: reasons.length > 0,
+      severity: 'minor',
+      message: reasons.length > 0 ? `Underproducing: ${reasons.join('; ')}` : 'Production back to normal'
+    });
+  });
+
+  return results;
+};
+
+// key -> { accountId, stationCode, stationName, rule, severity, active,
+//          message, since, delivered: { active, message, at } }
+const alerts = new Map();
+let config = null;
+let dispatching = false;
+let dirty = false;
+
+const alertKey = (accountId, stationCode, rule) => `${accountId}|${stationCode}|${rule}`;
+
+const loadState = () => {
+  try {
+    JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).forEach(alert => {
+      alerts.set(alertKey(alert.accountId, alert.stationCode, alert.rule), alert);
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read alert state:', error.message);
+    }
+  }
+};
+
+const saveState = async () => {
+  await fs.promises.mkdir(DATA_DIR, { recursive: true });
+  await fs.promises.writeFile(STATE_FILE, JSON.stringify([...alerts.values()], null, 2));
+};
+
+const applySnapshot = (snapshot) => {
+  const names = new Map((snapshot.stations || []).map(station => [station.stationCode, station.stationName]));
+
+  evaluate(snapshot, config).forEach(result => {
+    const key = alertKey(snapshot.accountId, result.stationCode, result.rule);
+    const alert = alerts.get(key);
+    if (!alert && !result.active) return;
+
+    const next = alert || {
+      accountId: snapshot.accountId,
+      stationCode: result.stationCode,
+      rule: result.rule,
+      delivered: { active: false, message: null, at: null }
+    };
+    if (!alert || next.active !== result.active) {
+      next.since = snapshot.time;
+    }
+    next.stationName = names.get(result.stationCode) || next.stationName || null;
+    next.active = result.active;
+    next.message = result.message;
+    // Keep the severity of the alert for its recovery notice
+    if (result.active) next.severity = result.severity;
+    alerts.set(key, next);
+    dirty = true;
+  });
+};
+
+// Work out what recipients don't know yet
+const pendingNotifications = (now) => {
+  const notifications = [];
+  alerts.forEach(alert => {
+    const { delivered } = alert;
+    let event = null;
+    if (alert.active && !delivered.active) event = 'triggered';
+    else if (alert.active && alert.message !== delivered.message) event = 'updated';
+    else if (alert.active && config.remindMs > 0 && now - delivered.at >= config.remindMs) event = 'reminder';
+    else if (!alert.active && delivered.active) event = 'resolved';
+    if (event) {
+      notifications.push({ alert, event });
+    }
+  });
+  return notifications;
+};
+
+const dispatch = async () => {
+  const now = Date.now();
+  if (dispatching || inHours(config.quietHours, now)) return;
+  dispatching = true;
+
+  try {
+    const pending = pendingNotifications(now);
+    if (pending.length > 0) {
+      const notifications = pending.map(({ alert, event }) => ({
+        event,
+        rule: alert.rule,
+        severity: alert.severity,
+        accountId: alert.accountId,
+        stationCode: alert.stationCode,
+        stationName: alert.stationName,
+        message: alert.message,
+        since: alert.since
+      }));
+      notifications.forEach(n => console.log(`🔔 ${n.event} ${n.rule} ${n.stationCode}: ${n.message}`));
+
+      // Without channels the log above is the delivery; otherwise retry on
+      // the next run unless at least one channel accepted the batch
+      const delivered = notifiers.channels().length === 0 || await notifiers.send(notifications) > 0;
+      if (delivered) {
+        pending.forEach(({ alert }) => {
+          alert.delivered = { active: alert.active, message: alert.message, at: now };
+        });
+        dirty = true;
+      }
+    }
+
+    // Recovered alerts that recipients know about can be forgotten
+    alerts.forEach((alert, key) => {
+      if (!alert.active && !alert.delivered.active) alerts.delete(key);
+    });
+    if (dirty) {
+      dirty = false;
+      await saveState();
+    }
+  } catch (error) {
+    console.error('Alert dispatch failed:', error.message);
+  } finally {
+    dispatching = false;
+  }
+};
+
+const start = () => {
+  if (!ENABLED) return;
+
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error('Alerts disabled:', error.message);
+    return;
+  }
+  if (!collector.getStatus().enabled) {
+    console.warn('Alerts enabled but the collector is not (COLLECTOR_ENABLED=true); no data will be evaluated');
+  }
+
+  loadState();
+  const channels = notifiers.channels();
+  console.log(`🔔 Alerts enabled, delivering to ${channels.length > 0 ? channels.join(', ') : 'the log only'}`);
+
+  collector.events.on('snapshot', (snapshot) => {
+    applySnapshot(snapshot);
+    dispatch();
+  });
+  // Also catches the end of quiet hours and retries failed deliveries
+  setInterval(dispatch, MINUTE).unref();
+};
+
+// Alerts of the given accounts that are currently active
+const listActive = (accountIds) => {
+  const owners = new Set(accountIds);
+  return [...alerts.values()]
+    .filter(alert => alert.active && owners.has(alert.accountId))
+    .map(({ delivered, ...alert }) => ({ ...alert, notifiedAt: delivered.at }));
+};
+
+const getStatus = () => ({
+  enabled: ENABLED && config !== null,
+  channels: notifiers.channels(),
+  quietHours: config && config.quietHours,
+  active: [...alerts.values()].filter(alert => alert.active).length
+});
+
+module.exports = {
+  start,
+  listActive,
+  getStatus
+};
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./notifiers', () => ({
+  channels: jest.fn(() => ['webhook hooks.example']),
+  send: jest.fn(async () => 1)
+}));
+jest.mock('./collector', () => {
+  const EventEmitter = require('events');
+  return { events: new EventEmitter(), getStatus: () => ({ enabled: true }) };
+});
+
+const HOUR = 60 * 60 * 1000;
+const ENV = ['DATA_DIR', 'ALERTS_ENABLED', 'ALERT_QUIET_HOURS', 'ALERT_REMIND_HOURS'];
+
+// Plants of 10 kWp (FusionSolar capacities are in MW)
+const STATIONS = ['NE=1', 'NE=2', 'NE=3'].map(stationCode => ({ stationCode, stationName: `Plant ${stationCode}`, capacity: 0.01 }));
+
+let now;
+let alerts;
+let collector;
+let notifiers;
+
+// The engine reads its settings and state when it starts
+const startAlerts = (env = {}) => {
+  Object.assign(process.env, { ALERTS_ENABLED: 'true' }, env);
+  jest.isolateModules(() => {
+    alerts = require('./alerts');
+    collector = require('./collector');
+    notifiers = require('./notifiers');
+  });
+  alerts.start();
+};
+
+// Record one snapshot at `now` and wait for its notifications to go out
+const record = async (plants) => {
+  collector.events.emit('snapshot', {
+    accountId: 'eu5:owner',
+    time: now,
+    stations: STATIONS,
+    snapshots: Object.entries(plants).map(([stationCode, dataItemMap]) => ({ stationCode, dataItemMap }))
+  });
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+const sent = () => notifiers.send.mock.calls.flatMap(([notifications]) => notifications)
+  .map(({ event, rule, stationCode }) => `${event} ${rule} ${stationCode}`);
+
+const healthy = (dayPower) => ({ real_health_state: 3, day_power: dayPower });
+const faulty = { real_health_state: 2, day_power: 30 };
+
+beforeEach(() => {
+  // Noon, server local time, inside the default 9-16 daylight window
+  now = new Date(2026, 5, 1, 12, 0).getTime();
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Saving the alert state resolves at once, so each dispatch has finished
+  // before the next snapshot arrives
+  jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+  jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  ENV.forEach(name => delete process.env[name]);
+  jest.restoreAllMocks();
+});
+
+test('an offline plant raises a critical alert and recovers', async () => {
+  startAlerts();
+  await record({ 'NE=1': { real_health_state: 1, day_power: 0 } });
+
+  // Disconnected plants don't also get a zero-power alert
+  expect(sent()).toEqual(['triggered health NE=1']);
+  expect(alerts.listActive(['eu5:owner'])).toEqual([
+    expect.objectContaining({ stationCode: 'NE=1', rule: 'health', severity: 'critical', message: 'Plant is Disconnected' })
+  ]);
+  expect(alerts.listActive(['eu5:other'])).toEqual([]);
+
+  now += HOUR;
+  await record({ 'NE=1': healthy(20) });
+  expect(sent()).toEqual(['triggered health NE=1', 'resolved health NE=1']);
+  expect(alerts.listActive(['eu5:owner'])).toEqual([]);
+});
+
+test('underproduction is measured against the other plants and the capacity', async () => {
+  startAlerts();
+  await record({ 'NE=1': healthy(40), 'NE=2': healthy(40), 'NE=3': healthy(10) });
+
+  expect(sent()).toEqual(['triggered underproduction NE=3']);
+  expect(alerts.listActive(['eu5:owner'])[0].message)
+    .toBe('Underproducing: 1.00 kWh/kWp vs. 4.00 median of other plants');
+
+  // Three daylight hours at 10% of capacity: 0.3 kWh/kWp expected
+  notifiers.send.mockClear();
+  await record({ 'NE=1': healthy(2), 'NE=2': healthy(2), 'NE=3': healthy(40) });
+  expect(sent()).toEqual([
+    'resolved underproduction NE=3',
+    'triggered underproduction NE=1',
+    'triggered underproduction NE=2'
+  ]);
+});
+
+test('no production during daylight raises zero-power, but not at night', async () => {
+  startAlerts();
+  now = new Date(2026, 5, 1, 20, 0).getTime();
+  await record({ 'NE=1': healthy(0) });
+  expect(notifiers.send).not.toHaveBeenCalled();
+
+  now = new Date(2026, 5, 2, 10, 0).getTime();
+  await record({ 'NE=1': healthy(0) });
+  expect(sent()).toEqual(['triggered zero-power NE=1']);
+});
+
+test('an unchanged alert is only sent again as a reminder', async () => {
+  startAlerts({ ALERT_REMIND_HOURS: '2' });
+  await record({ 'NE=1': faulty });
+  now += HOUR;
+  await record({ 'NE=1': faulty });
+  expect(sent()).toEqual(['triggered health NE=1']);
+
+  now += HOUR;
+  await record({ 'NE=1': faulty });
+  expect(sent()).toEqual(['triggered health NE=1', 'reminder health NE=1']);
+});
+
+test('changes during quiet hours are held back until they end', async () => {
+  startAlerts({ ALERT_QUIET_HOURS: '22-6' });
+  now = new Date(2026, 5, 1, 23, 0).getTime();
+  await record({ 'NE=1': faulty, 'NE=2': faulty });
+  now += HOUR;
+  await record({ 'NE=1': faulty, 'NE=2': healthy(30) });
+  expect(notifiers.send).not.toHaveBeenCalled();
+
+  // A plant that recovered overnight is never reported
+  now = new Date(2026, 5, 2, 6, 0).getTime();
+  await record({ 'NE=1': faulty });
+  expect(sent()).toEqual(['triggered health NE=1']);
+});
+
+test('a failed delivery is retried', async () => {
+  startAlerts();
+  notifiers.send.mockResolvedValueOnce(0);
+  await record({ 'NE=1': faulty });
+  await record({ 'NE=1': faulty });
+  expect(sent()).toEqual(['triggered health NE=1', 'triggered health NE=1']);
+});
@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const endpoints = require('./endpoints');
+const portfolio = require('./portfolio');
+const serverAccounts = require('./serverAccounts');
+const timeseries = require('./timeseries');
+
+// Optional background recorder. When COLLECTOR_ENABLED=true the server logs in
+// with the server accounts (see serverAccounts.js) and records every
+// getStationRealKpi snapshot into the time-series store, whether or not anyone
+// has the dashboard open.
+const ENABLED = process.env.COLLECTOR_ENABLED === 'true';
+
+// Never poll faster than the getStationRealKpi quota window
+const INTERVAL_MS = Math.max(
+  parseInt(process.env.COLLECTOR_INTERVAL_MS, 10) || 0,
+  endpoints.quotaWindow('getStationRealKpi')
+);
+
+const events = new EventEmitter();
+const status = {};          // userName -> { lastRun, lastSuccess, lastError, stations }
+const lastRecorded = {};    // accountId -> time of the newest recorded snapshot
+const accounts = {};        // userName -> logged-in account
+
+const collectAccount = async (account, accountStatus) => {
+  accountStatus.lastRun = new Date().toISOString();
+
+  try {
+    // Through the portfolio so long station lists are paged and KPI queries
+    // are split into calls of at most 100 codes
+    const stationList = await portfolio.listStations([account]);
+    if (!stationList.data.success) {
+      throw new Error(`getStationList failed: ${stationList.data.failCode || stationList.data.message}`);
+    }
+    const stations = stationList.data.data || [];
+    const stationCodes = stations.map(station => station.stationCode);
+    accountStatus.stations = stationCodes.length;
+    if (stationCodes.length === 0) return;
+
+    const { data, cache, age } = await portfolio.request([account], 'getStationRealKpi', {
+      stationCodes: stationCodes.join(',')
+    });
+    if (!data.success) {
+      throw new Error(`getStationRealKpi failed: ${data.failCode || data.message}`);
+    }
+
+    // The scheduler may hand back a response that was already recorded
+    const dataTime = Date.now() - age * 1000;
+    if (cache !== 'MISS' && dataTime <= (lastRecorded[account.id] || 0)) {
+      return;
+    }
+
+    const snapshots = (data.data || []).map(({ stationCode, dataItemMap }) => ({ stationCode, dataItemMap }));
+    await timeseries.append(account.id, snapshots, dataTime);
+    lastRecorded[account.id] = dataTime;
+    accountStatus.lastSuccess = new Date().toISOString();
+    accountStatus.lastError = null;
+    events.emit('snapshot', { accountId: account.id, time: dataTime, snapshots, stations });
+    console.log(`Collector recorded ${snapshots.length} snapshots for ${account.userName}`);
+
+  } catch (error) {
+    accountStatus.lastError = error.message;
+    console.error(`Collector error for ${account.userName}:`, error.message);
+  }
+};
+
+const start = () => {
+  if (!ENABLED) return;
+
+  // Accounts are read again on every run so vault changes apply without a restart
+  const count = serverAccounts.configured().length;
+  if (count === 0) {
+    console.warn('Collector enabled but no accounts configured yet (credential vault, COLLECTOR_ACCOUNTS or FUSIONSOLAR_USERNAME/FUSIONSOLAR_SYSTEM_CODE)');
+  } else {
+    console.log(`📈 Collector polling ${count} account(s) every ${INTERVAL_MS / 1000}s`);
+  }
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      const credentialsList = serverAccounts.configured();
+      const userNames = new Set(credentialsList.map(credentials => credentials.userName));
+      Object.keys(accounts).filter(userName => !userNames.has(userName)).forEach(userName => {
+        delete accounts[userName];
+        delete status[userName];
+      });
+
+      for (const credentials of credentialsList) {
+        status[credentials.userName] = status[credentials.userName] || { lastRun: null, lastSuccess: null, lastError: null, stations: 0 };
+        try {
+          // Shared with the other server jobs; logs in again after a failed
+          // login or a changed system code
+          accounts[credentials.userName] = await serverAccounts.accountFor(credentials);
+          await collectAccount(accounts[credentials.userName], status[credentials.userName]);
+        } catch (error) {
+          status[credentials.userName].lastError = error.message;
+          console.error(`Collector login failed for ${credentials.userName}:`, error.message);
+        }
+      }
+    } catch (error) {
+      // e.g. an unreadable vault; the next tick tries again
+      console.error('Collector run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, INTERVAL_MS).unref();
+
+  timeseries.prune().catch(error => console.error('Time-series prune failed:', error.message));
+  setInterval(() => {
+    timeseries.prune().catch(error => console.error('Time-series prune failed:', error.message));
+  }, 24 * 60 * 60 * 1000).unref();
+};
+
+// Accounts the collector is logged in with, for other background jobs
+const getAccounts = () => Object.values(accounts);
+
+const getStatus = () => ({
+  enabled: ENABLED,
+  intervalMs: INTERVAL_MS,
+  accounts: status
+});
+
+module.exports = {
+  events,
+  start,
+  getAccounts,
+  getStatus
+};
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('./serverAccounts', () => ({ configured: jest.fn(), accountFor: jest.fn() }));
+jest.mock('./timeseries', () => ({ prune: jest.fn(async () => {}), append: jest.fn() }));
+
+const serverAccounts = require('./serverAccounts');
+
+let collector;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  process.env.COLLECTOR_ENABLED = 'true';
+  jest.isolateModules(() => {
+    collector = require('./collector');
+  });
+});
+
+afterEach(() => {
+  delete process.env.COLLECTOR_ENABLED;
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('a run that fails to read the accounts does not stop the next one', async () => {
+  serverAccounts.configured
+    .mockReturnValueOnce([])
+    .mockImplementationOnce(() => { throw new Error('vault unreadable'); })
+    .mockReturnValue([]);
+
+  collector.start();
+  await Promise.resolve();
+  expect(console.error).toHaveBeenCalledWith('Collector run failed:', 'vault unreadable');
+
+  jest.advanceTimersByTime(collector.getStatus().intervalMs);
+  await Promise.resolve();
+  expect(serverAccounts.configured).toHaveBeenCalledTimes(3);
+});
+
+test('status is kept per FusionSolar user name', async () => {
+  serverAccounts.configured.mockReturnValue([{ userName: 'owner', systemCode: 'secret' }]);
+  serverAccounts.accountFor.mockRejectedValue(new Error('USER_NOT_EXIST'));
+
+  collector.start();
+  await new Promise(jest.requireActual('timers').setImmediate);
+  expect(collector.getStatus().accounts).toEqual({
+    owner: expect.objectContaining({ lastError: 'USER_NOT_EXIST' })
+  });
+});
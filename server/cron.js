@@ -0,0 +1,91 @@
+// Minimal five-field cron expressions (minute hour day-of-month month
+// day-of-week) in server local time. Fields accept *, numbers, ranges (1-5),
+// steps (*/15, 1-10/3) and comma lists; day-of-week 0 and 7 are both Sunday.
+// As in cron, when both day fields are restricted either one may match.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+class CronError extends Error {}
+
+const parseNumber = (text, field) => {
+  if (!/^\d+$/.test(text)) {
+    throw new CronError(`Invalid ${field.name} value: ${text}`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`Invalid ${field.name} step: ${stepText}`);
+    }
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      from = parseNumber(bounds[0], field);
+      to = bounds.length > 1 ? parseNumber(bounds[1], field) : (stepText === undefined ? from : field.max);
+      if (from > to) {
+        throw new CronError(`Invalid ${field.name} range: ${range}`);
+      }
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+};
+
+// Parse an expression into a matcher; throws CronError when it is invalid
+const parse = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronError(`Cron expression needs ${FIELDS.length} fields, got "${expression}"`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+  const anyDay = parts[2] === '*';
+  const anyWeekday = parts[4] === '*';
+
+  return {
+    expression,
+    // Whether the schedule fires in the minute containing `date`
+    matches: (date) => {
+      if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+        return false;
+      }
+      const dayMatches = days.has(date.getDate());
+      const weekdayMatches = weekdays.has(date.getDay());
+      if (anyDay || anyWeekday) return dayMatches && weekdayMatches;
+      return dayMatches || weekdayMatches;
+    }
+  };
+};
+
+// Next time (ms, start of a minute) after `from` that the schedule fires,
+// looking at most a year ahead
+const nextRun = (cron, from = Date.now()) => {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (cron.matches(date)) return date.getTime();
+  }
+  return null;
+};
+
+module.exports = {
+  CronError,
+  parse,
+  nextRun
+};
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+const cron = require('./cron');
+
+// Local times, as the schedules run in server local time
+const at = (...parts) => new Date(...parts);
+
+test('fields accept numbers, ranges, steps and lists', () => {
+  const schedule = cron.parse('*/15 8-10 * * 1,3');
+  expect(schedule.expression).toBe('*/15 8-10 * * 1,3');
+  expect(schedule.matches(at(2026, 5, 1, 8, 45))).toBe(true);   // Monday
+  expect(schedule.matches(at(2026, 5, 3, 10, 0))).toBe(true);   // Wednesday
+  expect(schedule.matches(at(2026, 5, 1, 8, 50))).toBe(false);
+  expect(schedule.matches(at(2026, 5, 1, 11, 0))).toBe(false);
+  expect(schedule.matches(at(2026, 5, 2, 9, 0))).toBe(false);   // Tuesday
+});
+
+test('day-of-week 7 is Sunday, and either restricted day field may match', () => {
+  expect(cron.parse('0 6 * * 7').matches(at(2026, 5, 7, 6, 0))).toBe(true);
+  const either = cron.parse('0 6 1 * 1');
+  expect(either.matches(at(2026, 6, 1, 6, 0))).toBe(true);      // the 1st, a Wednesday
+  expect(either.matches(at(2026, 5, 8, 6, 0))).toBe(true);      // a Monday
+  expect(either.matches(at(2026, 5, 9, 6, 0))).toBe(false);
+});
+
+test.each([
+  ['0 6 * *', /needs 5 fields/],
+  ['60 6 * * *', /minute must be between 0 and 59/],
+  ['0 6 x * *', /Invalid day of month value/],
+  ['0 10-8 * * *', /Invalid hour range/],
+  ['*/0 6 * * *', /Invalid minute step/]
+])('"%s" is rejected', (expression, message) => {
+  expect(() => cron.parse(expression)).toThrow(cron.CronError);
+  expect(() => cron.parse(expression)).toThrow(message);
+});
+
+describe('nextRun', () => {
+  test('is the next matching minute after the given time', () => {
+    const daily = cron.parse('0 6 * * *');
+    expect(cron.nextRun(daily, at(2026, 5, 1, 5, 59, 30).getTime())).toBe(at(2026, 5, 1, 6, 0).getTime());
+    expect(cron.nextRun(daily, at(2026, 5, 1, 6, 0).getTime())).toBe(at(2026, 5, 2, 6, 0).getTime());
+    expect(cron.nextRun(cron.parse('0 7 1 * *'), at(2026, 11, 15).getTime())).toBe(at(2027, 0, 1, 7, 0).getTime());
+  });
+
+  test('is null for a schedule that never fires', () => {
+    expect(cron.nextRun(cron.parse('0 0 31 2 *'), at(2026, 0, 1).getTime())).toBeNull();
+  });
+});
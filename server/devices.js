@@ -0,0 +1,81 @@
+const scheduler = require('./scheduler');
+
+// Device types that getDevRealKpi understands. getDevRealKpi accepts only
+// one devTypeId per call, so devices are queried type by type.
+const KPI_DEVICE_TYPES = new Set([
+  1,   // String inverter
+  10,  // Environmental monitoring instrument
+  17,  // Grid meter
+  38,  // Residential inverter
+  39,  // Battery
+  41,  // ESS
+  47   // Power sensor
+]);
+
+// getDevRealKpi accepts at most this many devIds per call
+const MAX_DEVICES_PER_CALL = 100;
+
+class DeviceRequestError extends Error {}
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// List the devices of a station together with their live KPIs
+const fetchStationDevices = async (account, stationCode) => {
+  if (!stationCode || String(stationCode).trim() === '') {
+    throw new DeviceRequestError('stationCode parameter is required and cannot be empty');
+  }
+
+  const list = await scheduler.request(account, 'getDevList', { stationCodes: stationCode });
+  if (!list.data.success) {
+    return { data: list.data, age: list.age };
+  }
+
+  const devices = list.data.data || [];
+  const byType = new Map();
+  devices.forEach(device => {
+    if (!KPI_DEVICE_TYPES.has(device.devTypeId)) return;
+    if (!byType.has(device.devTypeId)) byType.set(device.devTypeId, []);
+    byType.get(device.devTypeId).push(device.id);
+  });
+
+  const kpis = new Map();
+  let oldestAge = list.age;
+  for (const [devTypeId, ids] of byType) {
+    for (const devIds of chunk(ids, MAX_DEVICES_PER_CALL)) {
+      const { data, age } = await scheduler.request(account, 'getDevRealKpi', {
+        devIds: devIds.join(','),
+        devTypeId
+      });
+      if (!data.success) {
+        // Keep going with the device list - one failing type shouldn't hide the rest
+        console.warn(`getDevRealKpi failed for devTypeId ${devTypeId}:`, data.failCode || data.message);
+        continue;
+      }
+      oldestAge = Math.max(oldestAge, age);
+      (data.data || []).forEach(item => kpis.set(String(item.devId), item.dataItemMap || {}));
+    }
+  }
+
+  return {
+    data: {
+      success: true,
+      data: devices.map(device => ({
+        ...device,
+        dataItemMap: kpis.get(String(device.id)) || null
+      }))
+    },
+    age: oldestAge
+  };
+};
+
+module.exports = {
+  KPI_DEVICE_TYPES,
+  DeviceRequestError,
+  fetchStationDevices
+};
@@ -0,0 +1,198 @@
+// Registry of the FusionSolar thirdData endpoints the proxy forwards. Each
+// entry documents the endpoint, its quota window (minimum time between two
+// identical upstream calls, used by the scheduler) and a schema for the
+// request body. Requests for unknown endpoints or with bodies that don't
+// match the schema are rejected before anything goes upstream.
+const MINUTE = 60 * 1000;
+
+// Station codes look like "NE=33554875". FusionSolar takes at most 100 per
+// call; the proxy accepts more and splits them into several calls.
+const STATION_CODE_PATTERN = /^NE=\d+$/;
+const MAX_STATION_CODES_PER_CALL = 100;
+const MAX_STATION_CODES = 5000;
+
+const DEVICE_TYPE_IDS = [1, 2, 8, 10, 13, 16, 17, 22, 37, 38, 39, 40, 41, 45, 46, 47, 62, 63];
+const LANGUAGES = ['zh_CN', 'en_US', 'ja_JP', 'it_IT', 'nl_NL', 'pt_BR', 'de_DE', 'fr_FR', 'es_ES', 'pl_PL'];
+
+const stationCodes = {
+  type: 'stationCodes',
+  required: true,
+  description: `Comma-separated station codes (NE=...), at most ${MAX_STATION_CODES}; sent upstream ${MAX_STATION_CODES_PER_CALL} at a time`
+};
+
+const collectTime = {
+  type: 'timestamp',
+  required: true,
+  description: 'Any time (ms since epoch) inside the period to query'
+};
+
+const ENDPOINTS = {
+  getStationList: {
+    description: 'List the plants of the account',
+    quotaWindowMs: 60 * MINUTE,
+    schema: {}
+  },
+  getStationRealKpi: {
+    description: 'Real-time plant KPIs (day_power, day_income, real_health_state, ...)',
+    quotaWindowMs: 5 * MINUTE,
+    schema: { stationCodes }
+  },
+  getKpiStationHour: {
+    description: 'Hourly plant KPIs for the day containing collectTime',
+    quotaWindowMs: 30 * MINUTE,
+    schema: { stationCodes, collectTime }
+  },
+  getKpiStationDay: {
+    description: 'Daily plant KPIs for the month containing collectTime',
+    quotaWindowMs: 60 * MINUTE,
+    schema: { stationCodes, collectTime }
+  },
+  getKpiStationMonth: {
+    description: 'Monthly plant KPIs for the year containing collectTime',
+    quotaWindowMs: 6 * 60 * MINUTE,
+    schema: { stationCodes, collectTime }
+  },
+  getKpiStationYear: {
+    description: 'Yearly plant KPIs',
+    quotaWindowMs: 6 * 60 * MINUTE,
+    schema: { stationCodes, collectTime }
+  },
+  getDevList: {
+    description: 'List the devices of the given plants',
+    quotaWindowMs: 60 * MINUTE,
+    schema: { stationCodes }
+  },
+  getDevRealKpi: {
+    description: 'Real-time KPIs of devices of one type',
+    quotaWindowMs: 5 * MINUTE,
+    schema: {
+      devIds: { type: 'idList', required: true, description: 'Comma-separated device IDs, at most 100' },
+      devTypeId: { type: 'integer', required: true, enum: DEVICE_TYPE_IDS, description: 'Device type of all devIds' }
+    }
+  },
+  getAlarmList: {
+    description: 'Active alarms of the given plants raised between beginTime and endTime',
+    quotaWindowMs: 5 * MINUTE,
+    schema: {
+      stationCodes,
+      beginTime: { type: 'timestamp', required: true, description: 'Start of the raise-time window (ms)' },
+      endTime: { type: 'timestamp', required: true, description: 'End of the raise-time window (ms)' },
+      language: { type: 'string', enum: LANGUAGES, description: 'Language of alarm names and suggestions' },
+      levels: { type: 'idList', description: 'Comma-separated severities (1 critical - 4 warning)' },
+      devTypes: { type: 'idList', description: 'Comma-separated device type IDs' }
+    }
+  }
+};
+
+const DEFAULT_QUOTA_WINDOW = 5 * MINUTE;
+
+// Earliest and latest accepted timestamps
+const MIN_TIMESTAMP = Date.UTC(2000, 0, 1);
+const MAX_FUTURE_MS = 24 * 60 * MINUTE;
+
+const checkList = (value, pattern, max, what) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return `must be a non-empty comma-separated list of ${what}`;
+  }
+  const items = value.split(',').map(item => item.trim());
+  const invalid = items.filter(item => !pattern.test(item));
+  if (invalid.length > 0) {
+    return `contains invalid ${what}: ${invalid.slice(0, 5).join(', ')}`;
+  }
+  if (items.length > max) {
+    return `must contain at most ${max} ${what} (got ${items.length})`;
+  }
+  return null;
+};
+
+const checkers = {
+  stationCodes: (value) => checkList(value, STATION_CODE_PATTERN, MAX_STATION_CODES, 'station codes'),
+  idList: (value) => checkList(String(value), /^\d+$/, 100, 'IDs'),
+  timestamp: (value) => {
+    if (!Number.isInteger(value)) return 'must be an integer timestamp in milliseconds';
+    if (value < MIN_TIMESTAMP || value > Date.now() + MAX_FUTURE_MS) return 'is outside the supported time range';
+    return null;
+  },
+  integer: (value) => (Number.isInteger(value) ? null : 'must be an integer'),
+  string: (value) => (typeof value === 'string' ? null : 'must be a string')
+};
+
+// Validate a request body against an endpoint's schema. Returns a list of
+// { field, message } problems (empty when the body is valid).
+const validate = (endpoint, body) => {
+  const { schema } = ENDPOINTS[endpoint];
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ field: null, message: 'Request body must be a JSON object' }];
+  }
+
+  Object.keys(body).forEach(field => {
+    if (!schema[field]) {
+      errors.push({ field, message: 'is not a supported parameter' });
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    const problem = checkers[rule.type](value);
+    if (problem) {
+      errors.push({ field, message: problem });
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+    }
+  });
+
+  return errors;
+};
+
+const isSupported = (endpoint) => Object.prototype.hasOwnProperty.call(ENDPOINTS, endpoint);
+
+const quotaWindow = (endpoint) => (isSupported(endpoint) ? ENDPOINTS[endpoint].quotaWindowMs : DEFAULT_QUOTA_WINDOW);
+
+// Machine-readable description of the supported API surface
+const describe = () => {
+  return Object.entries(ENDPOINTS).map(([name, endpoint]) => ({
+    endpoint: name,
+    path: `/api/huawei/${name}`,
+    description: endpoint.description,
+    quotaWindowSeconds: endpoint.quotaWindowMs / 1000,
+    parameters: Object.entries(endpoint.schema).map(([field, rule]) => ({
+      name: field,
+      type: rule.type,
+      required: Boolean(rule.required),
+      description: rule.description,
+      ...(rule.enum ? { enum: rule.enum } : {})
+    }))
+  }));
+};
+
+// The same description as a Markdown table, e.g. for the README
+const describeMarkdown = () => {
+  const rows = describe().map(({ path, description, quotaWindowSeconds, parameters }) => {
+    const params = parameters.length === 0
+      ? '—'
+      : parameters.map(p => `\`${p.name}\`${p.required ? '' : ' (optional)'}`).join(', ');
+    return `| \`POST ${path}\` | ${description} | ${params} | ${quotaWindowSeconds / 60} min |`;
+  });
+  return [
+    '| Endpoint | Description | Parameters | Cache window |',
+    '| --- | --- | --- | --- |',
+    ...rows
+  ].join('\n');
+};
+
+module.exports = {
+  ENDPOINTS,
+  STATION_CODE_PATTERN,
+  MAX_STATION_CODES_PER_CALL,
+  isSupported,
+  validate,
+  quotaWindow,
+  describe,
+  describeMarkdown
+};
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+const endpoints = require('./endpoints');
+
+const { validate } = endpoints;
+const NOW = Date.now();
+const codes = (count) => Array.from({ length: count }, (_, i) => `NE=${i + 1}`).join(',');
+const fields = (problems) => problems.map(problem => problem.field);
+
+describe('accepts', () => {
+  test('bodies that match the schema', () => {
+    expect(validate('getStationList', {})).toEqual([]);
+    expect(validate('getStationRealKpi', { stationCodes: 'NE=1, NE=2' })).toEqual([]);
+    expect(validate('getKpiStationDay', { stationCodes: 'NE=1', collectTime: NOW })).toEqual([]);
+    expect(validate('getDevRealKpi', { devIds: '1000,1001', devTypeId: 1 })).toEqual([]);
+    expect(validate('getAlarmList', {
+      stationCodes: 'NE=1', beginTime: NOW - 1000, endTime: NOW, language: 'en_US', levels: '1,2'
+    })).toEqual([]);
+  });
+
+  test('more station codes than one upstream call takes', () => {
+    expect(validate('getStationRealKpi', { stationCodes: codes(5000) })).toEqual([]);
+  });
+
+  test('empty optional fields', () => {
+    expect(validate('getAlarmList', { stationCodes: 'NE=1', beginTime: NOW - 1000, endTime: NOW, language: '' })).toEqual([]);
+  });
+});
+
+describe('rejects', () => {
+  test('bodies that are not objects', () => {
+    [null, 'stationCodes=NE=1', ['NE=1']].forEach(body => {
+      expect(validate('getStationRealKpi', body)).toEqual([{ field: null, message: 'Request body must be a JSON object' }]);
+    });
+  });
+
+  test('missing required fields and unknown ones', () => {
+    expect(validate('getKpiStationDay', { stationCodes: '', extra: 1 })).toEqual([
+      { field: 'extra', message: 'is not a supported parameter' },
+      { field: 'stationCodes', message: 'is required' },
+      { field: 'collectTime', message: 'is required' }
+    ]);
+  });
+
+  test('malformed and too many station codes', () => {
+    expect(validate('getStationRealKpi', { stationCodes: 'NE=1,33554875' })[0].message)
+      .toBe('contains invalid station codes: 33554875');
+    expect(validate('getStationRealKpi', { stationCodes: codes(5001) })[0].message)
+      .toBe('must contain at most 5000 station codes (got 5001)');
+    expect(fields(validate('getStationRealKpi', { stationCodes: 42 }))).toEqual(['stationCodes']);
+  });
+
+  test('timestamps that are not integers or out of range', () => {
+    const problem = (collectTime) => validate('getKpiStationDay', { stationCodes: 'NE=1', collectTime })[0];
+    expect(problem('2026-06-01').message).toBe('must be an integer timestamp in milliseconds');
+    expect(problem(NOW / 1000 + 0.5).message).toBe('must be an integer timestamp in milliseconds');
+    expect(problem(Date.UTC(1999, 11, 31)).message).toBe('is outside the supported time range');
+    expect(problem(NOW + 2 * 24 * 60 * 60 * 1000).message).toBe('is outside the supported time range');
+  });
+
+  test('values outside an enum', () => {
+    expect(validate('getDevRealKpi', { devIds: '1000', devTypeId: 3 })).toEqual([
+      { field: 'devTypeId', message: expect.stringMatching(/^must be one of: 1, 2, 8/) }
+    ]);
+    expect(fields(validate('getDevRealKpi', { devIds: '1000', devTypeId: '1' }))).toEqual(['devTypeId']);
+    expect(fields(validate('getAlarmList', {
+      stationCodes: 'NE=1', beginTime: NOW - 1000, endTime: NOW, language: 'klingon'
+    }))).toEqual(['language']);
+  });
+
+  test('more than 100 device IDs', () => {
+    const devIds = Array.from({ length: 101 }, (_, i) => i + 1).join(',');
+    expect(validate('getDevRealKpi', { devIds, devTypeId: 1 })[0].message).toBe('must contain at most 100 IDs (got 101)');
+  });
+});
+
+test('unknown endpoints are not supported and use the default quota window', () => {
+  expect(endpoints.isSupported('getStationRealKpi')).toBe(true);
+  expect(endpoints.isSupported('deleteStation')).toBe(false);
+  expect(endpoints.isSupported('constructor')).toBe(false);
+  expect(endpoints.quotaWindow('deleteStation')).toBe(5 * 60 * 1000);
+});
@@ -0,0 +1,152 @@
+const ExcelJS = require('exceljs');
+
+// CSV and XLSX exports of plant KPIs: one row per plant and period, with the
+// plant's name, code and capacity followed by every dataItemMap field.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Known dataItemMap fields in display order. Income fields are in the
+// currency configured in FusionSolar, which the API doesn't report.
+const FIELDS = {
+  day_power: { label: 'Daily Yield', unit: 'kWh' },
+  month_power: { label: 'Monthly Yield', unit: 'kWh' },
+  total_power: { label: 'Lifetime Yield', unit: 'kWh' },
+  day_on_grid_energy: { label: 'Daily Grid Export', unit: 'kWh' },
+  day_use_energy: { label: 'Daily Consumption', unit: 'kWh' },
+  day_income: { label: 'Daily Revenue', unit: 'currency' },
+  total_income: { label: 'Lifetime Revenue', unit: 'currency' },
+  real_health_state: { label: 'Health State', unit: '1 disconnected, 2 faulty, 3 healthy' },
+  inverter_power: { label: 'Yield', unit: 'kWh' },
+  ongrid_power: { label: 'Grid Export', unit: 'kWh' },
+  use_power: { label: 'Consumption', unit: 'kWh' },
+  buyPower: { label: 'Grid Import', unit: 'kWh' },
+  selfUsePower: { label: 'Self-consumption', unit: 'kWh' },
+  radiation_intensity: { label: 'Irradiation', unit: 'kWh/m²' },
+  theory_power: { label: 'Theoretical Yield', unit: 'kWh' },
+  perpower_ratio: { label: 'Specific Yield', unit: 'kWh/kWp' },
+  installed_capacity: { label: 'Installed Capacity', unit: 'kWp' },
+  reduction_total_co2: { label: 'CO2 Avoided', unit: 't' },
+  power_profit: { label: 'Revenue', unit: 'currency' }
+};
+
+class ExportRequestError extends Error {}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local period label matching the granularity of the row
+const formatPeriod = (time, granularity) => {
+  const date = new Date(time);
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  if (granularity === 'year') return String(date.getFullYear());
+  if (granularity === 'month') return day.slice(0, 7);
+  if (granularity === 'day') return day;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Spreadsheets run text starting with these as a formula (CSV injection);
+// a leading apostrophe keeps it text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const safeText = (text) => (FORMULA_PREFIX.test(text) ? `'${text}` : text);
+
+const header = (key) => {
+  const field = FIELDS[key];
+  if (!field) return safeText(key);
+  return `${field.label} (${field.unit})`;
+};
+
+// Known fields first, then anything else FusionSolar reported
+const fieldKeys = (points) => {
+  const seen = new Set();
+  points.forEach(point => Object.keys(point.dataItemMap || {}).forEach(key => seen.add(key)));
+  const known = Object.keys(FIELDS).filter(key => seen.has(key));
+  const other = [...seen].filter(key => !FIELDS[key]).sort();
+  return [...known, ...other];
+};
+
+// Numbers stay numbers so spreadsheets can sum them
+const cellValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && String(value).trim() !== '' ? number : safeText(String(value));
+};
+
+// Plant capacity in kW from the station list (MW), or an empty cell
+const capacityKw = (station) => {
+  const megawatts = station ? parseFloat(station.capacity) : NaN;
+  return Number.isFinite(megawatts) ? Math.round(megawatts * 1000 * 1000) / 1000 : null;
+};
+
+// Build the table for points of { stationCode, collectTime, dataItemMap }.
+// `stations` are getStationList entries used for names and capacities.
+const buildTable = (points, stations, granularity) => {
+  const byCode = new Map(stations.map(station => [station.stationCode, station]));
+  const keys = fieldKeys(points);
+  const columns = ['Station Code', 'Plant', 'Capacity (kW)', 'Period', ...keys.map(header)];
+
+  const rows = points
+    .slice()
+    .sort((a, b) => a.stationCode.localeCompare(b.stationCode) || a.collectTime - b.collectTime)
+    .map(point => {
+      const station = byCode.get(point.stationCode);
+      return [
+        safeText(point.stationCode),
+        safeText(station?.stationName || ''),
+        capacityKw(station),
+        formatPeriod(point.collectTime, granularity),
+        ...keys.map(key => cellValue(point.dataItemMap?.[key]))
+      ];
+    });
+
+  return { columns, rows };
+};
+
+// RFC 4180 quoting; a BOM lets Excel detect UTF-8
+const toCsv = ({ columns, rows }) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns, ...rows].map(row => row.map(escape).join(','));
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+const toXlsx = async ({ columns, rows }, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(column => ({ header: column, width: Math.max(12, column.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const checkFormat = (format) => {
+  if (!FORMATS[format]) {
+    throw new ExportRequestError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+};
+
+// Serialize a table; returns { buffer, contentType, fileName }
+const render = async (table, { format, name }) => {
+  checkFormat(format);
+  const config = FORMATS[format];
+  const buffer = format === 'csv' ? toCsv(table) : await toXlsx(table, name);
+  return {
+    buffer,
+    contentType: config.contentType,
+    fileName: `fusionsolar-${name}-${formatPeriod(Date.now(), 'day')}.${config.extension}`
+  };
+};
+
+module.exports = {
+  FORMATS,
+  ExportRequestError,
+  checkFormat,
+  buildTable,
+  render
+};
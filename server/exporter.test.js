@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+const ExcelJS = require('exceljs');
+const exporter = require('./exporter');
+
+const STATIONS = [
+  { stationCode: 'NE=1', stationName: 'Roof, "North"', capacity: 0.0125 },
+  { stationCode: 'NE=2', stationName: '=HYPERLINK("http://evil.example","Open")' },
+  { stationCode: 'NE=3', stationName: '-Barn', capacity: '0.005' }
+];
+
+const POINTS = [
+  { stationCode: 'NE=2', collectTime: new Date(2026, 5, 1, 10, 5).getTime(), dataItemMap: { day_power: '12.5', vendor_note: '@SUM(A1:A9)' } },
+  { stationCode: 'NE=1', collectTime: new Date(2026, 5, 1, 10, 0).getTime(), dataItemMap: { day_power: 40, real_health_state: 3, '+cmd': '-3' } },
+  { stationCode: 'NE=4', collectTime: new Date(2026, 5, 1, 10, 0).getTime(), dataItemMap: { day_power: '' } }
+];
+
+const table = () => exporter.buildTable(POINTS, STATIONS, 'realtime');
+
+test('rows are sorted by plant and carry known fields first with their units', () => {
+  const { columns, rows } = table();
+  expect(columns).toEqual([
+    'Station Code', 'Plant', 'Capacity (kW)', 'Period',
+    'Daily Yield (kWh)', 'Health State (1 disconnected, 2 faulty, 3 healthy)', "'+cmd", 'vendor_note'
+  ]);
+  expect(rows.map(row => row[0])).toEqual(['NE=1', 'NE=2', 'NE=4']);
+  expect(rows[0]).toEqual(['NE=1', 'Roof, "North"', 12.5, '2026-06-01 10:00', 40, 3, -3, null]);
+});
+
+test('numeric strings become numbers and empty values empty cells', () => {
+  const [, second, third] = table().rows;
+  expect(second[4]).toBe(12.5);
+  expect(third[4]).toBeNull();
+});
+
+test('a missing capacity is an empty cell, not NaN', () => {
+  const [, second, third] = table().rows;
+  expect(second[2]).toBeNull();
+  expect(third[2]).toBeNull();
+});
+
+test('text that spreadsheets would run as a formula is kept as text', () => {
+  const [, second] = table().rows;
+  expect(second[1]).toBe('\'=HYPERLINK("http://evil.example","Open")');
+  expect(second[7]).toBe("'@SUM(A1:A9)");
+  const barn = exporter.buildTable([{ ...POINTS[0], stationCode: 'NE=3' }], STATIONS, 'day').rows[0];
+  expect(barn[1]).toBe("'-Barn");
+  expect(barn[2]).toBe(5);
+});
+
+test('CSV is UTF-8 with a BOM and RFC 4180 quoting', async () => {
+  const file = await exporter.render(table(), { format: 'csv', name: 'realtime' });
+  expect(file.contentType).toBe('text/csv; charset=utf-8');
+  expect(file.fileName).toMatch(/^fusionsolar-realtime-\d{4}-\d{2}-\d{2}\.csv$/);
+
+  const text = file.buffer.toString('utf8');
+  expect(text.startsWith('\uFEFF')).toBe(true);
+  const lines = text.slice(1).split('\r\n');
+  expect(lines[1]).toBe('NE=1,"Roof, ""North""",12.5,2026-06-01 10:00,40,3,-3,');
+  expect(lines[2]).toBe('NE=2,"\'=HYPERLINK(""http://evil.example"",""Open"")",,2026-06-01 10:05,12.5,,,\'@SUM(A1:A9)');
+});
+
+test('XLSX keeps numbers numeric and formulas as text', async () => {
+  const file = await exporter.render(table(), { format: 'xlsx', name: 'realtime' });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.getWorksheet('realtime');
+
+  expect(sheet.getRow(1).getCell(1).value).toBe('Station Code');
+  expect(sheet.getRow(2).getCell(3).value).toBe(12.5);
+  expect(sheet.getRow(3).getCell(2).value).toBe('\'=HYPERLINK("http://evil.example","Open")');
+  expect(sheet.getRow(3).getCell(2).formula).toBeUndefined();
+});
+
+test('unknown formats are refused', async () => {
+  expect(() => exporter.checkFormat('pdf')).toThrow(exporter.ExportRequestError);
+  await expect(exporter.render(table(), { format: 'pdf', name: 'x' })).rejects.toThrow('format must be one of: csv, xlsx');
+});
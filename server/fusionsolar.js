@@ -0,0 +1,186 @@
+const fetch = require('node-fetch');
+const regions = require('./regions');
+const metrics = require('./metrics');
+
+// Give up on a host after this long; matters most when auto-detecting a region
+const REQUEST_TIMEOUT_MS = 15000;
+
+// FusionSolar answers with HTTP 200 and this failCode once the XSRF token has
+// expired (USER_MUST_RELOGIN)
+const FAIL_CODE_RELOGIN = 305;
+
+// A host that knows the user but rejects the system code answers with this
+// failCode (USERNAME_OR_PASSWORD_ERROR); trying further hosts would only
+// count more failed logins against the account
+const FAIL_CODE_BAD_CREDENTIALS = 20400;
+
+class UpstreamError extends Error {
+  constructor(status, statusText) {
+    super(`${status} ${statusText}`);
+    this.status = status;
+    this.statusText = statusText;
+  }
+}
+
+// fetch, timed for the upstream latency metrics
+const timedFetch = async (endpoint, apiUrl, options) => {
+  const started = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+  try {
+    const response = await fetch(apiUrl, { ...options, timeout: REQUEST_TIMEOUT_MS });
+    metrics.observeUpstream(endpoint, response.status, seconds());
+    return response;
+  } catch (error) {
+    metrics.observeUpstream(endpoint, 'error', seconds());
+    throw error;
+  }
+};
+
+const countFailure = (endpoint, data) => {
+  if (data && !data.success && data.failCode !== undefined) {
+    metrics.countFailCode(endpoint, data.failCode);
+  }
+};
+
+const extractXsrfToken = (response) => {
+  return response.headers.get('xsrf-token') ||
+         response.headers.get('XSRF-TOKEN') ||
+         response.headers.get('X-XSRF-TOKEN');
+};
+
+// Log in to one FusionSolar host. Resolves with the parsed body and the XSRF
+// token (null if the API did not return one).
+const login = async ({ userName, systemCode }, baseUrl) => {
+  const apiUrl = `${baseUrl}/login`;
+  console.log('Making login request to:', apiUrl);
+
+  const response = await timedFetch('login', apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Solar-Monitor-App/1.0'
+    },
+    body: JSON.stringify({
+      userName,
+      systemCode
+    })
+  });
+
+  console.log('Login API Response status:', response.status);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, response.statusText);
+  }
+
+  const data = await response.json();
+  console.log('Login API Response success:', data.success);
+  countFailure('login', data);
+
+  const xsrfToken = extractXsrfToken(response);
+  if (!xsrfToken && data.success) {
+    console.warn('No XSRF token found in response headers');
+    console.log('Available headers:', [...response.headers.keys()]);
+  }
+
+  return { data, xsrfToken };
+};
+
+const post = async (baseUrl, endpoint, body, xsrfToken) => {
+  const apiUrl = `${baseUrl}/${endpoint}`;
+  console.log('Making request to:', apiUrl);
+
+  const response = await timedFetch(endpoint, apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'XSRF-TOKEN': xsrfToken,
+      'User-Agent': 'Solar-Monitor-App/1.0'
+    },
+    body: JSON.stringify(body)
+  });
+
+  console.log('API Response status:', response.status);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, response.statusText);
+  }
+
+  const data = await response.json();
+  countFailure(endpoint, data);
+  return data;
+};
+
+// Log in on the requested region, or try every known host in turn when the
+// region is 'auto'. Resolves with { data, xsrfToken, region }; region is null
+// when no host accepted the credentials and data is the last host's answer.
+// Auto-detection stops at the first host that rejects the credentials and
+// only moves on after network errors or other failed answers.
+const authenticate = async (credentials) => {
+  let lastFailure = null;
+  let lastError = null;
+
+  for (const region of regions.candidates(credentials.region)) {
+    try {
+      const { data, xsrfToken } = await login(credentials, region.baseUrl);
+      if (data.success && xsrfToken) {
+        console.log(`Logged in ${credentials.userName} on region ${region.id}`);
+        return { data, xsrfToken, region };
+      }
+      if (data.failCode === FAIL_CODE_BAD_CREDENTIALS) {
+        return { data, xsrfToken, region: null };
+      }
+      lastFailure = { data, xsrfToken };
+    } catch (error) {
+      console.warn(`Login on region ${region.id} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (lastFailure) {
+    return { ...lastFailure, region: null };
+  }
+  throw lastError;
+};
+
+// Log the account in again, sharing one in-flight login between concurrent
+// callers so an expired token doesn't trigger a burst of logins.
+const relogin = (account) => {
+  if (!account.loginPromise) {
+    console.log('Re-authenticating account:', account.userName);
+    account.loginPromise = login(account, account.baseUrl)
+      .then(({ data, xsrfToken }) => {
+        if (!data.success || !xsrfToken) {
+          throw new Error(data.message || 'Re-login failed');
+        }
+        account.xsrfToken = xsrfToken;
+        account.tokenIssuedAt = Date.now();
+        return xsrfToken;
+      })
+      .finally(() => {
+        account.loginPromise = null;
+      });
+  }
+  return account.loginPromise;
+};
+
+// Call a thirdData endpoint on behalf of an account. If the token has expired
+// the account is logged in again and the request is replayed once.
+const request = async (account, endpoint, body) => {
+  const data = await post(account.baseUrl, endpoint, body, account.xsrfToken);
+
+  if (!data.success && data.failCode === FAIL_CODE_RELOGIN) {
+    console.warn('Session expired upstream (failCode 305), logging in again');
+    await relogin(account);
+    return post(account.baseUrl, endpoint, body, account.xsrfToken);
+  }
+
+  return data;
+};
+
+module.exports = {
+  FAIL_CODE_RELOGIN,
+  FAIL_CODE_BAD_CREDENTIALS,
+  UpstreamError,
+  authenticate,
+  request
+};
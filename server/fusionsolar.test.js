@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('node-fetch');
+
+const fetch = require('node-fetch');
+const fusionsolar = require('./fusionsolar');
+
+// Login answers per host, e.g. { eu5: { success: true } } or an Error to throw
+let answers;
+
+const reply = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: 'OK',
+  headers: { get: (name) => (name === 'xsrf-token' && body.success ? 'token' : null) },
+  json: async () => body
+});
+
+beforeEach(() => {
+  answers = {};
+  fetch.mockImplementation(async (url) => {
+    const host = new URL(url).hostname.split('.')[0];
+    const answer = answers[host] || { success: false, failCode: 20001, message: 'USER_NOT_EXIST' };
+    if (answer instanceof Error) throw answer;
+    return reply(answer);
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const hostsTried = () => fetch.mock.calls.map(([url]) => new URL(url).hostname.split('.')[0]);
+
+test('auto-detection moves past hosts that are down or do not know the user', async () => {
+  answers.intl = new Error('ECONNRESET');
+  answers.la5 = { success: true, failCode: 0 };
+
+  const { region, xsrfToken } = await fusionsolar.authenticate({ userName: 'demo', systemCode: 'demo', region: 'auto' });
+  expect(region.id).toBe('la5');
+  expect(xsrfToken).toBe('token');
+  expect(hostsTried()).toEqual(['intl', 'eu5', 'la5']);
+});
+
+test('auto-detection stops at the first host that rejects the system code', async () => {
+  answers.eu5 = { success: false, failCode: fusionsolar.FAIL_CODE_BAD_CREDENTIALS, message: 'USERNAME_OR_PASSWORD_ERROR' };
+  answers.la5 = { success: true, failCode: 0 };
+
+  const { region, data } = await fusionsolar.authenticate({ userName: 'demo', systemCode: 'typo', region: 'auto' });
+  expect(region).toBeNull();
+  expect(data.message).toBe('USERNAME_OR_PASSWORD_ERROR');
+  expect(hostsTried()).toEqual(['intl', 'eu5']);
+});
+
+test('a failed login on every host reports the last answer', async () => {
+  const { region, data } = await fusionsolar.authenticate({ userName: 'nobody', systemCode: 'x', region: 'auto' });
+  expect(region).toBeNull();
+  expect(data.message).toBe('USER_NOT_EXIST');
+  expect(hostsTried()).toHaveLength(8);
+});
@@ -0,0 +1,111 @@
+const scheduler = require('./scheduler');
+
+// Historical KPIs come from four endpoints whose collectTime selects a whole
+// period: the hourly endpoint returns one day, the daily endpoint one month,
+// the monthly endpoint one year and the yearly endpoint every year on record.
+const GRANULARITIES = {
+  hour: { endpoint: 'getKpiStationHour', maxCalls: 7 },
+  day: { endpoint: 'getKpiStationDay', maxCalls: 12 },
+  month: { endpoint: 'getKpiStationMonth', maxCalls: 5 },
+  year: { endpoint: 'getKpiStationYear', maxCalls: 1 }
+};
+
+class HistoryRequestError extends Error {}
+
+const parseDate = (value, name) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new HistoryRequestError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+// One collectTime per period the range touches
+const collectTimesFor = (granularity, from, to) => {
+  const times = [];
+  if (granularity === 'year') {
+    return [to.getTime()];
+  }
+
+  const cursor = new Date(from);
+  if (granularity === 'day') cursor.setDate(1);
+  if (granularity === 'month') cursor.setMonth(0, 1);
+
+  while (cursor <= to) {
+    times.push(cursor.getTime());
+    if (granularity === 'hour') cursor.setDate(cursor.getDate() + 1);
+    if (granularity === 'day') cursor.setMonth(cursor.getMonth() + 1);
+    if (granularity === 'month') cursor.setFullYear(cursor.getFullYear() + 1);
+  }
+  return times;
+};
+
+// Start of the period after `to`, used as the exclusive end of the range
+const rangeEnd = (granularity, to) => {
+  const end = new Date(to);
+  if (granularity === 'hour' || granularity === 'day') end.setDate(end.getDate() + 1);
+  if (granularity === 'month') end.setMonth(end.getMonth() + 1, 1);
+  if (granularity === 'year') end.setFullYear(end.getFullYear() + 1, 0, 1);
+  return end.getTime();
+};
+
+const rangeStart = (granularity, from) => {
+  const start = new Date(from);
+  if (granularity === 'month') start.setDate(1);
+  if (granularity === 'year') start.setMonth(0, 1);
+  return start.getTime();
+};
+
+// Fetch a history range for an account, merging the per-period responses
+// into one list of { stationCode, collectTime, dataItemMap } points
+const fetchHistory = async (account, { stationCodes, granularity, from, to }) => {
+  const config = GRANULARITIES[granularity];
+  if (!config) {
+    throw new HistoryRequestError(`granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`);
+  }
+  if (!stationCodes || String(stationCodes).trim() === '') {
+    throw new HistoryRequestError('stationCodes parameter is required and cannot be empty');
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate > toDate) {
+    throw new HistoryRequestError('from must not be after to');
+  }
+
+  const collectTimes = collectTimesFor(granularity, fromDate, toDate);
+  if (collectTimes.length > config.maxCalls) {
+    throw new HistoryRequestError(`Range too large for ${granularity} granularity (max ${config.maxCalls} ${config.endpoint} calls)`);
+  }
+
+  const start = rangeStart(granularity, fromDate);
+  const end = rangeEnd(granularity, toDate);
+  const points = [];
+  let oldestAge = 0;
+
+  // Sequential on purpose - the scheduler spaces the calls out anyway
+  for (const collectTime of collectTimes) {
+    const { data, age } = await scheduler.request(account, config.endpoint, { stationCodes, collectTime });
+    if (!data.success) {
+      return { data, age };
+    }
+    oldestAge = Math.max(oldestAge, age);
+    (data.data || []).forEach(point => {
+      if (point.collectTime >= start && point.collectTime < end) {
+        points.push(point);
+      }
+    });
+  }
+
+  points.sort((a, b) => a.collectTime - b.collectTime);
+  return {
+    data: { success: true, granularity, data: points },
+    age: oldestAge
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  HistoryRequestError,
+  fetchHistory
+};
@@ -0,0 +1,159 @@
+const client = require('prom-client');
+
+// Prometheus metrics for GET /metrics: plant KPIs from the background
+// collector's snapshots, and the proxy's own traffic - HTTP requests, upstream
+// FusionSolar latency and status codes, failCodes and scheduler cache results.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'fusionsolar_proxy_' });
+
+const PLANT_LABELS = ['station_code', 'station_name'];
+
+const plantGauge = (name, help) => new client.Gauge({ name, help, labelNames: PLANT_LABELS, registers: [registry] });
+
+const plant = {
+  dayPower: plantGauge('fusionsolar_plant_day_power_kwh', 'Energy produced today (day_power)'),
+  dayOnGridEnergy: plantGauge('fusionsolar_plant_day_on_grid_energy_kwh', 'Energy exported to the grid today (day_on_grid_energy)'),
+  dayUseEnergy: plantGauge('fusionsolar_plant_day_use_energy_kwh', 'Energy consumed today (day_use_energy)'),
+  healthState: plantGauge('fusionsolar_plant_health_state', 'real_health_state: 1 disconnected, 2 faulty, 3 healthy'),
+  capacity: plantGauge('fusionsolar_plant_capacity_kw', 'Installed capacity from getStationList'),
+  updated: plantGauge('fusionsolar_plant_last_update_timestamp_seconds', 'Time of the data in the last recorded snapshot')
+};
+
+const httpRequests = new client.Counter({
+  name: 'fusionsolar_proxy_http_requests_total',
+  help: 'Requests handled by the proxy',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'fusionsolar_proxy_http_request_duration_seconds',
+  help: 'Time to answer proxy requests',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'fusionsolar_upstream_request_duration_seconds',
+  help: 'Latency of FusionSolar API calls',
+  labelNames: ['endpoint', 'status'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 15],
+  registers: [registry]
+});
+
+const upstreamFailCodes = new client.Counter({
+  name: 'fusionsolar_upstream_fail_codes_total',
+  help: 'FusionSolar responses with success=false, by failCode (407 = rate limited, 20010 = invalid station)',
+  labelNames: ['endpoint', 'fail_code'],
+  registers: [registry]
+});
+
+const cacheResults = new client.Counter({
+  name: 'fusionsolar_scheduler_cache_total',
+  help: 'Scheduler answers by cache result (HIT, MISS or STALE)',
+  labelNames: ['endpoint', 'result'],
+  registers: [registry]
+});
+
+// Station codes last reported per account, so removed plants are dropped
+const reported = new Map();
+
+const setPlant = (gauge, labels, value) => {
+  const number = parseFloat(value);
+  if (Number.isFinite(number)) gauge.set(labels, number);
+};
+
+// Collector 'snapshot' listener
+const recordSnapshot = ({ accountId, time, snapshots, stations = [] }) => {
+  const current = new Map();
+  snapshots.forEach(({ stationCode, dataItemMap = {} }) => {
+    const station = stations.find(s => s.stationCode === stationCode);
+    const labels = { station_code: stationCode, station_name: station ? station.stationName : '' };
+    current.set(stationCode, labels);
+    setPlant(plant.dayPower, labels, dataItemMap.day_power);
+    setPlant(plant.dayOnGridEnergy, labels, dataItemMap.day_on_grid_energy);
+    setPlant(plant.dayUseEnergy, labels, dataItemMap.day_use_energy);
+    setPlant(plant.healthState, labels, dataItemMap.real_health_state);
+    if (station) setPlant(plant.capacity, labels, station.capacity * 1000);
+    plant.updated.set(labels, time / 1000);
+  });
+
+  (reported.get(accountId) || new Map()).forEach((labels, stationCode) => {
+    const renamed = current.has(stationCode) && current.get(stationCode).station_name !== labels.station_name;
+    if (!current.has(stationCode) || renamed) {
+      Object.values(plant).forEach(gauge => gauge.remove(labels));
+    }
+  });
+  reported.set(accountId, current);
+};
+
+// Express middleware timing every request; the route pattern keeps the
+// label set small
+const httpMiddleware = (req, res, next) => {
+  const stop = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    stop({ method: req.method, route });
+  });
+  next();
+};
+
+// One FusionSolar call took `seconds` and answered with HTTP `status`
+// ('error' when no response arrived)
+const observeUpstream = (endpoint, status, seconds) => {
+  upstreamDuration.observe({ endpoint, status: String(status) }, seconds);
+};
+
+const countFailCode = (endpoint, failCode) => {
+  upstreamFailCodes.inc({ endpoint, fail_code: String(failCode) });
+};
+
+const countCache = (endpoint, result) => {
+  cacheResults.inc({ endpoint, result });
+};
+
+// Whether the request carries METRICS_TOKEN as a bearer token (never when
+// no token is set)
+const presentsToken = (req) => {
+  const token = process.env.METRICS_TOKEN;
+  return Boolean(token) && req.get('Authorization') === `Bearer ${token}`;
+};
+
+// Whether a request may read the metrics and the full health status: it
+// carries METRICS_TOKEN, or comes from an admin user's session
+const authorized = (req) => {
+  if (presentsToken(req)) return true;
+  // Required on use: sessions loads the scheduler, which loads this module
+  const sessions = require('./sessions');
+  const session = sessions.getSession(req);
+  const user = session && sessions.getSessionUser(session);
+  return Boolean(user && user.role === 'admin');
+};
+
+// Handler for GET /metrics. Closed to everyone else, so scrapers need
+// METRICS_TOKEN as a bearer token.
+const handle = async (req, res) => {
+  if (!authorized(req)) {
+    res.set('WWW-Authenticate', 'Bearer').status(401).send('Unauthorized');
+    return;
+  }
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    console.error('Metrics error:', error.message);
+    res.status(500).send(error.message);
+  }
+};
+
+module.exports = {
+  recordSnapshot,
+  httpMiddleware,
+  observeUpstream,
+  countFailCode,
+  countCache,
+  authorized,
+  handle
+};
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+
+const metrics = require('./metrics');
+const sessions = require('./sessions');
+const users = require('./users');
+
+const TOKEN = 'scrape-token';
+
+// Calls GET /metrics with the given request headers
+const scrape = async (headers = {}) => {
+  const req = {
+    headers,
+    get: (name) => headers[name.toLowerCase()]
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; }
+  };
+  await metrics.handle(req, res);
+  return res;
+};
+
+const sessionCookie = async (role) => {
+  const user = await users.create({ userName: `${role}-user`, password: `${role}-password`, role, stationCodes: [] });
+  return `fs_session=${sessions.createSession(null, user).id}`;
+};
+
+afterEach(() => {
+  delete process.env.METRICS_TOKEN;
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('metrics are closed to unauthenticated requests without a token configured', async () => {
+  const res = await scrape();
+
+  expect(res.statusCode).toBe(401);
+  expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+  expect(res.body).toBe('Unauthorized');
+});
+
+test('scrapers need METRICS_TOKEN as a bearer token', async () => {
+  process.env.METRICS_TOKEN = TOKEN;
+
+  expect((await scrape({ authorization: 'Bearer wrong' })).statusCode).toBe(401);
+  const res = await scrape({ authorization: `Bearer ${TOKEN}` });
+  expect(res.statusCode).toBe(200);
+  expect(res.body).toContain('fusionsolar_proxy_');
+});
+
+test('an admin session gets in, other dashboard users do not', async () => {
+  expect((await scrape({ cookie: await sessionCookie('admin') })).statusCode).toBe(200);
+  expect((await scrape({ cookie: await sessionCookie('viewer') })).statusCode).toBe(401);
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const mqtt = require('mqtt');
+const collector = require('./collector');
+const plantConfig = require('./plantConfig');
+
+// Optional MQTT bridge. When MQTT_URL is set every snapshot the background
+// collector records is published per plant, as retained JSON on
+// <MQTT_TOPIC_PREFIX>/<station>/state, with Home Assistant discovery configs
+// so each value shows up as a sensor of a "FusionSolar plant" device. With
+// MQTT_FIELD_TOPICS=true each value is also published on its own topic,
+// <MQTT_TOPIC_PREFIX>/<station>/<field>, for systems that can't parse JSON.
+const TOPIC_PREFIX = (process.env.MQTT_TOPIC_PREFIX || 'fusionsolar').replace(/\/+$/, '');
+const DISCOVERY_PREFIX = (process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, '');
+const DISCOVERY_ENABLED = process.env.MQTT_DISCOVERY !== 'false';
+const FIELD_TOPICS = process.env.MQTT_FIELD_TOPICS === 'true';
+const CURRENCY = process.env.MQTT_CURRENCY || null;
+const AVAILABILITY_TOPIC = `${TOPIC_PREFIX}/status`;
+
+const HEALTH = { 1: 'Disconnected', 2: 'Faulty', 3: 'Healthy' };
+
+// Sensors announced to Home Assistant. Daily energy counters reset at
+// midnight, which state_class total_increasing handles. Revenue is monetary,
+// with the currency as unit; Home Assistant allows only state_class total
+// there, so the daily figure, which drops back at midnight, gets none.
+const SENSORS = {
+  day_power: { name: 'Yield today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  month_power: { name: 'Yield this month', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  total_power: { name: 'Lifetime yield', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  day_on_grid_energy: { name: 'Grid export today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  day_use_energy: { name: 'Consumption today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  day_income: { name: 'Revenue today', deviceClass: 'monetary' },
+  total_income: { name: 'Lifetime revenue', deviceClass: 'monetary', stateClass: 'total' },
+  health: { name: 'Health', deviceClass: 'enum', options: Object.values(HEALTH) }
+};
+
+let client = null;
+const plants = new Map();   // stationCode -> { name, state }
+const status = { connected: false, published: 0, lastPublish: null, lastError: null };
+
+// Topic and object-id safe version of a station code (NE=123 -> NE_123)
+const slug = (value) => String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+
+const stateTopic = (stationCode) => `${TOPIC_PREFIX}/${slug(stationCode)}/state`;
+
+// Contents of the file an env var points to; the error names the variable
+const readFile = (name) => {
+  const file = process.env[name];
+  if (!file) return undefined;
+  try {
+    return fs.readFileSync(file);
+  } catch (error) {
+    throw new Error(`Could not read ${name} (${file}): ${error.code || error.message}`);
+  }
+};
+
+// mqtt:// or mqtts:// (TLS) URL plus optional login and client certificates
+const connectOptions = () => ({
+  clientId: process.env.MQTT_CLIENT_ID || `fusionsolar-dashboard-${Math.random().toString(16).slice(2, 10)}`,
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  ca: readFile('MQTT_CA_FILE'),
+  cert: readFile('MQTT_CERT_FILE'),
+  key: readFile('MQTT_KEY_FILE'),
+  rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== 'false',
+  reconnectPeriod: parseInt(process.env.MQTT_RECONNECT_MS, 10) || 5000,
+  connectTimeout: 30 * 1000,
+  // Marks every sensor unavailable when the bridge drops off
+  will: { topic: AVAILABILITY_TOPIC, payload: 'offline', qos: 1, retain: true }
+});
+
+const publish = (topic, payload) => {
+  client.publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { qos: 1, retain: true }, (error) => {
+    if (error) {
+      status.lastError = error.message;
+      console.error(`MQTT publish to ${topic} failed:`, error.message);
+    }
+  });
+};
+
+// FusionSolar's income figures are in the currency configured there:
+// MQTT_CURRENCY, or else the currency of the plant's tariff
+const currencyOf = (stationCode) => CURRENCY || plantConfig.get([stationCode])[stationCode]?.tariff?.currency || null;
+
+const publishDiscovery = (stationCode) => {
+  if (!DISCOVERY_ENABLED) return;
+  const plant = plants.get(stationCode);
+  const id = slug(stationCode);
+  const currency = currencyOf(stationCode);
+  Object.entries(SENSORS).forEach(([field, sensor]) => {
+    // Without a known currency revenue is announced as a plain number
+    if (sensor.deviceClass === 'monetary') {
+      sensor = currency ? { ...sensor, unit: currency } : { name: sensor.name, stateClass: sensor.stateClass };
+    }
+    publish(`${DISCOVERY_PREFIX}/sensor/fusionsolar_${id}/${field}/config`, {
+      name: sensor.name,
+      unique_id: `fusionsolar_${id}_${field}`,
+      state_topic: stateTopic(stationCode),
+      value_template: `{{ value_json.${field} }}`,
+      availability_topic: AVAILABILITY_TOPIC,
+      ...(sensor.unit && { unit_of_measurement: sensor.unit }),
+      ...(sensor.deviceClass && { device_class: sensor.deviceClass }),
+      ...(sensor.stateClass && { state_class: sensor.stateClass }),
+      ...(sensor.options && { options: sensor.options }),
+      device: {
+        identifiers: [`fusionsolar_${id}`],
+        name: plant.name,
+        manufacturer: 'Huawei',
+        model: 'FusionSolar plant'
+      }
+    });
+  });
+};
+
+const publishState = (stationCode) => {
+  const { state } = plants.get(stationCode);
+  publish(stateTopic(stationCode), state);
+  if (FIELD_TOPICS) {
+    Object.entries(state).forEach(([field, value]) => {
+      if (field !== 'stationCode') publish(`${TOPIC_PREFIX}/${slug(stationCode)}/${field}`, String(value));
+    });
+  }
+  status.published++;
+  status.lastPublish = new Date().toISOString();
+};
+
+// Numbers as numbers, plus the health state as text
+const toState = (stationCode, dataItemMap, time) => {
+  const values = Object.fromEntries(Object.entries(dataItemMap || {}).map(([key, value]) => {
+    const number = parseFloat(value);
+    return [key, value !== null && value !== '' && Number.isFinite(number) ? number : value];
+  }));
+  return {
+    stationCode,
+    ...values,
+    health: HEALTH[Number(dataItemMap?.real_health_state)] || 'Unknown',
+    time: new Date(time).toISOString()
+  };
+};
+
+const applySnapshot = ({ time, snapshots, stations = [] }) => {
+  snapshots.forEach(({ stationCode, dataItemMap }) => {
+    const station = stations.find(s => s.stationCode === stationCode);
+    const known = plants.has(stationCode);
+    plants.set(stationCode, {
+      name: station?.stationName || plants.get(stationCode)?.name || stationCode,
+      state: toState(stationCode, dataItemMap, time)
+    });
+    if (!status.connected) return;    // published on (re)connect
+    if (!known) publishDiscovery(stationCode);
+    publishState(stationCode);
+  });
+};
+
+// Announce everything again, e.g. after a reconnect or a Home Assistant restart
+const publishAll = () => {
+  publish(AVAILABILITY_TOPIC, 'online');
+  plants.forEach((plant, stationCode) => {
+    publishDiscovery(stationCode);
+    publishState(stationCode);
+  });
+};
+
+const start = () => {
+  const url = process.env.MQTT_URL;
+  if (!url) return;
+  if (!collector.getStatus().enabled) {
+    console.warn('MQTT bridge enabled but the collector is not (COLLECTOR_ENABLED=true); nothing will be published');
+  }
+
+  // A missing certificate file or a malformed URL disables the bridge, it
+  // doesn't stop the server
+  try {
+    client = mqtt.connect(url, connectOptions());
+  } catch (error) {
+    status.lastError = error.message;
+    console.error('MQTT bridge disabled:', error.message);
+    return;
+  }
+  const safeUrl = url.replace(/\/\/[^@/]*@/, '//');
+  console.log(`📡 MQTT bridge publishing to ${safeUrl} under ${TOPIC_PREFIX}/`);
+
+  client.on('connect', () => {
+    status.connected = true;
+    status.lastError = null;
+    console.log(`MQTT connected to ${safeUrl}`);
+    if (DISCOVERY_ENABLED) client.subscribe(`${DISCOVERY_PREFIX}/status`);
+    publishAll();
+  });
+  client.on('message', (topic, payload) => {
+    if (topic === `${DISCOVERY_PREFIX}/status` && payload.toString() === 'online') {
+      console.log('Home Assistant came online, republishing discovery');
+      publishAll();
+    }
+  });
+  client.on('reconnect', () => console.log(`MQTT reconnecting to ${safeUrl}...`));
+  client.on('close', () => {
+    status.connected = false;
+  });
+  client.on('error', (error) => {
+    status.lastError = error.message;
+    console.error('MQTT error:', error.message);
+  });
+
+  collector.events.on('snapshot', applySnapshot);
+};
+
+const getStatus = () => ({
+  enabled: client !== null,
+  ...status,
+  plants: plants.size
+});
+
+module.exports = {
+  start,
+  getStatus
+};
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('mqtt');
+jest.mock('./collector', () => ({
+  getStatus: () => ({ enabled: true }),
+  events: { on: jest.fn() }
+}));
+
+const mqtt = require('mqtt');
+const collector = require('./collector');
+
+// Start a bridge against a fake broker connection, record one snapshot and
+// return the discovery configs published for each field
+const discoveryConfigs = () => {
+  const handlers = {};
+  const client = { on: (event, handler) => { handlers[event] = handler; }, subscribe: jest.fn(), publish: jest.fn() };
+  mqtt.connect.mockReturnValue(client);
+  process.env.MQTT_URL = 'mqtt://broker.example:1883';
+  jest.isolateModules(() => {
+    require('./mqttBridge').start();
+  });
+  handlers.connect();
+  const [, applySnapshot] = collector.events.on.mock.calls.filter(([event]) => event === 'snapshot').pop();
+  applySnapshot({
+    time: Date.now(),
+    stations: [{ stationCode: 'NE=1', stationName: 'Roof' }],
+    snapshots: [{ stationCode: 'NE=1', dataItemMap: { day_power: 12, day_income: 3.5, total_income: 900 } }]
+  });
+  return Object.fromEntries(client.publish.mock.calls
+    .map(([topic, payload]) => [/^homeassistant\/sensor\/fusionsolar_NE_1\/(\w+)\/config$/.exec(topic), payload])
+    .filter(([match]) => match)
+    .map(([match, payload]) => [match[1], JSON.parse(payload)]));
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.MQTT_URL;
+  delete process.env.MQTT_CA_FILE;
+  delete process.env.MQTT_CURRENCY;
+  jest.restoreAllMocks();
+});
+
+test('a missing certificate file disables the bridge instead of the server', () => {
+  process.env.MQTT_URL = 'mqtts://broker.example:8883';
+  process.env.MQTT_CA_FILE = '/nonexistent/ca.pem';
+  let bridge;
+  jest.isolateModules(() => {
+    bridge = require('./mqttBridge');
+  });
+
+  expect(() => bridge.start()).not.toThrow();
+  expect(mqtt.connect).not.toHaveBeenCalled();
+  const status = bridge.getStatus();
+  expect(status.enabled).toBe(false);
+  expect(status.lastError).toMatch(/MQTT_CA_FILE .*ENOENT/);
+});
+
+describe('Home Assistant discovery', () => {
+  beforeEach(() => {
+    process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('revenue sensors are monetary in MQTT_CURRENCY, and only the lifetime one has a state class', () => {
+    process.env.MQTT_CURRENCY = 'EUR';
+
+    const configs = discoveryConfigs();
+
+    expect(configs.day_power).toMatchObject({ unit_of_measurement: 'kWh', device_class: 'energy', state_class: 'total_increasing' });
+    expect(configs.day_income).toMatchObject({ unit_of_measurement: 'EUR', device_class: 'monetary' });
+    expect(configs.day_income).not.toHaveProperty('state_class');
+    expect(configs.total_income).toMatchObject({ unit_of_measurement: 'EUR', device_class: 'monetary', state_class: 'total' });
+  });
+
+  test('revenue uses the tariff currency, or is a plain number without one', () => {
+    let configs = discoveryConfigs();
+    expect(configs.day_income).not.toHaveProperty('device_class');
+    expect(configs.day_income).not.toHaveProperty('unit_of_measurement');
+    expect(configs.total_income).not.toHaveProperty('device_class');
+    expect(configs.total_income).toMatchObject({ state_class: 'total' });
+
+    fs.writeFileSync(path.join(process.env.DATA_DIR, 'plants.json'), JSON.stringify({
+      'NE=1': { tariff: { currency: 'LKR', importRate: 62 } }
+    }));
+    configs = discoveryConfigs();
+    expect(configs.day_income).toMatchObject({ unit_of_measurement: 'LKR', device_class: 'monetary' });
+  });
+});
@@ -0,0 +1,137 @@
+const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+
+// Delivery channels for alerts: generic JSON webhooks (ALERT_WEBHOOK_URLS)
+// and email over SMTP (SMTP_HOST + ALERT_EMAIL_TO). The SMTP transport is
+// also used to mail reports.
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Parsed once so a malformed entry is skipped instead of failing later. Only
+// its position is logged: webhook URLs often carry a secret.
+const webhookUrls = (process.env.ALERT_WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+  .flatMap((url, index) => {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error(`unsupported protocol ${parsed.protocol}`);
+      }
+      return [parsed];
+    } catch (error) {
+      console.error(`Ignoring ALERT_WEBHOOK_URLS entry ${index + 1}: not a valid http(s) URL`);
+      return [];
+    }
+  });
+
+const emailRecipients = (process.env.ALERT_EMAIL_TO || '')
+  .split(',')
+  .map(address => address.trim())
+  .filter(Boolean);
+
+const transport = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+  : null;
+
+const EVENT_LABELS = {
+  triggered: 'ALERT',
+  updated: 'CHANGED',
+  reminder: 'STILL ACTIVE',
+  resolved: 'RECOVERED'
+};
+
+const describe = (notification) => {
+  const plant = notification.stationName || notification.stationCode;
+  return `[${EVENT_LABELS[notification.event]}] ${plant}: ${notification.message}`;
+};
+
+const sendWebhook = async (url, notifications) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Solar-Monitor-App/1.0'
+    },
+    body: JSON.stringify({
+      type: 'fusionsolar.alerts',
+      sentAt: new Date().toISOString(),
+      text: notifications.map(describe).join('\n'),
+      alerts: notifications
+    }),
+    timeout: WEBHOOK_TIMEOUT_MS
+  });
+  if (!response.ok) {
+    throw new Error(`webhook answered ${response.status} ${response.statusText}`);
+  }
+};
+
+const emailEnabled = () => Boolean(transport) && emailRecipients.length > 0;
+
+const sendEmail = async (notifications) => {
+  const active = notifications.filter(n => n.event !== 'resolved').length;
+  const subject = active > 0
+    ? `[Solar alerts] ${active} active: ${describe(notifications.find(n => n.event !== 'resolved'))}`
+    : `[Solar alerts] ${notifications.length} recovered`;
+  const lines = notifications.map(notification => [
+    describe(notification),
+    `  Plant: ${notification.stationCode} (account ${notification.accountId})`,
+    `  Since: ${new Date(notification.since).toLocaleString()}`
+  ].join('\n'));
+
+  await transport.sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+    to: emailRecipients.join(', '),
+    subject,
+    text: lines.join('\n\n')
+  });
+};
+
+// Names of the configured channels, for status output
+const channels = () => [
+  ...webhookUrls.map(url => `webhook:${url.host}`),
+  ...(emailEnabled() ? [`email:${emailRecipients.join(',')}`] : [])
+];
+
+// Send a batch of notifications to every channel. Resolves with the number of
+// channels that accepted it; failures are logged, not thrown.
+const send = async (notifications) => {
+  const deliveries = [
+    ...webhookUrls.map(url => ({ name: `webhook ${url.host}`, run: () => sendWebhook(url.href, notifications) })),
+    ...(emailEnabled() ? [{ name: 'email', run: () => sendEmail(notifications) }] : [])
+  ];
+
+  let delivered = 0;
+  for (const delivery of deliveries) {
+    try {
+      await delivery.run();
+      delivered++;
+    } catch (error) {
+      console.error(`Alert delivery via ${delivery.name} failed:`, error.message);
+    }
+  }
+  return delivered;
+};
+
+// Mail a message through the configured SMTP server; `from` defaults like
+// alert emails do. Throws when SMTP isn't configured or delivery fails.
+const sendMail = async (message) => {
+  if (!transport) {
+    throw new Error('SMTP is not configured (SMTP_HOST)');
+  }
+  await transport.sendMail({
+    from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+    ...message
+  });
+};
+
+module.exports = {
+  channels,
+  send,
+  sendMail
+};
@@ -0,0 +1,40 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('node-fetch');
+
+const fetch = require('node-fetch');
+
+// The webhook list is read when the module loads
+const loadNotifiers = (webhookUrls) => {
+  process.env.ALERT_WEBHOOK_URLS = webhookUrls;
+  let notifiers;
+  jest.isolateModules(() => {
+    notifiers = require('./notifiers');
+  });
+  return notifiers;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  fetch.mockResolvedValue({ ok: true, status: 200, statusText: 'OK' });
+});
+
+afterEach(() => {
+  delete process.env.ALERT_WEBHOOK_URLS;
+  jest.restoreAllMocks();
+  fetch.mockReset();
+});
+
+test('invalid webhook URLs are logged and skipped instead of crashing', async () => {
+  const notifiers = loadNotifiers('not a url, https://hooks.example/T0/secret ,ftp://files.example/x');
+
+  expect(notifiers.channels()).toEqual(['webhook:hooks.example']);
+  expect(console.error).toHaveBeenCalledTimes(2);
+  expect(console.error.mock.calls.join(' ')).not.toContain('files.example');
+
+  const delivered = await notifiers.send([{ event: 'triggered', stationCode: 'NE=1', message: 'Offline' }]);
+  expect(delivered).toBe(1);
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(fetch.mock.calls[0][0]).toBe('https://hooks.example/T0/secret');
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./timeseries');
+
+// Per-plant settings that FusionSolar doesn't know about (panel geometry and
+// losses for the expected-yield model, the plant's tariff, tags for grouping
+// plants into views), kept in DATA_DIR/plants.json as
+// { "<stationCode>": { tilt, azimuth, losses, tariff, tags } }.
+// Unset fields fall back to the client's defaults.
+const CONFIG_FILE = path.join(DATA_DIR, 'plants.json');
+
+const SETTINGS = {
+  tilt: { min: 0, max: 90, description: 'Panel tilt in degrees from horizontal' },
+  azimuth: { min: 0, max: 360, description: 'Panel azimuth in degrees clockwise from north (180 = south)' },
+  losses: { min: 0, max: 99, description: 'System losses in percent (soiling, wiring, shading, ...)' },
+  tariff: {
+    type: 'tariff',
+    description: 'Tariff: { currency, importRate, exportRate?, netMetering?, bands?: [{ from, to, importRate, exportRate? }] }'
+  },
+  tags: {
+    type: 'tags',
+    description: 'Labels for grouping plants into views, e.g. ["Client A", "Rooftop"]'
+  }
+};
+
+const TARIFF_FIELDS = ['currency', 'importRate', 'exportRate', 'netMetering', 'bands'];
+const BAND_FIELDS = ['from', 'to', 'importRate', 'exportRate'];
+const MAX_BANDS = 24;
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+class PlantConfigError extends Error {}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const checkRate = (value, field, optional = false) => {
+  if (optional && value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new PlantConfigError(`${field} must be a non-negative number`);
+  }
+};
+
+const checkFields = (value, allowed, name) => {
+  const unknown = Object.keys(value).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new PlantConfigError(`${name} has unsupported fields: ${unknown.join(', ')}`);
+  }
+};
+
+const validateTariff = (tariff) => {
+  if (!isObject(tariff)) {
+    throw new PlantConfigError('tariff must be an object');
+  }
+  checkFields(tariff, TARIFF_FIELDS, 'tariff');
+  if (!CURRENCIES.has(tariff.currency)) {
+    throw new PlantConfigError('tariff.currency must be an ISO 4217 currency code such as EUR or LKR');
+  }
+  checkRate(tariff.importRate, 'tariff.importRate');
+  checkRate(tariff.exportRate, 'tariff.exportRate', true);
+  if (tariff.netMetering !== undefined && typeof tariff.netMetering !== 'boolean') {
+    throw new PlantConfigError('tariff.netMetering must be true or false');
+  }
+  if (tariff.bands === undefined) return;
+  if (!Array.isArray(tariff.bands) || tariff.bands.length > MAX_BANDS) {
+    throw new PlantConfigError(`tariff.bands must be a list of at most ${MAX_BANDS} bands`);
+  }
+  tariff.bands.forEach((band, index) => {
+    const name = `tariff.bands[${index}]`;
+    if (!isObject(band)) {
+      throw new PlantConfigError(`${name} must be an object`);
+    }
+    checkFields(band, BAND_FIELDS, name);
+    if (!CLOCK.test(band.from) || !CLOCK.test(band.to) || band.from === band.to) {
+      throw new PlantConfigError(`${name} needs different from and to times as HH:MM`);
+    }
+    checkRate(band.importRate, `${name}.importRate`);
+    checkRate(band.exportRate, `${name}.exportRate`, true);
+  });
+};
+
+const validateTags = (tags) => {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    throw new PlantConfigError(`tags must be a list of at most ${MAX_TAGS} labels`);
+  }
+  tags.forEach(tag => {
+    if (typeof tag !== 'string' || tag.trim() === '' || tag.length > MAX_TAG_LENGTH) {
+      throw new PlantConfigError(`tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters`);
+    }
+  });
+};
+
+let plants = null;
+let writing = Promise.resolve();
+
+const load = () => {
+  if (plants) return plants;
+  try {
+    plants = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read plant settings:', error.message);
+    }
+    plants = {};
+  }
+  return plants;
+};
+
+// Writes are chained so concurrent updates never interleave
+const save = () => {
+  const snapshot = JSON.stringify(plants, null, 2);
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(CONFIG_FILE, snapshot);
+    });
+  return writing;
+};
+
+// Reject unknown fields and out-of-range values; null clears a setting
+const validate = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new PlantConfigError('Request body must be a JSON object');
+  }
+  Object.entries(changes).forEach(([field, value]) => {
+    const rule = SETTINGS[field];
+    if (!rule) {
+      throw new PlantConfigError(`${field} is not a supported setting (supported: ${Object.keys(SETTINGS).join(', ')})`);
+    }
+    if (value === null) return;
+    if (rule.type === 'tariff') {
+      validateTariff(value);
+      return;
+    }
+    if (rule.type === 'tags') {
+      validateTags(value);
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < rule.min || value > rule.max) {
+      throw new PlantConfigError(`${field} must be a number between ${rule.min} and ${rule.max}`);
+    }
+  });
+};
+
+// Settings of the given stations, { stationCode: settings }
+const get = (stationCodes) => {
+  const all = load();
+  return Object.fromEntries(
+    stationCodes.filter(code => all[code]).map(code => [code, all[code]])
+  );
+};
+
+const update = async (stationCode, changes) => {
+  validate(changes);
+  const all = load();
+  const next = { ...all[stationCode] };
+  Object.entries(changes).forEach(([field, value]) => {
+    if (field === 'tags' && value !== null) {
+      value = [...new Set(value.map(tag => tag.trim()))];
+      if (value.length === 0) value = null;
+    }
+    if (value === null) delete next[field];
+    else next[field] = value;
+  });
+  if (Object.keys(next).length > 0) all[stationCode] = next;
+  else delete all[stationCode];
+  await save();
+  return next;
+};
+
+module.exports = {
+  SETTINGS,
+  PlantConfigError,
+  get,
+  update
+};
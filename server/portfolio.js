@@ -0,0 +1,278 @@
+const endpoints = require('./endpoints');
+const scheduler = require('./scheduler');
+
+// A browser session can link several FusionSolar accounts. This module turns
+// per-account calls into portfolio-wide ones: station lists are merged and
+// tagged with their account, and requests for a set of stations are split by
+// the account that owns each station, sent separately and merged again.
+const FAIL_CODE_INVALID_STATION = 20010;
+
+class PortfolioRequestError extends Error {}
+
+// A dashboard user below admin only sees the stations assigned to them. Their
+// session's account list carries the assignment as `allowedStations`; every
+// function here treats other stations as if no linked account owned them.
+const restrict = (accounts, stationCodes) => Object.assign([...accounts], {
+  allowedStations: new Set(stationCodes)
+});
+
+const canSee = (accounts, stationCode) => !accounts.allowedStations || accounts.allowedStations.has(stationCode);
+
+const accountLabel = (account) => `${account.userName} (${account.region})`;
+
+// Public view of a linked account - never includes credentials or tokens
+const describeAccount = (account) => ({
+  id: account.id,
+  userName: account.userName,
+  region: account.region,
+  label: accountLabel(account)
+});
+
+const worstCache = (results) => {
+  const statuses = results.map(result => result.cache).filter(Boolean);
+  if (statuses.includes('STALE')) return 'STALE';
+  if (statuses.includes('MISS')) return 'MISS';
+  return statuses.length > 0 ? 'HIT' : undefined;
+};
+
+// Newer northbound versions answer getStationList one page at a time, as
+// { list, pageNo, pageCount, total }, with plantCode/plantName instead of
+// stationCode/stationName. Every page is fetched and merged into the flat
+// array older versions return, so callers never see the difference.
+const MAX_STATION_PAGES = 100;
+
+const isPaged = (data) => Boolean(data) && !Array.isArray(data) && Array.isArray(data.list);
+
+const normalizeStation = (station) => ({
+  ...station,
+  stationCode: station.stationCode || station.plantCode,
+  stationName: station.stationName || station.plantName,
+  stationAddr: station.stationAddr || station.plantAddress
+});
+
+const fetchStationPages = async (account) => {
+  const first = await scheduler.request(account, 'getStationList');
+  if (!first.data.success || !isPaged(first.data.data)) {
+    return first;
+  }
+
+  const pages = [first];
+  const pageCount = Math.min(first.data.data.pageCount || 1, MAX_STATION_PAGES);
+  for (let pageNo = 2; pageNo <= pageCount; pageNo++) {
+    const page = await scheduler.request(account, 'getStationList', { pageNo });
+    if (!page.data.success) return page;
+    pages.push(page);
+  }
+  return {
+    data: {
+      ...first.data,
+      data: pages.flatMap(page => (page.data.data.list || []).map(normalizeStation))
+    },
+    cache: worstCache(pages),
+    age: Math.max(...pages.map(page => page.age || 0))
+  };
+};
+
+// Station list of one account; remembers which stations the account owns
+const loadStations = async (account) => {
+  const result = await fetchStationPages(account);
+  if (result.data.success) {
+    account.stationCodes = new Set((result.data.data || []).map(station => station.stationCode));
+  }
+  return result;
+};
+
+// Merge per-account results into one response. Successful `data` arrays are
+// concatenated; failures are listed in `failures` unless every account failed,
+// in which case the first failure is returned as is.
+const merge = (results) => {
+  const succeeded = results.filter(({ result }) => result.data.success);
+  const failed = results.filter(({ result }) => !result.data.success);
+  const age = Math.max(0, ...results.map(({ result }) => result.age || 0));
+  const cache = worstCache(results.map(({ result }) => result));
+
+  if (succeeded.length === 0 && failed.length > 0) {
+    return { data: failed[0].result.data, cache, age };
+  }
+
+  const data = {
+    ...(succeeded.length > 0 ? succeeded[0].result.data : {}),
+    success: true,
+    data: succeeded.flatMap(({ result }) => result.data.data || [])
+  };
+  if (failed.length > 0) {
+    data.failures = failed.map(({ account, result }) => ({
+      accountId: account.id,
+      failCode: result.data.failCode,
+      message: result.data.message
+    }));
+  }
+  return { data, cache, age };
+};
+
+// Merged station list of all accounts, each station tagged with its account
+const listStations = async (accounts) => {
+  const results = [];
+  for (const account of accounts) {
+    const result = await loadStations(account);
+    const tagged = !result.data.success ? result : {
+      ...result,
+      data: {
+        ...result.data,
+        data: (result.data.data || [])
+          .filter(station => canSee(accounts, station.stationCode))
+          .map(station => ({
+            ...station,
+            accountId: account.id,
+            accountLabel: accountLabel(account)
+          }))
+      }
+    };
+    results.push({ account, result: tagged });
+  }
+  return merge(results);
+};
+
+const chunk = (codes, size) => {
+  const chunks = [];
+  for (let i = 0; i < codes.length; i += size) chunks.push(codes.slice(i, i + size));
+  return chunks;
+};
+
+// Group comma-separated station codes by owning account, in chunks small
+// enough for one upstream call. Codes no linked account owns are rejected so
+// they never reach the wrong account upstream.
+const splitByAccount = async (accounts, stationCodes) => {
+  const codes = String(stationCodes || '').split(',').map(code => code.trim()).filter(Boolean);
+  if (codes.length === 0) {
+    throw new PortfolioRequestError('stationCodes parameter is required and cannot be empty');
+  }
+
+  // A failed station list (e.g. rate limited) is reported instead of
+  // claiming that the account's stations don't exist
+  let loadFailure = null;
+  for (const account of accounts) {
+    if (account.stationCodes) continue;
+    const result = await loadStations(account);
+    if (!result.data.success && !loadFailure) loadFailure = result;
+  }
+
+  const groups = new Map();
+  const unknown = [];
+  codes.forEach(code => {
+    const owner = canSee(accounts, code) &&
+      accounts.find(account => account.stationCodes && account.stationCodes.has(code));
+    if (!owner) {
+      unknown.push(code);
+      return;
+    }
+    if (!groups.has(owner)) groups.set(owner, []);
+    groups.get(owner).push(code);
+  });
+
+  return {
+    groups: [...groups].flatMap(([account, ownCodes]) => chunk(ownCodes, endpoints.MAX_STATION_CODES_PER_CALL)
+      .map(codesChunk => ({ account, stationCodes: codesChunk.join(',') }))),
+    unknown,
+    loadFailure
+  };
+};
+
+// Run fn(account, stationCodes) once per owning account and chunk of codes,
+// and merge the results
+const forStations = async (accounts, stationCodes, fn) => {
+  const { groups, unknown, loadFailure } = await splitByAccount(accounts, stationCodes);
+  if (unknown.length > 0) {
+    if (loadFailure) return loadFailure;
+    return {
+      data: {
+        success: false,
+        failCode: FAIL_CODE_INVALID_STATION,
+        message: `Stations not found in any linked account: ${unknown.slice(0, 5).join(', ')}`
+      },
+      cache: 'MISS',
+      age: 0
+    };
+  }
+
+  const results = [];
+  for (const { account, stationCodes: ownCodes } of groups) {
+    results.push({ account, result: await fn(account, ownCodes) });
+  }
+  return merge(results);
+};
+
+// Station codes of every linked account
+const ownedStations = async (accounts) => {
+  const codes = [];
+  for (const account of accounts) {
+    if (!account.stationCodes) await loadStations(account);
+    if (account.stationCodes) codes.push(...account.stationCodes);
+  }
+  return codes.filter(code => canSee(accounts, code));
+};
+
+// Account that owns a single station, or null
+const ownerOf = async (accounts, stationCode) => {
+  const { groups } = await splitByAccount(accounts, stationCode);
+  return groups.length > 0 ? groups[0].account : null;
+};
+
+const refuse = (message) => ({
+  data: { success: false, failCode: FAIL_CODE_INVALID_STATION, message },
+  cache: 'MISS',
+  age: 0
+});
+
+// Devices of a restricted account list must belong to its stations. Returns
+// a failed result to send back, or null when every device is visible.
+const checkDevices = async (accounts, devIds) => {
+  const stationCodes = await ownedStations(accounts);
+  if (stationCodes.length === 0) return refuse('No stations are assigned to this user');
+
+  const list = await forStations(accounts, stationCodes.join(','), (account, ownCodes) =>
+    scheduler.request(account, 'getDevList', { stationCodes: ownCodes }));
+  if (!list.data.success) return list;
+
+  const visible = new Set((list.data.data || []).map(device => String(device.id)));
+  const hidden = String(devIds).split(',').map(id => id.trim()).filter(id => !visible.has(id));
+  return hidden.length > 0 ? refuse(`Devices not found in any assigned station: ${hidden.slice(0, 5).join(', ')}`) : null;
+};
+
+// Forward a registry endpoint for every linked account. Station-scoped bodies
+// go to the owning accounts; anything else (e.g. device IDs) is sent to each
+// account and the answers are merged.
+const request = async (accounts, endpoint, body) => {
+  if (endpoint === 'getStationList') {
+    return listStations(accounts);
+  }
+  if (body.stationCodes) {
+    return forStations(accounts, body.stationCodes, (account, stationCodes) =>
+      scheduler.request(account, endpoint, { ...body, stationCodes }));
+  }
+  if (accounts.allowedStations) {
+    const refused = body.devIds ? await checkDevices(accounts, body.devIds) : refuse(`${endpoint} is not available to this user`);
+    if (refused) return refused;
+  }
+  if (accounts.length === 1) {
+    return scheduler.request(accounts[0], endpoint, body);
+  }
+  const results = [];
+  for (const account of accounts) {
+    results.push({ account, result: await scheduler.request(account, endpoint, body) });
+  }
+  return merge(results);
+};
+
+module.exports = {
+  FAIL_CODE_INVALID_STATION,
+  PortfolioRequestError,
+  restrict,
+  canSee,
+  describeAccount,
+  listStations,
+  forStations,
+  ownedStations,
+  ownerOf,
+  request
+};
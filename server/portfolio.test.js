@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('./scheduler', () => ({ request: jest.fn() }));
+
+const portfolio = require('./portfolio');
+const scheduler = require('./scheduler');
+
+// Two accounts with two stations and one device per station each
+const OWNED = { first: ['NE=1', 'NE=2'], second: ['NE=3', 'NE=4'] };
+
+const account = (id) => ({ id, userName: id, region: 'eu5' });
+
+beforeEach(() => {
+  scheduler.request.mockImplementation(async ({ id }, endpoint, body = {}) => {
+    const codes = body.stationCodes ? body.stationCodes.split(',') : OWNED[id];
+    const data = {
+      getStationList: () => OWNED[id].map(stationCode => ({ stationCode, stationName: stationCode })),
+      getDevList: () => codes.map(stationCode => ({ id: Number(stationCode.slice(3)) * 100, stationCode })),
+      getStationRealKpi: () => codes.map(stationCode => ({ stationCode })),
+      getDevRealKpi: () => String(body.devIds).split(',').map(devId => ({ devId: Number(devId) }))
+    }[endpoint]();
+    return { data: { success: true, data }, age: 0 };
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+const codesOf = (result) => result.data.data.map(item => item.stationCode);
+const calls = (endpoint) => scheduler.request.mock.calls.filter(([, called]) => called === endpoint);
+
+describe('a restricted user', () => {
+  const accounts = () => portfolio.restrict([account('first'), account('second')], ['NE=2', 'NE=3']);
+
+  test('only lists the assigned stations', async () => {
+    const result = await portfolio.listStations(accounts());
+    expect(codesOf(result)).toEqual(['NE=2', 'NE=3']);
+  });
+
+  test('gets KPIs for assigned stations and is refused the others', async () => {
+    const restricted = accounts();
+    const allowed = await portfolio.request(restricted, 'getStationRealKpi', { stationCodes: 'NE=2,NE=3' });
+    expect(codesOf(allowed)).toEqual(['NE=2', 'NE=3']);
+
+    scheduler.request.mockClear();
+    const refused = await portfolio.request(restricted, 'getStationRealKpi', { stationCodes: 'NE=2,NE=4' });
+    expect(refused.data.success).toBe(false);
+    expect(refused.data.failCode).toBe(portfolio.FAIL_CODE_INVALID_STATION);
+    expect(refused.data.message).toMatch(/NE=4/);
+    expect(calls('getStationRealKpi')).toHaveLength(0);
+  });
+
+  test('may only ask for devices of the assigned stations', async () => {
+    const restricted = accounts();
+    const allowed = await portfolio.request(restricted, 'getDevRealKpi', { devIds: '200,300', devTypeId: 1 });
+    expect(allowed.data.success).toBe(true);
+
+    const refused = await portfolio.request(restricted, 'getDevRealKpi', { devIds: '200,400', devTypeId: 1 });
+    expect(refused.data.success).toBe(false);
+    expect(refused.data.message).toMatch(/400/);
+    expect(calls('getDevRealKpi')).toHaveLength(2);
+  });
+
+  test('cannot call endpoints that are not scoped to stations or devices', async () => {
+    const refused = await portfolio.request(accounts(), 'getAlarmList', { language: 'en_US' });
+    expect(refused.data.success).toBe(false);
+    expect(scheduler.request).not.toHaveBeenCalledWith(expect.anything(), 'getAlarmList', expect.anything());
+  });
+
+  test('reaches no device at all when no station is assigned', async () => {
+    const refused = await portfolio.request(portfolio.restrict([account('first')], []), 'getDevRealKpi', { devIds: '100', devTypeId: 1 });
+    expect(refused.data.message).toBe('No stations are assigned to this user');
+  });
+});
+
+describe('an admin', () => {
+  const accounts = () => [account('first'), account('second')];
+
+  test('sees every station of every linked account', async () => {
+    const unrestricted = accounts();
+    expect(portfolio.canSee(unrestricted, 'NE=4')).toBe(true);
+    expect(codesOf(await portfolio.listStations(unrestricted))).toEqual(['NE=1', 'NE=2', 'NE=3', 'NE=4']);
+    expect(await portfolio.ownedStations(unrestricted)).toEqual(['NE=1', 'NE=2', 'NE=3', 'NE=4']);
+  });
+
+  test('reaches devices and other endpoints without a station check', async () => {
+    const result = await portfolio.request(accounts(), 'getDevRealKpi', { devIds: '100,400', devTypeId: 1 });
+    expect(result.data.success).toBe(true);
+    expect(calls('getDevList')).toHaveLength(0);
+  });
+});
+
+describe('several linked accounts', () => {
+  const accounts = () => [account('first'), account('second')];
+
+  test('list their stations together, tagged with the owning account', async () => {
+    const result = await portfolio.listStations(accounts());
+    expect(result.data.data.map(({ stationCode, accountId, accountLabel }) => [stationCode, accountId, accountLabel])).toEqual([
+      ['NE=1', 'first', 'first (eu5)'],
+      ['NE=2', 'first', 'first (eu5)'],
+      ['NE=3', 'second', 'second (eu5)'],
+      ['NE=4', 'second', 'second (eu5)']
+    ]);
+  });
+
+  test('send each station to the account that owns it and merge the answers', async () => {
+    const result = await portfolio.request(accounts(), 'getStationRealKpi', { stationCodes: 'NE=4,NE=1,NE=3' });
+    expect(codesOf(result)).toEqual(['NE=4', 'NE=3', 'NE=1']);
+    expect(calls('getStationRealKpi').map(([{ id }, , body]) => [id, body.stationCodes])).toEqual([
+      ['second', 'NE=4,NE=3'],
+      ['first', 'NE=1']
+    ]);
+  });
+
+  test('reject stations no account owns without calling upstream', async () => {
+    const result = await portfolio.request(accounts(), 'getStationRealKpi', { stationCodes: 'NE=1,NE=9' });
+    expect(result.data).toMatchObject({ success: false, failCode: portfolio.FAIL_CODE_INVALID_STATION });
+    expect(calls('getStationRealKpi')).toHaveLength(0);
+  });
+
+  test('list the accounts that failed next to the data of the others', async () => {
+    const answer = scheduler.request.getMockImplementation();
+    scheduler.request.mockImplementation(async (owner, endpoint, body) => {
+      if (owner.id === 'second' && endpoint === 'getStationRealKpi') {
+        return { data: { success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' }, age: 0 };
+      }
+      return { ...(await answer(owner, endpoint, body)), cache: 'HIT', age: 120 };
+    });
+
+    const result = await portfolio.request(accounts(), 'getStationRealKpi', { stationCodes: 'NE=1,NE=3' });
+    expect(codesOf(result)).toEqual(['NE=1']);
+    expect(result.data.failures).toEqual([{ accountId: 'second', failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' }]);
+    expect(result.age).toBe(120);
+
+    const allFailed = await portfolio.request(accounts(), 'getStationRealKpi', { stationCodes: 'NE=3' });
+    expect(allFailed.data).toEqual({ success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' });
+  });
+
+  test('send device requests to every account', async () => {
+    const result = await portfolio.request(accounts(), 'getDevRealKpi', { devIds: '100', devTypeId: 1 });
+    expect(result.data.data).toEqual([{ devId: 100 }, { devId: 100 }]);
+    expect(calls('getDevRealKpi')).toHaveLength(2);
+  });
+});
+
+describe('large portfolios', () => {
+  // One account owning NE=1 to NE=count, listed `pageSize` plants per page
+  const serve = (count, pageSize) => {
+    const plants = Array.from({ length: count }, (_, i) => ({
+      plantCode: `NE=${i + 1}`,
+      plantName: `Plant ${i + 1}`,
+      plantAddress: `Street ${i + 1}`
+    }));
+    scheduler.request.mockImplementation(async (owner, endpoint, body = {}) => {
+      if (endpoint === 'getStationList') {
+        const pageNo = body.pageNo || 1;
+        const list = plants.slice((pageNo - 1) * pageSize, pageNo * pageSize);
+        return { data: { success: true, data: { list, pageNo, pageCount: Math.ceil(count / pageSize), total: count } }, cache: 'MISS', age: 0 };
+      }
+      return { data: { success: true, data: body.stationCodes.split(',').map(stationCode => ({ stationCode })) }, age: 0 };
+    });
+  };
+
+  const codes = (count) => Array.from({ length: count }, (_, i) => `NE=${i + 1}`).join(',');
+  const chunkSizes = () => calls('getStationRealKpi').map(([, , body]) => body.stationCodes.split(',').length);
+
+  test('send 100 station codes in a single call', async () => {
+    serve(100, 100);
+    const result = await portfolio.request([account('first')], 'getStationRealKpi', { stationCodes: codes(100) });
+    expect(result.data.data).toHaveLength(100);
+    expect(chunkSizes()).toEqual([100]);
+  });
+
+  test('split 101 station codes into calls of 100 and 1', async () => {
+    serve(101, 100);
+    const result = await portfolio.request([account('first')], 'getStationRealKpi', { stationCodes: codes(101) });
+    expect(codesOf(result)).toEqual(codes(101).split(','));
+    expect(chunkSizes()).toEqual([100, 1]);
+  });
+
+  test('fetch every page of a paged station list and flatten it', async () => {
+    serve(250, 100);
+    const result = await portfolio.listStations([account('first')]);
+    expect(calls('getStationList').map(([, , body]) => body)).toEqual([undefined, { pageNo: 2 }, { pageNo: 3 }]);
+    expect(result.data.data).toHaveLength(250);
+    expect(result.data.data[249]).toMatchObject({
+      stationCode: 'NE=250',
+      stationName: 'Plant 250',
+      stationAddr: 'Street 250',
+      accountId: 'first'
+    });
+  });
+
+  test('report a page that fails instead of a partial list', async () => {
+    serve(250, 100);
+    const answer = scheduler.request.getMockImplementation();
+    scheduler.request.mockImplementation(async (owner, endpoint, body) => (body && body.pageNo === 3
+      ? { data: { success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' }, age: 0 }
+      : answer(owner, endpoint, body)));
+
+    const result = await portfolio.listStations([account('first')]);
+    expect(result.data).toEqual({ success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' });
+  });
+});
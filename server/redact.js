@@ -0,0 +1,17 @@
+// Masks secrets before anything is logged or sent back: values of fields
+// named like credentials, at any depth
+const SECRET_FIELDS = /^(systemCode|password|currentPassword|newPassword|xsrfToken|token|secret|key)$/i;
+const MASK = '[redacted]';
+
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [
+    field,
+    SECRET_FIELDS.test(field) && item !== undefined && item !== null ? MASK : redact(item)
+  ]));
+};
+
+module.exports = {
+  redact
+};
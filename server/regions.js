@@ -0,0 +1,60 @@
+// FusionSolar is hosted per region and an account only exists on one of the
+// hosts. The list can be replaced with FUSIONSOLAR_HOSTS for private
+// deployments, e.g.
+//   FUSIONSOLAR_HOSTS="eu5=https://eu5.fusionsolar.huawei.com,acme=https://fusionsolar.acme.example"
+const DEFAULT_REGIONS = [
+  { id: 'intl', label: 'International (intl)', host: 'https://intl.fusionsolar.huawei.com' },
+  { id: 'eu5', label: 'Europe (eu5)', host: 'https://eu5.fusionsolar.huawei.com' },
+  { id: 'la5', label: 'Latin America (la5)', host: 'https://la5.fusionsolar.huawei.com' },
+  { id: 'region01eu5', label: 'Europe (region01eu5)', host: 'https://region01eu5.fusionsolar.huawei.com' },
+  { id: 'region02eu5', label: 'Europe (region02eu5)', host: 'https://region02eu5.fusionsolar.huawei.com' },
+  { id: 'region03eu5', label: 'Europe (region03eu5)', host: 'https://region03eu5.fusionsolar.huawei.com' },
+  { id: 'region04eu5', label: 'Europe (region04eu5)', host: 'https://region04eu5.fusionsolar.huawei.com' },
+  { id: 'uni001eu5', label: 'Europe (uni001eu5)', host: 'https://uni001eu5.fusionsolar.huawei.com' }
+];
+
+class UnknownRegionError extends Error {}
+
+// Accept hosts with or without the /thirdData suffix
+const toBaseUrl = (host) => {
+  const trimmed = host.replace(/\/+$/, '');
+  return trimmed.endsWith('/thirdData') ? trimmed : `${trimmed}/thirdData`;
+};
+
+const parseHosts = (value) => {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const index = entry.indexOf('=');
+    const id = index > -1 ? entry.slice(0, index).trim() : entry;
+    const host = index > -1 ? entry.slice(index + 1).trim() : `https://${entry}.fusionsolar.huawei.com`;
+    return { id, label: id, host };
+  });
+};
+
+let regions = (process.env.FUSIONSOLAR_HOSTS ? parseHosts(process.env.FUSIONSOLAR_HOSTS) : DEFAULT_REGIONS)
+  .map(region => ({ ...region, baseUrl: toBaseUrl(region.host) }));
+
+// Replace every region with a single one, used by the simulator
+const useOnly = (region) => {
+  regions = [{ ...region, baseUrl: toBaseUrl(region.host) }];
+};
+
+const list = () => regions.map(({ id, label }) => ({ id, label }));
+
+// Regions to try for a login: the requested one, or all of them for 'auto'
+const candidates = (regionId) => {
+  if (!regionId || regionId === 'auto') {
+    return regions;
+  }
+  const region = regions.find(r => r.id === regionId);
+  if (!region) {
+    throw new UnknownRegionError(`Unknown region: ${regionId}`);
+  }
+  return [region];
+};
+
+module.exports = {
+  UnknownRegionError,
+  list,
+  candidates,
+  useOnly
+};
@@ -0,0 +1,488 @@
+const fs = require('fs');
+const path = require('path');
+const alarms = require('./alarms');
+const cron = require('./cron');
+const history = require('./history');
+const notifiers = require('./notifiers');
+const plantConfig = require('./plantConfig');
+const portfolio = require('./portfolio');
+const serverAccounts = require('./serverAccounts');
+const tariffs = require('./tariffs');
+const timeseries = require('./timeseries');
+
+// Daily and monthly performance reports: per-plant and portfolio generation,
+// revenue, specific yield, availability and alarms for one period, rendered
+// as a self-contained HTML page (print it to get a PDF). Reports run on demand
+// for the session's plants, or on the REPORT_DAILY_CRON / REPORT_MONTHLY_CRON
+// schedules for the server accounts, and are saved to REPORT_DIR and/or
+// emailed to REPORT_EMAIL_TO.
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_AVAILABILITY_DAYS = 31;
+const REPORT_DIR = process.env.REPORT_DIR || path.join(timeseries.DATA_DIR, 'reports');
+
+const PERIODS = {
+  day: { granularity: 'hour', label: 'Daily' },
+  month: { granularity: 'day', label: 'Monthly' }
+};
+
+const SEVERITIES = { 1: 'critical', 2: 'major', 3: 'minor', 4: 'warning' };
+
+class ReportRequestError extends Error {}
+
+// FusionSolar couldn't deliver the data a report needs
+class ReportDataError extends Error {
+  constructor(message, failCode) {
+    super(message);
+    this.failCode = failCode;
+  }
+}
+
+const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const config = {
+  schedules: {
+    day: process.env.REPORT_DAILY_CRON || null,
+    month: process.env.REPORT_MONTHLY_CRON || null
+  },
+  outputs: list(process.env.REPORT_OUTPUT || 'disk'),
+  recipients: list(process.env.REPORT_EMAIL_TO || process.env.ALERT_EMAIL_TO)
+};
+
+const status = {};    // period -> { cron, nextRun, lastRun, lastError, lastFile }
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// The period containing `date` (YYYY-MM-DD), or the last complete one
+const periodRange = (period, date) => {
+  if (!PERIODS[period]) {
+    throw new ReportRequestError(`period must be one of: ${Object.keys(PERIODS).join(', ')}`);
+  }
+
+  let day;
+  if (date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!match) {
+      throw new ReportRequestError('date must be in YYYY-MM-DD format');
+    }
+    day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  } else {
+    day = new Date();
+    day.setHours(0, 0, 0, 0);
+    if (period === 'day') day.setDate(day.getDate() - 1);
+    else day.setDate(0);
+  }
+  if (day.getTime() > Date.now()) {
+    throw new ReportRequestError('date must not be in the future');
+  }
+
+  if (period === 'day') {
+    const end = new Date(day);
+    end.setDate(end.getDate() + 1);
+    return {
+      period,
+      start: day.getTime(),
+      end: end.getTime(),
+      from: toDateString(day),
+      to: toDateString(day),
+      key: toDateString(day),
+      label: day.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+    };
+  }
+
+  const start = new Date(day.getFullYear(), day.getMonth(), 1);
+  const end = new Date(day.getFullYear(), day.getMonth() + 1, 1);
+  const last = new Date(Math.min(end.getTime() - DAY, Date.now()));
+  return {
+    period,
+    start: start.getTime(),
+    end: end.getTime(),
+    from: toDateString(start),
+    to: toDateString(last),
+    key: toDateString(start).slice(0, 7),
+    label: start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })
+  };
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const number = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// End of the history point starting at `time`
+const pointEnd = (time, granularity) => {
+  const end = new Date(time);
+  if (granularity === 'hour') end.setHours(end.getHours() + 1);
+  else end.setDate(end.getDate() + 1);
+  return end.getTime();
+};
+
+// A plant's revenue in the period: its history points priced with the plant's
+// tariff, or FusionSolar's power_profit (currency unknown) without one
+const plantRevenue = (points, tariff, granularity) => {
+  if (!tariff) {
+    return { amount: sum(points.map(point => number(point.dataItemMap?.power_profit))), currency: null };
+  }
+  const amount = sum(points.map(point => {
+    const kpi = point.dataItemMap || {};
+    const used = parseFloat(kpi.use_power);
+    return tariffs.intervalValue(tariff, {
+      produced: number(kpi.inverter_power),
+      exported: number(kpi.ongrid_power),
+      used: Number.isFinite(used) ? used : null
+    }, point.collectTime, pointEnd(point.collectTime, granularity));
+  }));
+  return { amount, currency: tariff.currency };
+};
+
+// Share of recorded snapshots in which each plant wasn't disconnected. Needs
+// the background recorder; plants without snapshots get null.
+const availability = async (accounts, stationCodes, range) => {
+  const to = Math.min(range.end, Date.now());
+  const from = Math.max(range.start, to - MAX_AVAILABILITY_DAYS * DAY);
+  const series = await timeseries.query(accounts.map(account => account.id), {
+    stationCodes: stationCodes.join(','),
+    metric: 'real_health_state',
+    from,
+    to
+  });
+  return Object.fromEntries(series.map(({ stationCode, points }) => [
+    stationCode,
+    points.length > 0 ? points.filter(point => point.value !== 1).length / points.length : null
+  ]));
+};
+
+// Collect the data of a report for the given accounts. `stationCodes`
+// (comma-separated) narrows it down; by default every plant is included.
+const generate = async (accounts, { period, date, stationCodes } = {}) => {
+  const range = periodRange(period, date);
+
+  const { data: stationList } = await portfolio.listStations(accounts);
+  if (!stationList.success) {
+    throw new ReportDataError(stationList.message || 'Failed to load the station list', stationList.failCode);
+  }
+  const requested = list(stationCodes);
+  const stations = (stationList.data || [])
+    .filter(station => requested.length === 0 || requested.includes(station.stationCode));
+  const unknown = requested.filter(code => !stations.some(station => station.stationCode === code));
+  if (unknown.length > 0) {
+    throw new ReportRequestError(`Stations not found in any linked account: ${unknown.join(', ')}`);
+  }
+  const codes = stations.map(station => station.stationCode);
+  if (codes.length === 0) {
+    throw new ReportRequestError('There are no plants to report on');
+  }
+
+  const { data: kpis } = await portfolio.forStations(accounts, codes.join(','), (account, ownCodes) =>
+    history.fetchHistory(account, {
+      stationCodes: ownCodes,
+      granularity: PERIODS[period].granularity,
+      from: range.from,
+      to: range.to
+    }));
+  if (!kpis.success) {
+    throw new ReportDataError(kpis.message || 'Failed to load the period\'s KPIs', kpis.failCode);
+  }
+
+  // Alarms and availability are optional extras; the report still renders
+  // without them
+  const { data: alarmList } = await portfolio.forStations(accounts, codes.join(','), (account, ownCodes) =>
+    alarms.fetchAlarmsBetween(account, {
+      stationCodes: ownCodes,
+      beginTime: range.start,
+      endTime: Math.min(range.end, Date.now())
+    }));
+  const alarmsAvailable = alarmList.success === true;
+  const uptime = await availability(accounts, codes, range).catch(error => {
+    console.error('Report availability query failed:', error.message);
+    return {};
+  });
+
+  const points = kpis.data || [];
+  const settings = plantConfig.get(codes);
+  const plants = codes.map(code => {
+    const station = stations.find(s => s.stationCode === code);
+    const own = points.filter(point => point.stationCode === code);
+    const capacityKw = number(station.capacity) * 1000;
+    const generation = sum(own.map(point => number(point.dataItemMap?.inverter_power)));
+    const plantAlarms = alarmsAvailable ? alarmList.data.filter(alarm => alarm.stationCode === code) : [];
+    const revenue = plantRevenue(own, settings[code]?.tariff, PERIODS[period].granularity);
+    return {
+      stationCode: code,
+      name: station.stationName || code,
+      capacityKw,
+      generation,
+      exported: sum(own.map(point => number(point.dataItemMap?.ongrid_power))),
+      revenue: revenue.amount,
+      currency: revenue.currency,
+      specificYield: capacityKw > 0 ? generation / capacityKw : null,
+      availability: uptime[code] ?? null,
+      alarms: alarmsAvailable ? plantAlarms.length : null,
+      alarmsBySeverity: Object.fromEntries(Object.values(SEVERITIES).map(severity => [
+        severity,
+        plantAlarms.filter(alarm => SEVERITIES[Number(alarm.lev)] === severity).length
+      ]))
+    };
+  });
+
+  const capacityKw = sum(plants.map(plant => plant.capacityKw));
+  const generation = sum(plants.map(plant => plant.generation));
+  const measured = plants.filter(plant => plant.availability !== null);
+  const series = [...new Set(points.map(point => point.collectTime))].sort((a, b) => a - b).map(time => ({
+    time,
+    generation: sum(points.filter(point => point.collectTime === time).map(point => number(point.dataItemMap?.inverter_power)))
+  }));
+
+  return {
+    ...range,
+    generatedAt: Date.now(),
+    plants,
+    series,
+    portfolio: {
+      plants: plants.length,
+      capacityKw,
+      generation,
+      exported: sum(plants.map(plant => plant.exported)),
+      revenue: tariffs.sumByCurrency(plants.map(plant => ({ amount: plant.revenue, currency: plant.currency }))),
+      specificYield: capacityKw > 0 ? generation / capacityKw : null,
+      availability: measured.length > 0 ? sum(measured.map(plant => plant.availability)) / measured.length : null,
+      alarms: alarmsAvailable ? sum(plants.map(plant => plant.alarms)) : null
+    }
+  };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const format = (value, digits = 1, unit = '') => {
+  if (value === null || value === undefined) return '—';
+  return `${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}${unit ? ` ${unit}` : ''}`;
+};
+
+// An amount with its currency code; amounts without a currency are plain numbers
+const money = (amount, currency) => (currency ? `${currency} ${format(amount, 2)}` : format(amount, 2));
+
+// Per-currency sums, e.g. "LKR 1,234.00 + EUR 12.50"
+const moneySums = (sums) => {
+  const entries = Object.entries(sums);
+  if (entries.length === 0) return format(0, 2);
+  return entries.map(([currency, amount]) => money(amount, currency || null)).join(' + ');
+};
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const seriesLabel = (time, period) => {
+  const date = new Date(time);
+  return period === 'day' ? `${pad(date.getHours())}:00` : toDateString(date);
+};
+
+// Horizontal bars for the portfolio's generation per hour or day
+const renderSeries = (report) => {
+  const max = Math.max(...report.series.map(point => point.generation), 0) || 1;
+  return report.series.map(point => `
+        <tr>
+          <td>${seriesLabel(point.time, report.period)}</td>
+          <td class="bar"><span style="width:${(point.generation / max * 100).toFixed(1)}%"></span></td>
+          <td class="num">${format(point.generation, 1, 'kWh')}</td>
+        </tr>`).join('');
+};
+
+const renderPlant = (plant) => `
+        <tr>
+          <td>${escapeHtml(plant.name)}<div class="muted">${escapeHtml(plant.stationCode)}</div></td>
+          <td class="num">${format(plant.capacityKw, 1)}</td>
+          <td class="num">${format(plant.generation, 1)}</td>
+          <td class="num">${format(plant.exported, 1)}</td>
+          <td class="num">${money(plant.revenue, plant.currency)}</td>
+          <td class="num">${format(plant.specificYield, 2)}</td>
+          <td class="num">${percent(plant.availability)}</td>
+          <td class="num">${plant.alarms === null ? '—' : plant.alarms}${plant.alarms
+            ? `<div class="muted">${Object.entries(plant.alarmsBySeverity).filter(([, count]) => count > 0).map(([severity, count]) => `${count} ${severity}`).join(', ')}</div>`
+            : ''}</td>
+        </tr>`;
+
+const render = (report) => {
+  const title = `${PERIODS[report.period].label} solar report – ${report.label}`;
+  const totals = report.portfolio;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; color: #111827; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; }
+    .muted { color: #6b7280; font-size: 0.8rem; }
+    .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 1rem; }
+    .card { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem 1rem; min-width: 9rem; }
+    .card .value { font-size: 1.25rem; font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f9fafb; font-size: 0.75rem; text-transform: uppercase; color: #6b7280; }
+    .num { text-align: right; white-space: nowrap; }
+    .bar { width: 60%; }
+    .bar span { display: block; height: 0.75rem; background: #f97316; border-radius: 2px; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="muted">${totals.plants} plant(s), ${format(totals.capacityKw, 1, 'kW')} · generated ${escapeHtml(new Date(report.generatedAt).toLocaleString('en-GB'))}</div>
+
+  <div class="cards">
+    <div class="card"><div class="muted">Generation</div><div class="value">${format(totals.generation, 1, 'kWh')}</div></div>
+    <div class="card"><div class="muted">Grid export</div><div class="value">${format(totals.exported, 1, 'kWh')}</div></div>
+    <div class="card"><div class="muted">Revenue</div><div class="value">${moneySums(totals.revenue)}</div></div>
+    <div class="card"><div class="muted">Specific yield</div><div class="value">${format(totals.specificYield, 2, 'kWh/kWp')}</div></div>
+    <div class="card"><div class="muted">Availability</div><div class="value">${percent(totals.availability)}</div></div>
+    <div class="card"><div class="muted">Alarms</div><div class="value">${totals.alarms === null ? '—' : totals.alarms}</div></div>
+  </div>
+
+  <h2>Portfolio generation per ${report.period === 'day' ? 'hour' : 'day'}</h2>
+  <table>
+    <tbody>${renderSeries(report) || '<tr><td>No data for this period</td></tr>'}
+    </tbody>
+  </table>
+
+  <h2>Plants</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Plant</th><th class="num">kW</th><th class="num">Generation (kWh)</th><th class="num">Export (kWh)</th>
+        <th class="num">Revenue</th><th class="num">kWh/kWp</th><th class="num">Availability</th><th class="num">Alarms</th>
+      </tr>
+    </thead>
+    <tbody>${report.plants.map(renderPlant).join('')}
+    </tbody>
+  </table>
+
+  <p class="muted">
+    Revenue prices each plant's generation with its tariff (savings on self-consumed energy plus export
+    credit); plants without a tariff show FusionSolar's power_profit in the currency configured there.
+    Availability is the share of recorded snapshots in which a plant was connected (— without the
+    background recorder). Alarms are those raised in the period that are still active.
+  </p>
+</body>
+</html>
+`;
+};
+
+const fileName = (report) => `solar-report-${report.period}-${report.key}.html`;
+
+// Save and/or email a rendered report; returns { file, sentTo }
+const deliver = async (report, outputs = config.outputs) => {
+  const html = render(report);
+  const result = { file: null, sentTo: null };
+
+  if (outputs.includes('disk')) {
+    await fs.promises.mkdir(REPORT_DIR, { recursive: true });
+    result.file = path.join(REPORT_DIR, fileName(report));
+    await fs.promises.writeFile(result.file, html);
+  }
+  if (outputs.includes('email')) {
+    if (config.recipients.length === 0) {
+      throw new ReportRequestError('No report recipients configured (REPORT_EMAIL_TO)');
+    }
+    await notifiers.sendMail({
+      to: config.recipients.join(', '),
+      subject: `${PERIODS[report.period].label} solar report – ${report.label}`,
+      html,
+      attachments: [{ filename: fileName(report), content: html, contentType: 'text/html' }]
+    });
+    result.sentTo = config.recipients;
+  }
+  return result;
+};
+
+const runScheduled = async (period) => {
+  const entry = status[period];
+  entry.lastRun = new Date().toISOString();
+  try {
+    const accounts = await serverAccounts.signIn();
+    if (accounts.length === 0) {
+      throw new Error('no server account could be signed in');
+    }
+    const report = await generate(accounts, { period });
+    const { file, sentTo } = await deliver(report);
+    entry.lastFile = file;
+    entry.lastError = null;
+    const outcome = [file && `saved to ${file}`, sentTo && `mailed to ${sentTo.join(', ')}`].filter(Boolean);
+    console.log(`📄 ${PERIODS[period].label} report for ${report.label} ${outcome.join(' and ')}`);
+  } catch (error) {
+    entry.lastError = error.message;
+    console.error(`${PERIODS[period].label} report failed:`, error.message);
+  }
+};
+
+// Next run of a schedule as an ISO string, or null when it doesn't match
+// within a year (e.g. 31 February)
+const nextRunOf = (schedule, from) => {
+  const next = cron.nextRun(schedule, from);
+  return next === null ? null : new Date(next).toISOString();
+};
+
+const start = () => {
+  const schedules = Object.entries(config.schedules)
+    .filter(([, expression]) => expression)
+    .map(([period, expression]) => {
+      try {
+        return { period, cron: cron.parse(expression) };
+      } catch (error) {
+        console.error(`Invalid ${period} report schedule:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+  if (schedules.length === 0) return;
+
+  if (serverAccounts.configured().length === 0) {
+    console.warn('Report schedules need a server account - add one to the credential vault or set COLLECTOR_ACCOUNTS');
+  }
+  schedules.forEach(({ period, cron: schedule }) => {
+    status[period] = {
+      cron: schedule.expression,
+      nextRun: nextRunOf(schedule),
+      lastRun: null,
+      lastError: null,
+      lastFile: null
+    };
+  });
+  console.log(`📄 Reports scheduled: ${schedules.map(s => `${s.period} (${s.cron.expression})`).join(', ')} → ${config.outputs.join(' + ')}`);
+
+  // Check once per minute; remember the minute so a slow tick can't run twice
+  let lastMinute = null;
+  setInterval(() => {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    if (now.getTime() === lastMinute) return;
+    lastMinute = now.getTime();
+    schedules.forEach(({ period, cron: schedule }) => {
+      if (!schedule.matches(now)) return;
+      status[period].nextRun = nextRunOf(schedule, now.getTime());
+      runScheduled(period);
+    });
+  }, 20 * 1000).unref();
+};
+
+const getStatus = () => ({
+  outputs: config.outputs,
+  schedules: status
+});
+
+module.exports = {
+  PERIODS,
+  ReportRequestError,
+  ReportDataError,
+  generate,
+  render,
+  fileName,
+  deliver,
+  start,
+  getStatus
+};
@@ -0,0 +1,236 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./portfolio', () => ({ listStations: jest.fn(), forStations: jest.fn() }));
+jest.mock('./history', () => ({ fetchHistory: jest.fn() }));
+jest.mock('./alarms', () => ({ fetchAlarmsBetween: jest.fn() }));
+jest.mock('./notifiers', () => ({ sendMail: jest.fn() }));
+jest.mock('./serverAccounts', () => ({ configured: jest.fn(), signIn: jest.fn() }));
+
+// Settings are read when the modules load
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-test-'));
+process.env.REPORT_DAILY_CRON = '0 6 * * *';
+process.env.REPORT_MONTHLY_CRON = '0 0 31 2 *';
+process.env.REPORT_OUTPUT = 'email';
+process.env.REPORT_EMAIL_TO = 'ops@example.com';
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'plants.json'), JSON.stringify({
+  'NE=1': {
+    tariff: {
+      currency: 'LKR',
+      importRate: 62,
+      exportRate: 37,
+      bands: [{ from: '08:00', to: '12:00', importRate: 100 }, { from: '18:30', to: '22:30', importRate: 92 }]
+    }
+  }
+}));
+
+const alarms = require('./alarms');
+const history = require('./history');
+const notifiers = require('./notifiers');
+const portfolio = require('./portfolio');
+const reports = require('./reports');
+const serverAccounts = require('./serverAccounts');
+const timeseries = require('./timeseries');
+
+const ACCOUNT = { id: 'eu5:owner', userName: 'owner' };
+
+// Plants of 10 kWp (FusionSolar capacities are in MW); NE=1 has a tariff
+const STATIONS = [
+  { stationCode: 'NE=1', stationName: 'Roof <A>', capacity: 0.01 },
+  { stationCode: 'NE=2', stationName: 'Field', capacity: 0.01 }
+];
+
+const point = (stationCode, collectTime, dataItemMap) => ({ stationCode, collectTime, dataItemMap });
+const hour = (h) => new Date(2024, 4, 1, h).getTime();
+
+const listStations = (answer) => portfolio.listStations.mockResolvedValue({ data: answer });
+const historyPoints = (points) => history.fetchHistory.mockResolvedValue({ data: { success: true, data: points } });
+
+beforeEach(() => {
+  // Every station belongs to the first account
+  portfolio.forStations.mockImplementation(async (accounts, stationCodes, fn) => fn(accounts[0], stationCodes));
+  serverAccounts.configured.mockReturnValue([{ userName: 'owner' }]);
+  notifiers.sendMail.mockResolvedValue();
+  listStations({ success: true, data: STATIONS });
+  alarms.fetchAlarmsBetween.mockResolvedValue({ data: { success: true, data: [{ stationCode: 'NE=1', lev: 1 }] } });
+  jest.spyOn(timeseries, 'query').mockResolvedValue([
+    { stationCode: 'NE=1', points: [{ value: 3 }, { value: 3 }, { value: 3 }, { value: 1 }] }
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('generate', () => {
+  test('prices hourly points at their own hour with the tariff, and uses power_profit without one', async () => {
+    historyPoints([
+      // 6 kWh self-consumed in the 08:00-12:00 band and 4 kWh exported
+      point('NE=1', hour(10), { inverter_power: 10, ongrid_power: 4, power_profit: 999 }),
+      // Consumption caps self-consumption at 1 kWh, at the 18:30-22:30 band's import rate
+      point('NE=1', hour(20), { inverter_power: 3, ongrid_power: 0, use_power: 1 }),
+      point('NE=2', hour(10), { inverter_power: 5, ongrid_power: 5, power_profit: 5 }),
+      point('NE=2', hour(11), { inverter_power: 7, ongrid_power: 7, power_profit: 7 })
+    ]);
+
+    const report = await reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01' });
+
+    expect(history.fetchHistory).toHaveBeenCalledWith(ACCOUNT, {
+      stationCodes: 'NE=1,NE=2', granularity: 'hour', from: '2024-05-01', to: '2024-05-01'
+    });
+    expect(report.plants.map(({ stationCode, revenue, currency }) => ({ stationCode, revenue, currency }))).toEqual([
+      { stationCode: 'NE=1', revenue: 6 * 100 + 4 * 37 + 1 * 92, currency: 'LKR' },
+      { stationCode: 'NE=2', revenue: 12, currency: null }
+    ]);
+    expect(report.plants[0]).toMatchObject({
+      capacityKw: 10,
+      generation: 13,
+      exported: 4,
+      specificYield: 1.3,
+      availability: 0.75,
+      alarms: 1,
+      alarmsBySeverity: { critical: 1, major: 0, minor: 0, warning: 0 }
+    });
+    expect(report.series).toEqual([{ time: hour(10), generation: 15 }, { time: hour(11), generation: 7 }, { time: hour(20), generation: 3 }]);
+    expect(report.portfolio).toMatchObject({
+      plants: 2,
+      capacityKw: 20,
+      generation: 25,
+      exported: 16,
+      revenue: { LKR: 840, '': 12 },
+      availability: 0.75,
+      alarms: 1
+    });
+  });
+
+  test('spreads daily points over 06:00-18:00 in monthly reports', async () => {
+    historyPoints([point('NE=1', new Date(2024, 4, 2).getTime(), { inverter_power: 12, ongrid_power: 0 })]);
+
+    const report = await reports.generate([ACCOUNT], { period: 'month', date: '2024-05-15', stationCodes: 'NE=1' });
+
+    expect(history.fetchHistory.mock.calls[0][1]).toMatchObject({ granularity: 'day', from: '2024-05-01', to: '2024-05-31' });
+    // 4 of the 12 hours fall in the 08:00-12:00 band
+    expect(report.plants[0].revenue).toBeCloseTo(12 * (8 * 62 + 4 * 100) / 12);
+  });
+
+  test('rejects stations outside the accounts and an empty portfolio', async () => {
+    await expect(reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01', stationCodes: 'NE=1,NE=9' }))
+      .rejects.toThrow(new reports.ReportRequestError('Stations not found in any linked account: NE=9'));
+
+    listStations({ success: true, data: [] });
+    await expect(reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01' }))
+      .rejects.toThrow(reports.ReportRequestError);
+  });
+
+  test('rejects unknown periods and dates in the future', async () => {
+    await expect(reports.generate([ACCOUNT], { period: 'week' })).rejects.toThrow('period must be one of: day, month');
+    await expect(reports.generate([ACCOUNT], { period: 'day', date: '01/05/2024' })).rejects.toThrow('YYYY-MM-DD');
+    await expect(reports.generate([ACCOUNT], { period: 'day', date: '2999-01-01' })).rejects.toThrow('must not be in the future');
+  });
+
+  test('a failed station list is a data error carrying the failCode', async () => {
+    listStations({ success: false, failCode: 407, message: 'Too many requests' });
+
+    const error = await reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(reports.ReportDataError);
+    expect(error).toMatchObject({ message: 'Too many requests', failCode: 407 });
+  });
+
+  test('renders without alarms and availability when they are unavailable', async () => {
+    alarms.fetchAlarmsBetween.mockResolvedValue({ data: { success: false, failCode: 407 } });
+    timeseries.query.mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    historyPoints([point('NE=2', hour(10), { inverter_power: 5, ongrid_power: 5, power_profit: 5 })]);
+
+    const report = await reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01' });
+
+    expect(report.portfolio).toMatchObject({ availability: null, alarms: null });
+    expect(report.plants[1]).toMatchObject({ availability: null, alarms: null });
+  });
+});
+
+test('render escapes plant names and sums revenue per currency', async () => {
+  historyPoints([
+    point('NE=1', hour(10), { inverter_power: 1, ongrid_power: 0 }),
+    point('NE=2', hour(10), { inverter_power: 5, ongrid_power: 5, power_profit: 12 })
+  ]);
+  const report = await reports.generate([ACCOUNT], { period: 'day', date: '2024-05-01' });
+
+  const html = reports.render(report);
+
+  expect(html).toContain('Roof &lt;A&gt;');
+  expect(html).not.toContain('Roof <A>');
+  expect(html).toContain('LKR 100.00 + 12.00');
+  expect(html).toContain('<td class="num">LKR 100.00</td>');
+  expect(reports.fileName(report)).toBe('solar-report-day-2024-05-01.html');
+});
+
+describe('scheduled reports', () => {
+  // Resolves with the arguments of the next call of a console method
+  const nextCall = (method) => new Promise(resolve => {
+    jest.spyOn(console, method).mockImplementation((...args) => resolve(args));
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 5, 1, 5, 59, 50));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    historyPoints([point('NE=1', new Date(2026, 4, 31, 10).getTime(), { inverter_power: 1, ongrid_power: 0 })]);
+  });
+
+  test('records the next run of each schedule, null when it never fires', () => {
+    reports.start();
+
+    expect(reports.getStatus()).toEqual({
+      outputs: ['email'],
+      schedules: {
+        day: { cron: '0 6 * * *', nextRun: new Date(2026, 5, 1, 6, 0).toISOString(), lastRun: null, lastError: null, lastFile: null },
+        month: { cron: '0 0 31 2 *', nextRun: null, lastRun: null, lastError: null, lastFile: null }
+      }
+    });
+  });
+
+  test('runs a due report for the server accounts and mails it', async () => {
+    serverAccounts.signIn.mockResolvedValue([ACCOUNT]);
+    reports.start();
+    const logged = nextCall('log');
+
+    jest.advanceTimersByTime(20 * 1000);
+    const [message] = await logged;
+
+    expect(message).toMatch(/Daily report for .* mailed to ops@example.com/);
+    expect(serverAccounts.signIn).toHaveBeenCalled();
+    expect(history.fetchHistory.mock.calls[0][0]).toBe(ACCOUNT);
+    expect(notifiers.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ops@example.com',
+      subject: 'Daily solar report – Sunday, 31 May 2026'
+    }));
+    expect(reports.getStatus().schedules.day).toMatchObject({
+      nextRun: new Date(2026, 5, 2, 6, 0).toISOString(),
+      lastRun: new Date(2026, 5, 1, 6, 0, 10).toISOString(),
+      lastError: null
+    });
+  });
+
+  test('records an error when no server account signs in', async () => {
+    serverAccounts.signIn.mockResolvedValue([]);
+    reports.start();
+    const failed = nextCall('error');
+
+    jest.advanceTimersByTime(20 * 1000);
+    await failed;
+
+    expect(reports.getStatus().schedules.day.lastError).toBe('no server account could be signed in');
+    expect(history.fetchHistory).not.toHaveBeenCalled();
+  });
+});
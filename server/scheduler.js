@@ -0,0 +1,167 @@
+const endpoints = require('./endpoints');
+const fusionsolar = require('./fusionsolar');
+const metrics = require('./metrics');
+
+// FusionSolar enforces per-account, per-endpoint call quotas and answers with
+// failCode 407 (ACCESS_FREQUENCY_IS_TOO_HIGH) when they are exceeded. Every
+// upstream call goes through this scheduler so that all viewers of an account
+// share one stream of requests:
+//   - identical concurrent requests are merged into one upstream call
+//   - successful responses are cached for the endpoint's quota window (see
+//     endpoints.js)
+//   - a 407 puts the endpoint into exponential backoff for that account
+//   - while backing off (or if upstream fails) the last good response is
+//     served instead of an error
+const FAIL_CODE_RATE_LIMIT = 407;
+
+const MINUTE = 60 * 1000;
+
+const BACKOFF_INITIAL_MS = MINUTE;
+const BACKOFF_MAX_MS = 30 * MINUTE;
+
+// Gap between consecutive upstream calls of one account
+const REQUEST_SPACING_MS = 1000;
+
+// Cached responses older than this are dropped even if nobody asks again
+const CACHE_RETENTION_MS = 24 * 60 * MINUTE;
+
+const cache = new Map();     // key -> { data, storedAt }
+const inFlight = new Map();  // key -> Promise
+const backoffs = new Map();  // accountId:endpoint -> { until, delay }
+const queues = new Map();    // accountId -> Promise (tail of the account's queue)
+
+// JSON.stringify with sorted keys so equivalent bodies share a cache entry
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run task after every call already queued for the account has finished
+const enqueue = (accountId, task) => {
+  const tail = queues.get(accountId) || Promise.resolve();
+  const run = tail.then(task);
+  const next = run.catch(() => {}).then(() => sleep(REQUEST_SPACING_MS));
+  queues.set(accountId, next);
+  next.then(() => {
+    if (queues.get(accountId) === next) queues.delete(accountId);
+  });
+  return run;
+};
+
+const cachedResult = (entry, status) => ({
+  data: entry.data,
+  cache: status,
+  age: Math.floor((Date.now() - entry.storedAt) / 1000)
+});
+
+const recordRateLimit = (backoffKey) => {
+  const previous = backoffs.get(backoffKey);
+  const delay = previous ? Math.min(previous.delay * 2, BACKOFF_MAX_MS) : BACKOFF_INITIAL_MS;
+  backoffs.set(backoffKey, { until: Date.now() + delay, delay });
+  console.warn(`Rate limit hit for ${backoffKey}, backing off for ${delay / 1000}s`);
+};
+
+const lookup = async (account, endpoint, body = {}, { maxAge } = {}) => {
+  const key = `${account.id}:${endpoint}:${stableStringify(body)}`;
+  const backoffKey = `${account.id}:${endpoint}`;
+  const entry = cache.get(key);
+  const freshFor = maxAge !== undefined ? maxAge : endpoints.quotaWindow(endpoint);
+
+  if (entry && Date.now() - entry.storedAt < freshFor) {
+    return cachedResult(entry, 'HIT');
+  }
+
+  const backoff = backoffs.get(backoffKey);
+  if (backoff && Date.now() < backoff.until) {
+    if (entry) {
+      return cachedResult(entry, 'STALE');
+    }
+    return {
+      data: { success: false, failCode: FAIL_CODE_RATE_LIMIT, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' },
+      cache: 'MISS',
+      age: 0
+    };
+  }
+
+  if (!inFlight.has(key)) {
+    const call = enqueue(account.id, () => fusionsolar.request(account, endpoint, body))
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, call);
+  }
+
+  let data;
+  try {
+    data = await inFlight.get(key);
+  } catch (error) {
+    if (entry) {
+      console.warn(`Upstream failed for ${endpoint}, serving stale data:`, error.message);
+      return cachedResult(entry, 'STALE');
+    }
+    throw error;
+  }
+
+  if (data.success) {
+    backoffs.delete(backoffKey);
+    cache.set(key, { data, storedAt: Date.now() });
+    return { data, cache: 'MISS', age: 0 };
+  }
+
+  if (data.failCode === FAIL_CODE_RATE_LIMIT) {
+    // Concurrent waiters on the same call all see this response; only back
+    // off further if the current window has already expired
+    const current = backoffs.get(backoffKey);
+    if (!current || Date.now() >= current.until) {
+      recordRateLimit(backoffKey);
+    }
+    const latest = cache.get(key);
+    if (latest) {
+      return cachedResult(latest, 'STALE');
+    }
+  }
+
+  return { data, cache: 'MISS', age: 0 };
+};
+
+// Request an endpoint for an account through the shared cache and queue.
+// Resolves with { data, cache, age } where cache is one of HIT, MISS, STALE
+// and age is the age of the returned data in seconds.
+const request = async (account, endpoint, body = {}, options = {}) => {
+  const result = await lookup(account, endpoint, body, options);
+  metrics.countCache(endpoint, result.cache);
+  return result;
+};
+
+// Drop everything cached for an account, e.g. once its last session ends
+const forgetAccount = (accountId) => {
+  const prefix = `${accountId}:`;
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) cache.delete(key);
+  }
+  for (const key of backoffs.keys()) {
+    if (key.startsWith(prefix)) backoffs.delete(key);
+  }
+};
+
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (now - entry.storedAt > CACHE_RETENTION_MS) cache.delete(key);
+  }
+  for (const [key, backoff] of backoffs) {
+    if (now >= backoff.until + BACKOFF_MAX_MS) backoffs.delete(key);
+  }
+}, 10 * MINUTE);
+sweepTimer.unref();
+
+module.exports = {
+  FAIL_CODE_RATE_LIMIT,
+  request,
+  forgetAccount
+};
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('./fusionsolar', () => ({ request: jest.fn() }));
+jest.mock('./metrics', () => ({ countCache: jest.fn() }));
+
+const endpoints = require('./endpoints');
+const fusionsolar = require('./fusionsolar');
+const scheduler = require('./scheduler');
+
+const SECOND = 1000;
+const WINDOW = endpoints.quotaWindow('getStationRealKpi');
+const BODY = { stationCodes: 'NE=1' };
+
+const OK = { success: true, data: [{ stationCode: 'NE=1' }] };
+const RATE_LIMITED = { success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' };
+
+// The scheduler's clock; upstream calls of one account are still spaced by a
+// real second, so each test uses its own account
+let now;
+let account;
+let accountCount = 0;
+
+const kpi = () => scheduler.request(account, 'getStationRealKpi', BODY);
+
+beforeEach(() => {
+  now = Date.parse('2026-06-01T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  accountCount += 1;
+  account = { id: `eu5:account-${accountCount}` };
+  fusionsolar.request.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('answers are cached for the endpoint quota window', async () => {
+  fusionsolar.request.mockResolvedValue(OK);
+
+  expect(await kpi()).toEqual({ data: OK, cache: 'MISS', age: 0 });
+  now += 30 * SECOND;
+  expect(await kpi()).toEqual({ data: OK, cache: 'HIT', age: 30 });
+  expect(fusionsolar.request).toHaveBeenCalledTimes(1);
+
+  now += WINDOW;
+  expect((await kpi()).cache).toBe('MISS');
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+});
+
+test('different bodies are cached separately, equivalent ones together', async () => {
+  fusionsolar.request.mockResolvedValue(OK);
+
+  await scheduler.request(account, 'getDevRealKpi', { devIds: '1', devTypeId: 1 });
+  expect((await scheduler.request(account, 'getDevRealKpi', { devTypeId: 1, devIds: '1' })).cache).toBe('HIT');
+  expect((await scheduler.request(account, 'getDevRealKpi', { devIds: '2', devTypeId: 1 })).cache).toBe('MISS');
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+});
+
+test('identical concurrent requests share one upstream call', async () => {
+  fusionsolar.request.mockResolvedValue(OK);
+
+  const results = await Promise.all([kpi(), kpi(), kpi()]);
+  expect(results.map(result => result.data)).toEqual([OK, OK, OK]);
+  expect(fusionsolar.request).toHaveBeenCalledTimes(1);
+});
+
+test('a 407 backs off exponentially without calling upstream meanwhile', async () => {
+  fusionsolar.request.mockResolvedValue(RATE_LIMITED);
+
+  expect(await kpi()).toEqual({ data: RATE_LIMITED, cache: 'MISS', age: 0 });
+  now += 59 * SECOND;
+  expect((await kpi()).data.failCode).toBe(407);
+  expect(fusionsolar.request).toHaveBeenCalledTimes(1);
+
+  // The first backoff is a minute, the next one two
+  now += SECOND;
+  await kpi();
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+  now += 119 * SECOND;
+  await kpi();
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+  now += SECOND;
+  await kpi();
+  expect(fusionsolar.request).toHaveBeenCalledTimes(3);
+
+  // A success ends the backoff
+  fusionsolar.request.mockResolvedValue(OK);
+  now += 4 * 60 * SECOND;
+  expect(await kpi()).toEqual({ data: OK, cache: 'MISS', age: 0 });
+});
+
+test('the last good answer is served as STALE while rate limited', async () => {
+  fusionsolar.request.mockResolvedValueOnce(OK).mockResolvedValue(RATE_LIMITED);
+  await kpi();
+
+  now += WINDOW + 10 * SECOND;
+  const age = (WINDOW + 10 * SECOND) / SECOND;
+  expect(await kpi()).toEqual({ data: OK, cache: 'STALE', age });
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+
+  // Served from the cache for the rest of the backoff
+  now += 30 * SECOND;
+  expect(await kpi()).toEqual({ data: OK, cache: 'STALE', age: age + 30 });
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+});
+
+test('the last good answer is served as STALE when upstream fails', async () => {
+  fusionsolar.request.mockResolvedValueOnce(OK).mockRejectedValue(new Error('ECONNRESET'));
+  await kpi();
+
+  now += WINDOW;
+  expect(await kpi()).toMatchObject({ data: OK, cache: 'STALE' });
+
+  await expect(scheduler.request(account, 'getStationRealKpi', { stationCodes: 'NE=2' })).rejects.toThrow('ECONNRESET');
+});
+
+test('forgetting an account drops its cached answers', async () => {
+  fusionsolar.request.mockResolvedValue(OK);
+  await kpi();
+
+  scheduler.forgetAccount(account.id);
+  expect((await kpi()).cache).toBe('MISS');
+  expect(fusionsolar.request).toHaveBeenCalledTimes(2);
+});
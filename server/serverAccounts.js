@@ -0,0 +1,98 @@
+const fusionsolar = require('./fusionsolar');
+const sessions = require('./sessions');
+const vault = require('./vault');
+
+// FusionSolar accounts the server signs in with by itself, configured once on
+// the server: the background collector polls them and, with AUTH_MODE=users,
+// every dashboard user's session is backed by them. They come from the
+// credential vault and from the environment:
+//
+// COLLECTOR_ACCOUNTS='[{"userName":"...","systemCode":"...","region":"eu5"}]'
+// (region optional, auto-detected when missing) or a single account via
+// FUSIONSOLAR_USERNAME / FUSIONSOLAR_SYSTEM_CODE / FUSIONSOLAR_REGION
+const fromEnvironment = () => {
+  if (process.env.COLLECTOR_ACCOUNTS) {
+    try {
+      return JSON.parse(process.env.COLLECTOR_ACCOUNTS);
+    } catch (error) {
+      // The parser's message quotes the input, system codes included
+      console.error('COLLECTOR_ACCOUNTS is not valid JSON');
+      return [];
+    }
+  }
+  if (process.env.FUSIONSOLAR_USERNAME && process.env.FUSIONSOLAR_SYSTEM_CODE) {
+    return [{
+      userName: process.env.FUSIONSOLAR_USERNAME,
+      systemCode: process.env.FUSIONSOLAR_SYSTEM_CODE,
+      region: process.env.FUSIONSOLAR_REGION
+    }];
+  }
+  return [];
+};
+
+// Credentials of every server account; the environment wins over a vault
+// entry for the same user name
+const configured = () => {
+  const list = fromEnvironment();
+  const userNames = new Set(list.map(credentials => credentials.userName));
+  vault.credentials().forEach(({ userName, systemCode, region }) => {
+    if (!userNames.has(userName)) list.push({ userName, systemCode, region });
+  });
+  return list;
+};
+
+// Log in and keep the account even when no browser session uses it
+const login = async (credentials) => {
+  const { data, xsrfToken, region } = await fusionsolar.authenticate(credentials);
+  if (!region) {
+    throw new Error(data.message || `login failed (failCode ${data.failCode})`);
+  }
+  return sessions.upsertAccount(credentials, xsrfToken, { region, pinned: true });
+};
+
+const signedIn = new Map();   // userName -> { systemCode, login: Promise<account> }
+
+// The logged-in account for these credentials. Logins are shared between
+// callers; a failed login or a changed system code logs in again.
+const accountFor = (credentials) => {
+  const cached = signedIn.get(credentials.userName);
+  if (cached && cached.systemCode === credentials.systemCode) {
+    return cached.login;
+  }
+  const entry = { systemCode: credentials.systemCode };
+  entry.login = login(credentials).catch(error => {
+    if (signedIn.get(credentials.userName) === entry) signedIn.delete(credentials.userName);
+    throw error;
+  });
+  signedIn.set(credentials.userName, entry);
+  return entry.login;
+};
+
+// Every configured account that could be logged in
+const signIn = async () => {
+  const accounts = [];
+  for (const credentials of configured()) {
+    try {
+      accounts.push(await accountFor(credentials));
+    } catch (error) {
+      console.error(`Server account login failed for ${credentials.userName}:`, error.message);
+    }
+  }
+  return accounts;
+};
+
+// Stop using an account that is no longer configured
+const release = async (userName) => {
+  const cached = signedIn.get(userName);
+  signedIn.delete(userName);
+  if (!cached) return;
+  const account = await cached.login.catch(() => null);
+  if (account) sessions.unpinAccount(account.id);
+};
+
+module.exports = {
+  configured,
+  accountFor,
+  signIn,
+  release
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const portfolio = require('./portfolio');
+const scheduler = require('./scheduler');
+const users = require('./users');
+
+// Browser sessions are keyed by an httpOnly cookie. Each session points at
+// one or more linked FusionSolar accounts, and each account holds the
+// credentials and the current XSRF token so the token never has to leave the
+// server. With AUTH_MODE=users a session also belongs to a dashboard user,
+// whose role and assigned stations are looked up on every request so changes
+// apply at once.
+const SESSION_COOKIE = 'fs_session';
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 12 * 60 * 60 * 1000; // 12 hours
+
+const accounts = new Map();
+const sessions = new Map();
+
+// Cookies that aren't valid URI encoding (set by other apps on the same
+// host, or hand-crafted) are skipped rather than failing the request
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index > -1) {
+      const name = pair.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        // URIError: leave this cookie out
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+// Accounts are shared between every browser signed in with the same userName
+// on the same region, so several open dashboards reuse a single upstream
+// login. Pinned accounts (used by background jobs) are kept even when no
+// browser session uses them.
+const upsertAccount = (credentials, xsrfToken, { region, pinned = false }) => {
+  const id = `${region.id}:${credentials.userName}`;
+  const account = accounts.get(id) || { id };
+  account.pinned = Boolean(account.pinned || pinned);
+  account.userName = credentials.userName;
+  account.systemCode = credentials.systemCode;
+  account.region = region.id;
+  account.baseUrl = region.baseUrl;
+  account.xsrfToken = xsrfToken;
+  account.tokenIssuedAt = Date.now();
+  accounts.set(id, account);
+  return account;
+};
+
+// A dashboard user's session may start without an account (see requireUser)
+const createSession = (account, user = null) => {
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    accountIds: account ? [account.id] : [],
+    userId: user ? user.id : null,
+    createdAt: Date.now(),
+    lastSeen: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+};
+
+const getSession = (req) => {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return null;
+
+  if (Date.now() - session.lastSeen > SESSION_TTL_MS) {
+    destroySession(session.id);
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+};
+
+const getAccount = (accountId) => accounts.get(accountId) || null;
+
+// Dashboard user of a session, or null (FusionSolar sign-in, or deleted user)
+const getSessionUser = (session) => (session.userId ? users.get(session.userId) : null);
+
+// Linked accounts of a session, in the order they were linked, restricted to
+// the user's stations. A deleted user's session has none left.
+const getSessionAccounts = (session) => {
+  const linked = session.accountIds.map(getAccount).filter(Boolean);
+  if (!session.userId) return linked;
+
+  const user = getSessionUser(session);
+  if (!user) return [];
+  const allowed = users.allowedStations(user);
+  return allowed ? portfolio.restrict(linked, allowed) : linked;
+};
+
+// Forget an account (and its credentials) once no session is using it
+const releaseAccount = (accountId) => {
+  const account = accounts.get(accountId);
+  const stillUsed = [...sessions.values()].some(s => s.accountIds.includes(accountId));
+  if (account && !account.pinned && !stillUsed) {
+    accounts.delete(accountId);
+    scheduler.forgetAccount(accountId);
+  }
+};
+
+// Let background jobs give up an account; it goes once no session uses it
+const unpinAccount = (accountId) => {
+  const account = accounts.get(accountId);
+  if (!account) return;
+  account.pinned = false;
+  releaseAccount(accountId);
+};
+
+const linkAccount = (session, account) => {
+  if (!session.accountIds.includes(account.id)) {
+    session.accountIds.push(account.id);
+  }
+};
+
+const unlinkAccount = (session, accountId) => {
+  session.accountIds = session.accountIds.filter(id => id !== accountId);
+  releaseAccount(accountId);
+};
+
+const destroySession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  session.accountIds.forEach(releaseAccount);
+};
+
+const setSessionCookie = (res, session) => {
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+};
+
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+};
+
+// Express middleware: attaches req.session, req.accounts (the linked
+// accounts) and req.user (the dashboard user, if any) or rejects with 401
+const requireSession = (req, res, next) => {
+  const session = getSession(req);
+  const linked = session ? getSessionAccounts(session) : [];
+  if (linked.length === 0) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not signed in or session expired'
+    });
+  }
+  req.session = session;
+  req.accounts = linked;
+  req.user = session.userId ? users.describe(getSessionUser(session)) : null;
+  next();
+};
+
+// Like requireSession, but lets dashboard users through without any linked
+// account - an admin must be able to store the first server credentials
+const requireUser = (req, res, next) => {
+  const session = getSession(req);
+  const user = session ? getSessionUser(session) : null;
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not signed in or session expired'
+    });
+  }
+  req.session = session;
+  req.accounts = getSessionAccounts(session);
+  req.user = users.describe(user);
+  next();
+};
+
+// Periodically drop idle sessions so stale credentials don't linger in memory
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  for (const session of sessions.values()) {
+    if (now - session.lastSeen > SESSION_TTL_MS) {
+      destroySession(session.id);
+    }
+  }
+}, 10 * 60 * 1000);
+sweepTimer.unref();
+
+module.exports = {
+  SESSION_COOKIE,
+  upsertAccount,
+  createSession,
+  getSession,
+  getAccount,
+  getSessionUser,
+  getSessionAccounts,
+  unpinAccount,
+  linkAccount,
+  unlinkAccount,
+  destroySession,
+  setSessionCookie,
+  clearSessionCookie,
+  requireSession,
+  requireUser
+};
@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./scheduler', () => ({ request: jest.fn(), forgetAccount: jest.fn() }));
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+
+const sessions = require('./sessions');
+const users = require('./users');
+
+const REGION = { id: 'eu5', baseUrl: 'https://eu5.fusionsolar.huawei.com' };
+
+let account;
+const opened = [];
+
+const signIn = (user) => {
+  const session = sessions.createSession(account, user);
+  opened.push(session);
+  return session;
+};
+
+beforeEach(() => {
+  account = sessions.upsertAccount({ userName: 'owner', systemCode: 'secret' }, 'token', { region: REGION });
+});
+
+afterEach(() => {
+  opened.splice(0).forEach(session => sessions.destroySession(session.id));
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('a FusionSolar sign-in sees all of its accounts', () => {
+  const linked = sessions.getSessionAccounts(signIn(null));
+  expect(linked).toEqual([account]);
+  expect(linked.allowedStations).toBeUndefined();
+});
+
+test('an admin is not restricted to any stations', async () => {
+  const admin = await users.create({ userName: 'admin', password: 'admin-password', role: 'admin', stationCodes: ['NE=1'] });
+  const linked = sessions.getSessionAccounts(signIn(admin));
+  expect(linked).toEqual([account]);
+  expect(linked.allowedStations).toBeUndefined();
+});
+
+test('a viewer is restricted to the assigned stations, as they change', async () => {
+  const viewer = await users.create({ userName: 'viewer', password: 'viewer-password', role: 'viewer', stationCodes: ['NE=1'] });
+  const session = signIn(viewer);
+  expect([...sessions.getSessionAccounts(session).allowedStations]).toEqual(['NE=1']);
+
+  await users.update(viewer.id, { stationCodes: ['NE=2', 'NE=3'] });
+  expect([...sessions.getSessionAccounts(session).allowedStations]).toEqual(['NE=2', 'NE=3']);
+});
+
+test('a deleted user has no accounts left', async () => {
+  const operator = await users.create({ userName: 'operator', password: 'operator-password', role: 'operator' });
+  const session = signIn(operator);
+  await users.remove(operator.id);
+  expect(sessions.getSessionAccounts(session)).toEqual([]);
+});
+
+test('a malformed cookie is skipped instead of failing the request', () => {
+  const session = signIn(null);
+  const req = { headers: { cookie: `other=%E0%A4%A; ${sessions.SESSION_COOKIE}=${session.id}` } };
+  expect(sessions.getSession(req)).toBe(session);
+  expect(sessions.getSession({ headers: { cookie: `${sessions.SESSION_COOKIE}=%` } })).toBeNull();
+});
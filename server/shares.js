@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { STATION_CODE_PATTERN } = require('./endpoints');
+const { DATA_DIR } = require('./timeseries');
+
+// Read-only share links, kept in DATA_DIR/shares.json. A share grants its
+// holder the live figures of a fixed set of stations until it expires or is
+// revoked, without signing in. Only a SHA-256 hash of each token is stored;
+// the token itself is returned once, when the share is created.
+const SHARES_FILE = path.join(DATA_DIR, 'shares.json');
+
+const FIELDS = ['label', 'stationCodes', 'expiresInDays'];
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_SHARES = 200;
+const MAX_LABEL_LENGTH = 60;
+const MAX_STATION_CODES = 5000;
+const DAY = 24 * 60 * 60 * 1000;
+
+class ShareError extends Error {}
+
+class ShareNotFoundError extends Error {}
+
+let shares = null;
+let writing = Promise.resolve();
+
+const load = () => {
+  if (shares) return shares;
+  try {
+    shares = JSON.parse(fs.readFileSync(SHARES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read shares:', error.message);
+    }
+    shares = [];
+  }
+  return shares;
+};
+
+// Writes are chained so concurrent updates never interleave
+const save = () => {
+  const snapshot = JSON.stringify(shares, null, 2);
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(SHARES_FILE, snapshot, { mode: 0o600 });
+    });
+  return writing;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const isExpired = (share, now = Date.now()) => Date.parse(share.expiresAt) <= now;
+
+// Public view of a share - never includes the token hash
+const describe = ({ tokenHash, ...share }) => ({ ...share, expired: isExpired(share) });
+
+// Validate and normalize share fields
+const validate = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new ShareError('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(fields).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ShareError(`Unsupported share fields: ${unknown.join(', ')}`);
+  }
+
+  const { label, stationCodes, expiresInDays = DEFAULT_EXPIRY_DAYS } = fields;
+  if (typeof label !== 'string' || label.trim() === '' || label.length > MAX_LABEL_LENGTH) {
+    throw new ShareError(`label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  if (!Array.isArray(stationCodes) || stationCodes.length === 0 || stationCodes.length > MAX_STATION_CODES) {
+    throw new ShareError(`stationCodes must be a list of 1 to ${MAX_STATION_CODES} station codes`);
+  }
+  const invalid = stationCodes.filter(code => typeof code !== 'string' || !STATION_CODE_PATTERN.test(code));
+  if (invalid.length > 0) {
+    throw new ShareError(`stationCodes contains invalid station codes: ${invalid.slice(0, 5).join(', ')}`);
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new ShareError(`expiresInDays must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`);
+  }
+  return { label: label.trim(), stationCodes: [...new Set(stationCodes)], expiresInDays };
+};
+
+const find = (shareId) => {
+  const share = load().find(s => s.id === shareId);
+  if (!share) throw new ShareNotFoundError(`Share not found: ${shareId}`);
+  return share;
+};
+
+// Shares created by ownerId, or every share when ownerId is null
+const list = (ownerId = null) => load()
+  .filter(share => ownerId === null || share.ownerId === ownerId)
+  .map(describe);
+
+// Resolves with { share, token }; the token is not stored and can't be shown again
+const create = async (ownerId, fields) => {
+  const { label, stationCodes, expiresInDays } = validate(fields);
+  if (load().length >= MAX_SHARES) {
+    throw new ShareError(`At most ${MAX_SHARES} shares can be saved - revoke unused ones first`);
+  }
+  const token = crypto.randomBytes(24).toString('base64url');
+  const now = Date.now();
+  const share = {
+    id: crypto.randomBytes(8).toString('hex'),
+    ownerId,
+    label,
+    stationCodes,
+    tokenHash: hashToken(token),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresInDays * DAY).toISOString()
+  };
+  load().push(share);
+  await save();
+  return { share: describe(share), token };
+};
+
+// Revoke a share; ownerId null may revoke any share
+const remove = async (ownerId, shareId) => {
+  const share = find(shareId);
+  if (ownerId !== null && share.ownerId !== ownerId) {
+    throw new ShareNotFoundError(`Share not found: ${shareId}`);
+  }
+  shares = load().filter(s => s !== share);
+  await save();
+};
+
+// The unexpired share a token belongs to, or null
+const resolve = (token) => {
+  if (typeof token !== 'string' || token === '') return null;
+  const tokenHash = hashToken(token);
+  const share = load().find(s => s.tokenHash === tokenHash);
+  return share && !isExpired(share) ? share : null;
+};
+
+// Express middleware for share links: the token comes as
+// "Authorization: Bearer <token>", never in the URL, so it stays out of logs
+const requireShare = (req, res, next) => {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  const share = scheme === 'Bearer' ? resolve(token) : null;
+  if (!share) {
+    return res.status(401).json({
+      success: false,
+      error: 'This share link is invalid, expired or revoked'
+    });
+  }
+  req.share = share;
+  next();
+};
+
+module.exports = {
+  ShareError,
+  ShareNotFoundError,
+  list,
+  create,
+  remove,
+  resolve,
+  requireShare
+};
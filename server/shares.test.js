@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+
+const shares = require('./shares');
+
+const DAY = 24 * 60 * 60 * 1000;
+const FIELDS = { label: 'Lobby', stationCodes: ['NE=1', 'NE=2', 'NE=1'] };
+
+// Runs requireShare with an Authorization header
+const run = (authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  let passed = false;
+  shares.requireShare(req, res, () => { passed = true; });
+  return { passed, req, res };
+};
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await Promise.all(shares.list().map(share => shares.remove(null, share.id)));
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('a new share expires after 30 days by default and lists each station once', async () => {
+  const { share, token } = await shares.create('owner', FIELDS);
+  expect(share).toMatchObject({ ownerId: 'owner', label: 'Lobby', stationCodes: ['NE=1', 'NE=2'], expired: false });
+  expect(Date.parse(share.expiresAt) - Date.parse(share.createdAt)).toBe(30 * DAY);
+  expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+});
+
+test('only a hash of the token is stored', async () => {
+  const { share, token } = await shares.create('owner', FIELDS);
+  const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'shares.json'), 'utf8');
+  expect(stored).not.toContain(token);
+  expect(stored).toContain(crypto.createHash('sha256').update(token).digest('hex'));
+  expect(share.tokenHash).toBeUndefined();
+  expect(shares.list()[0].tokenHash).toBeUndefined();
+});
+
+test('invalid fields are refused', async () => {
+  await expect(shares.create('owner', { ...FIELDS, label: ' ' })).rejects.toThrow(shares.ShareError);
+  await expect(shares.create('owner', { ...FIELDS, stationCodes: [] })).rejects.toThrow(shares.ShareError);
+  await expect(shares.create('owner', { ...FIELDS, stationCodes: ['NE=1', 'abc'] })).rejects.toThrow(/abc/);
+  await expect(shares.create('owner', { ...FIELDS, expiresInDays: 366 })).rejects.toThrow(/expiresInDays/);
+  await expect(shares.create('owner', { ...FIELDS, token: 'chosen' })).rejects.toThrow(/token/);
+  expect(shares.list()).toEqual([]);
+});
+
+test('the token is accepted as a Bearer token only', async () => {
+  const { share, token } = await shares.create('owner', FIELDS);
+
+  const accepted = run(`Bearer ${token}`);
+  expect(accepted.passed).toBe(true);
+  expect(accepted.req.share.id).toBe(share.id);
+
+  expect(run(`Basic ${token}`).passed).toBe(false);
+  expect(run(`Bearer ${token}x`).passed).toBe(false);
+  const missing = run();
+  expect(missing.passed).toBe(false);
+  expect(missing.res.statusCode).toBe(401);
+});
+
+test('an expired share no longer resolves', async () => {
+  const { share, token } = await shares.create('owner', { ...FIELDS, expiresInDays: 1 });
+  expect(shares.resolve(token)).not.toBeNull();
+
+  jest.spyOn(Date, 'now').mockReturnValue(Date.parse(share.expiresAt));
+  expect(shares.resolve(token)).toBeNull();
+  expect(run(`Bearer ${token}`).res.statusCode).toBe(401);
+  expect(shares.list()[0].expired).toBe(true);
+});
+
+test('a revoked share no longer resolves', async () => {
+  const { share, token } = await shares.create('owner', FIELDS);
+  await shares.remove('owner', share.id);
+  expect(shares.resolve(token)).toBeNull();
+  expect(run(`Bearer ${token}`).passed).toBe(false);
+});
+
+test('only the owner or an admin may revoke a share', async () => {
+  const { share } = await shares.create('owner', FIELDS);
+  await expect(shares.remove('someone-else', share.id)).rejects.toThrow(shares.ShareNotFoundError);
+  expect(shares.list('someone-else')).toEqual([]);
+  expect(shares.list('owner')).toHaveLength(1);
+
+  await shares.remove(null, share.id);
+  expect(shares.list()).toEqual([]);
+});
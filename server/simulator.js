@@ -0,0 +1,502 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Offline stand-in for the FusionSolar northbound API (/thirdData). It answers
+// the endpoints the proxy uses with generated but plausible data: generation
+// follows a diurnal curve from each plant's latitude and a per-day weather
+// factor, so numbers move during the day and differ between days.
+//
+// Failures can be injected to exercise the proxy's error handling:
+//   - probabilistically: { 407: 0.1, 500: 0.02 } (failCode or HTTP status -> probability)
+//   - one-off: queueFailure({ code: 305, endpoint: 'getStationRealKpi', count: 1 })
+//
+// With a pageSize the station list is paged like newer northbound versions.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_PLANTS = [
+  {
+    stationCode: 'NE=33550001',
+    stationName: 'Colombo Rooftop',
+    capacity: 0.0198, // MW, as returned by getStationList
+    latitude: 6.93,
+    longitude: 79.85,
+    stationAddr: 'Colombo, Sri Lanka',
+    price: 0.12,
+    healthState: '3',
+    battery: true
+  },
+  {
+    stationCode: 'NE=33550002',
+    stationName: 'Kandy Factory',
+    capacity: 0.1,
+    latitude: 7.29,
+    longitude: 80.63,
+    stationAddr: 'Kandy, Sri Lanka',
+    price: 0.1,
+    healthState: '3'
+  },
+  {
+    stationCode: 'NE=33550003',
+    stationName: 'Galle Warehouse',
+    capacity: 0.05,
+    latitude: 6.03,
+    longitude: 80.22,
+    stationAddr: 'Galle, Sri Lanka',
+    price: 0.11,
+    healthState: '2',
+    performanceRatio: 0.55 // soiled panels and a tripped string
+  }
+];
+
+// Response bodies for injectable failCodes; anything >= 500 is sent as an HTTP status
+const FAILURES = {
+  305: { success: false, failCode: 305, message: 'USER_MUST_RELOGIN' },
+  407: { success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' },
+  20010: { success: false, failCode: 20010, message: 'STATION_CODE_INVALID' }
+};
+
+// Deterministic pseudo-random number in [0, 1) for a string seed
+const seededRandom = (seed) => {
+  return crypto.createHash('md5').update(seed).digest().readUInt32BE(0) / 0x100000000;
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const dayOfYear = (date) => {
+  return Math.floor((date - new Date(date.getFullYear(), 0, 0)) / DAY);
+};
+
+// Local sunrise and day length in hours from latitude and date
+const daylight = (latitude, date) => {
+  const declination = 23.44 * Math.sin((2 * Math.PI * (284 + dayOfYear(date))) / 365) * Math.PI / 180;
+  const lat = latitude * Math.PI / 180;
+  const cosHourAngle = Math.min(Math.max(-Math.tan(lat) * Math.tan(declination), -1), 1);
+  const length = (2 * Math.acos(cosHourAngle) * 180 / Math.PI) / 15;
+  return { sunrise: 12 - length / 2, length };
+};
+
+// Fraction of nameplate power produced at a point in time (0..1)
+const powerFraction = (plant, time) => {
+  const date = new Date(time);
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const { sunrise, length } = daylight(plant.latitude || 0, date);
+  const elapsed = hour - sunrise;
+  if (elapsed <= 0 || elapsed >= length) return 0;
+
+  const dayKey = `${plant.stationCode}:${date.toDateString()}`;
+  const weather = 0.45 + 0.55 * seededRandom(dayKey);
+  const passingCloud = 0.85 + 0.15 * seededRandom(`${dayKey}:${date.getHours()}`);
+  return Math.pow(Math.sin((Math.PI * elapsed) / length), 1.5) * weather * passingCloud;
+};
+
+const PERFORMANCE_RATIO = 0.8;
+
+const performanceRatio = (plant) => plant.performanceRatio || PERFORMANCE_RATIO;
+
+// Energy in kWh produced between two times, integrated in `step` increments
+const energyBetween = (plant, from, to, step = 15 * MINUTE) => {
+  const capacityKw = plant.capacity * 1000;
+  let energy = 0;
+  for (let t = from; t < to; t += step) {
+    const slice = Math.min(step, to - t);
+    energy += capacityKw * performanceRatio(plant) * powerFraction(plant, t + slice / 2) * (slice / HOUR);
+  }
+  return energy;
+};
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const startOfMonth = (time) => {
+  const date = new Date(startOfDay(time));
+  date.setDate(1);
+  return date.getTime();
+};
+
+const startOfYear = (time) => {
+  const date = new Date(startOfMonth(time));
+  date.setMonth(0);
+  return date.getTime();
+};
+
+// Split generation into export and self-consumption the same way every time.
+// Consumption also includes a base load drawn over `duration` ms.
+const energyFlows = (plant, produced, from, duration) => {
+  const selfUse = 0.35 + 0.2 * seededRandom(`${plant.stationCode}:use:${from}`);
+  const baseLoad = plant.capacity * 1000 * 0.2; // kWh per day drawn regardless of sun
+  return {
+    onGrid: produced * (1 - selfUse),
+    use: produced * selfUse + baseLoad * (duration / DAY)
+  };
+};
+
+const createSimulator = (options = {}) => {
+  const plants = options.plants || DEFAULT_PLANTS;
+  const now = options.now || (() => Date.now());
+  const userName = options.userName || 'demo';
+  const systemCode = options.systemCode || 'demo';
+  const tokenTtlMs = options.tokenTtlMs || 30 * MINUTE;
+  const failureRates = { ...(options.failures || {}) };
+  const failureQueue = [];
+  const tokens = new Map(); // token -> expiry time
+  const random = options.random || Math.random;
+  const pageSize = options.pageSize || null;
+
+  // Lifetime totals start from a per-plant commissioning date in the past
+  const commissioned = (plant) => startOfDay(now()) - Math.floor(200 + 800 * seededRandom(`${plant.stationCode}:age`)) * DAY;
+
+  const findPlants = (stationCodes) => {
+    const codes = String(stationCodes || '').split(',').map(code => code.trim()).filter(Boolean);
+    const found = codes.map(code => plants.find(plant => plant.stationCode === code));
+    return found.includes(undefined) || found.length === 0 ? null : found;
+  };
+
+  const realKpi = (plant) => {
+    const time = now();
+    const dayStart = startOfDay(time);
+    const dayPower = energyBetween(plant, dayStart, time);
+    // Earlier days of the month/lifetime use a coarser step, it's only a total
+    const monthPower = energyBetween(plant, startOfMonth(time), dayStart, HOUR) + dayPower;
+    const totalPower = (dayStart - commissioned(plant)) / DAY * plant.capacity * 1000 * 3.6 + dayPower;
+    const flows = energyFlows(plant, dayPower, dayStart, time - dayStart);
+    return {
+      stationCode: plant.stationCode,
+      dataItemMap: {
+        real_health_state: plant.healthState || '3',
+        day_power: round(dayPower),
+        month_power: round(monthPower),
+        total_power: round(totalPower),
+        day_income: round(dayPower * (plant.price || 0)),
+        total_income: round(totalPower * (plant.price || 0)),
+        day_on_grid_energy: round(flows.onGrid),
+        day_use_energy: round(flows.use)
+      }
+    };
+  };
+
+  // One point per period; collectTime is the start of each period
+  const historyPoints = (plant, granularity, collectTime) => {
+    const time = now();
+    const periods = [];
+    if (granularity === 'hour') {
+      const start = startOfDay(collectTime);
+      for (let i = 0; i < 24; i++) periods.push([start + i * HOUR, start + (i + 1) * HOUR]);
+    } else if (granularity === 'day') {
+      const start = new Date(startOfMonth(collectTime));
+      while (start.getMonth() === new Date(startOfMonth(collectTime)).getMonth()) {
+        const from = start.getTime();
+        start.setDate(start.getDate() + 1);
+        periods.push([from, start.getTime()]);
+      }
+    } else if (granularity === 'month') {
+      const start = new Date(startOfYear(collectTime));
+      for (let i = 0; i < 12; i++) {
+        const from = start.getTime();
+        start.setMonth(start.getMonth() + 1);
+        periods.push([from, start.getTime()]);
+      }
+    } else {
+      const first = new Date(commissioned(plant)).getFullYear();
+      for (let year = first; year <= new Date(time).getFullYear(); year++) {
+        periods.push([new Date(year, 0, 1).getTime(), new Date(year + 1, 0, 1).getTime()]);
+      }
+    }
+
+    const step = granularity === 'hour' ? 15 * MINUTE : granularity === 'day' ? 30 * MINUTE : 2 * HOUR;
+    return periods.map(([from, to]) => {
+      const start = Math.max(from, commissioned(plant));
+      const end = Math.min(to, time);
+      if (end <= start) {
+        return { stationCode: plant.stationCode, collectTime: from, dataItemMap: { inverter_power: null, ongrid_power: null, power_profit: null } };
+      }
+      const produced = energyBetween(plant, start, end, step);
+      const flows = energyFlows(plant, produced, from, end - start);
+      const capacityKw = plant.capacity * 1000;
+      return {
+        stationCode: plant.stationCode,
+        collectTime: from,
+        dataItemMap: {
+          inverter_power: round(produced),
+          ongrid_power: round(flows.onGrid),
+          use_power: round(flows.use),
+          power_profit: round(produced * (plant.price || 0)),
+          // Plane-of-array irradiation (kWh/m²) the production implies
+          radiation_intensity: round(produced / (capacityKw * performanceRatio(plant)), 3),
+          perpower_ratio: round(produced / capacityKw, 3),
+          installed_capacity: capacityKw
+        }
+      };
+    });
+  };
+
+  const devicesFor = (plant) => {
+    const base = Number(plant.stationCode.replace(/\D/g, '')) * 10;
+    const devices = [
+      { id: base + 1, devName: `${plant.stationName} Inverter`, devTypeId: plant.capacity > 0.03 ? 1 : 38, esnCode: `ES${base + 1}` },
+      { id: base + 2, devName: `${plant.stationName} Meter`, devTypeId: 47, esnCode: `ES${base + 2}` },
+      { id: base + 3, devName: `${plant.stationName} Dongle`, devTypeId: 62, esnCode: `ES${base + 3}` }
+    ];
+    if (plant.battery) {
+      devices.push({ id: base + 4, devName: `${plant.stationName} Battery`, devTypeId: 39, esnCode: `ES${base + 4}` });
+    }
+    return devices.map(device => ({ ...device, stationCode: plant.stationCode, softwareVersion: 'V100R001C00SPC100' }));
+  };
+
+  const deviceKpi = (plant, device) => {
+    const time = now();
+    const powerKw = plant.capacity * 1000 * performanceRatio(plant) * powerFraction(plant, time);
+    const faulty = plant.healthState === '2';
+    switch (device.devTypeId) {
+      case 1:
+      case 38:
+        return {
+          active_power: round(faulty ? powerKw * 0.5 : powerKw, 3),
+          temperature: round(25 + powerKw / (plant.capacity * 1000) * 30, 1),
+          efficiency: powerKw > 0 ? round(97.5 + seededRandom(`${device.id}:${new Date(time).getHours()}`), 2) : 0,
+          run_state: 1,
+          inverter_state: powerKw > 0 ? 512 : 40960,
+          day_cap: round(energyBetween(plant, startOfDay(time), time)),
+          total_cap: round(realKpi(plant).dataItemMap.total_power)
+        };
+      case 47:
+        return {
+          active_power: round(-powerKw * 1000 * 0.6, 0),
+          meter_status: 1,
+          run_state: 1
+        };
+      case 39:
+        return {
+          battery_soc: round(40 + 50 * powerFraction(plant, time), 0),
+          battery_soh: 98,
+          ch_discharge_power: round(powerKw * 200, 0),
+          battery_status: 2,
+          run_state: 1
+        };
+      default:
+        return { run_state: 1 };
+    }
+  };
+
+  const alarmsFor = (plant) => {
+    if (plant.healthState !== '2') return [];
+    const device = devicesFor(plant)[0];
+    return [{
+      stationCode: plant.stationCode,
+      stationName: plant.stationName,
+      alarmId: 2064,
+      alarmName: 'Low Insulation Resistance',
+      alarmCause: 'The PV array is short-circuited to ground.',
+      causeId: 1,
+      devName: device.devName,
+      devTypeId: device.devTypeId,
+      esnCode: device.esnCode,
+      lev: 1,
+      status: 1,
+      raiseTime: startOfDay(now()) - 15 * HOUR, // 09:00 yesterday
+      repairSuggestion: 'Check the impedance between the PV array output and the ground.'
+    }];
+  };
+
+  const ok = (data) => ({ status: 200, headers: {}, body: { success: true, failCode: 0, data, message: null } });
+
+  const stationInfo = (plant) => ({
+    stationCode: plant.stationCode,
+    stationName: plant.stationName,
+    stationAddr: plant.stationAddr,
+    capacity: plant.capacity,
+    latitude: plant.latitude,
+    longitude: plant.longitude,
+    buildState: null,
+    combineType: null,
+    stationLinkman: null,
+    linkmanPho: null
+  });
+
+  const endpoints = {
+    getStationList: (body) => {
+      if (!pageSize) return ok(plants.map(stationInfo));
+      const pageNo = Math.max(1, parseInt(body.pageNo, 10) || 1);
+      return ok({
+        pageNo,
+        pageSize,
+        pageCount: Math.ceil(plants.length / pageSize),
+        total: plants.length,
+        list: plants.slice((pageNo - 1) * pageSize, pageNo * pageSize).map(stationInfo)
+      });
+    },
+    getStationRealKpi: (body) => {
+      const found = findPlants(body.stationCodes);
+      return found ? ok(found.map(realKpi)) : { status: 200, headers: {}, body: FAILURES[20010] };
+    },
+    getDevList: (body) => {
+      const found = findPlants(body.stationCodes);
+      return found ? ok(found.flatMap(devicesFor)) : { status: 200, headers: {}, body: FAILURES[20010] };
+    },
+    getDevRealKpi: (body) => {
+      const ids = String(body.devIds || '').split(',').map(Number);
+      const result = [];
+      plants.forEach(plant => devicesFor(plant).forEach(device => {
+        if (ids.includes(device.id) && device.devTypeId === Number(body.devTypeId)) {
+          result.push({ devId: device.id, sn: device.esnCode, dataItemMap: deviceKpi(plant, device) });
+        }
+      }));
+      return ok(result);
+    },
+    getAlarmList: (body) => {
+      const found = findPlants(body.stationCodes);
+      if (!found) return { status: 200, headers: {}, body: FAILURES[20010] };
+      return ok(found.flatMap(alarmsFor).filter(alarm => {
+        return (!body.beginTime || alarm.raiseTime >= body.beginTime) && (!body.endTime || alarm.raiseTime <= body.endTime);
+      }));
+    }
+  };
+  ['hour', 'day', 'month', 'year'].forEach(granularity => {
+    const name = `getKpiStation${granularity[0].toUpperCase()}${granularity.slice(1)}`;
+    endpoints[name] = (body) => {
+      const found = findPlants(body.stationCodes);
+      if (!found) return { status: 200, headers: {}, body: FAILURES[20010] };
+      const collectTime = Number(body.collectTime) || now();
+      return ok(found.flatMap(plant => historyPoints(plant, granularity, collectTime)));
+    };
+  });
+
+  // 5xx is an HTTP error; any other code is a failCode in a normal answer
+  const failureResponse = (code) => {
+    if (code >= 500 && code < 600) {
+      return { status: code, headers: {}, body: { success: false, message: 'Simulated server error' } };
+    }
+    if (code === 305) {
+      tokens.clear(); // everyone has to log in again, like a real expiry
+    }
+    const body = FAILURES[code] || { success: false, failCode: code, message: 'Simulated failure' };
+    return { status: 200, headers: {}, body };
+  };
+
+  const pickFailure = (endpoint) => {
+    const index = failureQueue.findIndex(failure => !failure.endpoint || failure.endpoint === endpoint);
+    if (index > -1) {
+      const failure = failureQueue[index];
+      failure.count -= 1;
+      if (failure.count <= 0) failureQueue.splice(index, 1);
+      return failure.code;
+    }
+    const match = Object.entries(failureRates).find(([, rate]) => random() < rate);
+    return match ? Number(match[0]) : null;
+  };
+
+  // Answer one API call. Returns { status, headers, body } like an HTTP response.
+  const handle = (endpoint, body = {}, headers = {}) => {
+    if (endpoint === 'login') {
+      if (body.userName !== userName || body.systemCode !== systemCode) {
+        return { status: 200, headers: {}, body: { success: false, failCode: 20400, message: 'USERNAME_OR_PASSWORD_ERROR' } };
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      tokens.set(token, now() + tokenTtlMs);
+      return { status: 200, headers: { 'xsrf-token': token }, body: { success: true, failCode: 0, data: null, message: null } };
+    }
+
+    const handler = endpoints[endpoint];
+    if (!handler) {
+      return { status: 404, headers: {}, body: { success: false, message: `Unknown endpoint ${endpoint}` } };
+    }
+
+    const failure = pickFailure(endpoint);
+    if (failure) {
+      return failureResponse(failure);
+    }
+
+    const token = headers['xsrf-token'];
+    const expiry = token && tokens.get(token);
+    if (!expiry || expiry < now()) {
+      tokens.delete(token);
+      return { status: 200, headers: {}, body: FAILURES[305] };
+    }
+
+    return handler(body);
+  };
+
+  const queueFailure = ({ code, endpoint = null, count = 1 }) => {
+    failureQueue.push({ code: Number(code), endpoint, count: Number(count) || 1 });
+  };
+
+  const setFailureRates = (rates) => {
+    Object.keys(failureRates).forEach(key => delete failureRates[key]);
+    Object.assign(failureRates, rates);
+  };
+
+  // Express router serving the simulated API under /thirdData plus a small
+  // control endpoint for injecting failures
+  const router = () => {
+    const express = require('express');
+    const simulatorRouter = express.Router();
+
+    simulatorRouter.post('/thirdData/:endpoint', (req, res) => {
+      const response = handle(req.params.endpoint, req.body, { 'xsrf-token': req.get('xsrf-token') });
+      res.status(response.status).set(response.headers).json(response.body);
+    });
+
+    simulatorRouter.get('/failures', (req, res) => {
+      res.json({ success: true, rates: failureRates, queued: failureQueue });
+    });
+
+    simulatorRouter.post('/failures', (req, res) => {
+      const { rates, code, endpoint, count } = req.body;
+      if (rates) setFailureRates(rates);
+      if (code) queueFailure({ code, endpoint, count });
+      res.json({ success: true, rates: failureRates, queued: failureQueue });
+    });
+
+    return simulatorRouter;
+  };
+
+  return { plants, handle, queueFailure, setFailureRates, router };
+};
+
+// SIMULATOR_PLANTS may point at a JSON file with a list of plants
+const loadPlants = (file) => {
+  if (!file) return undefined;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// SIMULATOR_PLANT_COUNT=600 generates that many plants, for trying out large
+// portfolios
+const generatePlants = (count) => {
+  if (!count) return undefined;
+  return Array.from({ length: count }, (_, index) => {
+    const number = String(index + 1).padStart(4, '0');
+    const stationCode = `NE=3356${number}`;
+    const random = (what) => seededRandom(`${stationCode}:${what}`);
+    return {
+      stationCode,
+      stationName: `Plant ${number}`,
+      capacity: round(0.005 + 0.5 * random('capacity') ** 2, 4),
+      latitude: round(5.9 + 3.9 * random('latitude')),
+      longitude: round(79.7 + 2.1 * random('longitude')),
+      stationAddr: 'Sri Lanka',
+      price: 0.1,
+      healthState: random('health') < 0.03 ? '2' : '3'
+    };
+  });
+};
+
+// SIMULATOR_FAILURES="407:0.05,500:0.01"
+const parseFailureRates = (value) => {
+  return String(value || '').split(',').filter(Boolean).reduce((rates, pair) => {
+    const [code, rate] = pair.split(':');
+    rates[code.trim()] = parseFloat(rate);
+    return rates;
+  }, {});
+};
+
+module.exports = {
+  DEFAULT_PLANTS,
+  createSimulator,
+  loadPlants,
+  generatePlants,
+  parseFailureRates
+};
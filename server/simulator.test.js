@@ -0,0 +1,42 @@
+/**
+ * @jest-environment node
+ */
+const { createSimulator } = require('./simulator');
+
+const signIn = (simulator) => simulator.handle('login', { userName: 'demo', systemCode: 'demo' }).headers['xsrf-token'];
+
+test('queued failures answer with their failCode, then the endpoint recovers', () => {
+  const simulator = createSimulator();
+  const token = signIn(simulator);
+  simulator.queueFailure({ code: 407, endpoint: 'getStationList' });
+
+  expect(simulator.handle('getStationList', {}, { 'xsrf-token': token }).body)
+    .toEqual({ success: false, failCode: 407, message: 'ACCESS_FREQUENCY_IS_TOO_HIGH' });
+  expect(simulator.handle('getStationList', {}, { 'xsrf-token': token }).body.success).toBe(true);
+});
+
+test('a queued failCode without a canned answer still gets a failure body', () => {
+  const simulator = createSimulator();
+  const token = signIn(simulator);
+  simulator.queueFailure({ code: 20056 });
+
+  const response = simulator.handle('getStationList', {}, { 'xsrf-token': token });
+  expect(response.status).toBe(200);
+  expect(response.body).toEqual({ success: false, failCode: 20056, message: 'Simulated failure' });
+});
+
+test('queued server errors answer with the HTTP status', () => {
+  const simulator = createSimulator();
+  simulator.queueFailure({ code: 503 });
+  expect(simulator.handle('getStationList', {}, {}).status).toBe(503);
+});
+
+test('failCodes above 599 are answers, not HTTP statuses', () => {
+  const simulator = createSimulator();
+  const token = signIn(simulator);
+  simulator.queueFailure({ code: 20010 });
+
+  const response = simulator.handle('getStationList', {}, { 'xsrf-token': token });
+  expect(response.status).toBe(200);
+  expect(response.body.message).toBe('STATION_CODE_INVALID');
+});
@@ -0,0 +1,172 @@
+const alarms = require('./alarms');
+const collector = require('./collector');
+const endpoints = require('./endpoints');
+const portfolio = require('./portfolio');
+const sessions = require('./sessions');
+
+// Server-Sent Events stream for the dashboard (GET /api/stream). Each open
+// stream is refreshed through the shared scheduler, so any number of browsers
+// cost no more upstream calls than one, and snapshots recorded by the
+// background collector are pushed the moment they arrive. Events:
+//   snapshot  { data, age, partial }  getStationRealKpi items; partial updates
+//                                     only contain the plants that changed
+//   alarms    { data, stationCodes }  getAlarmList items of the last 7 days
+//   status    { state, failCode?, message?, time }  upstream state: ok,
+//             rate-limited, error or signed-out (the stream then ends)
+const POLL_MS = Math.max(
+  parseInt(process.env.STREAM_POLL_MS, 10) || 0,
+  endpoints.quotaWindow('getStationRealKpi')
+);
+
+// Comment lines keep proxies from closing an idle connection
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting after a dropped connection
+const RETRY_MS = 5000;
+
+const clients = new Set();
+
+const send = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendStatus = (client, state, details = {}) => {
+  if (client.lastStatus === state && state === 'ok') return;
+  client.lastStatus = state;
+  send(client, 'status', { state, ...details, time: Date.now() });
+};
+
+const statusFor = (data) => {
+  if (data.failCode === 407) return 'rate-limited';
+  return 'error';
+};
+
+// Re-read the session's accounts so linking, unlinking and signing out elsewhere apply
+const currentAccounts = (client) => {
+  const linked = sessions.getSessionAccounts(client.session);
+  if (linked.length === 0) {
+    sendStatus(client, 'signed-out');
+    client.res.end();
+    return null;
+  }
+  return linked;
+};
+
+const refresh = async (client) => {
+  if (client.refreshing) return;
+  client.refreshing = true;
+
+  try {
+    const accounts = currentAccounts(client);
+    if (!accounts) return;
+
+    const kpi = await portfolio.request(accounts, 'getStationRealKpi', { stationCodes: client.stationCodes });
+    if (kpi.data.success) {
+      const payload = JSON.stringify(kpi.data.data || []);
+      if (payload !== client.lastSnapshot) {
+        client.lastSnapshot = payload;
+        send(client, 'snapshot', { data: kpi.data.data || [], age: kpi.age, partial: false });
+      }
+      sendStatus(client, 'ok');
+    } else {
+      sendStatus(client, statusFor(kpi.data), { failCode: kpi.data.failCode, message: kpi.data.message });
+    }
+
+    const active = await portfolio.forStations(accounts, client.stationCodes, (account, stationCodes) =>
+      alarms.fetchAlarms(account, { stationCodes }));
+    if (active.data.success) {
+      const payload = JSON.stringify(active.data.data || []);
+      if (payload !== client.lastAlarms) {
+        client.lastAlarms = payload;
+        send(client, 'alarms', { data: active.data.data || [], stationCodes: client.stationCodes });
+      }
+    }
+  } catch (error) {
+    console.error('Stream refresh failed:', error.message);
+    sendStatus(client, 'error', { message: error.message });
+  } finally {
+    client.refreshing = false;
+  }
+};
+
+// Push collector snapshots to every stream watching the recorded plants
+collector.events.on('snapshot', ({ accountId, snapshots }) => {
+  clients.forEach(client => {
+    if (!client.session.accountIds.includes(accountId)) return;
+    // The user's station assignment may have changed since the stream opened
+    const accounts = sessions.getSessionAccounts(client.session);
+    const codes = client.stationCodes.split(',');
+    const relevant = snapshots.filter(snapshot =>
+      codes.includes(snapshot.stationCode) && portfolio.canSee(accounts, snapshot.stationCode));
+    if (relevant.length > 0) {
+      // The next poll compares against the full list again
+      client.lastSnapshot = null;
+      send(client, 'snapshot', { data: relevant, age: 0, partial: true });
+      sendStatus(client, 'ok');
+    }
+  });
+});
+
+// Express handler for GET /api/stream?stationCodes=A,B (behind requireSession)
+const handle = (req, res) => {
+  const stationCodes = String(req.query.stationCodes || '');
+  const problems = endpoints.validate('getStationRealKpi', { stationCodes });
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_BODY',
+      error: 'Invalid stationCodes for the stream',
+      details: problems
+    });
+  }
+  const hidden = stationCodes.split(',').map(code => code.trim())
+    .filter(code => !portfolio.canSee(req.accounts, code));
+  if (hidden.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: `Stations not assigned to this user: ${hidden.slice(0, 5).join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = {
+    res,
+    session: req.session,
+    stationCodes,
+    lastSnapshot: null,
+    lastAlarms: null,
+    lastStatus: null,
+    refreshing: false
+  };
+  clients.add(client);
+  console.log(`Stream opened for ${stationCodes.split(',').length} plants (${clients.size} open)`);
+
+  refresh(client);
+  const pollTimer = setInterval(() => refresh(client), POLL_MS);
+  const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    clients.delete(client);
+    console.log(`Stream closed (${clients.size} open)`);
+  });
+};
+
+const getStatus = () => ({
+  clients: clients.size,
+  pollMs: POLL_MS
+});
+
+module.exports = {
+  handle,
+  getStatus
+};
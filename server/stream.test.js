@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./scheduler', () => ({ request: jest.fn(), forgetAccount: jest.fn() }));
+jest.mock('./alarms', () => ({ fetchAlarms: jest.fn() }));
+jest.mock('./collector', () => {
+  const EventEmitter = require('events');
+  return { events: new EventEmitter() };
+});
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-test-'));
+
+const alarms = require('./alarms');
+const collector = require('./collector');
+const scheduler = require('./scheduler');
+const sessions = require('./sessions');
+const stream = require('./stream');
+const users = require('./users');
+
+const STATIONS = [{ stationCode: 'NE=1' }, { stationCode: 'NE=2' }];
+
+// Minimal Express response that records what the stream writes
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null, written: '', listeners: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = () => res;
+  res.flushHeaders = () => {};
+  res.write = (chunk) => { res.written += chunk; };
+  res.end = () => {};
+  res.on = (event, listener) => { res.listeners[event] = listener; };
+  return res;
+};
+
+const events = (res, name) => res.written.split('\n\n')
+  .filter(block => block.startsWith(`event: ${name}\n`))
+  .map(block => JSON.parse(block.split('\ndata: ')[1]));
+
+let account;
+let viewer;
+let session;
+let opened;
+
+beforeAll(async () => {
+  viewer = await users.create({ userName: 'viewer', password: 'viewer-password', role: 'viewer', stationCodes: ['NE=1', 'NE=2'] });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await users.update(viewer.id, { stationCodes: ['NE=1', 'NE=2'] });
+  account = sessions.upsertAccount({ userName: 'owner', systemCode: 'secret' }, 'token', {
+    region: { id: 'eu5', baseUrl: 'https://eu5.fusionsolar.huawei.com' }
+  });
+  session = sessions.createSession(account, viewer);
+  opened = [];
+  scheduler.request.mockImplementation(async (_account, endpoint, body) => ({
+    data: {
+      success: true,
+      data: endpoint === 'getStationList'
+        ? STATIONS
+        : body.stationCodes.split(',').map(stationCode => ({ stationCode, dataItemMap: {} }))
+    },
+    age: 0
+  }));
+  alarms.fetchAlarms.mockResolvedValue({ data: { success: true, data: [] } });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  // Stops the poll and heartbeat timers of every stream a test opened
+  opened.forEach(res => res.listeners.close && res.listeners.close());
+  sessions.destroySession(session.id);
+  jest.restoreAllMocks();
+});
+
+const open = (stationCodes) => {
+  const res = fakeResponse();
+  const req = { query: { stationCodes }, session, accounts: sessions.getSessionAccounts(session) };
+  stream.handle(req, res);
+  opened.push(res);
+  return res;
+};
+
+test('a stream for stations the user is not assigned is refused', async () => {
+  await users.update(viewer.id, { stationCodes: ['NE=1'] });
+  const res = open('NE=1,NE=2');
+  expect(res.statusCode).toBe(403);
+  expect(res.body.error).toMatch(/NE=2/);
+  expect(res.written).toBe('');
+});
+
+test('collector snapshots skip stations unassigned after the stream opened', async () => {
+  const res = open('NE=1,NE=2');
+  expect(res.statusCode).toBe(200);
+
+  await users.update(viewer.id, { stationCodes: ['NE=1'] });
+  collector.events.emit('snapshot', {
+    accountId: account.id,
+    snapshots: [{ stationCode: 'NE=1' }, { stationCode: 'NE=2' }]
+  });
+
+  const partial = events(res, 'snapshot').filter(snapshot => snapshot.partial);
+  expect(partial).toEqual([{ data: [{ stationCode: 'NE=1' }], age: 0, partial: true }]);
+});
@@ -0,0 +1,62 @@
+// Server-side pricing with the plant tariffs from plantConfig, mirroring the
+// client's src/tariffs.js: bands override the base rates between their local
+// times (a band may run past midnight), and with net metering exports are
+// credited at the import rate of the moment.
+const SLICE = 15 * 60 * 1000;
+const DAYLIGHT = { from: 6 * 60, to: 18 * 60 };
+
+// 'HH:MM' to minutes after midnight
+const parseClock = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const inBand = (band, minute) => {
+  const from = parseClock(band.from);
+  const to = parseClock(band.to);
+  return from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+};
+
+// Import and export rate at a minute of the day
+const rateAt = (tariff, minute) => {
+  const band = (tariff.bands || []).find(candidate => inBand(candidate, minute));
+  const importRate = band?.importRate ?? tariff.importRate ?? 0;
+  const exportRate = tariff.netMetering ? importRate : (band?.exportRate ?? tariff.exportRate ?? 0);
+  return { importRate, exportRate };
+};
+
+// Value of the energy of one history point covering `from` to `to`: the
+// self-consumed part (produced minus exported, at most `used`) at the import
+// rate plus the exports at the export rate. Points only carry totals, so the
+// energy is spread evenly over the interval's 15-minute slices between 06:00
+// and 18:00, or over all of them when none falls in that window; an hourly
+// point is thus priced at its own hour's rates.
+const intervalValue = (tariff, { produced, exported, used = null }, from, to) => {
+  const selfConsumed = Math.max(Math.min(produced - exported, used ?? Infinity), 0);
+  const minutes = [];
+  for (let start = from; start < to; start += SLICE) {
+    const middle = new Date((start + Math.min(start + SLICE, to)) / 2);
+    minutes.push(middle.getHours() * 60 + middle.getMinutes());
+  }
+  const daylight = minutes.filter(minute => minute >= DAYLIGHT.from && minute < DAYLIGHT.to);
+  const priced = daylight.length > 0 ? daylight : minutes;
+
+  return priced.reduce((value, minute) => {
+    const rates = rateAt(tariff, minute);
+    return value + (selfConsumed * rates.importRate + exported * rates.exportRate) / priced.length;
+  }, 0);
+};
+
+// Add up { amount, currency } values per currency ('' for unknown)
+const sumByCurrency = (values) => {
+  return values.reduce((sums, { amount, currency }) => {
+    const key = currency || '';
+    return { ...sums, [key]: (sums[key] || 0) + amount };
+  }, {});
+};
+
+module.exports = {
+  rateAt,
+  intervalValue,
+  sumByCurrency
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Append-only time-series store. Every snapshot is one JSON line in a file per
+// UTC day, e.g. data/timeseries/2024-03-05.jsonl:
+//   {"t":1709640000000,"accountId":"...","stationCode":"NE=123","data":{...dataItemMap}}
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SERIES_DIR = path.join(DATA_DIR, 'timeseries');
+const RETENTION_DAYS = parseInt(process.env.TIMESERIES_RETENTION_DAYS, 10) || 400;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_QUERY_DAYS = 31;
+
+class TimeseriesQueryError extends Error {}
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+const dayFile = (key) => path.join(SERIES_DIR, `${key}.jsonl`);
+
+let dirReady = null;
+const ensureDir = () => {
+  if (!dirReady) {
+    dirReady = fs.promises.mkdir(SERIES_DIR, { recursive: true });
+  }
+  return dirReady;
+};
+
+// Append one record per station snapshot
+const append = async (accountId, snapshots, time = Date.now()) => {
+  if (snapshots.length === 0) return;
+  await ensureDir();
+  const lines = snapshots
+    .map(({ stationCode, dataItemMap }) => JSON.stringify({ t: time, accountId, stationCode, data: dataItemMap }))
+    .join('\n');
+  await fs.promises.appendFile(dayFile(dayKey(time)), `${lines}\n`);
+};
+
+const parseTime = (value, name) => {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new TimeseriesQueryError(`${name} must be a timestamp in ms or an ISO date`);
+  }
+  return time;
+};
+
+// Read the points of one metric for some stations of the given accounts
+// within [from, to]. Returns [{ stationCode, metric, points: [{ t, value }] }].
+const query = async (accountIds, { stationCodes, metric, from, to }) => {
+  const codes = String(stationCodes || '').split(',').map(code => code.trim()).filter(Boolean);
+  if (codes.length === 0) {
+    throw new TimeseriesQueryError('stationCodes parameter is required and cannot be empty');
+  }
+  if (!metric) {
+    throw new TimeseriesQueryError('metric parameter is required');
+  }
+  const end = to ? parseTime(to, 'to') : Date.now();
+  const start = from ? parseTime(from, 'from') : end - DAY;
+  if (start > end) {
+    throw new TimeseriesQueryError('from must not be after to');
+  }
+  if (end - start > MAX_QUERY_DAYS * DAY) {
+    throw new TimeseriesQueryError(`Range too large (max ${MAX_QUERY_DAYS} days)`);
+  }
+
+  const owners = new Set(accountIds);
+  const series = new Map(codes.map(code => [code, []]));
+
+  for (let day = Date.parse(dayKey(start)); day <= end; day += DAY) {
+    const file = dayFile(dayKey(day));
+    if (!fs.existsSync(file)) continue;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue; // a partially written last line after a crash
+      }
+      if (!owners.has(record.accountId) || record.t < start || record.t > end) continue;
+      const points = series.get(record.stationCode);
+      if (!points || !record.data || record.data[metric] == null) continue;
+      points.push({ t: record.t, value: parseFloat(record.data[metric]) });
+    }
+  }
+
+  return [...series.entries()].map(([stationCode, points]) => ({ stationCode, metric, points }));
+};
+
+// Delete day files older than the retention period
+const prune = async () => {
+  await ensureDir();
+  const cutoff = dayKey(Date.now() - RETENTION_DAYS * DAY);
+  const files = await fs.promises.readdir(SERIES_DIR);
+  for (const file of files) {
+    if (file.endsWith('.jsonl') && file.slice(0, 10) < cutoff) {
+      console.log('Pruning time-series file:', file);
+      await fs.promises.unlink(path.join(SERIES_DIR, file));
+    }
+  }
+};
+
+module.exports = {
+  DATA_DIR,
+  TimeseriesQueryError,
+  append,
+  query,
+  prune
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { STATION_CODE_PATTERN } = require('./endpoints');
+const { DATA_DIR } = require('./timeseries');
+
+// Dashboard users for AUTH_MODE=users, kept in DATA_DIR/users.json. Users sign
+// in with their own password instead of FusionSolar credentials, which stay
+// on the server. Roles:
+//   admin     every station; manages users and linked FusionSolar accounts
+//   operator  assigned stations; may also change plant settings, email reports
+//             and create share links
+//   viewer    assigned stations, read only
+// Passwords are stored as scrypt hashes with a per-user salt.
+const ENABLED = process.env.AUTH_MODE === 'users';
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+const ROLES = ['admin', 'operator', 'viewer'];
+const FIELDS = ['userName', 'password', 'role', 'stationCodes'];
+const USER_NAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_STATION_CODES = 5000;
+const KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
+
+class UserError extends Error {}
+
+class UserNotFoundError extends Error {}
+
+let users = null;
+let writing = Promise.resolve();
+
+const load = () => {
+  if (users) return users;
+  try {
+    users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read users:', error.message);
+    }
+    users = [];
+  }
+  return users;
+};
+
+// Writes are chained so concurrent updates never interleave
+const save = () => {
+  const snapshot = JSON.stringify(users, null, 2);
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(USERS_FILE, snapshot, { mode: 0o600 });
+    });
+  return writing;
+};
+
+// "scrypt$<salt>$<hash>", both hex
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Hashed once so unknown user names take as long to reject as wrong passwords
+let decoy = null;
+const decoyHash = () => {
+  if (!decoy) decoy = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return decoy;
+};
+
+// Public view of a user - never includes the password hash
+const describe = ({ passwordHash, ...user }) => user;
+
+const findByName = (userName) => {
+  const wanted = String(userName).toLowerCase();
+  return load().find(user => user.userName.toLowerCase() === wanted);
+};
+
+const admins = () => load().filter(user => user.role === 'admin');
+
+// Validate and normalize user fields; `partial` allows missing fields
+const validate = (fields, partial = false) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new UserError('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(fields).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new UserError(`Unsupported user fields: ${unknown.join(', ')}`);
+  }
+
+  const user = {};
+  if (fields.userName !== undefined || !partial) {
+    if (typeof fields.userName !== 'string' || !USER_NAME_PATTERN.test(fields.userName)) {
+      throw new UserError('userName must be 3 to 64 letters, digits or . _ @ -');
+    }
+    user.userName = fields.userName;
+  }
+  if (fields.password !== undefined || !partial) {
+    if (typeof fields.password !== 'string' ||
+        fields.password.length < MIN_PASSWORD_LENGTH || fields.password.length > MAX_PASSWORD_LENGTH) {
+      throw new UserError(`password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    user.password = fields.password;
+  }
+  if (fields.role !== undefined || !partial) {
+    if (!ROLES.includes(fields.role)) {
+      throw new UserError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    user.role = fields.role;
+  }
+  if (fields.stationCodes !== undefined) {
+    const codes = fields.stationCodes;
+    if (!Array.isArray(codes) || codes.length > MAX_STATION_CODES) {
+      throw new UserError(`stationCodes must be a list of at most ${MAX_STATION_CODES} station codes`);
+    }
+    const invalid = codes.filter(code => typeof code !== 'string' || !STATION_CODE_PATTERN.test(code));
+    if (invalid.length > 0) {
+      throw new UserError(`stationCodes contains invalid station codes: ${invalid.slice(0, 5).join(', ')}`);
+    }
+    user.stationCodes = [...new Set(codes)];
+  }
+  return user;
+};
+
+const find = (userId) => {
+  const user = load().find(u => u.id === userId);
+  if (!user) throw new UserNotFoundError(`User not found: ${userId}`);
+  return user;
+};
+
+// The user, or null once it has been deleted
+const get = (userId) => load().find(user => user.id === userId) || null;
+
+const list = () => load().map(describe);
+
+const create = async (fields) => {
+  const { password, ...user } = validate(fields);
+  if (findByName(user.userName)) {
+    throw new UserError(`User already exists: ${user.userName}`);
+  }
+  const now = new Date().toISOString();
+  const created = {
+    id: crypto.randomBytes(8).toString('hex'),
+    stationCodes: [],
+    ...user,
+    passwordHash: await hashPassword(password),
+    createdAt: now,
+    updatedAt: now
+  };
+  load().push(created);
+  await save();
+  return describe(created);
+};
+
+const update = async (userId, fields) => {
+  const target = find(userId);
+  const { password, ...changes } = validate(fields, true);
+  if (changes.userName && findByName(changes.userName) && findByName(changes.userName) !== target) {
+    throw new UserError(`User already exists: ${changes.userName}`);
+  }
+  if (target.role === 'admin' && changes.role && changes.role !== 'admin' && admins().length === 1) {
+    throw new UserError('Cannot change the role of the last admin');
+  }
+  if (password !== undefined) {
+    changes.passwordHash = await hashPassword(password);
+  }
+  Object.assign(target, changes, { updatedAt: new Date().toISOString() });
+  await save();
+  return describe(target);
+};
+
+const remove = async (userId) => {
+  const target = find(userId);
+  if (target.role === 'admin' && admins().length === 1) {
+    throw new UserError('Cannot delete the last admin');
+  }
+  users = load().filter(user => user !== target);
+  await save();
+};
+
+// The user with this name and password, or null
+const authenticate = async (userName, password) => {
+  const user = typeof userName === 'string' ? findByName(userName) : null;
+  const matches = await verifyPassword(String(password || ''), user ? user.passwordHash : await decoyHash());
+  return user && matches ? describe(user) : null;
+};
+
+const changePassword = async (userId, currentPassword, newPassword) => {
+  const user = find(userId);
+  if (!(await verifyPassword(String(currentPassword || ''), user.passwordHash))) {
+    throw new UserError('Current password is incorrect');
+  }
+  return update(userId, { password: newPassword });
+};
+
+// Station codes a user may see, or null for every station (admins)
+const allowedStations = (user) => (user.role === 'admin' ? null : user.stationCodes);
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+const bootstrap = async () => {
+  if (!ENABLED || load().length > 0) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('AUTH_MODE=users but there are no users - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  const admin = await create({ userName: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+  console.log(`👤 Created admin user ${admin.userName}`);
+};
+
+// Express middleware: only lets users with one of the roles through. Sessions
+// signed in with FusionSolar credentials have no user and always pass.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || roles.includes(req.user.role)) return next();
+  res.status(403).json({
+    success: false,
+    error: `Requires the ${roles.join(' or ')} role`
+  });
+};
+
+// Express middleware for user management: admins only. Sessions signed in
+// with FusionSolar credentials have no user and are refused.
+const requireAdmin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') return next();
+  res.status(403).json({
+    success: false,
+    error: ENABLED ? 'Requires the admin role' : 'Dashboard users are disabled (set AUTH_MODE=users)'
+  });
+};
+
+module.exports = {
+  ENABLED,
+  ROLES,
+  UserError,
+  UserNotFoundError,
+  get,
+  list,
+  create,
+  update,
+  remove,
+  authenticate,
+  changePassword,
+  allowedStations,
+  describe,
+  bootstrap,
+  requireRole,
+  requireAdmin
+};
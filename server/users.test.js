@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+const users = require('./users');
+
+// Runs an Express middleware and reports whether it let the request through
+const run = (middleware, user) => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  let passed = false;
+  middleware({ user }, res, () => { passed = true; });
+  return { passed, res };
+};
+
+const admin = { id: 'a', userName: 'admin', role: 'admin', stationCodes: ['NE=1'] };
+const operator = { id: 'o', userName: 'operator', role: 'operator', stationCodes: ['NE=1'] };
+const viewer = { id: 'v', userName: 'viewer', role: 'viewer', stationCodes: ['NE=1', 'NE=2'] };
+
+test('a viewer cannot change plant settings', () => {
+  const { passed, res } = run(users.requireRole('admin', 'operator'), viewer);
+  expect(passed).toBe(false);
+  expect(res.statusCode).toBe(403);
+  expect(res.body.error).toBe('Requires the admin or operator role');
+});
+
+test('operators and admins may write', () => {
+  expect(run(users.requireRole('admin', 'operator'), operator).passed).toBe(true);
+  expect(run(users.requireRole('admin', 'operator'), admin).passed).toBe(true);
+});
+
+test('sessions signed in with FusionSolar credentials have no role to check', () => {
+  expect(run(users.requireRole('admin'), null).passed).toBe(true);
+  expect(run(users.requireAdmin, null).passed).toBe(false);
+});
+
+test('an operator cannot manage users', () => {
+  const { passed, res } = run(users.requireAdmin, operator);
+  expect(passed).toBe(false);
+  expect(res.statusCode).toBe(403);
+  expect(run(users.requireAdmin, admin).passed).toBe(true);
+});
+
+test('admins see every station, everyone else only their assignment', () => {
+  expect(users.allowedStations(admin)).toBeNull();
+  expect(users.allowedStations(operator)).toEqual(['NE=1']);
+  expect(users.allowedStations(viewer)).toEqual(['NE=1', 'NE=2']);
+});
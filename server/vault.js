@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./timeseries');
+
+// Encrypted store of FusionSolar credentials the server signs in with by
+// itself (DATA_DIR/vault.json). The user name and system code of each entry
+// are encrypted with AES-256-GCM, bound to the entry's id; only the label and
+// region are stored in the clear.
+//
+// The key is 32 bytes, given as 64 hex characters or base64 in VAULT_KEY or in
+// the file named by VAULT_KEY_FILE. To rotate it, set the new key, list the
+// old one in VAULT_PREVIOUS_KEYS (comma-separated) and call rotate(), which
+// re-encrypts every entry with the new key.
+const VAULT_FILE = path.join(DATA_DIR, 'vault.json');
+const ALGORITHM = 'aes-256-gcm';
+const FIELDS = ['label', 'userName', 'systemCode', 'region'];
+const MAX_ENTRIES = 50;
+const MAX_LABEL_LENGTH = 60;
+const MAX_CREDENTIAL_LENGTH = 200;
+
+class VaultError extends Error {}
+
+class VaultNotFoundError extends Error {}
+
+class VaultKeyError extends Error {}
+
+let entries = null;
+let keys = null;
+let writing = Promise.resolve();
+
+const parseKey = (text, source) => {
+  const value = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new VaultKeyError(`${source} must be 32 bytes, as 64 hex characters or base64`);
+  }
+  return key;
+};
+
+// Short fingerprint stored with each entry so the right key can be picked
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+// { current, byId } or null when no key is configured
+const loadKeys = () => {
+  if (!keys) {
+    const loaded = { current: null, byId: new Map() };
+    const { VAULT_KEY, VAULT_KEY_FILE, VAULT_PREVIOUS_KEYS } = process.env;
+    if (VAULT_KEY) {
+      loaded.current = parseKey(VAULT_KEY, 'VAULT_KEY');
+    } else if (VAULT_KEY_FILE) {
+      loaded.current = parseKey(fs.readFileSync(VAULT_KEY_FILE, 'utf8'), 'VAULT_KEY_FILE');
+    }
+    String(VAULT_PREVIOUS_KEYS || '').split(',').map(text => text.trim()).filter(Boolean)
+      .forEach((text, index) => {
+        const key = parseKey(text, `VAULT_PREVIOUS_KEYS entry ${index + 1}`);
+        loaded.byId.set(keyId(key), key);
+      });
+    if (loaded.current) loaded.byId.set(keyId(loaded.current), loaded.current);
+    keys = loaded;
+  }
+  return keys.current ? keys : null;
+};
+
+const requireKeys = () => {
+  const loaded = loadKeys();
+  if (!loaded) {
+    throw new VaultKeyError('The credential vault has no key (set VAULT_KEY or VAULT_KEY_FILE)');
+  }
+  return loaded;
+};
+
+const isConfigured = () => {
+  try {
+    return loadKeys() !== null;
+  } catch (error) {
+    return false;
+  }
+};
+
+const load = () => {
+  if (entries) return entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read the credential vault:', error.message);
+    }
+    entries = [];
+  }
+  return entries;
+};
+
+// Writes are chained so concurrent updates never interleave
+const save = () => {
+  const snapshot = JSON.stringify(entries, null, 2);
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(VAULT_FILE, snapshot, { mode: 0o600 });
+    });
+  return writing;
+};
+
+const encrypt = (id, credentials) => {
+  const key = requireKeys().current;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return {
+    keyId: keyId(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+// { userName, systemCode } of an entry
+const decrypt = (entry) => {
+  const key = requireKeys().byId.get(entry.secret.keyId);
+  if (!key) {
+    throw new VaultKeyError(`Entry ${entry.id} is encrypted with an unknown key (${entry.secret.keyId}) - add it to VAULT_PREVIOUS_KEYS`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(entry.secret.iv, 'base64'));
+    decipher.setAAD(Buffer.from(entry.id));
+    decipher.setAuthTag(Buffer.from(entry.secret.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(entry.secret.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new VaultKeyError(`Entry ${entry.id} could not be decrypted - the file or key is corrupt`);
+  }
+};
+
+// Public view of an entry - never includes the system code
+const describe = (entry) => {
+  const { id, label, region, secret, createdAt, updatedAt } = entry;
+  const view = { id, label, region, keyId: secret.keyId, createdAt, updatedAt };
+  try {
+    view.userName = decrypt(entry).userName;
+  } catch (error) {
+    view.userName = null;
+    view.error = error.message;
+  }
+  return view;
+};
+
+const checkString = (value, field, max) => {
+  if (typeof value !== 'string' || value.trim() === '' || value.length > max) {
+    throw new VaultError(`${field} must be a non-empty string of at most ${max} characters`);
+  }
+  return value.trim();
+};
+
+// Validate and normalize entry fields; `partial` allows missing fields
+const validate = (fields, partial = false) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new VaultError('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(fields).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new VaultError(`Unsupported vault fields: ${unknown.join(', ')}`);
+  }
+
+  const entry = {};
+  if (fields.label !== undefined) entry.label = checkString(fields.label, 'label', MAX_LABEL_LENGTH);
+  if (fields.userName !== undefined || !partial) {
+    entry.userName = checkString(fields.userName, 'userName', MAX_CREDENTIAL_LENGTH);
+  }
+  if (fields.systemCode !== undefined || !partial) {
+    entry.systemCode = checkString(fields.systemCode, 'systemCode', MAX_CREDENTIAL_LENGTH);
+  }
+  if (fields.region !== undefined) entry.region = checkString(fields.region, 'region', MAX_LABEL_LENGTH);
+  return entry;
+};
+
+const find = (entryId) => {
+  const entry = load().find(e => e.id === entryId);
+  if (!entry) throw new VaultNotFoundError(`Vault entry not found: ${entryId}`);
+  return entry;
+};
+
+const list = () => load().map(describe);
+
+// Decrypted { id, userName, systemCode, region } of every readable entry,
+// for signing in. Entries that can't be decrypted are skipped with a warning.
+const credentials = () => {
+  if (!isConfigured()) return [];
+  return load().flatMap(entry => {
+    try {
+      return [{ id: entry.id, ...decrypt(entry), region: entry.region }];
+    } catch (error) {
+      console.warn('Skipping vault entry:', error.message);
+      return [];
+    }
+  });
+};
+
+// The validated fields of a new or updated entry, without saving anything -
+// lets the caller check the credentials upstream first
+const prepare = (fields, entryId = null) => {
+  requireKeys();
+  const changes = validate(fields, entryId !== null);
+  const current = entryId !== null ? decrypt(find(entryId)) : {};
+  const userName = changes.userName || current.userName;
+  const taken = credentials().some(other => other.id !== entryId && other.userName === userName);
+  if (taken) {
+    throw new VaultError(`The vault already holds an entry for ${userName}`);
+  }
+  return { ...current, ...changes };
+};
+
+const create = async (fields) => {
+  const { userName, systemCode, label, region } = prepare(fields);
+  if (load().length >= MAX_ENTRIES) {
+    throw new VaultError(`At most ${MAX_ENTRIES} vault entries can be saved`);
+  }
+  const now = new Date().toISOString();
+  const id = crypto.randomBytes(8).toString('hex');
+  const entry = { id, label: label || userName, region: region || 'auto', createdAt: now, updatedAt: now };
+  entry.secret = encrypt(id, { userName, systemCode });
+  load().push(entry);
+  await save();
+  return describe(entry);
+};
+
+// Update the label, region or credentials of an entry (e.g. a changed system code)
+const update = async (entryId, fields) => {
+  const entry = find(entryId);
+  const { userName, systemCode, label, region } = prepare(fields, entryId);
+  if (label) entry.label = label;
+  if (region) entry.region = region;
+  entry.secret = encrypt(entry.id, { userName, systemCode });
+  entry.updatedAt = new Date().toISOString();
+  await save();
+  return describe(entry);
+};
+
+// Removes the entry and resolves with its user name
+const remove = async (entryId) => {
+  const entry = find(entryId);
+  const { userName } = describe(entry);
+  entries = load().filter(e => e !== entry);
+  await save();
+  return userName;
+};
+
+// Re-encrypt every entry still using a previous key with the current key.
+// All of them are decrypted first, so an entry that can't be leaves the
+// vault untouched instead of half rotated.
+const rotate = async () => {
+  const { current } = requireKeys();
+  const currentId = keyId(current);
+  const stale = load().filter(entry => entry.secret.keyId !== currentId);
+  const decrypted = stale.map(entry => ({ entry, credentials: decrypt(entry) }));
+  const updatedAt = new Date().toISOString();
+  decrypted.forEach(({ entry, credentials }) => {
+    entry.secret = encrypt(entry.id, credentials);
+    entry.updatedAt = updatedAt;
+  });
+  if (stale.length > 0) await save();
+  return { rotated: stale.length, entries: load().length, keyId: currentId };
+};
+
+const getStatus = () => {
+  const configured = isConfigured();
+  const currentId = configured ? keyId(loadKeys().current) : null;
+  return {
+    configured,
+    keyId: currentId,
+    entries: load().length,
+    staleEntries: configured ? load().filter(entry => entry.secret.keyId !== currentId).length : null
+  };
+};
+
+module.exports = {
+  VaultError,
+  VaultNotFoundError,
+  VaultKeyError,
+  isConfigured,
+  list,
+  credentials,
+  prepare,
+  create,
+  update,
+  remove,
+  rotate,
+  getStatus
+};
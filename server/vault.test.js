@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const KEY_A = crypto.randomBytes(32).toString('hex');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+const CREDENTIALS = { userName: 'plant-owner', systemCode: 'system-code-1' };
+
+const ENV = ['DATA_DIR', 'VAULT_KEY', 'VAULT_KEY_FILE', 'VAULT_PREVIOUS_KEYS'];
+
+let dataDir;
+
+// A fresh copy of the vault module, reading keys and the vault file anew as
+// the server does after a restart
+const loadVault = (env) => {
+  ENV.forEach(name => delete process.env[name]);
+  Object.assign(process.env, { DATA_DIR: dataDir }, env);
+  let vault;
+  jest.isolateModules(() => {
+    vault = require('./vault');
+  });
+  return vault;
+};
+
+const vaultFile = () => path.join(dataDir, 'vault.json');
+const readEntries = () => JSON.parse(fs.readFileSync(vaultFile(), 'utf8'));
+const writeEntries = (entries) => fs.writeFileSync(vaultFile(), JSON.stringify(entries));
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-test-'));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ENV.forEach(name => delete process.env[name]);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+test('credentials round-trip and never reach the file in the clear', async () => {
+  const created = await loadVault({ VAULT_KEY: KEY_A }).create({ ...CREDENTIALS, label: 'Main', region: 'eu5' });
+  expect(created).toMatchObject({ label: 'Main', region: 'eu5', userName: CREDENTIALS.userName });
+  expect(created.systemCode).toBeUndefined();
+
+  const stored = fs.readFileSync(vaultFile(), 'utf8');
+  expect(stored).not.toContain(CREDENTIALS.userName);
+  expect(stored).not.toContain(CREDENTIALS.systemCode);
+
+  expect(loadVault({ VAULT_KEY: KEY_A }).credentials()).toEqual([{ id: created.id, ...CREDENTIALS, region: 'eu5' }]);
+});
+
+test('the key can also be read from VAULT_KEY_FILE', async () => {
+  const keyFile = path.join(dataDir, 'vault.key');
+  fs.writeFileSync(keyFile, `${KEY_A}\n`);
+  await loadVault({ VAULT_KEY_FILE: keyFile }).create(CREDENTIALS);
+  expect(loadVault({ VAULT_KEY: KEY_A }).credentials()).toHaveLength(1);
+});
+
+test('tampered ciphertext is rejected', async () => {
+  const { id } = await loadVault({ VAULT_KEY: KEY_A }).create(CREDENTIALS);
+  const entries = readEntries();
+  const data = Buffer.from(entries[0].secret.data, 'base64');
+  data[0] ^= 1;
+  entries[0].secret.data = data.toString('base64');
+  writeEntries(entries);
+
+  const vault = loadVault({ VAULT_KEY: KEY_A });
+  expect(vault.credentials()).toEqual([]);
+  expect(vault.list()[0]).toMatchObject({ userName: null, error: expect.stringMatching(/could not be decrypted/) });
+  expect(() => vault.prepare({ label: 'Renamed' }, id)).toThrow(vault.VaultKeyError);
+});
+
+test('an entry moved to another id is rejected', async () => {
+  const vault = loadVault({ VAULT_KEY: KEY_A });
+  await vault.create(CREDENTIALS);
+  await vault.create({ userName: 'second-owner', systemCode: 'system-code-2' });
+
+  // Swapping the secrets keeps each one intact but binds it to the wrong id
+  const entries = readEntries();
+  [entries[0].secret, entries[1].secret] = [entries[1].secret, entries[0].secret];
+  writeEntries(entries);
+
+  expect(loadVault({ VAULT_KEY: KEY_A }).credentials()).toEqual([]);
+  expect(console.warn).toHaveBeenCalledWith('Skipping vault entry:', expect.stringMatching(/could not be decrypted/));
+});
+
+test('rotation re-encrypts entries of a previous key with the current one', async () => {
+  const { id } = await loadVault({ VAULT_KEY: KEY_A }).create(CREDENTIALS);
+
+  const rotating = loadVault({ VAULT_KEY: KEY_B, VAULT_PREVIOUS_KEYS: ` ${KEY_A} ` });
+  expect(rotating.credentials()).toEqual([{ id, ...CREDENTIALS, region: 'auto' }]);
+  expect(rotating.getStatus()).toMatchObject({ configured: true, entries: 1, staleEntries: 1 });
+
+  const result = await rotating.rotate();
+  expect(result).toMatchObject({ rotated: 1, entries: 1 });
+  expect(rotating.getStatus().staleEntries).toBe(0);
+  expect(await rotating.rotate()).toMatchObject({ rotated: 0 });
+
+  // The previous key is no longer needed
+  expect(loadVault({ VAULT_KEY: KEY_B }).credentials()).toEqual([{ id, ...CREDENTIALS, region: 'auto' }]);
+});
+
+test('entries of a key that is not configured are reported, not decrypted', async () => {
+  const { id } = await loadVault({ VAULT_KEY: KEY_A }).create(CREDENTIALS);
+
+  const vault = loadVault({ VAULT_KEY: KEY_B });
+  expect(vault.credentials()).toEqual([]);
+  expect(vault.list()[0].error).toMatch(/unknown key .* VAULT_PREVIOUS_KEYS/);
+  expect(() => vault.prepare({ label: 'Renamed' }, id)).toThrow(vault.VaultKeyError);
+  await expect(vault.rotate()).rejects.toThrow(vault.VaultKeyError);
+});
+
+test('an entry that cannot be decrypted leaves the whole rotation undone', async () => {
+  const first = await loadVault({ VAULT_KEY: KEY_A }).create(CREDENTIALS);
+  await loadVault({ VAULT_KEY: KEY_A }).create({ userName: 'second-owner', systemCode: 'system-code-2' });
+  const entries = readEntries();
+  entries[1].secret.tag = Buffer.alloc(16).toString('base64');
+  writeEntries(entries);
+
+  const rotating = loadVault({ VAULT_KEY: KEY_B, VAULT_PREVIOUS_KEYS: KEY_A });
+  await expect(rotating.rotate()).rejects.toThrow(/could not be decrypted/);
+
+  expect(readEntries()).toEqual(entries);
+  expect(rotating.getStatus().staleEntries).toBe(2);
+  expect(rotating.credentials()).toEqual([{ id: first.id, ...CREDENTIALS, region: 'auto' }]);
+});
+
+test('nothing is stored without a valid key', async () => {
+  const unconfigured = loadVault({});
+  expect(unconfigured.isConfigured()).toBe(false);
+  await expect(unconfigured.create(CREDENTIALS)).rejects.toThrow(/has no key/);
+
+  const malformed = loadVault({ VAULT_KEY: 'too-short' });
+  expect(malformed.isConfigured()).toBe(false);
+  await expect(malformed.create(CREDENTIALS)).rejects.toThrow(/VAULT_KEY must be 32 bytes/);
+  expect(fs.existsSync(vaultFile())).toBe(false);
+});
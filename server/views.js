@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { STATION_CODE_PATTERN } = require('./endpoints');
+const { DATA_DIR } = require('./timeseries');
+
+// Named dashboard views, kept in DATA_DIR/views.json per owner (the account
+// a session signed in with) as { activeViewId, views: [...] }. A view picks
+// its plants by tag and/or station code, and chooses the metric tiles, the
+// order of the plant cards and the number of card columns.
+const VIEWS_FILE = path.join(DATA_DIR, 'views.json');
+
+const TILES = ['generation', 'revenue', 'month', 'lifetime', 'export', 'consumption', 'selfConsumption', 'expected'];
+const SORTS = ['name', 'capacity', 'dayPower', 'specificYield', 'health'];
+const COLUMNS = [1, 2, 3];
+const FIELDS = ['name', 'tags', 'stationCodes', 'tiles', 'sort', 'columns'];
+const MAX_VIEWS = 50;
+const MAX_NAME_LENGTH = 60;
+const MAX_TAGS = 20;
+const MAX_STATION_CODES = 5000;
+
+class ViewError extends Error {}
+
+class ViewNotFoundError extends Error {}
+
+let owners = null;
+let writing = Promise.resolve();
+
+const load = () => {
+  if (owners) return owners;
+  try {
+    owners = JSON.parse(fs.readFileSync(VIEWS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Could not read views:', error.message);
+    }
+    owners = {};
+  }
+  return owners;
+};
+
+// Writes are chained so concurrent updates never interleave
+const save = () => {
+  const snapshot = JSON.stringify(owners, null, 2);
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(VIEWS_FILE, snapshot);
+    });
+  return writing;
+};
+
+const ownerEntry = (ownerId) => {
+  const all = load();
+  if (!all[ownerId]) all[ownerId] = { activeViewId: null, views: [] };
+  return all[ownerId];
+};
+
+const checkStringList = (value, field, max, check) => {
+  if (!Array.isArray(value) || value.length > max) {
+    throw new ViewError(`${field} must be a list of at most ${max} entries`);
+  }
+  value.forEach(item => {
+    if (typeof item !== 'string' || !check(item)) {
+      throw new ViewError(`${field} contains an invalid entry: ${JSON.stringify(item)}`);
+    }
+  });
+  return [...new Set(value)];
+};
+
+// Validate and normalize the fields of a view; `partial` allows missing fields
+const validate = (fields, partial = false) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new ViewError('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(fields).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ViewError(`Unsupported view fields: ${unknown.join(', ')}`);
+  }
+
+  const view = {};
+  if (fields.name !== undefined || !partial) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new ViewError(`name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+    }
+    view.name = name;
+  }
+  if (fields.tags !== undefined) {
+    view.tags = checkStringList(fields.tags, 'tags', MAX_TAGS, tag => tag.trim() !== '');
+  }
+  if (fields.stationCodes !== undefined) {
+    view.stationCodes = checkStringList(fields.stationCodes, 'stationCodes', MAX_STATION_CODES,
+      code => STATION_CODE_PATTERN.test(code));
+  }
+  if (fields.tiles !== undefined) {
+    view.tiles = checkStringList(fields.tiles, 'tiles', TILES.length, tile => TILES.includes(tile));
+  }
+  if (fields.sort !== undefined) {
+    if (!SORTS.includes(fields.sort)) {
+      throw new ViewError(`sort must be one of: ${SORTS.join(', ')}`);
+    }
+    view.sort = fields.sort;
+  }
+  if (fields.columns !== undefined) {
+    if (!COLUMNS.includes(fields.columns)) {
+      throw new ViewError(`columns must be one of: ${COLUMNS.join(', ')}`);
+    }
+    view.columns = fields.columns;
+  }
+  return view;
+};
+
+const find = (entry, viewId) => {
+  const view = entry.views.find(v => v.id === viewId);
+  if (!view) throw new ViewNotFoundError(`View not found: ${viewId}`);
+  return view;
+};
+
+// { activeViewId, views } of an owner
+const list = (ownerId) => {
+  const { activeViewId, views } = ownerEntry(ownerId);
+  return { activeViewId, views };
+};
+
+const create = async (ownerId, fields) => {
+  const entry = ownerEntry(ownerId);
+  if (entry.views.length >= MAX_VIEWS) {
+    throw new ViewError(`At most ${MAX_VIEWS} views can be saved`);
+  }
+  const now = new Date().toISOString();
+  const view = {
+    id: crypto.randomBytes(8).toString('hex'),
+    tags: [],
+    stationCodes: [],
+    tiles: ['generation', 'revenue', 'month', 'lifetime'],
+    sort: 'name',
+    columns: 2,
+    ...validate(fields),
+    createdAt: now,
+    updatedAt: now
+  };
+  entry.views.push(view);
+  await save();
+  return view;
+};
+
+const update = async (ownerId, viewId, fields) => {
+  const view = find(ownerEntry(ownerId), viewId);
+  Object.assign(view, validate(fields, true), { updatedAt: new Date().toISOString() });
+  await save();
+  return view;
+};
+
+const remove = async (ownerId, viewId) => {
+  const entry = ownerEntry(ownerId);
+  find(entry, viewId);
+  entry.views = entry.views.filter(view => view.id !== viewId);
+  if (entry.activeViewId === viewId) entry.activeViewId = null;
+  await save();
+};
+
+// Remember the view to open on the next sign-in; null means all plants
+const setActive = async (ownerId, viewId) => {
+  const entry = ownerEntry(ownerId);
+  if (viewId !== null) find(entry, viewId);
+  entry.activeViewId = viewId;
+  await save();
+};
+
+module.exports = {
+  TILES,
+  SORTS,
+  COLUMNS,
+  ViewError,
+  ViewNotFoundError,
+  list,
+  create,
+  update,
+  remove,
+  setActive
+};
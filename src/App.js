@@ -1,33 +1,82 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Routes, Route, Navigate, NavLink, useNavigate, useMatch } from 'react-router-dom';
 import { 
   Sun, 
-  Zap, 
-  DollarSign, 
-  TrendingUp, 
   Activity, 
-  Settings,
+  Bell,
   RefreshCw,
-  CheckCircle,
   AlertTriangle,
-  XCircle,
   BarChart3,
-  Calendar,
   Clock,
   User,
   Lock,
   LogOut,
   Eye,
-  EyeOff
+  EyeOff,
+  Globe,
+  Users,
+  Wifi,
+  WifiOff,
+  Gauge,
+  LayoutDashboard,
+  Pencil,
+  Plus,
+  UserCog,
+  ShieldCheck,
+  Share2
 } from 'lucide-react';
 
-// API Base URL - automatically detects environment
-const API_BASE_URL = process.env.NODE_ENV === 'production' 
-  ? '' // Use relative URLs in production (same domain)
-  : 'http://localhost:3001';
+import { apiFetch, apiGet, apiPut, callHuawei, SessionExpiredError } from './api';
+import { useLiveUpdates } from './useLiveUpdates';
+import { getHealthStatus } from './health';
+import { canEstimate } from './solar';
+import { plantRevenue, dailyValue, sumByCurrency, formatMoney, formatMoneySums } from './tariffs';
+import { DEFAULT_TILES, COLUMN_CLASSES, sortCards, viewPlants } from './views';
+import HistoryView from './components/HistoryView';
+import PlantDetail from './components/PlantDetail';
+import ExpectedYield from './components/ExpectedYield';
+import AlarmCenter from './components/AlarmCenter';
+import AccountManager from './components/AccountManager';
+import UserManager from './components/UserManager';
+import VaultManager from './components/VaultManager';
+import ShareManager from './components/ShareManager';
+import KioskView from './components/KioskView';
+import AnalyticsView from './components/AnalyticsView';
+import ExportButton from './components/ExportButton';
+import PlantSelector from './components/PlantSelector';
+import MetricTiles from './components/MetricTiles';
+import ViewEditor from './components/ViewEditor';
+
+const LIVE_STATES = {
+  connected: { icon: Wifi, color: 'text-green-600', text: 'Live' },
+  connecting: { icon: Wifi, color: 'text-gray-400', text: 'Connecting...' },
+  reconnecting: { icon: WifiOff, color: 'text-yellow-600', text: 'Reconnecting...' },
+  unsupported: { icon: WifiOff, color: 'text-gray-400', text: 'Polling every 10 min' }
+};
+
+// Header badge showing whether live updates are flowing
+const LiveIndicator = ({ connection }) => {
+  const { icon: Icon, color, text } = LIVE_STATES[connection];
+  return (
+    <div className={`flex items-center space-x-1 text-sm ${color}`} title="Live updates from the proxy">
+      <Icon className="w-4 h-4" />
+      <span>{text}</span>
+    </div>
+  );
+};
+
+// Explain a failed getStationRealKpi call
+const failureMessage = (failCode) => {
+  if (failCode === 407) return 'API rate limit exceeded. Please wait before refreshing.';
+  if (failCode === 20010) return 'Invalid station codes. Please check your plant selection.';
+  return 'Failed to fetch data. Please try again later.';
+};
+
+// Opt in to React Router v7 behaviour (used by the router in index.js)
+export const ROUTER_FUTURE = { v7_startTransition: true, v7_relativeSplatPath: true };
 
 const HuaweiSolarApp = () => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [xsrfToken, setXsrfToken] = useState('');
   const [availablePlants, setAvailablePlants] = useState([]);
   const [selectedPlants, setSelectedPlants] = useState([]);
   const [realTimeData, setRealTimeData] = useState([]);
@@ -35,12 +84,35 @@ const HuaweiSolarApp = () => {
   const [lastUpdate, setLastUpdate] = useState(new Date());
   const [loginError, setLoginError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
+  const navigate = useNavigate();
+  const plantMatch = useMatch('/plants/:stationCode');
+  const isKiosk = Boolean(useMatch('/kiosk'));
+  const selectedStation = plantMatch ? plantMatch.params.stationCode : null;
+  const [showAccounts, setShowAccounts] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
+  const [showVault, setShowVault] = useState(false);
+  const [showShares, setShowShares] = useState(false);
+  // 'users' when the proxy signs people in as dashboard users instead of
+  // with FusionSolar credentials; user is the signed-in dashboard user
+  const [authMode, setAuthMode] = useState('fusionsolar');
+  const [user, setUser] = useState(null);
+  const [liveAlarms, setLiveAlarms] = useState(null);
+  const [plantSettings, setPlantSettings] = useState({});
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
+  // null when closed, 'new' or the id of the view being edited
+  const [editingView, setEditingView] = useState(null);
+  // Plant codes of the last station list, to tell newly linked plants apart
+  const knownPlants = useRef([]);
   
   // Login form state
   const [credentials, setCredentials] = useState({
     userName: '',
-    systemCode: ''
+    systemCode: '',
+    region: 'auto'
   });
+  const [regions, setRegions] = useState([]);
+  const usersMode = authMode === 'users';
 
   // Login function
   const handleLogin = async () => {
@@ -48,32 +120,25 @@ const HuaweiSolarApp = () => {
     setLoginError('');
     
     try {
-      console.log('Making login request to:', `${API_BASE_URL}/api/huawei/login`);
-      
-      // Call login API through proxy
-      const response = await fetch(`${API_BASE_URL}/api/huawei/login`, {
+      // The proxy keeps the XSRF token and answers with a session cookie.
+      // Dashboard users type their password into the system code field.
+      const response = await apiFetch(usersMode ? '/api/auth/login' : '/api/huawei/login', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(credentials)
+        body: JSON.stringify(usersMode
+          ? { userName: credentials.userName, password: credentials.systemCode }
+          : credentials)
       });
       
       const data = await response.json();
       
       if (data.success === true) {
-        // Get XSRF token from response (it should be in the response or headers)
-        const token = data.xsrfToken || response.headers.get('xsrf-token');
-        if (token) {
-          setXsrfToken(token);
-          // Fetch available plants
-          await fetchStationList(token);
-          setIsAuthenticated(true);
-        } else {
-          setLoginError('XSRF token not received. Please check API response.');
-        }
+        // Fetch available plants
+        await fetchStationList();
+        setUser(data.user || null);
+        setIsAuthenticated(true);
+        setCredentials(prev => ({ ...prev, userName: '', systemCode: '' }));
       } else {
-        setLoginError(data.message || 'Login failed. Please check your credentials.');
+        setLoginError(data.message || data.error || 'Login failed. Please check your credentials.');
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -87,41 +152,79 @@ const HuaweiSolarApp = () => {
     }
   };
 
-  // Fetch station list
-  const fetchStationList = async (token) => {
+  // Fetch station list (merged across every linked account)
+  const fetchStationList = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/huawei/getStationList`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          xsrfToken: token
-        })
-      });
-      
-      const data = await response.json();
+      const data = await callHuawei('getStationList');
       
       if (data.success === true && data.data) {
         const plants = data.data.map(station => ({
           code: station.stationCode, // Fixed: use stationCode instead of plantCode
           name: station.stationName, // Fixed: use stationName instead of plantName
-          capacity: `${(station.capacity * 1000).toFixed(1)} kW` // Convert from MW to kW
+          capacity: `${(station.capacity * 1000).toFixed(1)} kW`, // Convert from MW to kW
+          capacityKw: station.capacity * 1000,
+          address: station.stationAddr,
+          latitude: parseFloat(station.latitude),
+          longitude: parseFloat(station.longitude),
+          accountId: station.accountId,
+          account: station.accountLabel
         }));
+        // Select new plants by default and keep the existing selection
+        const known = new Set(knownPlants.current);
+        knownPlants.current = plants.map(plant => plant.code);
         setAvailablePlants(plants);
-        // Select all plants by default
-        setSelectedPlants(plants.map(plant => plant.code));
+        setSelectedPlants(prev => plants
+          .map(plant => plant.code)
+          .filter(code => prev.includes(code) || !known.has(code)));
         console.log('Plants loaded:', plants);
+
+        // Panel settings for the expected-yield model; defaults apply without them
+        const settings = await apiGet('/api/plants/settings');
+        if (settings.success === true) {
+          setPlantSettings(settings.data || {});
+        }
+
+        // Saved views; on sign-in the last active one picks the plants
+        const saved = await apiGet('/api/views');
+        if (saved.success === true) {
+          setViews(saved.data);
+          const view = known.size === 0 && saved.data.find(v => v.id === saved.activeViewId);
+          if (view) {
+            setActiveViewId(view.id);
+            setSelectedPlants(viewPlants(view, plants, settings.data || {}));
+          }
+        }
       }
     } catch (error) {
       console.error('Error fetching station list:', error);
     }
   };
 
+  // Clear all dashboard state and return to the login screen
+  const resetSession = useCallback((message = '') => {
+    setIsAuthenticated(false);
+    setAvailablePlants([]);
+    setSelectedPlants([]);
+    setRealTimeData([]);
+    setCredentials(prev => ({ ...prev, userName: '', systemCode: '' }));
+    setLoginError(message);
+    setShowAccounts(false);
+    setShowUsers(false);
+    setShowVault(false);
+    setShowShares(false);
+    setUser(null);
+    setLiveAlarms(null);
+    setPlantSettings({});
+    setViews([]);
+    setActiveViewId(null);
+    setEditingView(null);
+    knownPlants.current = [];
+  }, []);
+
   // Fetch real-time data with rate limiting protection
-  const fetchRealTimeData = async () => {
-    if (!xsrfToken || selectedPlants.length === 0) {
-      console.log('Skipping fetch - no token or no plants selected');
+  const fetchRealTimeData = useCallback(async () => {
+    if (!isAuthenticated || selectedPlants.length === 0) {
+      console.log('Skipping fetch - not signed in or no plants selected');
       return;
     }
     
@@ -129,18 +232,9 @@ const HuaweiSolarApp = () => {
     try {
       console.log('Fetching data for plants:', selectedPlants);
       
-      const response = await fetch(`${API_BASE_URL}/api/huawei/getStationRealKpi`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          xsrfToken: xsrfToken,
-          stationCodes: selectedPlants.join(',')
-        })
+      const data = await callHuawei('getStationRealKpi', {
+        stationCodes: selectedPlants.join(',')
       });
-      
-      const data = await response.json();
       console.log('Real-time data response:', data);
       
       if (data.success === true) {
@@ -150,75 +244,159 @@ const HuaweiSolarApp = () => {
       } else {
         console.error('API Error:', data.message || data.failCode);
         
-        // Handle specific error codes
-        if (data.failCode === 407) {
-          setLoginError('API rate limit exceeded. Please wait before refreshing.');
-        } else if (data.failCode === 20010) {
-          setLoginError('Invalid station codes. Please check your plant selection.');
-        } else {
-          setLoginError('Failed to fetch data. Please try again later.');
-        }
-        
-        // Don't auto-logout for rate limiting errors
-        if (data.failCode !== 407) {
-          console.log('Session may have expired, but not logging out automatically');
-        }
+        setLoginError(failureMessage(data.failCode));
       }
     } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        resetSession(error.message);
+        return;
+      }
       console.error('Fetch error:', error);
       setLoginError('Network error. Please check your connection.');
     } finally {
       setLoading(false);
     }
-  };
+  }, [isAuthenticated, selectedPlants, resetSession]);
 
   // Logout function
-  const handleLogout = () => {
-    setIsAuthenticated(false);
-    setXsrfToken('');
-    setAvailablePlants([]);
-    setSelectedPlants([]);
-    setRealTimeData([]);
-    setCredentials({ userName: '', systemCode: '' });
-    setLoginError('');
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/huawei/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    resetSession();
   };
 
-  // Auto-refresh effect with longer intervals to avoid rate limiting
+  // Restore an existing server session (e.g. after a page refresh). Kiosk
+  // screens stay signed out even in a browser that holds a session.
   useEffect(() => {
-    if (isAuthenticated && selectedPlants.length > 0) {
+    if (isKiosk) return;
+    const restoreSession = async () => {
+      try {
+        const response = await apiFetch('/api/huawei/session');
+        const data = await response.json();
+        setAuthMode(data.authMode || 'fusionsolar');
+        if (data.authenticated) {
+          await fetchStationList();
+          setUser(data.user || null);
+          setIsAuthenticated(true);
+        }
+      } catch (error) {
+        console.log('No existing session to restore');
+      }
+    };
+    restoreSession();
+  }, [isKiosk]);
+
+  // Regions offered on the login form
+  useEffect(() => {
+    const fetchRegions = async () => {
+      try {
+        const response = await apiFetch('/api/huawei/regions');
+        const data = await response.json();
+        if (data.success === true) {
+          setRegions(data.data);
+        }
+      } catch (error) {
+        console.log('Could not load regions, defaulting to auto-detect');
+      }
+    };
+    fetchRegions();
+  }, []);
+
+  // Live updates pushed by the proxy as soon as it has new data
+  const liveConnection = useLiveUpdates(selectedPlants, {
+    snapshot: ({ data, partial }) => {
+      setRealTimeData(prev => {
+        if (!partial) return data;
+        const updated = new Map(data.map(plant => [plant.stationCode, plant]));
+        const merged = prev.map(plant => updated.get(plant.stationCode) || plant);
+        const known = new Set(prev.map(plant => plant.stationCode));
+        return [...merged, ...data.filter(plant => !known.has(plant.stationCode))];
+      });
+      setLastUpdate(new Date());
+    },
+    alarms: (alarms) => setLiveAlarms(alarms),
+    status: ({ state, failCode }) => {
+      if (state === 'ok') {
+        setLoginError('');
+      } else if (state === 'signed-out') {
+        resetSession(new SessionExpiredError().message);
+      } else {
+        setLoginError(failureMessage(failCode));
+      }
+    },
+    // The proxy refused the stream - find out whether the session is gone
+    refused: async () => {
+      try {
+        const response = await apiFetch('/api/huawei/session');
+        const data = await response.json();
+        if (!data.authenticated) {
+          resetSession(new SessionExpiredError().message);
+        }
+      } catch (error) {
+        console.log('Proxy unreachable, will retry the live stream');
+      }
+    }
+  }, isAuthenticated);
+
+  // Fall back to polling where the browser can't receive the stream, with a
+  // long interval to avoid rate limiting
+  useEffect(() => {
+    if (isAuthenticated && selectedPlants.length > 0 && liveConnection === 'unsupported') {
       fetchRealTimeData();
-      // Increased interval to 10 minutes to avoid rate limiting
       const interval = setInterval(fetchRealTimeData, 600000); // 10 minutes
       return () => clearInterval(interval);
     }
-  }, [isAuthenticated, selectedPlants]);
-
-  const getHealthStatus = (state) => {
-    switch (state) {
-      case '1': return { icon: XCircle, color: 'text-red-500', text: 'Disconnected' };
-      case '2': return { icon: AlertTriangle, color: 'text-yellow-500', text: 'Faulty' };
-      case '3': return { icon: CheckCircle, color: 'text-green-500', text: 'Healthy' };
-      default: return { icon: XCircle, color: 'text-gray-500', text: 'Unknown' };
+  }, [isAuthenticated, selectedPlants, liveConnection, fetchRealTimeData]);
+
+  // Today's revenue of a plant from its tariff, or FusionSolar's day_income
+  const revenueOf = (plant) => plantRevenue(
+    availablePlants.find(p => p.code === plant.stationCode) || {},
+    plantSettings[plant.stationCode],
+    plant.dataItemMap
+  );
+
+  const activeView = views.find(view => view.id === activeViewId);
+
+  // Show a saved view's plants (null for all plants) and remember it for the
+  // next sign-in
+  const switchView = async (viewId, savedViews = views) => {
+    const view = savedViews.find(v => v.id === viewId);
+    setActiveViewId(view ? view.id : null);
+    setSelectedPlants(view
+      ? viewPlants(view, availablePlants, plantSettings)
+      : availablePlants.map(plant => plant.code));
+    try {
+      await apiPut('/api/views/active', { viewId: view ? view.id : null });
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        resetSession(error.message);
+        return;
+      }
+      console.error('Could not remember the active view:', error);
     }
   };
 
-  const calculateTotals = () => {
-    return realTimeData.reduce((totals, plant) => {
-      const data = plant.dataItemMap || {};
-      return {
-        totalDayPower: totals.totalDayPower + parseFloat(data.day_power || 0),
-        totalRevenue: totals.totalRevenue + parseFloat(data.day_income || 0),
-        totalMonthPower: totals.totalMonthPower + parseFloat(data.month_power || 0),
-        totalLifetimePower: totals.totalLifetimePower + parseFloat(data.total_power || 0),
-        totalOnGridEnergy: totals.totalOnGridEnergy + parseFloat(data.day_on_grid_energy || 0)
-      };
-    }, {
-      totalDayPower: 0,
-      totalRevenue: 0,
-      totalMonthPower: 0,
-      totalLifetimePower: 0,
-      totalOnGridEnergy: 0
-    });
+  const handleViewSaved = (view) => {
+    const updated = views.some(v => v.id === view.id)
+      ? views.map(v => (v.id === view.id ? view : v))
+      : [...views, view];
+    setViews(updated);
+    setEditingView(null);
+    switchView(view.id, updated);
+  };
+
+  const handleViewDeleted = (viewId) => {
+    const remaining = views.filter(view => view.id !== viewId);
+    setViews(remaining);
+    setEditingView(null);
+    if (viewId === activeViewId) switchView(null, remaining);
+  };
+
+  const openPlant = (stationCode) => {
+    navigate(`/plants/${encodeURIComponent(stationCode)}`);
   };
 
   const handlePlantSelection = (plantCode) => {
@@ -229,6 +407,11 @@ const HuaweiSolarApp = () => {
     );
   };
 
+  // Share links open the kiosk layout without signing in
+  if (isKiosk) {
+    return <KioskView />;
+  }
+
   // Login Page Component
   if (!isAuthenticated) {
     return (
@@ -239,7 +422,9 @@ const HuaweiSolarApp = () => {
               <Sun className="w-10 h-10 text-white" />
             </div>
             <h1 className="text-2xl font-bold text-gray-900">Solar Dashboard</h1>
-            <p className="text-gray-500 mt-2">Sign in to your Huawei FusionSolar account</p>
+            <p className="text-gray-500 mt-2">
+              {usersMode ? 'Sign in with your dashboard account' : 'Sign in to your Huawei FusionSolar account'}
+            </p>
           </div>
 
           {loginError && (
@@ -270,7 +455,7 @@ const HuaweiSolarApp = () => {
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 <Lock className="w-4 h-4 inline mr-2" />
-                System Code
+                {usersMode ? 'Password' : 'System Code'}
               </label>
               <div className="relative">
                 <input
@@ -279,7 +464,7 @@ const HuaweiSolarApp = () => {
                   value={credentials.systemCode}
                   onChange={(e) => setCredentials(prev => ({ ...prev, systemCode: e.target.value }))}
                   className="w-full px-4 py-3 pr-12 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-colors"
-                  placeholder="Enter your system code (e.g., Maharagama5325)"
+                  placeholder={usersMode ? 'Enter your password' : 'Enter your system code (e.g., Maharagama5325)'}
                 />
                 <button
                   type="button"
@@ -289,11 +474,32 @@ const HuaweiSolarApp = () => {
                   {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
                 </button>
               </div>
-              <p className="text-xs text-gray-500 mt-1">
-                Your system code acts as your password
-              </p>
+              {!usersMode && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Your system code acts as your password
+                </p>
+              )}
             </div>
 
+            {!usersMode && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <Globe className="w-4 h-4 inline mr-2" />
+                  Region
+                </label>
+                <select
+                  value={credentials.region}
+                  onChange={(e) => setCredentials(prev => ({ ...prev, region: e.target.value }))}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 transition-colors"
+                >
+                  <option value="auto">Auto-detect</option>
+                  {regions.map(region => (
+                    <option key={region.id} value={region.id}>{region.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <button
               onClick={handleLogin}
               disabled={loading}
@@ -324,8 +530,6 @@ const HuaweiSolarApp = () => {
   }
 
   // Dashboard Component (when authenticated)
-  const totals = calculateTotals();
-
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -342,6 +546,7 @@ const HuaweiSolarApp = () => {
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              <LiveIndicator connection={liveConnection} />
               <div className="text-sm text-gray-500">
                 <div className="flex items-center space-x-1">
                   <Clock className="w-4 h-4" />
@@ -356,6 +561,87 @@ const HuaweiSolarApp = () => {
                 <RefreshCw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
                 Refresh
               </button>
+              <div className="flex items-center space-x-1">
+                <LayoutDashboard className="w-4 h-4 text-gray-500" />
+                <select
+                  value={activeViewId || ''}
+                  onChange={(e) => switchView(e.target.value || null)}
+                  className="py-2 pl-2 pr-8 border border-gray-300 rounded-md text-sm text-gray-700"
+                  aria-label="View"
+                >
+                  <option value="">All plants</option>
+                  {views.map(view => (
+                    <option key={view.id} value={view.id}>{view.name}</option>
+                  ))}
+                </select>
+                {activeView && (
+                  <button
+                    onClick={() => setEditingView(activeView.id)}
+                    className="p-2 text-gray-500 hover:text-gray-700"
+                    title="Edit view"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => setEditingView('new')}
+                  className="p-2 text-gray-500 hover:text-gray-700"
+                  title="New view"
+                >
+                  <Plus className="w-4 h-4" />
+                </button>
+              </div>
+              {user && (
+                <div className="text-sm text-gray-700" title="Signed-in dashboard user">
+                  <User className="w-4 h-4 inline mr-1" />
+                  {user.userName}
+                  <span className="ml-1 text-xs text-gray-500">({user.role})</span>
+                </div>
+              )}
+              {user && user.role === 'admin' && (
+                <button
+                  onClick={() => setShowUsers(prev => !prev)}
+                  className={`inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
+                    showUsers ? 'bg-orange-50 text-orange-700' : 'text-gray-700 bg-white hover:bg-gray-50'
+                  }`}
+                >
+                  <UserCog className="w-4 h-4 mr-1" />
+                  Users
+                </button>
+              )}
+              {user && user.role === 'admin' && (
+                <button
+                  onClick={() => setShowVault(prev => !prev)}
+                  className={`inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
+                    showVault ? 'bg-orange-50 text-orange-700' : 'text-gray-700 bg-white hover:bg-gray-50'
+                  }`}
+                >
+                  <ShieldCheck className="w-4 h-4 mr-1" />
+                  Vault
+                </button>
+              )}
+              {(!user || user.role !== 'viewer') && (
+                <button
+                  onClick={() => setShowShares(prev => !prev)}
+                  className={`inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
+                    showShares ? 'bg-orange-50 text-orange-700' : 'text-gray-700 bg-white hover:bg-gray-50'
+                  }`}
+                >
+                  <Share2 className="w-4 h-4 mr-1" />
+                  Share
+                </button>
+              )}
+              {(!user || user.role === 'admin') && (
+                <button
+                  onClick={() => setShowAccounts(prev => !prev)}
+                  className={`inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
+                    showAccounts ? 'bg-orange-50 text-orange-700' : 'text-gray-700 bg-white hover:bg-gray-50'
+                  }`}
+                >
+                  <Users className="w-4 h-4 mr-1" />
+                  Accounts
+                </button>
+              )}
               <button
                 onClick={handleLogout}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
@@ -379,194 +665,268 @@ const HuaweiSolarApp = () => {
           </div>
         )}
 
-        {/* Plant Selection */}
-        {availablePlants.length > 0 && (
-          <div className="bg-white rounded-lg shadow mb-6 p-6">
-            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-              <Settings className="w-5 h-5 mr-2" />
-              Select Plants to Monitor
-            </h2>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-              {availablePlants.map((plant) => (
-                <label key={plant.code} className="flex items-center space-x-3 p-3 border rounded-lg hover:bg-gray-50 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={selectedPlants.includes(plant.code)}
-                    onChange={() => handlePlantSelection(plant.code)}
-                    className="h-4 w-4 text-orange-600 focus:ring-orange-500 border-gray-300 rounded"
-                  />
-                  <div className="flex-1 min-w-0">
-                    <div className="text-sm font-medium text-gray-900 truncate">{plant.name}</div>
-                    <div className="text-xs text-gray-500">{plant.capacity}</div>
-                    <div className="text-xs text-gray-400">{plant.code}</div>
-                  </div>
-                </label>
-              ))}
-            </div>
-          </div>
+        {showAccounts && (
+          <AccountManager
+            regions={regions}
+            onAccountsChanged={fetchStationList}
+            onSessionExpired={resetSession}
+          />
         )}
 
-        {/* Key Metrics */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
-          <div className="bg-white rounded-lg shadow p-6">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <Zap className="h-8 w-8 text-yellow-400" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Today's Generation</dt>
-                  <dd className="text-2xl font-semibold text-gray-900">
-                    {totals.totalDayPower.toFixed(2)} kWh
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
+        {showUsers && (
+          <UserManager
+            currentUserId={user.id}
+            selectedPlants={selectedPlants}
+            onSessionExpired={resetSession}
+          />
+        )}
 
-          <div className="bg-white rounded-lg shadow p-6">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <DollarSign className="h-8 w-8 text-green-400" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Today's Revenue</dt>
-                  <dd className="text-2xl font-semibold text-gray-900">
-                    ${totals.totalRevenue.toFixed(2)}
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
+        {showVault && (
+          <VaultManager
+            regions={regions}
+            onAccountsChanged={fetchStationList}
+            onSessionExpired={resetSession}
+          />
+        )}
 
-          <div className="bg-white rounded-lg shadow p-6">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <Calendar className="h-8 w-8 text-blue-400" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">This Month</dt>
-                  <dd className="text-2xl font-semibold text-gray-900">
-                    {totals.totalMonthPower.toFixed(2)} kWh
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
+        {showShares && (
+          <ShareManager
+            selectedPlants={selectedPlants}
+            onSessionExpired={resetSession}
+          />
+        )}
 
-          <div className="bg-white rounded-lg shadow p-6">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <TrendingUp className="h-8 w-8 text-purple-400" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Total Lifetime</dt>
-                  <dd className="text-2xl font-semibold text-gray-900">
-                    {(totals.totalLifetimePower / 1000).toFixed(1)} MWh
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
+        {editingView && (
+          <ViewEditor
+            key={editingView}
+            view={views.find(view => view.id === editingView) || null}
+            plants={availablePlants}
+            plantSettings={plantSettings}
+            selectedPlants={selectedPlants}
+            onSaved={handleViewSaved}
+            onDeleted={handleViewDeleted}
+            onClose={() => setEditingView(null)}
+            onSessionExpired={resetSession}
+          />
+        )}
+
+        {/* View Navigation */}
+        <div className="flex space-x-2 mb-6">
+          {[
+            { path: '/plants', label: 'Dashboard', icon: Activity },
+            { path: '/history', label: 'History', icon: BarChart3 },
+            { path: '/analytics', label: 'Analytics', icon: Gauge },
+            { path: '/alarms', label: 'Alarms', icon: Bell }
+          ].map(({ path, label, icon: Icon }) => (
+            <NavLink
+              key={path}
+              to={path}
+              end
+              className={({ isActive }) => `inline-flex items-center px-4 py-2 text-sm font-medium rounded-md ${
+                isActive
+                  ? 'bg-orange-500 text-white'
+                  : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              <Icon className="w-4 h-4 mr-1" />
+              {label}
+              {path === '/alarms' && liveAlarms && liveAlarms.data.length > 0 && (
+                <span className="ml-2 px-1.5 rounded-full text-xs bg-red-500 text-white">{liveAlarms.data.length}</span>
+              )}
+            </NavLink>
+          ))}
         </div>
 
-        {/* Plant Details */}
-        <div className="bg-white rounded-lg shadow">
-          <div className="px-6 py-4 border-b border-gray-200">
-            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
-              <BarChart3 className="w-5 h-5 mr-2" />
-              Plant Performance Details
-            </h2>
-          </div>
-          <div className="p-6">
-            {realTimeData.length === 0 ? (
-              <div className="text-center py-12">
-                <Sun className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-500">
-                  {selectedPlants.length === 0 
-                    ? "Please select plants to monitor from the selection above."
-                    : "Loading plant data..."
-                  }
-                </p>
-              </div>
-            ) : (
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {realTimeData.map((plant, index) => {
-                  const plantInfo = availablePlants.find(p => p.code === plant.stationCode);
-                  const healthStatus = getHealthStatus(plant.dataItemMap?.real_health_state);
-                  const HealthIcon = healthStatus.icon;
+        {/* Plant Selection */}
+        {availablePlants.length > 0 && !selectedStation && (
+          <PlantSelector
+            plants={availablePlants}
+            selectedPlants={selectedPlants}
+            onToggle={handlePlantSelection}
+            onChange={setSelectedPlants}
+          />
+        )}
+
+        <Routes>
+          <Route path="/plants/:stationCode" element={
+            <PlantDetail
+              key={selectedStation}
+              stationCode={selectedStation}
+              plantInfo={availablePlants.find(p => p.code === selectedStation)}
+              plantData={realTimeData.find(p => p.stationCode === selectedStation)}
+              settings={plantSettings[selectedStation]}
+              canEdit={!user || user.role !== 'viewer'}
+              onSettingsSaved={(settings) => setPlantSettings(prev => ({ ...prev, [selectedStation]: settings }))}
+              onBack={() => navigate('/plants')}
+              onSessionExpired={resetSession}
+            />
+          } />
+          <Route path="/alarms" element={
+            <AlarmCenter
+              availablePlants={availablePlants}
+              selectedPlants={selectedPlants}
+              liveAlarms={liveAlarms}
+              onSessionExpired={resetSession}
+            />
+          } />
+          <Route path="/analytics" element={
+            <AnalyticsView
+              availablePlants={availablePlants}
+              selectedPlants={selectedPlants}
+              onSessionExpired={resetSession}
+            />
+          } />
+          <Route path="/history" element={
+            <HistoryView
+              availablePlants={availablePlants}
+              selectedPlants={selectedPlants}
+              onSessionExpired={resetSession}
+            />
+          } />
+          <Route path="/plants" element={
+          <>
+          <MetricTiles
+            tiles={activeView?.tiles || DEFAULT_TILES}
+            data={realTimeData}
+            plants={availablePlants}
+            plantSettings={plantSettings}
+            revenue={formatMoneySums(sumByCurrency(realTimeData.map(revenueOf)))}
+          />
+
+          {/* Plant Details */}
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <BarChart3 className="w-5 h-5 mr-2" />
+                Plant Performance Details
+              </h2>
+              <ExportButton
+                request={{ type: 'realtime', stationCodes: realTimeData.map(plant => plant.stationCode).join(',') }}
+                disabled={realTimeData.length === 0}
+                onError={setLoginError}
+                onSessionExpired={resetSession}
+              />
+            </div>
+            <div className="p-6">
+              {realTimeData.length === 0 ? (
+                <div className="text-center py-12">
+                  <Sun className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500">
+                    {selectedPlants.length === 0 
+                      ? "Please select plants to monitor from the selection above."
+                      : "Loading plant data..."
+                    }
+                  </p>
+                </div>
+              ) : (
+                <div className={COLUMN_CLASSES[activeView?.columns || 2]}>
+                  {(activeView ? sortCards(realTimeData, activeView.sort, availablePlants) : realTimeData).map((plant, index) => {
+                    const plantInfo = availablePlants.find(p => p.code === plant.stationCode);
+                    const healthStatus = getHealthStatus(plant.dataItemMap?.real_health_state);
+                    const HealthIcon = healthStatus.icon;
+                    const revenue = revenueOf(plant);
+                    const value = plantInfo && dailyValue(plantInfo, plantSettings[plant.stationCode], plant.dataItemMap);
                   
-                  return (
-                    <div key={`${plant.stationCode}-${index}`} className="border border-gray-200 rounded-lg p-6">
-                      <div className="flex items-center justify-between mb-4">
-                        <div>
-                          <h3 className="text-lg font-medium text-gray-900">
-                            {plantInfo?.name || plant.stationCode}
-                          </h3>
-                          <p className="text-sm text-gray-500">{plantInfo?.capacity}</p>
-                        </div>
-                        <div className="flex items-center space-x-1">
-                          <HealthIcon className={`w-5 h-5 ${healthStatus.color}`} />
-                          <span className={`text-sm ${healthStatus.color}`}>
-                            {healthStatus.text}
-                          </span>
+                    return (
+                      <div
+                        key={`${plant.stationCode}-${index}`}
+                        onClick={() => openPlant(plant.stationCode)}
+                        className="border border-gray-200 rounded-lg p-6 cursor-pointer hover:border-orange-300 hover:shadow-sm transition"
+                        title="Show devices"
+                      >
+                        <div className="flex items-center justify-between mb-4">
+                          <div>
+                            <h3 className="text-lg font-medium text-gray-900">
+                              {plantInfo?.name || plant.stationCode}
+                            </h3>
+                            <p className="text-sm text-gray-500">
+                              {plantInfo?.capacity}
+                              {plantInfo?.account && ` · ${plantInfo.account}`}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-1">
+                            <HealthIcon className={`w-5 h-5 ${healthStatus.color}`} />
+                            <span className={`text-sm ${healthStatus.color}`}>
+                              {healthStatus.text}
+                            </span>
+                          </div>
                         </div>
-                      </div>
                       
-                      <div className="grid grid-cols-2 gap-4">
-                        <div className="bg-gray-50 p-3 rounded">
-                          <div className="text-xs text-gray-500 uppercase tracking-wide">Daily Power</div>
-                          <div className="text-lg font-semibold text-gray-900">
-                            {parseFloat(plant.dataItemMap?.day_power || 0).toFixed(2)} kWh
+                        <div className="grid grid-cols-2 gap-4">
+                          <div className="bg-gray-50 p-3 rounded">
+                            <div className="text-xs text-gray-500 uppercase tracking-wide">Daily Power</div>
+                            <div className="text-lg font-semibold text-gray-900">
+                              {parseFloat(plant.dataItemMap?.day_power || 0).toFixed(2)} kWh
+                            </div>
                           </div>
-                        </div>
                         
-                        <div className="bg-gray-50 p-3 rounded">
-                          <div className="text-xs text-gray-500 uppercase tracking-wide">Daily Revenue</div>
-                          <div className="text-lg font-semibold text-gray-900">
-                            ${parseFloat(plant.dataItemMap?.day_income || 0).toFixed(2)}
+                          <div className="bg-gray-50 p-3 rounded">
+                            <div className="text-xs text-gray-500 uppercase tracking-wide">Daily Revenue</div>
+                            <div className="text-lg font-semibold text-gray-900">
+                              {formatMoney(revenue.amount, revenue.currency)}
+                            </div>
                           </div>
-                        </div>
                         
-                        <div className="bg-gray-50 p-3 rounded">
-                          <div className="text-xs text-gray-500 uppercase tracking-wide">Grid Export</div>
-                          <div className="text-lg font-semibold text-gray-900">
-                            {parseFloat(plant.dataItemMap?.day_on_grid_energy || 0).toFixed(2)} kWh
+                          <div className="bg-gray-50 p-3 rounded">
+                            <div className="text-xs text-gray-500 uppercase tracking-wide">Grid Export</div>
+                            <div className="text-lg font-semibold text-gray-900">
+                              {parseFloat(plant.dataItemMap?.day_on_grid_energy || 0).toFixed(2)} kWh
+                            </div>
+                            {value && (
+                              <div className="text-xs text-gray-500">
+                                {formatMoney(value.exportCredit, value.currency)} credit
+                              </div>
+                            )}
                           </div>
-                        </div>
                         
-                        <div className="bg-gray-50 p-3 rounded">
-                          <div className="text-xs text-gray-500 uppercase tracking-wide">Consumption</div>
-                          <div className="text-lg font-semibold text-gray-900">
-                            {parseFloat(plant.dataItemMap?.day_use_energy || 0).toFixed(2)} kWh
+                          <div className="bg-gray-50 p-3 rounded">
+                            <div className="text-xs text-gray-500 uppercase tracking-wide">Consumption</div>
+                            <div className="text-lg font-semibold text-gray-900">
+                              {parseFloat(plant.dataItemMap?.day_use_energy || 0).toFixed(2)} kWh
+                            </div>
+                            {value && (
+                              <div className="text-xs text-gray-500">
+                                {formatMoney(value.savings, value.currency)} saved
+                              </div>
+                            )}
                           </div>
                         </div>
-                      </div>
                       
-                      <div className="mt-4 pt-4 border-t border-gray-200">
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-500">Total Lifetime Generation:</span>
-                          <span className="font-medium text-gray-900">
-                            {(parseFloat(plant.dataItemMap?.total_power || 0) / 1000).toFixed(1)} MWh
-                          </span>
-                        </div>
-                        <div className="flex justify-between text-sm mt-1">
-                          <span className="text-gray-500">Total Revenue:</span>
-                          <span className="font-medium text-gray-900">
-                            ${parseFloat(plant.dataItemMap?.total_income || 0).toFixed(2)}
-                          </span>
+                        {canEstimate(plantInfo) && (
+                          <div className="mt-4">
+                            <ExpectedYield
+                              plant={plantInfo}
+                              settings={plantSettings[plant.stationCode]}
+                              dayPower={plant.dataItemMap?.day_power}
+                            />
+                          </div>
+                        )}
+
+                        <div className="mt-4 pt-4 border-t border-gray-200">
+                          <div className="flex justify-between text-sm">
+                            <span className="text-gray-500">Total Lifetime Generation:</span>
+                            <span className="font-medium text-gray-900">
+                              {(parseFloat(plant.dataItemMap?.total_power || 0) / 1000).toFixed(1)} MWh
+                            </span>
+                          </div>
+                          <div className="flex justify-between text-sm mt-1">
+                            <span className="text-gray-500">Total Revenue (FusionSolar):</span>
+                            <span className="font-medium text-gray-900">
+                              {formatMoney(parseFloat(plant.dataItemMap?.total_income || 0), null)}
+                            </span>
+                          </div>
                         </div>
                       </div>
-                    </div>
-                  );
-                })}
-              </div>
-            )}
+                    );
+                  })}
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+          </>
+          } />
+          <Route path="*" element={<Navigate to="/plants" replace />} />
+        </Routes>
       </div>
     </div>
   );
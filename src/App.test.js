@@ -1,8 +1,251 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import App, { ROUTER_FUTURE } from './App';
+import { createSimulator } from '../server/simulator';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Route the dashboard's proxy calls to the offline FusionSolar simulator, the
+// same way server.js forwards them to the real API
+let simulator;
+let xsrfToken;
+let savedViews;
+let authMode;
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: { get: () => null },
+  json: async () => body
+});
+
+const fakeProxy = async (url, options = {}) => {
+  const path = url.replace(/^https?:\/\/[^/]+/, '');
+  const body = options.body ? JSON.parse(options.body) : {};
+
+  if (path === '/api/huawei/session') {
+    return jsonResponse({ success: true, authenticated: false, authMode });
+  }
+  if (path === '/api/auth/login') {
+    // Dashboard users are backed by the simulator's demo account
+    if (body.password !== 'clientpass') {
+      return jsonResponse({ success: false, error: 'Invalid user name or password' }, 401);
+    }
+    xsrfToken = simulator.handle('login', { userName: 'demo', systemCode: 'demo' }).headers['xsrf-token'];
+    return jsonResponse({ success: true, user: { id: 'u1', userName: body.userName, role: 'viewer', stationCodes: [] } });
+  }
+  if (path === '/api/huawei/regions') {
+    return jsonResponse({ success: true, data: [{ id: 'simulator', label: 'Simulator' }] });
+  }
+  if (path === '/api/huawei/login') {
+    const response = simulator.handle('login', body);
+    xsrfToken = response.headers['xsrf-token'];
+    return jsonResponse(response.body.success ? { success: true, userName: body.userName } : response.body);
+  }
+  if (path === '/api/plants/settings') {
+    return jsonResponse({ success: true, data: {} });
+  }
+  if (path === '/api/views') {
+    return jsonResponse({ success: true, ...savedViews });
+  }
+  if (path === '/api/share') {
+    // The proxy answers share links with its own server account
+    if (options.headers.Authorization !== 'Bearer lobby-token') {
+      return jsonResponse({ success: false, error: 'This share link is invalid, expired or revoked' }, 401);
+    }
+    const headers = { 'xsrf-token': simulator.handle('login', { userName: 'demo', systemCode: 'demo' }).headers['xsrf-token'] };
+    const stations = simulator.handle('getStationList', {}, headers).body.data;
+    const kpi = simulator.handle('getStationRealKpi', { stationCodes: 'NE=33550001,NE=33550003' }, headers).body.data;
+    return jsonResponse({
+      success: true,
+      share: { label: 'Lobby', expiresAt: '2099-01-01T00:00:00.000Z' },
+      plants: stations.filter(station => ['NE=33550001', 'NE=33550003'].includes(station.stationCode)),
+      data: kpi,
+      age: 0
+    });
+  }
+  const endpoint = path.replace('/api/huawei/', '');
+  const response = simulator.handle(endpoint, body, { 'xsrf-token': xsrfToken });
+  return jsonResponse(response.body, response.status);
+};
+
+const renderApp = (path = '/') => render(
+  <MemoryRouter initialEntries={[path]} future={ROUTER_FUTURE}>
+    <App />
+  </MemoryRouter>
+);
+
+const signIn = (userName = 'demo', systemCode = 'demo') => {
+  fireEvent.change(screen.getByPlaceholderText(/enter your username/i), { target: { value: userName } });
+  fireEvent.change(screen.getByPlaceholderText(/enter your system code/i), { target: { value: systemCode } });
+  fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+};
+
+beforeEach(() => {
+  simulator = createSimulator();
+  xsrfToken = null;
+  savedViews = { data: [], activeViewId: null };
+  authMode = 'fusionsolar';
+  global.fetch = jest.fn(fakeProxy);
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete global.EventSource;
+});
+
+// Stand-in for the browser's EventSource that lets a test push stream events
+const installEventSource = () => {
+  const sources = [];
+  global.EventSource = class {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      sources.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = [...(this.listeners[type] || []), listener];
+    }
+
+    emit(type, data) {
+      (this.listeners[type] || []).forEach(listener => listener({ data: JSON.stringify(data) }));
+    }
+
+    close() {}
+  };
+  global.EventSource.CLOSED = 2;
+  return sources;
+};
+
+test('renders the login screen', () => {
+  renderApp();
+  expect(screen.getByText(/sign in to your huawei fusionsolar account/i)).toBeInTheDocument();
+});
+
+test('signs in and shows the simulated plants', async () => {
+  renderApp();
+  signIn();
+
+  expect(await screen.findByText('Select Plants to Monitor')).toBeInTheDocument();
+  // Plant cards appear once the real-time data arrives; the Galle plant is faulty
+  expect(await screen.findByText('Faulty')).toBeInTheDocument();
+  // Each plant is listed in the selector and as a card
+  expect(screen.getAllByText('Kandy Factory')).toHaveLength(2);
+});
+
+test('keeps the chosen region after signing out', async () => {
+  renderApp();
+  await screen.findByRole('option', { name: 'Simulator' });
+  fireEvent.change(screen.getByRole('combobox'), { target: { value: 'simulator' } });
+  signIn();
+  expect(await screen.findByText('Select Plants to Monitor')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /logout/i }));
+  expect(await screen.findByRole('combobox')).toHaveValue('simulator');
+  signIn();
+  await screen.findByText('Select Plants to Monitor');
+  const logins = global.fetch.mock.calls.filter(([url]) => url.endsWith('/api/huawei/login'));
+  expect(JSON.parse(logins[1][1].body).region).toBe('simulator');
+});
+
+test('shows the API message for wrong credentials', async () => {
+  renderApp();
+  signIn('demo', 'wrong');
+
+  expect(await screen.findByText('USERNAME_OR_PASSWORD_ERROR')).toBeInTheDocument();
+});
+
+test('explains rate limiting instead of failing silently', async () => {
+  simulator.queueFailure({ code: 407, endpoint: 'getStationRealKpi' });
+  renderApp();
+  signIn();
+
+  expect(await screen.findByText(/rate limit exceeded/i)).toBeInTheDocument();
+});
+
+test('shows snapshots pushed over the live stream instead of polling', async () => {
+  const sources = installEventSource();
+  renderApp();
+  signIn();
+
+  await waitFor(() => expect(sources).toHaveLength(1));
+  const source = sources[0];
+  act(() => source.onopen());
+  expect(screen.getByText('Live')).toBeInTheDocument();
+
+  const stationCodes = new URL(source.url).searchParams.get('stationCodes');
+  const { body } = simulator.handle('getStationRealKpi', { stationCodes }, { 'xsrf-token': xsrfToken });
+  act(() => source.emit('snapshot', { data: body.data, age: 0, partial: false }));
+
+  expect(await screen.findByText('Faulty')).toBeInTheDocument();
+  const polled = global.fetch.mock.calls.filter(([url]) => url.endsWith('/getStationRealKpi'));
+  expect(polled).toHaveLength(0);
+});
+
+test('opens a deep-linked plant page after signing in', async () => {
+  renderApp('/plants/NE=33550003');
+  signIn();
+
+  expect(await screen.findByRole('heading', { name: 'Galle Warehouse' })).toBeInTheDocument();
+  expect(screen.getByText('All KPIs')).toBeInTheDocument();
+  expect(await screen.findByText('real_health_state')).toBeInTheDocument();
+  expect(screen.getByText('Faulty')).toBeInTheDocument();
+  expect(screen.queryByText('Select Plants to Monitor')).not.toBeInTheDocument();
+});
+
+test('opens the last active view with its plants and card layout', async () => {
+  savedViews = {
+    data: [{
+      id: 'galle',
+      name: 'Galle only',
+      tags: [],
+      stationCodes: ['NE=33550003'],
+      tiles: ['generation', 'export'],
+      sort: 'name',
+      columns: 1
+    }],
+    activeViewId: 'galle'
+  };
+  renderApp();
+  signIn();
+
+  expect(await screen.findByText('Faulty')).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'View' })).toHaveValue('galle');
+  expect(screen.getByText('Grid Export Today')).toBeInTheDocument();
+  expect(screen.queryByText('This Month')).not.toBeInTheDocument();
+  // Kandy Factory stays in the selector but gets no card
+  expect(screen.getAllByText('Kandy Factory')).toHaveLength(1);
+  expect(screen.getAllByText('Galle Warehouse')).toHaveLength(2);
+});
+
+test('signs dashboard users in with a password and hides admin controls', async () => {
+  authMode = 'users';
+  renderApp();
+
+  expect(await screen.findByText('Sign in with your dashboard account')).toBeInTheDocument();
+  expect(screen.queryByText('Region')).not.toBeInTheDocument();
+  fireEvent.change(screen.getByPlaceholderText(/enter your username/i), { target: { value: 'clienta' } });
+  fireEvent.change(screen.getByPlaceholderText('Enter your password'), { target: { value: 'clientpass' } });
+  fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+  expect(await screen.findByText('(viewer)')).toBeInTheDocument();
+  expect(screen.getByText('clienta')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /accounts/i })).not.toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: /users/i })).not.toBeInTheDocument();
+});
+
+test('shows the kiosk for a share link without signing in', async () => {
+  renderApp('/kiosk#lobby-token');
+
+  expect(await screen.findByText('Lobby')).toBeInTheDocument();
+  expect(screen.getByText('Galle Warehouse')).toBeInTheDocument();
+  expect(screen.getByText('Faulty')).toBeInTheDocument();
+  // Only the shared plants, and no dashboard controls
+  expect(screen.queryByText('Kandy Factory')).not.toBeInTheDocument();
+  expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  expect(screen.queryByText(/sign in to your huawei fusionsolar account/i)).not.toBeInTheDocument();
+});
+
+test('explains a revoked share link in the kiosk', async () => {
+  renderApp('/kiosk#old-token');
+  expect(await screen.findByText('This share link is invalid, expired or revoked')).toBeInTheDocument();
 });
@@ -0,0 +1,47 @@
+// Helpers for getAlarmList alarms and their local acknowledgement state
+
+export const SEVERITIES = {
+  1: { label: 'Critical', color: 'bg-red-100 text-red-800' },
+  2: { label: 'Major', color: 'bg-orange-100 text-orange-800' },
+  3: { label: 'Minor', color: 'bg-yellow-100 text-yellow-800' },
+  4: { label: 'Warning', color: 'bg-blue-100 text-blue-800' }
+};
+
+const ACK_STORAGE_KEY = 'acknowledgedAlarms';
+
+// An alarm is identified by where it was raised, what it is and when
+export const alarmKey = (alarm) => {
+  return [alarm.stationCode, alarm.esnCode, alarm.alarmId, alarm.raiseTime].join(':');
+};
+
+export const loadAcknowledged = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACK_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const saveAcknowledged = (acknowledged) => {
+  localStorage.setItem(ACK_STORAGE_KEY, JSON.stringify(acknowledged));
+};
+
+// Drop acknowledgements for alarms of the queried stations that are no
+// longer active; acknowledgements for other stations are kept
+export const pruneAcknowledged = (acknowledged, alarms, stationCodes) => {
+  const activeKeys = new Set(alarms.map(alarmKey));
+  const queried = new Set(stationCodes);
+  return Object.fromEntries(
+    Object.entries(acknowledged).filter(([key, value]) => {
+      return !queried.has(value.stationCode) || activeKeys.has(key);
+    })
+  );
+};
+
+export const filterAlarms = (alarms, { severities, stationCode, acknowledged, showAcknowledged }) => {
+  return alarms
+    .filter(alarm => severities.includes(Number(alarm.lev)))
+    .filter(alarm => !stationCode || alarm.stationCode === stationCode)
+    .filter(alarm => showAcknowledged || !acknowledged[alarmKey(alarm)])
+    .sort((a, b) => Number(a.lev) - Number(b.lev) || b.raiseTime - a.raiseTime);
+};
@@ -0,0 +1,40 @@
+import { alarmKey, filterAlarms, pruneAcknowledged } from './alarms';
+
+const alarms = [
+  { stationCode: 'A', esnCode: 'INV1', alarmId: 2032, raiseTime: 100, lev: 3 },
+  { stationCode: 'A', esnCode: 'INV2', alarmId: 2064, raiseTime: 200, lev: 1 },
+  { stationCode: 'B', esnCode: 'INV3', alarmId: 2032, raiseTime: 300, lev: 2 }
+];
+
+test('filterAlarms applies severity, plant and acknowledgement filters', () => {
+  const acknowledged = { [alarmKey(alarms[1])]: { stationCode: 'A' } };
+
+  const visible = filterAlarms(alarms, {
+    severities: [1, 2, 3, 4],
+    stationCode: '',
+    acknowledged,
+    showAcknowledged: false
+  });
+  expect(visible.map(a => a.esnCode)).toEqual(['INV3', 'INV1']);
+
+  const plantA = filterAlarms(alarms, {
+    severities: [1, 3],
+    stationCode: 'A',
+    acknowledged,
+    showAcknowledged: true
+  });
+  expect(plantA.map(a => a.esnCode)).toEqual(['INV2', 'INV1']);
+});
+
+test('pruneAcknowledged only forgets cleared alarms of the queried plants', () => {
+  const acknowledged = {
+    'A:OLD:1:1': { stationCode: 'A' },
+    'C:OTHER:1:1': { stationCode: 'C' },
+    [alarmKey(alarms[0])]: { stationCode: 'A' }
+  };
+
+  expect(Object.keys(pruneAcknowledged(acknowledged, alarms, ['A', 'B']))).toEqual([
+    'C:OTHER:1:1',
+    alarmKey(alarms[0])
+  ]);
+});
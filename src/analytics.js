@@ -0,0 +1,149 @@
+// Performance analytics on top of the history points from /api/history:
+// specific yield (kWh per kWp installed), performance ratio, ranking against
+// the fleet and trends over the loaded periods.
+
+// Small fleets can't support a robust spread estimate, so below this many
+// plants an outlier is anything this far from the fleet median
+export const MIN_FLEET_FOR_STATISTICS = 5;
+export const OUTLIER_DEVIATION = 0.2;
+
+// With enough plants: robust z-score (based on the median absolute deviation)
+// above this, as long as the plant is at least MIN_OUTLIER_DEVIATION off
+export const OUTLIER_Z_SCORE = 3.5;
+export const MIN_OUTLIER_DEVIATION = 0.1;
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// kWh per kWp
+export const specificYield = (energyKwh, capacityKw) => {
+  return capacityKw > 0 ? energyKwh / capacityKw : null;
+};
+
+// Final yield over reference yield. Irradiation is in kWh/m², which at the
+// 1 kW/m² of standard test conditions equals the reference yield in hours.
+export const performanceRatio = (energyKwh, capacityKw, irradiation) => {
+  return capacityKw > 0 && irradiation > 0 ? energyKwh / (capacityKw * irradiation) : null;
+};
+
+// Least-squares slope of a series per step, relative to its mean (0.05 means
+// +5% per period). Null for fewer than two values or a zero mean.
+export const trend = (values) => {
+  const n = values.length;
+  if (n < 2) return null;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  if (meanY === 0) return null;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  });
+  return numerator / denominator / meanY;
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+// Per-plant statistics for history points. Capacities in kWp come from
+// `capacities` (stationCode -> kWp) or else from the points' installed_capacity.
+// Periods without a reported yield (e.g. before commissioning) are skipped.
+export const analyzePlants = (points, capacities = {}) => {
+  const byPlant = new Map();
+  points.forEach(point => {
+    if (!byPlant.has(point.stationCode)) byPlant.set(point.stationCode, []);
+    byPlant.get(point.stationCode).push(point);
+  });
+
+  return [...byPlant.entries()].map(([stationCode, plantPoints]) => {
+    const sorted = [...plantPoints].sort((a, b) => a.collectTime - b.collectTime);
+    const reported = sorted.map(point => toNumber(point.dataItemMap?.installed_capacity)).filter(value => value > 0);
+    const capacity = capacities[stationCode] || reported[reported.length - 1] || null;
+
+    let energy = 0;
+    let prEnergy = 0;
+    let irradiation = 0;
+    const periods = [];
+    sorted.forEach(point => {
+      const periodEnergy = toNumber(point.dataItemMap?.inverter_power);
+      if (periodEnergy === null) return;
+      const periodIrradiation = toNumber(point.dataItemMap?.radiation_intensity);
+      energy += periodEnergy;
+      if (periodIrradiation > 0) {
+        prEnergy += periodEnergy;
+        irradiation += periodIrradiation;
+      }
+      periods.push({
+        time: point.collectTime,
+        energy: periodEnergy,
+        specificYield: specificYield(periodEnergy, capacity),
+        performanceRatio: performanceRatio(periodEnergy, capacity, periodIrradiation)
+      });
+    });
+
+    const yields = periods.map(period => period.specificYield).filter(value => value !== null);
+    return {
+      stationCode,
+      capacity,
+      energy,
+      specificYield: periods.length > 0 ? specificYield(energy, capacity) : null,
+      averageYield: yields.length > 0 ? yields.reduce((sum, value) => sum + value, 0) / yields.length : null,
+      performanceRatio: performanceRatio(prEnergy, capacity, irradiation),
+      trend: trend(yields),
+      periods
+    };
+  });
+};
+
+// Rank plants by specific yield (best first) and flag outliers against the
+// fleet median. Plants without a specific yield are listed last, unranked.
+export const rankPlants = (stats) => {
+  const ranked = stats.filter(plant => plant.specificYield !== null)
+    .sort((a, b) => b.specificYield - a.specificYield);
+  const yields = ranked.map(plant => plant.specificYield);
+  const fleetMedian = median(yields);
+  const spread = median(yields.map(value => Math.abs(value - fleetMedian)));
+  const statistical = ranked.length >= MIN_FLEET_FOR_STATISTICS;
+
+  const plants = ranked.map((plant, index) => {
+    const deviation = fleetMedian > 0 ? (plant.specificYield - fleetMedian) / fleetMedian : 0;
+    const zScore = spread > 0 ? 0.6745 * (plant.specificYield - fleetMedian) / spread : 0;
+    const isOutlier = statistical
+      ? Math.abs(zScore) >= OUTLIER_Z_SCORE && Math.abs(deviation) >= MIN_OUTLIER_DEVIATION
+      : Math.abs(deviation) >= OUTLIER_DEVIATION;
+    return {
+      ...plant,
+      rank: index + 1,
+      deviation,
+      zScore,
+      outlier: isOutlier ? (deviation < 0 ? 'low' : 'high') : null
+    };
+  });
+
+  const unranked = stats.filter(plant => plant.specificYield === null)
+    .map(plant => ({ ...plant, rank: null, deviation: null, zScore: null, outlier: null }));
+
+  return { fleetMedian, plants: [...plants, ...unranked] };
+};
+
+// Specific yield of the whole fleet per period: total energy over the
+// capacity of the plants that reported for that period
+export const fleetSeries = (stats) => {
+  const totals = new Map();
+  stats.forEach(plant => {
+    if (!(plant.capacity > 0)) return;
+    plant.periods.forEach(period => {
+      const total = totals.get(period.time) || { energy: 0, capacity: 0 };
+      total.energy += period.energy;
+      total.capacity += plant.capacity;
+      totals.set(period.time, total);
+    });
+  });
+  return [...totals.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([time, total]) => ({ time, value: specificYield(total.energy, total.capacity) }));
+};
@@ -0,0 +1,69 @@
+import { analyzePlants, rankPlants, fleetSeries, trend, performanceRatio } from './analytics';
+
+const day = (stationCode, collectTime, energy, extra = {}) => ({
+  stationCode,
+  collectTime,
+  dataItemMap: { inverter_power: energy, ...extra }
+});
+
+test('analyzePlants computes specific yield, performance ratio and trend', () => {
+  const points = [
+    day('A', 2000, 40, { radiation_intensity: 5 }),
+    day('A', 1000, 30, { radiation_intensity: 5 }),
+    day('A', 3000, null),
+    day('B', 1000, '12', { installed_capacity: 4 })
+  ];
+
+  const [a, b] = analyzePlants(points, { A: 10 });
+
+  expect(a.capacity).toBe(10);
+  expect(a.energy).toBe(70);
+  expect(a.specificYield).toBe(7);
+  expect(a.performanceRatio).toBeCloseTo(0.7);
+  expect(a.periods.map(p => p.specificYield)).toEqual([3, 4]);
+  expect(a.trend).toBeCloseTo(1 / 3.5);
+
+  // Capacity falls back to installed_capacity; no irradiation means no PR
+  expect(b.capacity).toBe(4);
+  expect(b.specificYield).toBe(3);
+  expect(b.performanceRatio).toBeNull();
+});
+
+test('rankPlants orders by specific yield and flags plants far from the median', () => {
+  const stats = [
+    { stationCode: 'A', specificYield: 4.0 },
+    { stationCode: 'B', specificYield: 4.2 },
+    { stationCode: 'C', specificYield: 2.5 },
+    { stationCode: 'D', specificYield: null }
+  ];
+
+  const { fleetMedian, plants } = rankPlants(stats);
+
+  expect(fleetMedian).toBe(4.0);
+  expect(plants.map(p => [p.stationCode, p.rank, p.outlier])).toEqual([
+    ['B', 1, null],
+    ['A', 2, null],
+    ['C', 3, 'low'],
+    ['D', null, null]
+  ]);
+  expect(plants[2].deviation).toBeCloseTo(-0.375);
+});
+
+test('rankPlants uses robust z-scores for larger fleets', () => {
+  const yields = [4.0, 4.1, 3.9, 4.05, 3.95, 3.4];
+  const { plants } = rankPlants(yields.map((value, i) => ({ stationCode: `P${i}`, specificYield: value })));
+
+  const flagged = plants.filter(p => p.outlier).map(p => p.stationCode);
+  expect(flagged).toEqual(['P5']);
+});
+
+test('fleetSeries divides total energy by the capacity reporting each period', () => {
+  const stats = [
+    { capacity: 10, periods: [{ time: 1, energy: 30 }, { time: 2, energy: 40 }] },
+    { capacity: 5, periods: [{ time: 2, energy: 20 }] },
+    { capacity: null, periods: [{ time: 1, energy: 99 }] }
+  ];
+  expect(fleetSeries(stats)).toEqual([{ time: 1, value: 3 }, { time: 2, value: 4 }]);
+  expect(trend([1])).toBeNull();
+  expect(performanceRatio(10, 0, 5)).toBeNull();
+});
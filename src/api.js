@@ -0,0 +1,96 @@
+// API Base URL - automatically detects environment
+export const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '' // Use relative URLs in production (same domain)
+  : 'http://localhost:3001';
+
+// Thrown when the proxy no longer recognises our session cookie
+export class SessionExpiredError extends Error {
+  constructor() {
+    super('Your session has expired. Please sign in again.');
+    this.name = 'SessionExpiredError';
+  }
+}
+
+// fetch wrapper that always sends the httpOnly session cookie to the proxy
+export const apiFetch = (path, options = {}) => {
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      ...options.headers
+    }
+  });
+};
+
+// Parse a proxy response, turning 401 into SessionExpiredError
+const parseResponse = async (response) => {
+  if (response.status === 401) {
+    throw new SessionExpiredError();
+  }
+
+  return response.json();
+};
+
+// GET a proxy path and return the parsed response body
+export const apiGet = async (path) => parseResponse(await apiFetch(path));
+
+// POST a JSON body to the proxy and return the parsed response body
+export const apiPost = async (path, body = {}) => {
+  const response = await apiFetch(path, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+
+  return parseResponse(response);
+};
+
+// PUT a JSON body to the proxy and return the parsed response body
+export const apiPut = async (path, body = {}) => {
+  const response = await apiFetch(path, {
+    method: 'PUT',
+    body: JSON.stringify(body)
+  });
+
+  return parseResponse(response);
+};
+
+// POST a JSON body and save the file the proxy returns. Resolves to
+// { success: true, fileName }, or to the proxy's JSON error body.
+export const apiDownload = async (path, body = {}) => {
+  const response = await apiFetch(path, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok || (response.headers.get('Content-Type') || '').includes('application/json')) {
+    return parseResponse(response);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || 'export';
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  return { success: true, fileName };
+};
+
+// DELETE a proxy resource and return the parsed response body
+export const apiDelete = async (path) => parseResponse(await apiFetch(path, { method: 'DELETE' }));
+
+// POST to a FusionSolar endpoint through the proxy and return the parsed body
+export const callHuawei = (endpoint, body = {}) => apiPost(`/api/huawei/${endpoint}`, body);
+
+// GET the read-only data behind a share link. The token goes in a header so
+// it never shows up in server logs; an invalid link answers 401 with an error.
+export const fetchShare = async (token) => {
+  const response = await apiFetch('/api/share', {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return response.json();
+};
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, User, Lock, Globe, Trash2, Plus, AlertTriangle } from 'lucide-react';
+import { apiGet, apiPost, apiDelete, SessionExpiredError } from '../api';
+
+// Linked FusionSolar accounts of the session. Plants of every linked account
+// are merged into one dashboard; onAccountsChanged lets the app reload them.
+const AccountManager = ({ regions, onAccountsChanged, onSessionExpired }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [form, setForm] = useState({ userName: '', systemCode: '', region: 'auto' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleError = useCallback((error, fallback) => {
+    if (error instanceof SessionExpiredError) {
+      onSessionExpired(error.message);
+      return;
+    }
+    console.error(fallback, error);
+    setError('Network error. Please check your connection.');
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    const fetchAccounts = async () => {
+      try {
+        const data = await apiGet('/api/huawei/accounts');
+        if (data.success === true) {
+          setAccounts(data.data);
+        }
+      } catch (error) {
+        handleError(error, 'Account list error:');
+      }
+    };
+    fetchAccounts();
+  }, [handleError]);
+
+  const linkAccount = async () => {
+    if (!form.userName || !form.systemCode) {
+      setError('Username and system code are required.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/huawei/accounts', form);
+      if (data.success === true) {
+        setAccounts(data.data);
+        setForm({ userName: '', systemCode: '', region: 'auto' });
+        onAccountsChanged();
+      } else {
+        setError(data.message || data.error || 'Could not link the account.');
+      }
+    } catch (error) {
+      handleError(error, 'Link account error:');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const unlinkAccount = async (accountId) => {
+    setError('');
+    try {
+      const data = await apiDelete(`/api/huawei/accounts/${encodeURIComponent(accountId)}`);
+      if (data.success === true) {
+        setAccounts(data.data);
+        onAccountsChanged();
+      } else {
+        setError(data.error || 'Could not unlink the account.');
+      }
+    } catch (error) {
+      handleError(error, 'Unlink account error:');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Users className="w-5 h-5 mr-2" />
+        Linked Accounts
+      </h2>
+
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
+          <div className="flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {accounts.map(account => (
+          <li key={account.id} className="flex items-center justify-between py-2">
+            <div className="text-sm text-gray-900">{account.label}</div>
+            <button
+              onClick={() => unlinkAccount(account.id)}
+              disabled={accounts.length === 1}
+              title={accounts.length === 1 ? 'Sign out to remove the last account' : 'Unlink account'}
+              className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-gray-600 hover:text-red-600 disabled:opacity-40 disabled:hover:text-gray-600"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Unlink
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <div className="relative">
+          <User className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={form.userName}
+            onChange={(e) => setForm(prev => ({ ...prev, userName: e.target.value }))}
+            placeholder="Username"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          />
+        </div>
+        <div className="relative">
+          <Lock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="password"
+            value={form.systemCode}
+            onChange={(e) => setForm(prev => ({ ...prev, systemCode: e.target.value }))}
+            placeholder="System code"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          />
+        </div>
+        <div className="relative">
+          <Globe className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <select
+            value={form.region}
+            onChange={(e) => setForm(prev => ({ ...prev, region: e.target.value }))}
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          >
+            <option value="auto">Auto-detect</option>
+            {regions.map(region => (
+              <option key={region.id} value={region.id}>{region.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={linkAccount}
+          disabled={loading}
+          className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          {loading ? 'Linking...' : 'Link Account'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AccountManager;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Bell, RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react';
+import { apiPost, SessionExpiredError } from '../api';
+import {
+  SEVERITIES,
+  alarmKey,
+  loadAcknowledged,
+  saveAcknowledged,
+  pruneAcknowledged,
+  filterAlarms
+} from '../alarms';
+
+// liveAlarms (optional) is the latest { data, stationCodes } pushed by the
+// live stream; it replaces the fetched list while it covers the selected plants
+const AlarmCenter = ({ availablePlants, selectedPlants, liveAlarms, onSessionExpired }) => {
+  const [alarms, setAlarms] = useState([]);
+  const [acknowledged, setAcknowledged] = useState(loadAcknowledged);
+  const [severities, setSeverities] = useState([1, 2, 3, 4]);
+  const [stationFilter, setStationFilter] = useState('');
+  const [showAcknowledged, setShowAcknowledged] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAlarms = useCallback(async () => {
+    if (selectedPlants.length === 0) {
+      setAlarms([]);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/alarms', {
+        stationCodes: selectedPlants.join(',')
+      });
+      if (data.success === true) {
+        const active = data.data || [];
+        setAlarms(active);
+        setAcknowledged(prev => pruneAcknowledged(prev, active, selectedPlants));
+      } else if (data.failCode === 407) {
+        setError('API rate limit exceeded. Please wait before refreshing.');
+      } else {
+        setError(data.error || data.message || 'Failed to load alarms.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Alarm fetch error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedPlants, onSessionExpired]);
+
+  useEffect(() => {
+    fetchAlarms();
+  }, [fetchAlarms]);
+
+  useEffect(() => {
+    if (!liveAlarms || liveAlarms.stationCodes !== selectedPlants.join(',')) return;
+    setAlarms(liveAlarms.data);
+    setAcknowledged(prev => pruneAcknowledged(prev, liveAlarms.data, selectedPlants));
+  }, [liveAlarms, selectedPlants]);
+
+  useEffect(() => {
+    saveAcknowledged(acknowledged);
+  }, [acknowledged]);
+
+  const toggleSeverity = (level) => {
+    setSeverities(prev =>
+      prev.includes(level) ? prev.filter(l => l !== level) : [...prev, level]
+    );
+  };
+
+  const toggleAcknowledged = (alarm) => {
+    const key = alarmKey(alarm);
+    setAcknowledged(prev => {
+      const next = { ...prev };
+      if (next[key]) {
+        delete next[key];
+      } else {
+        next[key] = { stationCode: alarm.stationCode, acknowledgedAt: Date.now() };
+      }
+      return next;
+    });
+  };
+
+  const visibleAlarms = filterAlarms(alarms, {
+    severities,
+    stationCode: stationFilter,
+    acknowledged,
+    showAcknowledged
+  });
+  const unacknowledgedCount = alarms.filter(alarm => !acknowledged[alarmKey(alarm)]).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Bell className="w-5 h-5 mr-2" />
+          Active Alarms
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {unacknowledgedCount} unacknowledged of {alarms.length}
+          </span>
+        </h2>
+        <button
+          onClick={fetchAlarms}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-4 text-sm">
+        {Object.entries(SEVERITIES).map(([level, severity]) => (
+          <label key={level} className="inline-flex items-center space-x-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={severities.includes(Number(level))}
+              onChange={() => toggleSeverity(Number(level))}
+              className="h-4 w-4 text-orange-600 border-gray-300 rounded"
+            />
+            <span className={`px-2 py-0.5 rounded ${severity.color}`}>{severity.label}</span>
+          </label>
+        ))}
+        <select
+          value={stationFilter}
+          onChange={(e) => setStationFilter(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">All selected plants</option>
+          {availablePlants
+            .filter(plant => selectedPlants.includes(plant.code))
+            .map(plant => (
+              <option key={plant.code} value={plant.code}>{plant.name}</option>
+            ))}
+        </select>
+        <label className="inline-flex items-center space-x-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showAcknowledged}
+            onChange={() => setShowAcknowledged(!showAcknowledged)}
+            className="h-4 w-4 text-orange-600 border-gray-300 rounded"
+          />
+          <span className="text-gray-700">Show acknowledged</span>
+        </label>
+      </div>
+
+      {error && (
+        <div className="m-6 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+          <AlertTriangle className="w-5 h-5 mr-2" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+
+      {visibleAlarms.length === 0 ? (
+        <div className="text-center py-12">
+          <CheckCircle className="w-12 h-12 text-green-400 mx-auto mb-4" />
+          <p className="text-gray-500">{loading ? 'Loading alarms...' : 'No alarms match the current filters.'}</p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {visibleAlarms.map(alarm => {
+            const key = alarmKey(alarm);
+            const severity = SEVERITIES[alarm.lev] || { label: 'Unknown', color: 'bg-gray-100 text-gray-800' };
+            const plant = availablePlants.find(p => p.code === alarm.stationCode);
+            const ack = acknowledged[key];
+            return (
+              <li key={key} className={`px-6 py-4 ${ack ? 'bg-gray-50 opacity-75' : ''}`}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${severity.color}`}>
+                        {severity.label}
+                      </span>
+                      <span className="font-medium text-gray-900">{alarm.alarmName}</span>
+                    </div>
+                    <div className="text-sm text-gray-500 mt-1">
+                      {plant?.name || alarm.stationName || alarm.stationCode} · {alarm.devName}
+                      {' · '}raised {new Date(alarm.raiseTime).toLocaleString()}
+                    </div>
+                    {alarm.repairSuggestion && (
+                      <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{alarm.repairSuggestion}</p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => toggleAcknowledged(alarm)}
+                    className="shrink-0 inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    {ack ? 'Unacknowledge' : 'Acknowledge'}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlarmCenter;
@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { Gauge, RefreshCw, AlertTriangle, TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { apiPost, SessionExpiredError } from '../api';
+import { toDateInput, formatPeriod } from '../history';
+import { analyzePlants, rankPlants, fleetSeries } from '../analytics';
+import EnergyChart from './EnergyChart';
+import ReportPanel from './ReportPanel';
+
+// Only complete periods, so today's partial yield doesn't skew ranks and trends
+const PERIODS = {
+  day: {
+    label: 'Daily (last 30 complete days)',
+    unit: 'day',
+    range: () => {
+      const to = new Date();
+      to.setDate(to.getDate() - 1);
+      const from = new Date(to);
+      from.setDate(from.getDate() - 29);
+      return { from: toDateInput(from), to: toDateInput(to) };
+    }
+  },
+  month: {
+    label: 'Monthly (last 12 complete months)',
+    unit: 'month',
+    range: () => {
+      const today = new Date();
+      return {
+        from: toDateInput(new Date(today.getFullYear(), today.getMonth() - 12, 1)),
+        to: toDateInput(new Date(today.getFullYear(), today.getMonth(), 0))
+      };
+    }
+  }
+};
+
+// A trend below this (per period) is shown as flat
+const FLAT_TREND = 0.005;
+
+const formatPercent = (value, digits = 1) => `${value > 0 ? '+' : ''}${(value * 100).toFixed(digits)}%`;
+
+const TrendBadge = ({ value, unit }) => {
+  if (value === null) return <span className="text-gray-400">—</span>;
+  const Icon = value > FLAT_TREND ? TrendingUp : value < -FLAT_TREND ? TrendingDown : Minus;
+  const color = value > FLAT_TREND ? 'text-green-600' : value < -FLAT_TREND ? 'text-red-600' : 'text-gray-500';
+  return (
+    <span className={`inline-flex items-center ${color}`}>
+      <Icon className="w-4 h-4 mr-1" />
+      {formatPercent(value)}/{unit}
+    </span>
+  );
+};
+
+const AnalyticsView = ({ availablePlants, selectedPlants, onSessionExpired }) => {
+  const [granularity, setGranularity] = useState('day');
+  const [points, setPoints] = useState([]);
+  const [loadedGranularity, setLoadedGranularity] = useState('day');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAnalytics = async () => {
+    if (selectedPlants.length === 0) {
+      setError('Please select at least one plant.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/history', {
+        stationCodes: selectedPlants.join(','),
+        granularity,
+        ...PERIODS[granularity].range()
+      });
+
+      if (data.success === true) {
+        setPoints(data.data || []);
+        setLoadedGranularity(granularity);
+      } else if (data.failCode === 407) {
+        setError('API rate limit exceeded. Please wait before loading analytics.');
+      } else {
+        setError(data.error || data.message || 'Failed to load analytics.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Analytics fetch error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const capacities = Object.fromEntries(
+    availablePlants.filter(plant => plant.capacityKw > 0).map(plant => [plant.code, plant.capacityKw])
+  );
+  const stats = analyzePlants(points, capacities);
+  const { fleetMedian, plants } = rankPlants(stats);
+  const fleet = fleetSeries(stats).map(point => ({
+    label: formatPeriod(point.time, loadedGranularity),
+    value: point.value
+  }));
+  const outliers = plants.filter(plant => plant.outlier === 'low');
+  const periodUnit = PERIODS[loadedGranularity].unit;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Gauge className="w-5 h-5 mr-2" />
+          Performance Analytics
+        </h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+          <label className="block text-sm text-gray-700 lg:col-span-2">
+            Period
+            <select
+              value={granularity}
+              onChange={(e) => setGranularity(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              {Object.entries(PERIODS).map(([value, period]) => (
+                <option key={value} value={value}>{period.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={fetchAnalytics}
+            disabled={loading}
+            className="inline-flex items-center justify-center px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+          >
+            <RefreshCw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Analyze
+          </button>
+        </div>
+        {error && (
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+      </div>
+
+      {points.length > 0 && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="text-sm font-medium text-gray-500">Fleet Median Specific Yield</div>
+              <div className="text-2xl font-semibold text-gray-900">
+                {fleetMedian !== null ? `${fleetMedian.toFixed(2)} kWh/kWp` : '—'}
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="text-sm font-medium text-gray-500">Best Plant</div>
+              <div className="text-2xl font-semibold text-gray-900 truncate">
+                {plants[0]?.rank ? (availablePlants.find(p => p.code === plants[0].stationCode)?.name || plants[0].stationCode) : '—'}
+              </div>
+            </div>
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="text-sm font-medium text-gray-500">Underperforming Outliers</div>
+              <div className={`text-2xl font-semibold ${outliers.length > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {outliers.length}
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Fleet Specific Yield per {periodUnit}</h3>
+            <EnergyChart data={fleet} unit="kWh/kWp" />
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
+                  <th className="px-4 py-3">#</th>
+                  <th className="px-4 py-3">Plant</th>
+                  <th className="px-4 py-3 text-right">kWp</th>
+                  <th className="px-4 py-3 text-right">Energy</th>
+                  <th className="px-4 py-3 text-right">Specific Yield</th>
+                  <th className="px-4 py-3 text-right">Avg per {periodUnit}</th>
+                  <th className="px-4 py-3 text-right">vs. Median</th>
+                  <th className="px-4 py-3 text-right">PR</th>
+                  <th className="px-4 py-3">Trend</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {plants.map(plant => {
+                  const plantInfo = availablePlants.find(p => p.code === plant.stationCode);
+                  return (
+                    <tr key={plant.stationCode} className={plant.outlier === 'low' ? 'bg-red-50' : ''}>
+                      <td className="px-4 py-3 text-gray-500">{plant.rank ?? '—'}</td>
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-gray-900">{plantInfo?.name || plant.stationCode}</div>
+                        {plant.outlier && (
+                          <span className={`text-xs font-medium ${plant.outlier === 'low' ? 'text-red-600' : 'text-green-600'}`}>
+                            {plant.outlier === 'low' ? 'Underperforming outlier' : 'Overperforming outlier'}
+                          </span>
+                        )}
+                        {!plant.capacity && <span className="text-xs text-gray-400">Capacity unknown</span>}
+                      </td>
+                      <td className="px-4 py-3 text-right">{plant.capacity ? plant.capacity.toFixed(1) : '—'}</td>
+                      <td className="px-4 py-3 text-right">{plant.energy.toFixed(1)} kWh</td>
+                      <td className="px-4 py-3 text-right font-medium">
+                        {plant.specificYield !== null ? plant.specificYield.toFixed(2) : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {plant.averageYield !== null ? plant.averageYield.toFixed(2) : '—'}
+                      </td>
+                      <td className={`px-4 py-3 text-right ${plant.deviation < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                        {plant.deviation !== null ? formatPercent(plant.deviation) : '—'}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {plant.performanceRatio !== null ? `${(plant.performanceRatio * 100).toFixed(0)}%` : '—'}
+                      </td>
+                      <td className="px-4 py-3"><TrendBadge value={plant.trend} unit={periodUnit} /></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <ReportPanel selectedPlants={selectedPlants} onSessionExpired={onSessionExpired} />
+    </div>
+  );
+};
+
+export default AnalyticsView;
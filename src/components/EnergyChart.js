@@ -0,0 +1,53 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+
+// Minimal SVG bar chart. `data` is a list of { label, value } in display order.
+const EnergyChart = ({ data, unit = 'kWh', height = 200, color = '#f97316' }) => {
+  if (!data || data.length === 0) {
+    return <div className="text-sm text-gray-500 text-center py-8">No data for this range</div>;
+  }
+
+  const max = Math.max(...data.map(point => point.value), 0) || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / data.length;
+  const barWidth = Math.max(slot * 0.7, 1);
+  // Only label every nth bar so labels don't overlap
+  const labelEvery = Math.ceil(data.length / 10);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" role="img">
+      {[0, 0.5, 1].map(fraction => {
+        const y = PADDING.top + plotHeight * (1 - fraction);
+        return (
+          <g key={fraction}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} stroke="#e5e7eb" />
+            <text x={PADDING.left - 6} y={y + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {(max * fraction).toFixed(max * fraction >= 100 ? 0 : 1)}
+            </text>
+          </g>
+        );
+      })}
+      {data.map((point, index) => {
+        const barHeight = (point.value / max) * plotHeight;
+        const x = PADDING.left + slot * index + (slot - barWidth) / 2;
+        return (
+          <g key={`${point.label}-${index}`}>
+            <rect x={x} y={PADDING.top + plotHeight - barHeight} width={barWidth} height={barHeight} fill={color} rx="1">
+              <title>{`${point.label}: ${point.value.toFixed(2)} ${unit}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={height - 8} textAnchor="middle" fontSize="10" fill="#6b7280">
+                {point.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default EnergyChart;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { canEstimate, expectedDay } from '../solar';
+
+const ratioColor = (ratio) => {
+  if (ratio >= 0.8) return { text: 'text-green-600', bar: 'bg-green-500' };
+  if (ratio >= 0.5) return { text: 'text-yellow-600', bar: 'bg-yellow-500' };
+  return { text: 'text-red-600', bar: 'bg-red-500' };
+};
+
+// Today's actual yield against the clear-sky expectation so far. Renders
+// nothing for plants without coordinates or capacity.
+const ExpectedYield = ({ plant, settings, dayPower, time = Date.now() }) => {
+  if (!canEstimate(plant)) return null;
+
+  const { total, soFar } = expectedDay(plant, settings, time);
+  const actual = parseFloat(dayPower || 0);
+  const ratio = soFar > 0 ? actual / soFar : null;
+  const color = ratio !== null ? ratioColor(ratio) : null;
+
+  return (
+    <div className="text-sm">
+      <div className="flex justify-between">
+        <span className="text-gray-500">Expected so far (clear sky):</span>
+        <span className="font-medium text-gray-900">
+          {soFar.toFixed(2)} of {total.toFixed(2)} kWh
+        </span>
+      </div>
+      {ratio !== null && (
+        <>
+          <div className="flex justify-between mt-1">
+            <span className="text-gray-500">Of expected:</span>
+            <span className={`font-medium ${color.text}`}>{(ratio * 100).toFixed(0)}%</span>
+          </div>
+          <div className="mt-1 h-1.5 bg-gray-100 rounded">
+            <div className={`h-1.5 rounded ${color.bar}`} style={{ width: `${Math.min(ratio, 1) * 100}%` }} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExpectedYield;
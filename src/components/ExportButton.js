@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { apiDownload, SessionExpiredError } from '../api';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' }
+];
+
+// Download buttons for /api/export. `request` is the export body without the
+// format; failures are reported through onError.
+const ExportButton = ({ request, disabled, onError, onSessionExpired }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const download = async (format) => {
+    setExporting(format);
+    onError('');
+    try {
+      const result = await apiDownload('/api/export', { ...request, format });
+      if (result.success !== true) {
+        onError(result.failCode === 407
+          ? 'API rate limit exceeded. Please wait before exporting.'
+          : result.error || 'Export failed.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Export error:', error);
+      onError('Network error. Please check your connection.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="inline-flex rounded-md shadow-sm">
+      {FORMATS.map((format, index) => (
+        <button
+          key={format.value}
+          type="button"
+          onClick={() => download(format.value)}
+          disabled={disabled || exporting !== null}
+          className={`inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 ${index === 0 ? 'rounded-l-md' : '-ml-px rounded-r-md'}`}
+          title={`Export as ${format.label}`}
+        >
+          <Download className={`w-4 h-4 mr-1 ${exporting === format.value ? 'animate-pulse' : ''}`} />
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { BarChart3, RefreshCw, AlertTriangle } from 'lucide-react';
+import { apiPost, SessionExpiredError } from '../api';
+import { GRANULARITIES, HISTORY_METRICS, toDateInput, formatPeriod, buildSeries } from '../history';
+import EnergyChart from './EnergyChart';
+import ExportButton from './ExportButton';
+
+const startOfMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  return toDateInput(date);
+};
+
+const HistoryView = ({ availablePlants, selectedPlants, onSessionExpired }) => {
+  const [granularity, setGranularity] = useState('day');
+  const [from, setFrom] = useState(startOfMonth);
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [metric, setMetric] = useState(HISTORY_METRICS[0].key);
+  const [points, setPoints] = useState([]);
+  const [loadedGranularity, setLoadedGranularity] = useState('day');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchHistory = async () => {
+    if (selectedPlants.length === 0) {
+      setError('Please select at least one plant.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/history', {
+        stationCodes: selectedPlants.join(','),
+        granularity,
+        from,
+        to
+      });
+
+      if (data.success === true) {
+        setPoints(data.data || []);
+        setLoadedGranularity(granularity);
+      } else if (data.failCode === 407) {
+        setError('API rate limit exceeded. Please wait before loading more history.');
+      } else {
+        setError(data.error || data.message || 'Failed to load history.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('History fetch error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const metricInfo = HISTORY_METRICS.find(m => m.key === metric);
+  const { perPlant, total } = buildSeries(points, metric);
+  const toChartData = (series) => series.map(point => ({
+    label: formatPeriod(point.time, loadedGranularity),
+    value: point.value
+  }));
+  const rangeTotal = total.reduce((sum, point) => sum + point.value, 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <BarChart3 className="w-5 h-5 mr-2" />
+          Production History
+        </h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4 items-end">
+          <label className="block text-sm text-gray-700">
+            Granularity
+            <select
+              value={granularity}
+              onChange={(e) => setGranularity(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              {GRANULARITIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm text-gray-700">
+            From
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            To
+            <input
+              type="date"
+              value={to}
+              min={from}
+              onChange={(e) => setTo(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Metric
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              {HISTORY_METRICS.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={fetchHistory}
+            disabled={loading}
+            className="inline-flex items-center justify-center px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+          >
+            <RefreshCw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Load History
+          </button>
+        </div>
+        <div className="mt-4 flex items-center justify-end space-x-3">
+          <span className="text-sm text-gray-500">Export this range:</span>
+          <ExportButton
+            request={{ type: 'history', stationCodes: selectedPlants.join(','), granularity, from, to }}
+            disabled={selectedPlants.length === 0}
+            onError={setError}
+            onSessionExpired={onSessionExpired}
+          />
+        </div>
+        {error && (
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+      </div>
+
+      {points.length > 0 && (
+        <>
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                All Selected Plants
+              </h3>
+              <span className="text-sm text-gray-500">
+                Total: {rangeTotal.toFixed(2)} {metricInfo.unit}
+              </span>
+            </div>
+            <EnergyChart data={toChartData(total)} unit={metricInfo.unit} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {Object.entries(perPlant).map(([stationCode, series]) => {
+              const plantInfo = availablePlants.find(p => p.code === stationCode);
+              return (
+                <div key={stationCode} className="bg-white rounded-lg shadow p-6">
+                  <h3 className="text-md font-medium text-gray-900">
+                    {plantInfo?.name || stationCode}
+                  </h3>
+                  <p className="text-sm text-gray-500 mb-2">{plantInfo?.capacity}</p>
+                  <EnergyChart data={toChartData(series)} unit={metricInfo.unit} height={160} color="#3b82f6" />
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HistoryView;
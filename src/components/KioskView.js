@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Sun } from 'lucide-react';
+import { fetchShare } from '../api';
+import { getHealthStatus } from '../health';
+import { TILES } from './MetricTiles';
+import {
+  KIOSK_TILES,
+  ROTATE_MS,
+  REFRESH_MS,
+  SHIFT_MS,
+  shareToken,
+  pageCount,
+  pageItems,
+  burnInShift
+} from '../kiosk';
+
+const kwh = (value) => `${parseFloat(value || 0).toFixed(1)} kWh`;
+
+// Full-screen, read-only dashboard behind a share link (/kiosk#<token>), for
+// lobby screens and customers. No controls: it refreshes itself, rotates
+// through the plant cards and avoids burn-in with dark, dim styling and a
+// layout that shifts a few pixels every minute.
+const KioskView = () => {
+  const token = shareToken(useLocation().hash);
+  const [share, setShare] = useState(null);
+  const [plants, setPlants] = useState([]);
+  const [data, setData] = useState([]);
+  const [error, setError] = useState(token ? '' : 'This share link is incomplete.');
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [page, setPage] = useState(0);
+  const [step, setStep] = useState(0);
+
+  useEffect(() => {
+    if (!token) return undefined;
+    const refresh = async () => {
+      try {
+        const result = await fetchShare(token);
+        if (result.success === true) {
+          setShare(result.share);
+          setPlants(result.plants.map(plant => ({
+            code: plant.stationCode,
+            name: plant.stationName,
+            capacity: `${(plant.capacity * 1000).toFixed(1)} kW`
+          })));
+          setData(result.data);
+          setLastUpdate(new Date(Date.now() - (result.age || 0)));
+          setError('');
+        } else {
+          // Keep showing the last figures through upstream hiccups
+          setError(result.error || 'Could not load the shared plants.');
+        }
+      } catch (error) {
+        console.error('Share refresh error:', error);
+        setError('Connection lost, retrying...');
+      }
+    };
+    refresh();
+    const interval = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [token]);
+
+  useEffect(() => {
+    const rotate = setInterval(() => setPage(prev => prev + 1), ROTATE_MS);
+    const shift = setInterval(() => setStep(prev => prev + 1), SHIFT_MS);
+    return () => {
+      clearInterval(rotate);
+      clearInterval(shift);
+    };
+  }, []);
+
+  const cards = [...data].sort((a, b) => {
+    const nameOf = (item) => plants.find(p => p.code === item.stationCode)?.name || item.stationCode;
+    return nameOf(a).localeCompare(nameOf(b));
+  });
+  const pages = pageCount(cards.length);
+  const { x, y } = burnInShift(step);
+
+  return (
+    <div className="min-h-screen bg-black text-gray-300 overflow-hidden cursor-none select-none">
+      <div
+        className="p-10 transition-transform duration-1000"
+        style={{ transform: `translate(${x}px, ${y}px)` }}
+      >
+        <div className="flex items-center justify-between mb-10">
+          <h1 className="text-4xl font-semibold text-gray-300 flex items-center">
+            <Sun className="w-10 h-10 mr-4 text-amber-500 opacity-80" />
+            {share ? share.label : 'Solar Monitor'}
+          </h1>
+          <div className="text-xl text-gray-500">
+            {lastUpdate && `Updated ${lastUpdate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+          </div>
+        </div>
+
+        {error && (
+          <div className="text-2xl text-amber-500 opacity-80 mb-8">{error}</div>
+        )}
+
+        {share && (
+          <>
+            <div className="grid grid-cols-2 xl:grid-cols-4 gap-8 mb-10">
+              {KIOSK_TILES.map(id => {
+                const { label, icon: Icon, color, value } = TILES[id];
+                return (
+                  <div key={id} className="rounded-2xl border border-gray-800 bg-gray-950 p-8">
+                    <div className="flex items-center text-xl text-gray-500 mb-4">
+                      <Icon className={`w-8 h-8 mr-3 ${color} opacity-70`} />
+                      {label}
+                    </div>
+                    <div className="text-5xl font-semibold text-gray-200">
+                      {value({ data, plants, plantSettings: {} })}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              {pageItems(cards, page).map(plant => {
+                const plantInfo = plants.find(p => p.code === plant.stationCode);
+                const healthStatus = getHealthStatus(plant.dataItemMap?.real_health_state);
+                const HealthIcon = healthStatus.icon;
+                return (
+                  <div key={plant.stationCode} className="rounded-2xl border border-gray-800 bg-gray-950 p-8">
+                    <div className="flex items-start justify-between mb-6">
+                      <div>
+                        <h2 className="text-3xl font-medium text-gray-200">{plantInfo?.name || plant.stationCode}</h2>
+                        <p className="text-lg text-gray-500">{plantInfo?.capacity}</p>
+                      </div>
+                      <div className={`flex items-center text-xl ${healthStatus.color} opacity-80`}>
+                        <HealthIcon className="w-7 h-7 mr-2" />
+                        {healthStatus.text}
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-3 gap-6">
+                      <div>
+                        <div className="text-base text-gray-500 uppercase tracking-wide">Today</div>
+                        <div className="text-3xl font-semibold text-gray-200">{kwh(plant.dataItemMap?.day_power)}</div>
+                      </div>
+                      <div>
+                        <div className="text-base text-gray-500 uppercase tracking-wide">Grid Export</div>
+                        <div className="text-3xl font-semibold text-gray-200">{kwh(plant.dataItemMap?.day_on_grid_energy)}</div>
+                      </div>
+                      <div>
+                        <div className="text-base text-gray-500 uppercase tracking-wide">Lifetime</div>
+                        <div className="text-3xl font-semibold text-gray-200">
+                          {(parseFloat(plant.dataItemMap?.total_power || 0) / 1000).toFixed(1)} MWh
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {pages > 1 && (
+              <div className="mt-8 text-center text-lg text-gray-600">
+                {(page % pages) + 1} / {pages}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KioskView;
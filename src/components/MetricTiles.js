@@ -0,0 +1,73 @@
+import React from 'react';
+import { Zap, DollarSign, Calendar, TrendingUp, ArrowUpRight, Home, PlugZap, SunMedium } from 'lucide-react';
+import { canEstimate, expectedDay } from '../solar';
+
+const sum = (items, field) => items.reduce((total, item) => total + (parseFloat(item.dataItemMap?.[field]) || 0), 0);
+
+const kwh = (value) => `${value.toFixed(2)} kWh`;
+
+// Metric tiles a view can show above the plant cards, in display order
+export const TILES = {
+  generation: { label: "Today's Generation", icon: Zap, color: 'text-yellow-400', value: ({ data }) => kwh(sum(data, 'day_power')) },
+  revenue: { label: "Today's Revenue", icon: DollarSign, color: 'text-green-400', value: ({ revenue }) => revenue },
+  month: { label: 'This Month', icon: Calendar, color: 'text-blue-400', value: ({ data }) => kwh(sum(data, 'month_power')) },
+  lifetime: {
+    label: 'Total Lifetime',
+    icon: TrendingUp,
+    color: 'text-purple-400',
+    value: ({ data }) => `${(sum(data, 'total_power') / 1000).toFixed(1)} MWh`
+  },
+  export: { label: 'Grid Export Today', icon: ArrowUpRight, color: 'text-teal-400', value: ({ data }) => kwh(sum(data, 'day_on_grid_energy')) },
+  consumption: { label: 'Consumption Today', icon: Home, color: 'text-gray-400', value: ({ data }) => kwh(sum(data, 'day_use_energy')) },
+  selfConsumption: {
+    label: 'Self-Consumed Today',
+    icon: PlugZap,
+    color: 'text-orange-400',
+    value: ({ data }) => kwh(Math.max(0, sum(data, 'day_power') - sum(data, 'day_on_grid_energy')))
+  },
+  expected: {
+    label: 'Expected So Far (clear sky)',
+    icon: SunMedium,
+    color: 'text-amber-400',
+    value: ({ data, plants, plantSettings }) => {
+      const now = Date.now();
+      const expected = data.reduce((total, item) => {
+        const plant = plants.find(p => p.code === item.stationCode);
+        return canEstimate(plant) ? total + expectedDay(plant, plantSettings[item.stationCode], now).soFar : total;
+      }, 0);
+      return kwh(expected);
+    }
+  }
+};
+
+const MetricTiles = ({ tiles, data, plants, plantSettings, revenue }) => {
+  const shown = Object.keys(TILES).filter(id => tiles.includes(id));
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+      {shown.map(id => {
+        const { label, icon: Icon, color, value } = TILES[id];
+        return (
+          <div key={id} className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center">
+              <div className="flex-shrink-0">
+                <Icon className={`h-8 w-8 ${color}`} />
+              </div>
+              <div className="ml-5 w-0 flex-1">
+                <dl>
+                  <dt className="text-sm font-medium text-gray-500 truncate">{label}</dt>
+                  <dd className="text-2xl font-semibold text-gray-900">
+                    {value({ data, plants, plantSettings, revenue })}
+                  </dd>
+                </dl>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MetricTiles;
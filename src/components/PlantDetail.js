@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ArrowLeft, Cpu, RefreshCw, AlertTriangle } from 'lucide-react';
+import { apiPost, callHuawei, SessionExpiredError } from '../api';
+import { getDeviceType, getActivePowerKw, getRunState, KIND_FIELDS } from '../devices';
+import { getHealthStatus } from '../health';
+import PlantKpis from './PlantKpis';
+import PlantTags from './PlantTags';
+import HistoryView from './HistoryView';
+import AlarmCenter from './AlarmCenter';
+import YieldModel from './YieldModel';
+import TariffSettings from './TariffSettings';
+
+const formatValue = (value, unit, digits = 1) => {
+  if (value == null || value === '' || Number.isNaN(parseFloat(value))) return '—';
+  return `${parseFloat(value).toFixed(digits)}${unit ? ` ${unit}` : ''}`;
+};
+
+// Page of one plant (/plants/:stationCode): live KPIs, health, history,
+// alarms, devices and settings. plantData comes from the dashboard when the
+// plant is selected there; otherwise the page loads it itself. Settings are
+// hidden from users who may not change them (canEdit).
+const PlantDetail = ({ stationCode, plantInfo, plantData, settings, canEdit = true, onSettingsSaved, onBack, onSessionExpired }) => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [ownData, setOwnData] = useState(null);
+  // Stable lists so the embedded history and alarm views don't refetch on every render
+  const plantList = useMemo(() => (plantInfo ? [plantInfo] : []), [plantInfo]);
+  const stationCodes = useMemo(() => [stationCode], [stationCode]);
+
+  const fetchDevices = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/devices', { stationCode });
+      if (data.success === true) {
+        setDevices(data.data || []);
+      } else if (data.failCode === 407) {
+        setError('API rate limit exceeded. Please wait before refreshing.');
+      } else {
+        setError(data.error || data.message || 'Failed to load devices.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Device fetch error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setLoading(false);
+    }
+  }, [stationCode, onSessionExpired]);
+
+  useEffect(() => {
+    if (!plantInfo) return;
+    fetchDevices();
+  }, [plantInfo, fetchDevices]);
+
+  useEffect(() => {
+    if (plantData || !plantInfo) return;
+    const fetchKpi = async () => {
+      try {
+        const data = await callHuawei('getStationRealKpi', { stationCodes: stationCode });
+        if (data.success === true) {
+          setOwnData((data.data || []).find(item => item.stationCode === stationCode) || null);
+        } else if (data.failCode === 407) {
+          setError('API rate limit exceeded. Please wait before refreshing.');
+        }
+      } catch (error) {
+        if (error instanceof SessionExpiredError) {
+          onSessionExpired(error.message);
+          return;
+        }
+        console.error('KPI fetch error:', error);
+      }
+    };
+    fetchKpi();
+  }, [stationCode, plantInfo, plantData, onSessionExpired]);
+
+  if (!plantInfo) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <button
+          onClick={onBack}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to all plants
+        </button>
+        <p className="text-gray-700">
+          Plant <span className="font-mono">{stationCode}</span> is not part of the linked accounts.
+        </p>
+      </div>
+    );
+  }
+
+  const currentData = plantData || ownData;
+  const kpi = currentData?.dataItemMap || {};
+  const healthStatus = getHealthStatus(kpi.real_health_state);
+  const HealthIcon = healthStatus.icon;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <button
+          onClick={onBack}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-4"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to all plants
+        </button>
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">{plantInfo?.name || stationCode}</h2>
+            <p className="text-sm text-gray-500">{plantInfo?.capacity} · {stationCode}</p>
+          </div>
+          <div className="flex items-center space-x-1">
+            <HealthIcon className={`w-5 h-5 ${healthStatus.color}`} />
+            <span className={`text-sm ${healthStatus.color}`}>{healthStatus.text}</span>
+          </div>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Daily Power</div>
+            <div className="text-lg font-semibold text-gray-900">{formatValue(kpi.day_power, 'kWh', 2)}</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Grid Export</div>
+            <div className="text-lg font-semibold text-gray-900">{formatValue(kpi.day_on_grid_energy, 'kWh', 2)}</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Consumption</div>
+            <div className="text-lg font-semibold text-gray-900">{formatValue(kpi.day_use_energy, 'kWh', 2)}</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">This Month</div>
+            <div className="text-lg font-semibold text-gray-900">{formatValue(kpi.month_power, 'kWh', 2)}</div>
+          </div>
+        </div>
+      </div>
+
+      <PlantKpis dataItemMap={kpi} />
+
+      <HistoryView
+        availablePlants={plantList}
+        selectedPlants={stationCodes}
+        onSessionExpired={onSessionExpired}
+      />
+
+      <AlarmCenter
+        availablePlants={plantList}
+        selectedPlants={stationCodes}
+        onSessionExpired={onSessionExpired}
+      />
+
+      {canEdit && (
+        <>
+          <PlantTags
+            stationCode={stationCode}
+            settings={settings}
+            onSettingsSaved={onSettingsSaved}
+            onSessionExpired={onSessionExpired}
+          />
+
+          <YieldModel
+            stationCode={stationCode}
+            plantInfo={plantInfo}
+            dayPower={kpi.day_power}
+            settings={settings}
+            onSettingsSaved={onSettingsSaved}
+            onSessionExpired={onSessionExpired}
+          />
+
+          <TariffSettings
+            stationCode={stationCode}
+            plantInfo={plantInfo}
+            plantData={currentData}
+            settings={settings}
+            onSettingsSaved={onSettingsSaved}
+            onSessionExpired={onSessionExpired}
+          />
+        </>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Cpu className="w-5 h-5 mr-2" />
+            Devices
+          </h3>
+          <button
+            onClick={fetchDevices}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {error && (
+          <div className="m-6 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        {devices.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">
+            {loading ? 'Loading devices...' : 'No devices found for this plant.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Device', 'Type', 'Active Power', 'Temperature', 'Efficiency', 'State', 'Details'].map(heading => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wide">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {devices.map(device => {
+                  const type = getDeviceType(device.devTypeId);
+                  const runState = getRunState(device);
+                  const deviceKpi = device.dataItemMap || {};
+                  return (
+                    <tr key={device.id}>
+                      <td className="px-4 py-3">
+                        <div className="font-medium text-gray-900">{device.devName}</div>
+                        <div className="text-xs text-gray-400">{device.esnCode}</div>
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">{type.label}</td>
+                      <td className="px-4 py-3 text-gray-900">{formatValue(getActivePowerKw(device), 'kW', 2)}</td>
+                      <td className="px-4 py-3 text-gray-900">{formatValue(deviceKpi.temperature, '°C')}</td>
+                      <td className="px-4 py-3 text-gray-900">{formatValue(deviceKpi.efficiency, '%')}</td>
+                      <td className={`px-4 py-3 ${runState.color}`}>{runState.text}</td>
+                      <td className="px-4 py-3 text-xs text-gray-600">
+                        {KIND_FIELDS[type.kind].map(field => (
+                          <div key={field.key}>
+                            {field.label}: {formatValue(deviceKpi[field.key], field.unit)}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PlantDetail;
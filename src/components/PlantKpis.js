@@ -0,0 +1,56 @@
+import React from 'react';
+import { List } from 'lucide-react';
+
+// Labels for the getStationRealKpi fields we know; anything else FusionSolar
+// sends is listed under its own name
+const KPI_FIELDS = {
+  real_health_state: { label: 'Health state' },
+  day_power: { label: 'Yield today', unit: 'kWh' },
+  month_power: { label: 'Yield this month', unit: 'kWh' },
+  total_power: { label: 'Lifetime yield', unit: 'kWh' },
+  day_on_grid_energy: { label: 'Grid export today', unit: 'kWh' },
+  day_use_energy: { label: 'Consumption today', unit: 'kWh' },
+  day_income: { label: 'Revenue today (FusionSolar)' },
+  total_income: { label: 'Lifetime revenue (FusionSolar)' }
+};
+
+const formatKpi = (value, unit) => {
+  if (value == null || value === '') return '—';
+  const number = Number(value);
+  if (Number.isNaN(number)) return String(value);
+  return `${number.toLocaleString(undefined, { maximumFractionDigits: 3 })}${unit ? ` ${unit}` : ''}`;
+};
+
+// Every field of a plant's dataItemMap, known fields first
+const PlantKpis = ({ dataItemMap }) => {
+  const known = Object.keys(KPI_FIELDS).filter(key => key in dataItemMap);
+  const other = Object.keys(dataItemMap).filter(key => !KPI_FIELDS[key]).sort();
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <List className="w-5 h-5 mr-2" />
+          All KPIs
+        </h3>
+      </div>
+      {known.length + other.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">No real-time data for this plant yet.</p>
+      ) : (
+        <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-x-6 px-6 py-2">
+          {[...known, ...other].map(key => (
+            <div key={key} className="flex justify-between py-2 border-b border-gray-100 text-sm">
+              <dt className="text-gray-500">
+                {KPI_FIELDS[key]?.label || key}
+                {KPI_FIELDS[key] && <span className="ml-1 text-xs text-gray-400">{key}</span>}
+              </dt>
+              <dd className="font-medium text-gray-900">{formatKpi(dataItemMap[key], KPI_FIELDS[key]?.unit)}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default PlantKpis;
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react';
+import { Settings, Search } from 'lucide-react';
+import { PLANT_SORTS, filterPlants, sortPlants, visibleRange } from '../plants';
+
+// Up to this many matches are shown as cards; longer lists switch to a
+// windowed list that only renders the rows in view
+const CARD_LIMIT = 48;
+const ROW_HEIGHT = 44;
+const LIST_HEIGHT = 396;
+
+const PlantCard = ({ plant, checked, onToggle }) => (
+  <label className="flex items-center space-x-3 p-3 border rounded-lg hover:bg-gray-50 cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={() => onToggle(plant.code)}
+      className="h-4 w-4 text-orange-600 focus:ring-orange-500 border-gray-300 rounded"
+    />
+    <div className="flex-1 min-w-0">
+      <div className="text-sm font-medium text-gray-900 truncate">{plant.name}</div>
+      <div className="text-xs text-gray-500">{plant.capacity}</div>
+      <div className="text-xs text-gray-400">{plant.code}</div>
+      {plant.account && (
+        <div className="text-xs text-gray-400 truncate">{plant.account}</div>
+      )}
+    </div>
+  </label>
+);
+
+const PlantRow = ({ plant, checked, onToggle, top }) => (
+  <label
+    className="absolute inset-x-0 flex items-center space-x-3 px-3 border-b hover:bg-gray-50 cursor-pointer"
+    style={{ top, height: ROW_HEIGHT }}
+  >
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={() => onToggle(plant.code)}
+      className="h-4 w-4 text-orange-600 focus:ring-orange-500 border-gray-300 rounded"
+    />
+    <span className="flex-1 min-w-0 text-sm font-medium text-gray-900 truncate">{plant.name}</span>
+    <span className="w-24 text-xs text-gray-500 text-right">{plant.capacity}</span>
+    <span className="hidden sm:block w-32 text-xs text-gray-400">{plant.code}</span>
+    {plant.account && (
+      <span className="hidden md:block w-48 text-xs text-gray-400 truncate">{plant.account}</span>
+    )}
+  </label>
+);
+
+// Plant selection with search and sorting, usable with hundreds of plants
+const PlantSelector = ({ plants, selectedPlants, onToggle, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState('name');
+  const [scrollTop, setScrollTop] = useState(0);
+  // "Selected first" uses the selection from when the sort or search last
+  // changed, so ticking a box doesn't move rows under the cursor
+  const [sortedSelection, setSortedSelection] = useState(selectedPlants);
+
+  const selected = useMemo(() => new Set(selectedPlants), [selectedPlants]);
+  const shown = useMemo(
+    () => sortPlants(filterPlants(plants, query), sort, sortedSelection),
+    [plants, query, sort, sortedSelection]
+  );
+
+  const shownCodes = shown.map(plant => plant.code);
+  const selectShown = () => onChange([...new Set([...selectedPlants, ...shownCodes])]);
+  const clearShown = () => {
+    const hidden = new Set(shownCodes);
+    onChange(selectedPlants.filter(code => !hidden.has(code)));
+  };
+
+  const windowed = shown.length > CARD_LIMIT;
+  const { first, last } = visibleRange({
+    scrollTop,
+    viewportHeight: LIST_HEIGHT,
+    rowHeight: ROW_HEIGHT,
+    count: shown.length
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Settings className="w-5 h-5 mr-2" />
+          Select Plants to Monitor
+        </h2>
+        <span className="text-sm text-gray-500">
+          {selectedPlants.length} of {plants.length} selected
+        </span>
+      </div>
+
+      {plants.length > 1 && (
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div className="relative flex-1 min-w-[12rem]">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setSortedSelection(selectedPlants);
+                setScrollTop(0);
+              }}
+              placeholder="Search by name, code or account"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </div>
+          <select
+            value={sort}
+            onChange={(e) => {
+              setSort(e.target.value);
+              setSortedSelection(selectedPlants);
+            }}
+            aria-label="Sort plants"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+          >
+            {PLANT_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={selectShown}
+            disabled={shown.length === 0}
+            className="px-3 py-2 border border-gray-300 text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 rounded-md"
+          >
+            {query ? `Select ${shown.length} shown` : 'Select all'}
+          </button>
+          <button
+            onClick={clearShown}
+            disabled={shown.length === 0}
+            className="px-3 py-2 border border-gray-300 text-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 rounded-md"
+          >
+            {query ? 'Clear shown' : 'Clear all'}
+          </button>
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">No plants match "{query}".</p>
+      ) : windowed ? (
+        <div
+          className="relative overflow-y-auto border rounded-lg"
+          style={{ height: LIST_HEIGHT }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <div style={{ height: shown.length * ROW_HEIGHT }}>
+            {shown.slice(first, last).map((plant, index) => (
+              <PlantRow
+                key={plant.code}
+                plant={plant}
+                checked={selected.has(plant.code)}
+                onToggle={onToggle}
+                top={(first + index) * ROW_HEIGHT}
+              />
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {shown.map(plant => (
+            <PlantCard key={plant.code} plant={plant} checked={selected.has(plant.code)} onToggle={onToggle} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlantSelector;
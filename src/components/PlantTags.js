@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Tag, Plus, X, AlertTriangle } from 'lucide-react';
+import { apiPut, SessionExpiredError } from '../api';
+
+// Tags of a plant, used by saved views to group plants
+const PlantTags = ({ stationCode, settings, onSettingsSaved, onSessionExpired }) => {
+  const [newTag, setNewTag] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const tags = settings?.tags || [];
+
+  const saveTags = async (next) => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = await apiPut(`/api/plants/${encodeURIComponent(stationCode)}/settings`, {
+        tags: next.length > 0 ? next : null
+      });
+      if (data.success === true) {
+        onSettingsSaved(data.data);
+        setNewTag('');
+      } else {
+        setError(data.error || 'Failed to save tags.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Tag save error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Tag className="w-5 h-5 mr-2" />
+        Tags
+      </h3>
+      <div className="flex flex-wrap items-center gap-2">
+        {tags.map(tag => (
+          <span key={tag} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-orange-50 text-orange-800">
+            {tag}
+            <button
+              onClick={() => saveTags(tags.filter(t => t !== tag))}
+              disabled={saving}
+              className="ml-1 text-orange-400 hover:text-orange-700"
+              title={`Remove ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            const tag = newTag.trim();
+            if (tag && !tags.includes(tag)) saveTags([...tags, tag]);
+          }}
+          className="inline-flex items-center"
+        >
+          <input
+            type="text"
+            value={newTag}
+            maxLength={40}
+            placeholder="Add a tag, e.g. Client A"
+            onChange={(e) => setNewTag(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+          />
+          <button
+            type="submit"
+            disabled={saving || newTag.trim() === ''}
+            className="ml-2 inline-flex items-center px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+      </div>
+      {error && (
+        <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+          <AlertTriangle className="w-5 h-5 mr-2" />
+          <span className="text-sm">{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlantTags;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { FileText, Download, Mail, AlertTriangle } from 'lucide-react';
+import { apiDownload, apiPost, SessionExpiredError } from '../api';
+import { toDateInput } from '../history';
+
+const PERIODS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'month', label: 'Monthly' }
+];
+
+const yesterday = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return toDateInput(date);
+};
+
+const lastMonth = () => {
+  const today = new Date();
+  return toDateInput(new Date(today.getFullYear(), today.getMonth() - 1, 1)).slice(0, 7);
+};
+
+// On-demand performance reports (POST /api/reports) for the selected plants
+const ReportPanel = ({ selectedPlants, onSessionExpired }) => {
+  const [period, setPeriod] = useState('month');
+  const [day, setDay] = useState(yesterday);
+  const [month, setMonth] = useState(lastMonth);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const request = () => ({
+    period,
+    date: period === 'day' ? day : `${month}-01`,
+    stationCodes: selectedPlants.join(',')
+  });
+
+  const run = async (email) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = email
+        ? await apiPost('/api/reports', { ...request(), email: true })
+        : await apiDownload('/api/reports', request());
+      if (result.success !== true) {
+        setMessage({ error: true, text: result.failCode === 407
+          ? 'API rate limit exceeded. Please wait before generating a report.'
+          : result.error || 'Failed to generate the report.' });
+      } else if (email) {
+        setMessage({ error: false, text: `Report sent to ${result.sentTo.join(', ')}.` });
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Report error:', error);
+      setMessage({ error: true, text: 'Network error. Please check your connection.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <FileText className="w-5 h-5 mr-2" />
+        Performance Report
+      </h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+        <label className="block text-sm text-gray-700">
+          Period
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+          >
+            {PERIODS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm text-gray-700">
+          {period === 'day' ? 'Day' : 'Month'}
+          {period === 'day' ? (
+            <input
+              type="date"
+              value={day}
+              max={toDateInput(new Date())}
+              onChange={(e) => setDay(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          ) : (
+            <input
+              type="month"
+              value={month}
+              max={toDateInput(new Date()).slice(0, 7)}
+              onChange={(e) => setMonth(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          )}
+        </label>
+        <button
+          onClick={() => run(false)}
+          disabled={busy || selectedPlants.length === 0}
+          className="inline-flex items-center justify-center px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+        >
+          <Download className="w-4 h-4 mr-1" />
+          Download HTML
+        </button>
+        <button
+          onClick={() => run(true)}
+          disabled={busy || selectedPlants.length === 0}
+          className="inline-flex items-center justify-center px-4 py-2 border border-gray-300 text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 rounded-md"
+        >
+          <Mail className="w-4 h-4 mr-1" />
+          Email report
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">
+        Covers the selected plants. Open the HTML file and print it to save a PDF.
+      </p>
+      {message && (
+        <div className={`mt-4 px-4 py-3 rounded-lg flex items-center border ${message.error
+          ? 'bg-yellow-50 border-yellow-200 text-yellow-800'
+          : 'bg-green-50 border-green-200 text-green-800'}`}
+        >
+          {message.error && <AlertTriangle className="w-5 h-5 mr-2" />}
+          <span className="text-sm">{message.text}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportPanel;
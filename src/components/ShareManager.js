@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Share2, Tag, Clock, Copy, Trash2, Plus, AlertTriangle } from 'lucide-react';
+import { apiGet, apiPost, apiDelete, SessionExpiredError } from '../api';
+
+const EXPIRY_CHOICES = [1, 7, 30, 90, 365];
+
+const shareUrl = (token) => `${window.location.origin}/kiosk#${token}`;
+
+// Read-only share links for the plants selected on the dashboard. A link opens
+// the kiosk layout without signing in; its token is shown once, on creation.
+const ShareManager = ({ selectedPlants, onSessionExpired }) => {
+  const [shares, setShares] = useState([]);
+  const [label, setLabel] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleError = useCallback((error, fallback) => {
+    if (error instanceof SessionExpiredError) {
+      onSessionExpired(error.message);
+      return;
+    }
+    console.error(fallback, error);
+    setError('Network error. Please check your connection.');
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    const fetchShares = async () => {
+      try {
+        const data = await apiGet('/api/shares');
+        if (data.success === true) {
+          setShares(data.data);
+        } else {
+          setError(data.error || 'Could not load the share links.');
+        }
+      } catch (error) {
+        handleError(error, 'Share list error:');
+      }
+    };
+    fetchShares();
+  }, [handleError]);
+
+  const createShare = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/shares', { label, stationCodes: selectedPlants, expiresInDays });
+      if (data.success === true) {
+        setShares(prev => [...prev, data.data]);
+        setCreated({ label: data.data.label, url: shareUrl(data.token) });
+        setLabel('');
+      } else {
+        setError(data.error || 'Could not create the share link.');
+      }
+    } catch (error) {
+      handleError(error, 'Create share error:');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeShare = async (shareId) => {
+    setError('');
+    try {
+      const data = await apiDelete(`/api/shares/${shareId}`);
+      if (data.success === true) {
+        setShares(prev => prev.filter(share => share.id !== shareId));
+      } else {
+        setError(data.error || 'Could not revoke the share link.');
+      }
+    } catch (error) {
+      handleError(error, 'Revoke share error:');
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(created.url);
+    } catch (error) {
+      setError('Could not copy the link - select it and copy it by hand.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Share2 className="w-5 h-5 mr-2" />
+        Share Links
+      </h2>
+
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
+          <div className="flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {created && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-4">
+          <div className="text-sm mb-2">
+            Link for "{created.label}" - copy it now, it can't be shown again.
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={created.url}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-1 border border-green-300 rounded-md text-sm bg-white"
+              aria-label="Share link"
+            />
+            <button onClick={copyLink} className="p-1 text-green-700 hover:text-green-900" title="Copy link">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {shares.map(share => (
+          <li key={share.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+            <div className="text-sm text-gray-900">
+              {share.label}
+              <span className="ml-2 text-xs text-gray-500">
+                {share.stationCodes.length} plant{share.stationCodes.length === 1 ? '' : 's'} ·{' '}
+                {share.expired ? 'expired' : `until ${new Date(share.expiresAt).toLocaleDateString()}`}
+              </span>
+            </div>
+            <button
+              onClick={() => revokeShare(share.id)}
+              className="p-1 text-gray-500 hover:text-red-600"
+              title="Revoke link"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+        {shares.length === 0 && (
+          <li className="py-2 text-sm text-gray-500">No share links yet.</li>
+        )}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="relative">
+          <Tag className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={label}
+            maxLength={60}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label, e.g. Lobby screen"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          />
+        </div>
+        <div className="relative">
+          <Clock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+            aria-label="Expires after"
+          >
+            {EXPIRY_CHOICES.map(days => (
+              <option key={days} value={days}>Expires after {days} day{days === 1 ? '' : 's'}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={createShare}
+          disabled={loading || selectedPlants.length === 0}
+          className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          {loading ? 'Creating...' : `Create Link (${selectedPlants.length} plants)`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShareManager;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect } from 'react';
+import { Receipt, Save, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import { apiPut, SessionExpiredError } from '../api';
+import { dailyValue, formatMoney } from '../tariffs';
+
+const EMPTY_BAND = { from: '', to: '', importRate: '', exportRate: '' };
+
+const toForm = (tariff) => ({
+  currency: tariff?.currency || '',
+  importRate: tariff?.importRate ?? '',
+  exportRate: tariff?.exportRate ?? '',
+  netMetering: Boolean(tariff?.netMetering),
+  bands: (tariff?.bands || []).map(band => ({ ...EMPTY_BAND, ...band }))
+});
+
+const optionalNumber = (value) => (value === '' ? undefined : parseFloat(value));
+
+// Form state back to the tariff the server stores; optional fields are left out
+const toTariff = (form) => ({
+  currency: form.currency.trim().toUpperCase(),
+  importRate: parseFloat(form.importRate),
+  exportRate: optionalNumber(form.exportRate),
+  netMetering: form.netMetering,
+  bands: form.bands.map(band => ({
+    from: band.from,
+    to: band.to,
+    importRate: parseFloat(band.importRate),
+    exportRate: optionalNumber(band.exportRate)
+  }))
+});
+
+// Today's value of the plant's production and the tariff behind it
+const TariffSettings = ({ stationCode, plantInfo, plantData, settings, onSettingsSaved, onSessionExpired }) => {
+  const [form, setForm] = useState(() => toForm(settings?.tariff));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(toForm(settings?.tariff));
+  }, [settings]);
+
+  const value = plantInfo ? dailyValue(plantInfo, settings, plantData?.dataItemMap) : null;
+
+  const saveTariff = async (tariff) => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = await apiPut(`/api/plants/${encodeURIComponent(stationCode)}/settings`, { tariff });
+      if (data.success === true) {
+        onSettingsSaved(data.data);
+      } else {
+        setError(data.error || 'Failed to save tariff.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Tariff save error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateBand = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, ...changes } : band))
+    }));
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Receipt className="w-5 h-5 mr-2" />
+        Tariff
+      </h3>
+
+      {value ? (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Revenue Today</div>
+            <div className="text-lg font-semibold text-gray-900">{formatMoney(value.revenue, value.currency)}</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Avoided Imports</div>
+            <div className="text-lg font-semibold text-gray-900">{formatMoney(value.savings, value.currency)}</div>
+            <div className="text-xs text-gray-400">{value.selfConsumed.toFixed(2)} kWh self-consumed</div>
+          </div>
+          <div className="bg-gray-50 p-3 rounded">
+            <div className="text-xs text-gray-500 uppercase tracking-wide">Export Credit</div>
+            <div className="text-lg font-semibold text-gray-900">{formatMoney(value.exportCredit, value.currency)}</div>
+            <div className="text-xs text-gray-400">{value.exported.toFixed(2)} kWh exported</div>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-6">
+          No tariff configured; revenue shows FusionSolar's day_income.
+        </p>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          saveTariff(toTariff(form));
+        }}
+        className="space-y-4"
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <label className="block text-sm text-gray-700">
+            Currency
+            <input
+              type="text"
+              value={form.currency}
+              placeholder="e.g. EUR"
+              maxLength={3}
+              onChange={(e) => setForm(prev => ({ ...prev, currency: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Import rate per kWh
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.importRate}
+              onChange={(e) => setForm(prev => ({ ...prev, importRate: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Feed-in rate per kWh
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.exportRate}
+              disabled={form.netMetering}
+              onChange={(e) => setForm(prev => ({ ...prev, exportRate: e.target.value }))}
+              className={`${inputClass} disabled:bg-gray-100`}
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.netMetering}
+            onChange={(e) => setForm(prev => ({ ...prev, netMetering: e.target.checked }))}
+            className="mr-2"
+          />
+          Net metering (exports credited at the import rate)
+        </label>
+
+        <div>
+          <div className="text-sm font-medium text-gray-700 mb-2">Time-of-use bands</div>
+          {form.bands.map((band, index) => (
+            <div key={index} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end mb-2">
+              <input
+                type="time"
+                value={band.from}
+                onChange={(e) => updateBand(index, { from: e.target.value })}
+                className={inputClass}
+                aria-label="Band start"
+                required
+              />
+              <input
+                type="time"
+                value={band.to}
+                onChange={(e) => updateBand(index, { to: e.target.value })}
+                className={inputClass}
+                aria-label="Band end"
+                required
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={band.importRate}
+                placeholder="Import rate"
+                onChange={(e) => updateBand(index, { importRate: e.target.value })}
+                className={inputClass}
+                required
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={band.exportRate}
+                placeholder="Feed-in rate"
+                disabled={form.netMetering}
+                onChange={(e) => updateBand(index, { exportRate: e.target.value })}
+                className={`${inputClass} disabled:bg-gray-100`}
+              />
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }))}
+                className="inline-flex items-center justify-center px-3 py-2 text-sm text-gray-600 hover:text-red-600"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, bands: [...prev.bands, EMPTY_BAND] }))}
+            className="inline-flex items-center text-sm text-orange-600 hover:text-orange-700"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add band
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+          >
+            <Save className="w-4 h-4 mr-1" />
+            {saving ? 'Saving...' : 'Save tariff'}
+          </button>
+          {settings?.tariff && (
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => saveTariff(null)}
+              className="px-4 py-2 border border-gray-300 text-sm text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Remove tariff
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TariffSettings;
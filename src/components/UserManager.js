@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCog, User, Lock, KeyRound, Trash2, Plus, AlertTriangle } from 'lucide-react';
+import { apiGet, apiPost, apiPut, apiDelete, SessionExpiredError } from '../api';
+
+const ROLES = ['admin', 'operator', 'viewer'];
+
+const EMPTY_FORM = { userName: '', password: '', role: 'viewer' };
+
+// Dashboard users (AUTH_MODE=users, admins only). New users get the plants
+// selected on the dashboard; "Assign selected" replaces a user's plants with
+// the current selection. Admins always see every plant.
+const UserManager = ({ currentUserId, selectedPlants, onSessionExpired }) => {
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [resetting, setResetting] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleError = useCallback((error, fallback) => {
+    if (error instanceof SessionExpiredError) {
+      onSessionExpired(error.message);
+      return;
+    }
+    console.error(fallback, error);
+    setError('Network error. Please check your connection.');
+  }, [onSessionExpired]);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const data = await apiGet('/api/users');
+        if (data.success === true) {
+          setUsers(data.data);
+        } else {
+          setError(data.error || 'Could not load the users.');
+        }
+      } catch (error) {
+        handleError(error, 'User list error:');
+      }
+    };
+    fetchUsers();
+  }, [handleError]);
+
+  const createUser = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPost('/api/users', { ...form, stationCodes: selectedPlants });
+      if (data.success === true) {
+        setUsers(prev => [...prev, data.data]);
+        setForm(EMPTY_FORM);
+      } else {
+        setError(data.error || 'Could not create the user.');
+      }
+    } catch (error) {
+      handleError(error, 'Create user error:');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateUser = async (userId, changes) => {
+    setError('');
+    try {
+      const data = await apiPut(`/api/users/${userId}`, changes);
+      if (data.success === true) {
+        setUsers(prev => prev.map(user => (user.id === userId ? data.data : user)));
+        return true;
+      }
+      setError(data.error || 'Could not update the user.');
+    } catch (error) {
+      handleError(error, 'Update user error:');
+    }
+    return false;
+  };
+
+  const setPassword = async (userId) => {
+    if (await updateUser(userId, { password: newPassword })) {
+      setResetting(null);
+      setNewPassword('');
+    }
+  };
+
+  const deleteUser = async (userId) => {
+    setError('');
+    try {
+      const data = await apiDelete(`/api/users/${userId}`);
+      if (data.success === true) {
+        setUsers(prev => prev.filter(user => user.id !== userId));
+      } else {
+        setError(data.error || 'Could not delete the user.');
+      }
+    } catch (error) {
+      handleError(error, 'Delete user error:');
+    }
+  };
+
+  const inputClass = 'w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <UserCog className="w-5 h-5 mr-2" />
+        Dashboard Users
+      </h2>
+
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
+          <div className="flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {users.map(user => (
+          <li key={user.id} className="py-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="text-sm text-gray-900">
+                {user.userName}
+                {user.id === currentUserId && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-500">
+                  {user.role === 'admin' ? 'All plants' : `${user.stationCodes.length} plant${user.stationCodes.length === 1 ? '' : 's'}`}
+                </span>
+                {user.role !== 'admin' && (
+                  <button
+                    onClick={() => updateUser(user.id, { stationCodes: selectedPlants })}
+                    className="px-2 py-1 text-xs font-medium rounded-md text-orange-600 hover:text-orange-700"
+                    title="Replace this user's plants with the plants selected on the dashboard"
+                  >
+                    Assign selected ({selectedPlants.length})
+                  </button>
+                )}
+                <select
+                  value={user.role}
+                  onChange={(e) => updateUser(user.id, { role: e.target.value })}
+                  className="py-1 px-2 border border-gray-300 rounded-md text-xs bg-white"
+                  aria-label={`Role of ${user.userName}`}
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button
+                  onClick={() => setResetting(resetting === user.id ? null : user.id)}
+                  className="p-1 text-gray-500 hover:text-gray-700"
+                  title="Set password"
+                >
+                  <KeyRound className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => deleteUser(user.id)}
+                  disabled={user.id === currentUserId}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-40 disabled:hover:text-gray-500"
+                  title={user.id === currentUserId ? 'You cannot delete yourself' : 'Delete user'}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            {resetting === user.id && (
+              <div className="flex items-center gap-2 mt-2">
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  placeholder="New password (8+ characters)"
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={() => setPassword(user.id)}
+                  className="px-3 py-1 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600"
+                >
+                  Save
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <div className="relative">
+          <User className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={form.userName}
+            onChange={(e) => setForm(prev => ({ ...prev, userName: e.target.value }))}
+            placeholder="User name"
+            className={inputClass}
+          />
+        </div>
+        <div className="relative">
+          <Lock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+            placeholder="Password (8+ characters)"
+            className={inputClass}
+          />
+        </div>
+        <select
+          value={form.role}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+        >
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button
+          onClick={createUser}
+          disabled={loading}
+          className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          {loading ? 'Creating...' : `Create User (${selectedPlants.length} plants)`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UserManager;
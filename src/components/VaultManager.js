@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, User, Lock, Globe, Tag, KeyRound, RefreshCw, Trash2, Plus, AlertTriangle } from 'lucide-react';
+import { apiGet, apiPost, apiPut, apiDelete, SessionExpiredError } from '../api';
+
+const EMPTY_FORM = { label: '', userName: '', systemCode: '', region: 'auto' };
+
+// FusionSolar credentials the server signs in with by itself (admins only).
+// System codes are write-only: the server checks them against FusionSolar,
+// stores them encrypted and never sends them back.
+const VaultManager = ({ regions, onAccountsChanged, onSessionExpired }) => {
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [replacing, setReplacing] = useState(null);
+  const [newSystemCode, setNewSystemCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleError = useCallback((error, fallback) => {
+    if (error instanceof SessionExpiredError) {
+      onSessionExpired(error.message);
+      return;
+    }
+    console.error(fallback, error);
+    setError('Network error. Please check your connection.');
+  }, [onSessionExpired]);
+
+  const fetchVault = useCallback(async () => {
+    try {
+      const data = await apiGet('/api/vault');
+      if (data.success === true) {
+        setEntries(data.data);
+        setStatus(data.status);
+      } else {
+        setError(data.error || 'Could not load the vault.');
+      }
+    } catch (error) {
+      handleError(error, 'Vault list error:');
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    fetchVault();
+  }, [fetchVault]);
+
+  const addEntry = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const fields = { ...form };
+      if (!fields.label) delete fields.label;
+      const data = await apiPost('/api/vault', fields);
+      if (data.success === true) {
+        setForm(EMPTY_FORM);
+        await fetchVault();
+        onAccountsChanged();
+      } else {
+        setError(data.error || 'Could not store the credentials.');
+      }
+    } catch (error) {
+      handleError(error, 'Vault store error:');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceSystemCode = async (entryId) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiPut(`/api/vault/${entryId}`, { systemCode: newSystemCode });
+      if (data.success === true) {
+        setReplacing(null);
+        setNewSystemCode('');
+        await fetchVault();
+      } else {
+        setError(data.error || 'Could not update the credentials.');
+      }
+    } catch (error) {
+      handleError(error, 'Vault update error:');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeEntry = async (entryId) => {
+    setError('');
+    try {
+      const data = await apiDelete(`/api/vault/${entryId}`);
+      if (data.success === true) {
+        await fetchVault();
+      } else {
+        setError(data.error || 'Could not remove the credentials.');
+      }
+    } catch (error) {
+      handleError(error, 'Vault remove error:');
+    }
+  };
+
+  const rotate = async () => {
+    setError('');
+    try {
+      const data = await apiPost('/api/vault/rotate', {});
+      if (data.success === true) {
+        await fetchVault();
+      } else {
+        setError(data.error || 'Could not re-encrypt the vault.');
+      }
+    } catch (error) {
+      handleError(error, 'Vault rotate error:');
+    }
+  };
+
+  const inputClass = 'w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-orange-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ShieldCheck className="w-5 h-5 mr-2" />
+          Credential Vault
+        </h2>
+        {status && status.staleEntries > 0 && (
+          <button
+            onClick={rotate}
+            className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-md text-orange-600 hover:text-orange-700"
+            title="Re-encrypt entries that still use a previous key"
+          >
+            <RefreshCw className="w-4 h-4 mr-1" />
+            Re-encrypt {status.staleEntries} with the current key
+          </button>
+        )}
+      </div>
+
+      {status && !status.configured && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4 text-sm">
+          The vault has no key. Set VAULT_KEY or VAULT_KEY_FILE on the server to store credentials.
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-4">
+          <div className="flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {entries.map(entry => (
+          <li key={entry.id} className="py-2">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div>
+                <div className="text-sm text-gray-900">{entry.label}</div>
+                <div className="text-xs text-gray-500">
+                  {entry.error || `${entry.userName} · ${entry.region}`}
+                  {status && entry.keyId !== status.keyId && ' · previous key'}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setReplacing(replacing === entry.id ? null : entry.id)}
+                  className="p-1 text-gray-500 hover:text-gray-700"
+                  title="Replace system code"
+                >
+                  <KeyRound className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeEntry(entry.id)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Remove credentials"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            {replacing === entry.id && (
+              <div className="flex items-center gap-2 mt-2">
+                <input
+                  type="password"
+                  value={newSystemCode}
+                  onChange={(e) => setNewSystemCode(e.target.value)}
+                  placeholder="New system code"
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={() => replaceSystemCode(entry.id)}
+                  disabled={loading}
+                  className="px-3 py-1 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600 disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+        {entries.length === 0 && (
+          <li className="py-2 text-sm text-gray-500">No credentials stored yet.</li>
+        )}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        <div className="relative">
+          <Tag className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={form.label}
+            onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+            placeholder="Label (optional)"
+            className={inputClass}
+          />
+        </div>
+        <div className="relative">
+          <User className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={form.userName}
+            onChange={(e) => setForm(prev => ({ ...prev, userName: e.target.value }))}
+            placeholder="FusionSolar user name"
+            className={inputClass}
+          />
+        </div>
+        <div className="relative">
+          <Lock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="password"
+            value={form.systemCode}
+            onChange={(e) => setForm(prev => ({ ...prev, systemCode: e.target.value }))}
+            placeholder="System code"
+            className={inputClass}
+          />
+        </div>
+        <div className="relative">
+          <Globe className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <select
+            value={form.region}
+            onChange={(e) => setForm(prev => ({ ...prev, region: e.target.value }))}
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+          >
+            <option value="auto">Auto-detect</option>
+            {regions.map(region => (
+              <option key={region.id} value={region.id}>{region.label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={addEntry}
+          disabled={loading}
+          className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-orange-500 hover:bg-orange-600 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          {loading ? 'Checking...' : 'Store'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VaultManager;
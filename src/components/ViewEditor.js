@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { LayoutDashboard, Save, Trash2, X, AlertTriangle } from 'lucide-react';
+import { apiPost, apiPut, apiDelete, SessionExpiredError } from '../api';
+import { DEFAULT_TILES, CARD_SORTS, COLUMN_CHOICES, allTags, viewPlants } from '../views';
+import { TILES } from './MetricTiles';
+
+// A new view starts from the current selection, or from all plants when
+// nothing is deselected
+const toForm = (view, selectedPlants, plants) => ({
+  name: view?.name || '',
+  tags: view?.tags || [],
+  stationCodes: view ? view.stationCodes || [] : (selectedPlants.length < plants.length ? selectedPlants : []),
+  tiles: view?.tiles || DEFAULT_TILES,
+  sort: view?.sort || 'name',
+  columns: view?.columns || 2
+});
+
+const toggle = (list, item) => (list.includes(item) ? list.filter(i => i !== item) : [...list, item]);
+
+// Create or edit a saved view (view is null for a new one)
+const ViewEditor = ({ view, plants, plantSettings, selectedPlants, onSaved, onDeleted, onClose, onSessionExpired }) => {
+  const [form, setForm] = useState(() => toForm(view, selectedPlants, plants));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const tags = allTags(plantSettings);
+  const matching = viewPlants(form, plants, plantSettings);
+
+  const run = async (request, onSuccess) => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = await request();
+      if (data.success === true) {
+        onSuccess(data);
+      } else {
+        setError(data.error || 'Failed to save the view.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('View save error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () => run(
+    () => (view ? apiPut(`/api/views/${view.id}`, form) : apiPost('/api/views', form)),
+    (data) => onSaved(data.data)
+  );
+
+  const remove = () => run(() => apiDelete(`/api/views/${view.id}`), () => onDeleted(view.id));
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <LayoutDashboard className="w-5 h-5 mr-2" />
+          {view ? `Edit view "${view.name}"` : 'New view'}
+        </h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          save();
+        }}
+        className="space-y-6"
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <label className="block text-sm text-gray-700">
+            Name
+            <input
+              type="text"
+              value={form.name}
+              maxLength={60}
+              placeholder="e.g. Client A"
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </label>
+          <label className="block text-sm text-gray-700">
+            Order cards by
+            <select
+              value={form.sort}
+              onChange={(e) => setForm(prev => ({ ...prev, sort: e.target.value }))}
+              className={inputClass}
+            >
+              {CARD_SORTS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Card columns
+            <select
+              value={form.columns}
+              onChange={(e) => setForm(prev => ({ ...prev, columns: Number(e.target.value) }))}
+              className={inputClass}
+            >
+              {COLUMN_CHOICES.map(columns => (
+                <option key={columns} value={columns}>{columns}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-gray-700 mb-2">Plants</div>
+          {tags.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Tag plants on their plant page to group them by client, site type or size.
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {tags.map(tag => (
+                <label key={tag} className="inline-flex items-center px-3 py-1 border rounded-full text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={form.tags.includes(tag)}
+                    onChange={() => setForm(prev => ({ ...prev, tags: toggle(prev.tags, tag) }))}
+                    className="mr-2 h-4 w-4 text-orange-600 border-gray-300 rounded"
+                  />
+                  {tag}
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-600">
+            <span>
+              {form.stationCodes.length} plant{form.stationCodes.length === 1 ? '' : 's'} picked individually
+            </span>
+            <button
+              type="button"
+              onClick={() => setForm(prev => ({ ...prev, stationCodes: selectedPlants }))}
+              className="text-orange-600 hover:text-orange-700"
+            >
+              Use current selection ({selectedPlants.length})
+            </button>
+            {form.stationCodes.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setForm(prev => ({ ...prev, stationCodes: [] }))}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            Shows {matching.length} of {plants.length} plants
+            {form.tags.length === 0 && form.stationCodes.length === 0 ? ' (no tags or plants picked means all)' : ''}.
+          </p>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-gray-700 mb-2">Metric tiles</div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+            {Object.entries(TILES).map(([id, tile]) => (
+              <label key={id} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.tiles.includes(id)}
+                  onChange={() => setForm(prev => ({ ...prev, tiles: toggle(prev.tiles, id) }))}
+                  className="mr-2 h-4 w-4 text-orange-600 border-gray-300 rounded"
+                />
+                {tile.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg flex items-center">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+          >
+            <Save className="w-4 h-4 mr-1" />
+            {view ? 'Save view' : 'Create view'}
+          </button>
+          {view && (
+            <button
+              type="button"
+              onClick={remove}
+              disabled={saving}
+              className="inline-flex items-center px-3 py-2 text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete view
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ViewEditor;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Sun, Save, AlertTriangle } from 'lucide-react';
+import { apiPut, SessionExpiredError } from '../api';
+import { canEstimate, expectedHourly, resolveSettings } from '../solar';
+import EnergyChart from './EnergyChart';
+import ExpectedYield from './ExpectedYield';
+
+const FIELDS = [
+  { key: 'tilt', label: 'Tilt (°)', min: 0, max: 90 },
+  { key: 'azimuth', label: 'Azimuth (°, 180 = south)', min: 0, max: 360 },
+  { key: 'losses', label: 'System losses (%)', min: 0, max: 99 }
+];
+
+const toForm = (settings = {}) => Object.fromEntries(
+  FIELDS.map(field => [field.key, settings[field.key] ?? ''])
+);
+
+// Clear-sky expectation for one plant and the panel settings behind it
+const YieldModel = ({ stationCode, plantInfo, dayPower, settings, onSettingsSaved, onSessionExpired }) => {
+  const [form, setForm] = useState(() => toForm(settings));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(toForm(settings));
+  }, [settings]);
+
+  if (!canEstimate(plantInfo)) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+        Expected yield is unavailable: FusionSolar reports no coordinates or capacity for this plant.
+      </div>
+    );
+  }
+
+  const defaults = resolveSettings(plantInfo);
+  const hourly = expectedHourly(plantInfo, settings, Date.now()).map(point => ({
+    label: `${new Date(point.time).getHours()}:00`,
+    value: point.value
+  }));
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      // Empty fields go back to the defaults
+      const changes = Object.fromEntries(
+        FIELDS.map(field => [field.key, form[field.key] === '' ? null : parseFloat(form[field.key])])
+      );
+      const data = await apiPut(`/api/plants/${encodeURIComponent(stationCode)}/settings`, changes);
+      if (data.success === true) {
+        onSettingsSaved(data.data);
+      } else {
+        setError(data.error || 'Failed to save settings.');
+      }
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        onSessionExpired(error.message);
+        return;
+      }
+      console.error('Plant settings error:', error);
+      setError('Network error. Please check your connection.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <Sun className="w-5 h-5 mr-2" />
+        Expected Yield
+      </h3>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <ExpectedYield plant={plantInfo} settings={settings} dayPower={dayPower} />
+          <div className="mt-4">
+            <EnergyChart data={hourly} unit="kWh" color="#fbbf24" />
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Clear-sky model from the plant's coordinates; cloudy days land well below 100%.
+          </p>
+        </div>
+
+        <form onSubmit={saveSettings} className="space-y-3">
+          {FIELDS.map(field => (
+            <label key={field.key} className="block text-sm text-gray-700">
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step="any"
+                value={form[field.key]}
+                placeholder={String(defaults[field.key])}
+                onChange={(e) => setForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </label>
+          ))}
+          {error && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-3 py-2 rounded flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center justify-center w-full px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white text-sm font-medium rounded-md"
+          >
+            <Save className="w-4 h-4 mr-1" />
+            {saving ? 'Saving...' : 'Save panel settings'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default YieldModel;
@@ -0,0 +1,81 @@
+// Device type metadata for getDevList / getDevRealKpi
+
+export const DEVICE_TYPES = {
+  1: { label: 'String Inverter', kind: 'inverter' },
+  10: { label: 'Environmental Monitor', kind: 'sensor' },
+  17: { label: 'Grid Meter', kind: 'meter' },
+  38: { label: 'Residential Inverter', kind: 'inverter' },
+  39: { label: 'Battery', kind: 'battery' },
+  41: { label: 'ESS', kind: 'battery' },
+  46: { label: 'Optimizer', kind: 'other' },
+  47: { label: 'Power Sensor', kind: 'meter' },
+  62: { label: 'Dongle', kind: 'other' },
+  63: { label: 'SmartLogger', kind: 'other' }
+};
+
+// Extra KPIs shown per device kind, on top of power/temperature/efficiency
+export const KIND_FIELDS = {
+  inverter: [
+    { key: 'day_cap', label: 'Yield Today', unit: 'kWh' },
+    { key: 'total_cap', label: 'Total Yield', unit: 'kWh' }
+  ],
+  battery: [
+    { key: 'battery_soc', label: 'SOC', unit: '%' },
+    { key: 'battery_soh', label: 'SOH', unit: '%' },
+    { key: 'ch_discharge_power', label: 'Charge/Discharge', unit: 'W' }
+  ],
+  meter: [
+    { key: 'active_cap', label: 'Active Energy', unit: 'kWh' },
+    { key: 'reverse_active_cap', label: 'Exported Energy', unit: 'kWh' }
+  ],
+  sensor: [
+    { key: 'radiant_line', label: 'Irradiance', unit: 'W/m²' },
+    { key: 'pv_temperature', label: 'PV Temperature', unit: '°C' }
+  ],
+  other: []
+};
+
+// Common inverter_state codes from the northbound API
+const INVERTER_STATES = {
+  0: 'Standby: initializing',
+  256: 'Starting',
+  512: 'On-grid',
+  513: 'On-grid: power limited',
+  514: 'On-grid: self-derating',
+  768: 'Shutdown: fault',
+  769: 'Shutdown: command',
+  1025: 'Grid scheduling',
+  40960: 'Standby: no irradiation',
+  45056: 'Shutdown: communication lost'
+};
+
+export const getDeviceType = (devTypeId) => {
+  return DEVICE_TYPES[devTypeId] || { label: `Device type ${devTypeId}`, kind: 'other' };
+};
+
+// Battery and power sensor KPIs report power in W, everything else in kW
+export const getActivePowerKw = (device) => {
+  const kpi = device.dataItemMap;
+  if (!kpi) return null;
+  const kind = getDeviceType(device.devTypeId).kind;
+  if (kind === 'battery') {
+    return kpi.ch_discharge_power != null ? parseFloat(kpi.ch_discharge_power) / 1000 : null;
+  }
+  if (kpi.active_power == null) return null;
+  return device.devTypeId === 47 ? parseFloat(kpi.active_power) / 1000 : parseFloat(kpi.active_power);
+};
+
+export const getRunState = (device) => {
+  const kpi = device.dataItemMap;
+  if (!kpi) return { text: 'No data', color: 'text-gray-500' };
+  if (kpi.inverter_state != null && INVERTER_STATES[kpi.inverter_state]) {
+    const text = INVERTER_STATES[kpi.inverter_state];
+    const color = text.startsWith('On-grid') ? 'text-green-600'
+      : text.startsWith('Shutdown') ? 'text-red-600'
+      : 'text-yellow-600';
+    return { text, color };
+  }
+  if (String(kpi.run_state) === '1') return { text: 'Connected', color: 'text-green-600' };
+  if (String(kpi.run_state) === '0') return { text: 'Disconnected', color: 'text-red-600' };
+  return { text: 'Unknown', color: 'text-gray-500' };
+};
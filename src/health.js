@@ -0,0 +1,11 @@
+import { CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+
+// Icon, color and label for a plant's real_health_state
+export const getHealthStatus = (state) => {
+  switch (String(state)) {
+    case '1': return { icon: XCircle, color: 'text-red-500', text: 'Disconnected' };
+    case '2': return { icon: AlertTriangle, color: 'text-yellow-500', text: 'Faulty' };
+    case '3': return { icon: CheckCircle, color: 'text-green-500', text: 'Healthy' };
+    default: return { icon: XCircle, color: 'text-gray-500', text: 'Unknown' };
+  }
+};
@@ -0,0 +1,55 @@
+// Helpers for the historical KPI endpoints (getKpiStationHour/Day/Month/Year)
+
+export const GRANULARITIES = [
+  { value: 'hour', label: 'Hourly (up to 7 days)' },
+  { value: 'day', label: 'Daily (up to 12 months)' },
+  { value: 'month', label: 'Monthly (up to 5 years)' },
+  { value: 'year', label: 'Yearly' }
+];
+
+// dataItemMap fields shared by all four history endpoints
+export const HISTORY_METRICS = [
+  { key: 'inverter_power', label: 'Yield', unit: 'kWh' },
+  { key: 'ongrid_power', label: 'Grid Export', unit: 'kWh' },
+  { key: 'power_profit', label: 'Revenue', unit: '' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Date -> YYYY-MM-DD in local time, as expected by /api/history
+export const toDateInput = (date) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const formatPeriod = (collectTime, granularity) => {
+  const date = new Date(collectTime);
+  switch (granularity) {
+    case 'hour': return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:00`;
+    case 'day': return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    case 'month': return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    default: return String(date.getFullYear());
+  }
+};
+
+// Group history points by plant and sum them across plants. Missing values
+// (FusionSolar returns null for periods without data) count as zero.
+export const buildSeries = (points, metric) => {
+  const perPlant = {};
+  const totals = new Map();
+
+  points.forEach(point => {
+    const value = parseFloat(point.dataItemMap?.[metric]) || 0;
+    if (!perPlant[point.stationCode]) {
+      perPlant[point.stationCode] = [];
+    }
+    perPlant[point.stationCode].push({ time: point.collectTime, value });
+    totals.set(point.collectTime, (totals.get(point.collectTime) || 0) + value);
+  });
+
+  Object.values(perPlant).forEach(series => series.sort((a, b) => a.time - b.time));
+  const total = [...totals.entries()]
+    .map(([time, value]) => ({ time, value }))
+    .sort((a, b) => a.time - b.time);
+
+  return { perPlant, total };
+};
@@ -0,0 +1,25 @@
+import { buildSeries, formatPeriod, toDateInput } from './history';
+
+test('buildSeries groups points per plant and sums them per period', () => {
+  const points = [
+    { stationCode: 'A', collectTime: 2000, dataItemMap: { inverter_power: '3.5' } },
+    { stationCode: 'B', collectTime: 1000, dataItemMap: { inverter_power: 2 } },
+    { stationCode: 'A', collectTime: 1000, dataItemMap: { inverter_power: 1 } },
+    { stationCode: 'B', collectTime: 2000, dataItemMap: { inverter_power: null } }
+  ];
+
+  const { perPlant, total } = buildSeries(points, 'inverter_power');
+
+  expect(perPlant.A).toEqual([{ time: 1000, value: 1 }, { time: 2000, value: 3.5 }]);
+  expect(perPlant.B).toEqual([{ time: 1000, value: 2 }, { time: 2000, value: 0 }]);
+  expect(total).toEqual([{ time: 1000, value: 3 }, { time: 2000, value: 3.5 }]);
+});
+
+test('formatPeriod labels each granularity', () => {
+  const time = new Date(2024, 2, 5, 14).getTime();
+  expect(formatPeriod(time, 'hour')).toBe('03-05 14:00');
+  expect(formatPeriod(time, 'day')).toBe('2024-03-05');
+  expect(formatPeriod(time, 'month')).toBe('2024-03');
+  expect(formatPeriod(time, 'year')).toBe('2024');
+  expect(toDateInput(new Date(2024, 0, 9))).toBe('2024-01-09');
+});
@@ -0,0 +1,41 @@
+// Kiosk mode: the read-only, full-screen layout behind a share link
+
+export const KIOSK_TILES = ['generation', 'month', 'lifetime', 'export'];
+
+export const CARDS_PER_PAGE = 4;
+
+// How often the plant cards move on to the next page
+export const ROTATE_MS = 15 * 1000;
+
+// The proxy serves cached figures within the getStationRealKpi quota window,
+// so polling faster wouldn't show anything newer
+export const REFRESH_MS = 5 * 60 * 1000;
+
+// How often the whole layout shifts by a few pixels against burn-in
+export const SHIFT_MS = 60 * 1000;
+
+// The share token from a /kiosk#<token> URL; fragments never reach the server
+export const shareToken = (hash) => {
+  try {
+    return decodeURIComponent(String(hash || '').replace(/^#/, ''));
+  } catch (error) {
+    return '';
+  }
+};
+
+export const pageCount = (total, size = CARDS_PER_PAGE) => Math.max(1, Math.ceil(total / size));
+
+// The items on one page, wrapping around past the last page
+export const pageItems = (items, page, size = CARDS_PER_PAGE) => {
+  const start = (page % pageCount(items.length, size)) * size;
+  return items.slice(start, start + size);
+};
+
+// Pixel offsets walking a small square around the centre, one step per call
+// with step = 0, 1, 2, ...
+const SHIFTS = [[0, 0], [4, 0], [4, 4], [0, 4], [-4, 4], [-4, 0], [-4, -4], [0, -4], [4, -4]];
+
+export const burnInShift = (step) => {
+  const [x, y] = SHIFTS[((step % SHIFTS.length) + SHIFTS.length) % SHIFTS.length];
+  return { x, y };
+};
@@ -0,0 +1,27 @@
+import { shareToken, pageCount, pageItems, burnInShift } from './kiosk';
+
+test('shareToken reads the token from the URL fragment', () => {
+  expect(shareToken('#abc-DEF_123')).toBe('abc-DEF_123');
+  expect(shareToken('')).toBe('');
+  expect(shareToken('#%E0%A4%A')).toBe('');
+});
+
+test('pageItems pages the plant cards and wraps around', () => {
+  const items = ['a', 'b', 'c', 'd', 'e'];
+  expect(pageCount(items.length, 2)).toBe(3);
+  expect(pageCount(0, 2)).toBe(1);
+  expect(pageItems(items, 0, 2)).toEqual(['a', 'b']);
+  expect(pageItems(items, 2, 2)).toEqual(['e']);
+  expect(pageItems(items, 3, 2)).toEqual(['a', 'b']);
+  expect(pageItems([], 1, 2)).toEqual([]);
+});
+
+test('burnInShift stays within a few pixels and keeps moving', () => {
+  const shifts = Array.from({ length: 9 }, (_, step) => burnInShift(step));
+  shifts.forEach(({ x, y }) => {
+    expect(Math.abs(x)).toBeLessThanOrEqual(4);
+    expect(Math.abs(y)).toBeLessThanOrEqual(4);
+  });
+  expect(new Set(shifts.map(({ x, y }) => `${x},${y}`)).size).toBe(9);
+  expect(burnInShift(9)).toEqual(burnInShift(0));
+});
@@ -0,0 +1,42 @@
+// Search, sorting and windowing helpers for the plant selector
+
+export const PLANT_SORTS = [
+  { value: 'name', label: 'Name' },
+  { value: 'capacity', label: 'Capacity' },
+  { value: 'code', label: 'Station code' },
+  { value: 'account', label: 'Account' },
+  { value: 'selected', label: 'Selected first' }
+];
+
+// Case-insensitive match on name, station code, address or account; every
+// word of the query has to match
+export const filterPlants = (plants, query) => {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return plants;
+  return plants.filter(plant => {
+    const text = [plant.name, plant.code, plant.address, plant.account].filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+};
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), undefined, { numeric: true });
+
+export const sortPlants = (plants, sort, selectedPlants = []) => {
+  const selected = new Set(selectedPlants);
+  const compare = {
+    name: byName,
+    capacity: (a, b) => (b.capacityKw || 0) - (a.capacityKw || 0) || byName(a, b),
+    code: (a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }),
+    account: (a, b) => String(a.account || '').localeCompare(String(b.account || '')) || byName(a, b),
+    selected: (a, b) => Number(selected.has(b.code)) - Number(selected.has(a.code)) || byName(a, b)
+  }[sort] || byName;
+  return [...plants].sort(compare);
+};
+
+// Rows to render for a fixed-row-height list scrolled to `scrollTop`, plus a
+// few extra rows on both sides so fast scrolling doesn't show gaps
+export const visibleRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan = 5 }) => {
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+  return { first, last };
+};
@@ -0,0 +1,28 @@
+import { filterPlants, sortPlants, visibleRange } from './plants';
+
+const plants = [
+  { code: 'NE=10', name: 'Plant 10', capacityKw: 50, account: 'ops (eu5)', address: 'Galle' },
+  { code: 'NE=2', name: 'Plant 2', capacityKw: 120, account: 'main (sg5)', address: 'Kandy' },
+  { code: 'NE=1', name: 'Colombo Rooftop', capacityKw: 19.8, account: 'main (sg5)' }
+];
+
+test('filterPlants matches every word against name, code, address and account', () => {
+  expect(filterPlants(plants, '').map(p => p.code)).toEqual(['NE=10', 'NE=2', 'NE=1']);
+  expect(filterPlants(plants, 'plant main').map(p => p.code)).toEqual(['NE=2']);
+  expect(filterPlants(plants, 'GALLE').map(p => p.code)).toEqual(['NE=10']);
+  expect(filterPlants(plants, 'eu5 kandy')).toEqual([]);
+});
+
+test('sortPlants orders by name, capacity, code and selection', () => {
+  expect(sortPlants(plants, 'name').map(p => p.code)).toEqual(['NE=1', 'NE=2', 'NE=10']);
+  expect(sortPlants(plants, 'capacity').map(p => p.code)).toEqual(['NE=2', 'NE=10', 'NE=1']);
+  expect(sortPlants(plants, 'code').map(p => p.code)).toEqual(['NE=1', 'NE=2', 'NE=10']);
+  expect(sortPlants(plants, 'selected', ['NE=10']).map(p => p.code)).toEqual(['NE=10', 'NE=1', 'NE=2']);
+  expect(plants[0].code).toBe('NE=10');
+});
+
+test('visibleRange covers the viewport plus overscan', () => {
+  expect(visibleRange({ scrollTop: 0, viewportHeight: 400, rowHeight: 40, count: 600 })).toEqual({ first: 0, last: 15 });
+  expect(visibleRange({ scrollTop: 4000, viewportHeight: 400, rowHeight: 40, count: 600 })).toEqual({ first: 95, last: 115 });
+  expect(visibleRange({ scrollTop: 23800, viewportHeight: 400, rowHeight: 40, count: 600 })).toEqual({ first: 590, last: 600 });
+});
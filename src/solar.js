@@ -0,0 +1,132 @@
+// Offline expected-yield model: sun position from the plant's coordinates, a
+// clear-sky irradiance model, transposition onto the panel plane and
+// PVWatts-style derates. It knows nothing about the weather, so it gives the
+// yield of a clear day - cloudy days land well below 100% of expected.
+
+const RAD = Math.PI / 180;
+const HOUR = 60 * 60 * 1000;
+
+// Defaults follow PVWatts: 14% system losses, 96% inverter efficiency
+export const DEFAULT_SETTINGS = {
+  tilt: 15,
+  losses: 14,
+  inverterEfficiency: 96,
+  albedo: 0.2
+};
+
+// Panels face the equator unless an azimuth is configured (degrees clockwise
+// from north, 180 = south)
+export const defaultAzimuth = (latitude) => (latitude >= 0 ? 180 : 0);
+
+// Sun elevation and azimuth (degrees, azimuth clockwise from north) at a time
+// in ms for a location. Low-precision astronomical formulas, good to ~0.5°.
+export const solarPosition = (time, latitude, longitude) => {
+  const n = time / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+  const meanLongitude = (280.460 + 0.9856474 * n) % 360;
+  const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * RAD;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * RAD;
+  const obliquity = (23.439 - 0.0000004 * n) * RAD;
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  const siderealHours = (18.697374558 + 24.06570982441908 * n) % 24;
+  const hourAngle = (siderealHours * 15 + longitude) * RAD - rightAscension;
+  const lat = latitude * RAD;
+
+  const elevation = Math.asin(
+    Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(declination) * Math.cos(lat) - Math.sin(lat) * Math.cos(hourAngle)
+  );
+
+  return {
+    elevation: elevation / RAD,
+    azimuth: ((azimuth / RAD) + 360) % 360
+  };
+};
+
+// Clear-sky beam (DNI), diffuse (DHI) and global horizontal (GHI) irradiance
+// in W/m² for a sun elevation: Kasten-Young air mass, Meinel beam attenuation
+// and diffuse as a tenth of the beam.
+export const clearSkyIrradiance = (elevation) => {
+  if (elevation <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+  const zenith = 90 - elevation;
+  const airMass = 1 / (Math.cos(zenith * RAD) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+  const dni = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+  const dhi = 0.1 * dni;
+  return { dni, dhi, ghi: dni * Math.sin(elevation * RAD) + dhi };
+};
+
+// Irradiance on a tilted plane (W/m²): beam by angle of incidence, isotropic
+// sky diffuse and ground-reflected light
+export const planeOfArrayIrradiance = (sun, irradiance, tilt, azimuth, albedo = DEFAULT_SETTINGS.albedo) => {
+  if (sun.elevation <= 0) return 0;
+  const zenith = (90 - sun.elevation) * RAD;
+  const cosIncidence = Math.cos(zenith) * Math.cos(tilt * RAD) +
+    Math.sin(zenith) * Math.sin(tilt * RAD) * Math.cos((sun.azimuth - azimuth) * RAD);
+  const beam = irradiance.dni * Math.max(cosIncidence, 0);
+  const diffuse = irradiance.dhi * (1 + Math.cos(tilt * RAD)) / 2;
+  const reflected = irradiance.ghi * albedo * (1 - Math.cos(tilt * RAD)) / 2;
+  return beam + diffuse + reflected;
+};
+
+// Fill in defaults for a plant's optional settings
+export const resolveSettings = (plant, settings = {}) => ({
+  ...DEFAULT_SETTINGS,
+  azimuth: defaultAzimuth(plant.latitude),
+  ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== null && value !== undefined))
+});
+
+// AC power in kW a plant { latitude, longitude, capacityKw } would produce
+// under a clear sky at a time
+export const expectedPower = (plant, settings, time) => {
+  const options = resolveSettings(plant, settings);
+  const sun = solarPosition(time, plant.latitude, plant.longitude);
+  const poa = planeOfArrayIrradiance(sun, clearSkyIrradiance(sun.elevation), options.tilt, options.azimuth, options.albedo);
+  const dc = plant.capacityKw * poa / 1000;
+  return dc * (1 - options.losses / 100) * (options.inverterEfficiency / 100);
+};
+
+// Expected energy (kWh) between two times, integrated in `step` ms slices
+export const expectedEnergy = (plant, settings, from, to, step = 10 * 60 * 1000) => {
+  let energy = 0;
+  for (let t = from; t < to; t += step) {
+    const slice = Math.min(step, to - t);
+    energy += expectedPower(plant, settings, t + slice / 2) * (slice / HOUR);
+  }
+  return energy;
+};
+
+// Local midnight of the day containing `time`
+export const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Expected energy per local hour of the day containing `time` (24 values)
+export const expectedHourly = (plant, settings, time) => {
+  const start = startOfDay(time);
+  return Array.from({ length: 24 }, (_, hour) => {
+    const from = start + hour * HOUR;
+    return { time: from, value: expectedEnergy(plant, settings, from, from + HOUR) };
+  });
+};
+
+// Expected energy for the whole day containing `time` and for the part of it
+// that has passed, which is what day_power should be compared against
+export const expectedDay = (plant, settings, time) => {
+  const start = startOfDay(time);
+  return {
+    total: expectedEnergy(plant, settings, start, start + 24 * HOUR),
+    soFar: expectedEnergy(plant, settings, start, time)
+  };
+};
+
+// Whether the model can say anything about a plant
+export const canEstimate = (plant) => {
+  return Boolean(plant) && Number.isFinite(plant.latitude) && Number.isFinite(plant.longitude) && plant.capacityKw > 0;
+};
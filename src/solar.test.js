@@ -0,0 +1,39 @@
+import { solarPosition, expectedDay, expectedPower, resolveSettings } from './solar';
+
+const colombo = { latitude: 6.93, longitude: 79.85, capacityKw: 1 };
+
+test('solarPosition matches known sun positions', () => {
+  // London at solar noon on the June solstice: 90 - 51.5 + 23.44
+  const london = solarPosition(Date.UTC(2024, 5, 21, 12, 2), 51.5, 0);
+  expect(london.elevation).toBeCloseTo(61.9, 0);
+  expect(london.azimuth).toBeGreaterThan(175);
+  expect(london.azimuth).toBeLessThan(185);
+
+  // Morning sun is in the east, and below the horizon at night
+  expect(solarPosition(Date.UTC(2024, 2, 20, 7), 0, 0).azimuth).toBeCloseTo(90, -1);
+  expect(solarPosition(Date.UTC(2024, 2, 20, 0), 0, 0).elevation).toBeLessThan(-80);
+});
+
+test('expected energy follows geometry and derates', () => {
+  // Around 06:30 UTC is solar noon in Colombo
+  const noon = Date.UTC(2024, 2, 20, 6, 40);
+  const night = Date.UTC(2024, 2, 20, 18);
+  expect(expectedPower(colombo, {}, night)).toBe(0);
+  expect(expectedPower(colombo, {}, noon)).toBeGreaterThan(0.7);
+  expect(expectedPower(colombo, {}, noon)).toBeLessThan(1);
+
+  // More losses, less energy; facing the pole costs energy at high latitudes
+  expect(expectedPower(colombo, { losses: 30 }, noon)).toBeLessThan(expectedPower(colombo, {}, noon));
+  const berlin = { latitude: 52.5, longitude: 13.4, capacityKw: 1 };
+  const winterNoon = Date.UTC(2024, 11, 21, 11);
+  expect(expectedPower(berlin, { tilt: 35, azimuth: 0 }, winterNoon))
+    .toBeLessThan(expectedPower(berlin, { tilt: 35 }, winterNoon));
+});
+
+test('expectedDay gives a plausible clear-sky daily yield', () => {
+  const { total, soFar } = expectedDay(colombo, {}, new Date(2024, 2, 20, 12).getTime());
+  expect(total).toBeGreaterThan(4);
+  expect(total).toBeLessThan(7.5);
+  expect(soFar).toBeLessThanOrEqual(total);
+  expect(resolveSettings({ latitude: -33 }, { tilt: null }).azimuth).toBe(0);
+});
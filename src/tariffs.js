@@ -0,0 +1,125 @@
+import { canEstimate, expectedEnergy, startOfDay } from './solar';
+
+// Per-plant tariffs, stored with the plant settings:
+//   { currency: 'LKR', importRate: 62, exportRate: 37, netMetering: false,
+//     bands: [{ from: '18:30', to: '22:30', importRate: 92, exportRate: 37 }] }
+// Rates are per kWh. Bands override the base rates between their local times
+// (a band may run past midnight); exportRate is the feed-in rate, and with
+// net metering exports are credited at the import rate of the moment instead.
+
+const SLICE = 15 * 60 * 1000;
+
+const parseNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// 'HH:MM' to minutes after midnight
+export const parseClock = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const inBand = (band, minute) => {
+  const from = parseClock(band.from);
+  const to = parseClock(band.to);
+  return from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+};
+
+// Import and export rate at a minute of the day
+export const rateAt = (tariff, minute) => {
+  const band = (tariff.bands || []).find(candidate => inBand(candidate, minute));
+  const importRate = band?.importRate ?? tariff.importRate ?? 0;
+  const exportRate = tariff.netMetering ? importRate : (band?.exportRate ?? tariff.exportRate ?? 0);
+  return { importRate, exportRate };
+};
+
+// When today's energy was produced, as shares of 15-minute slices up to `time`.
+// Only daily totals are reported, so the split follows the clear-sky curve
+// where the plant's location is known and 06:00-18:00 otherwise.
+export const productionShares = (plant, settings, time) => {
+  const start = startOfDay(time);
+  const slices = [];
+  for (let from = start; from < time; from += SLICE) {
+    const to = Math.min(from + SLICE, time);
+    const middle = new Date((from + to) / 2);
+    const minute = middle.getHours() * 60 + middle.getMinutes();
+    const weight = canEstimate(plant)
+      ? expectedEnergy(plant, settings, from, to)
+      : (minute >= 6 * 60 && minute < 18 * 60 ? to - from : 0);
+    slices.push({ minute, weight });
+  }
+
+  const total = slices.reduce((sum, slice) => sum + slice.weight, 0);
+  if (total === 0) {
+    const now = new Date(time);
+    return [{ minute: now.getHours() * 60 + now.getMinutes(), share: 1 }];
+  }
+  return slices.map(slice => ({ minute: slice.minute, share: slice.weight / total }));
+};
+
+// Today's value of a plant's production under its tariff, or null without one.
+// Savings are the imports avoided by self-consumed solar energy (at most
+// day_use_energy); export credit is what day_on_grid_energy earns.
+export const dailyValue = (plant, settings = {}, kpi = {}, time = Date.now()) => {
+  const tariff = settings.tariff;
+  if (!tariff) return null;
+
+  const produced = parseNumber(kpi.day_power) ?? 0;
+  const exported = parseNumber(kpi.day_on_grid_energy) ?? 0;
+  const used = parseNumber(kpi.day_use_energy);
+  const selfConsumed = Math.max(Math.min(produced - exported, used ?? Infinity), 0);
+
+  let savings = 0;
+  let exportCredit = 0;
+  productionShares(plant, settings, time).forEach(({ minute, share }) => {
+    const rates = rateAt(tariff, minute);
+    savings += selfConsumed * share * rates.importRate;
+    exportCredit += exported * share * rates.exportRate;
+  });
+
+  return {
+    currency: tariff.currency,
+    selfConsumed,
+    exported,
+    savings,
+    exportCredit,
+    revenue: savings + exportCredit
+  };
+};
+
+// Today's revenue of a plant: from its tariff, or FusionSolar's day_income
+// (currency unknown) when none is configured
+export const plantRevenue = (plant, settings, kpi = {}, time = Date.now()) => {
+  const value = dailyValue(plant, settings, kpi, time);
+  if (value) return { amount: value.revenue, currency: value.currency };
+  return { amount: parseNumber(kpi.day_income) ?? 0, currency: null };
+};
+
+// Add up { amount, currency } values per currency
+export const sumByCurrency = (values) => {
+  return values.reduce((sums, { amount, currency }) => {
+    const key = currency || '';
+    return { ...sums, [key]: (sums[key] || 0) + amount };
+  }, {});
+};
+
+// Locale-aware currency formatting; amounts without a currency are shown as
+// plain numbers
+export const formatMoney = (amount, currency, locale) => {
+  if (currency) {
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      // Unknown currency code, fall through to a plain number
+    }
+  }
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+};
+
+// Format the result of sumByCurrency, e.g. "LKR 1,234.00 + €12.50"
+export const formatMoneySums = (sums, locale) => {
+  const entries = Object.entries(sums);
+  if (entries.length === 0) return formatMoney(0, null, locale);
+  return entries.map(([currency, amount]) => formatMoney(amount, currency || null, locale)).join(' + ');
+};
@@ -0,0 +1,57 @@
+import { rateAt, dailyValue, plantRevenue, sumByCurrency, formatMoney, formatMoneySums } from './tariffs';
+
+const tou = {
+  currency: 'LKR',
+  importRate: 50,
+  exportRate: 20,
+  bands: [
+    { from: '10:00', to: '14:00', importRate: 30 },
+    { from: '22:00', to: '05:30', importRate: 25, exportRate: 10 }
+  ]
+};
+
+// No coordinates, so production is spread evenly over 06:00-18:00
+const plant = { code: 'A', capacityKw: 10 };
+
+test('rateAt applies bands, midnight wrap-around and net metering', () => {
+  expect(rateAt(tou, 8 * 60)).toEqual({ importRate: 50, exportRate: 20 });
+  expect(rateAt(tou, 12 * 60)).toEqual({ importRate: 30, exportRate: 20 });
+  expect(rateAt(tou, 23 * 60)).toEqual({ importRate: 25, exportRate: 10 });
+  expect(rateAt(tou, 5 * 60)).toEqual({ importRate: 25, exportRate: 10 });
+  expect(rateAt({ ...tou, netMetering: true }, 12 * 60)).toEqual({ importRate: 30, exportRate: 30 });
+});
+
+test('dailyValue splits savings and export credit over the tariff bands', () => {
+  const kpi = { day_power: '12', day_on_grid_energy: '4', day_use_energy: '20' };
+  const evening = new Date(2024, 2, 20, 20).getTime();
+
+  // Flat: 8 kWh self-consumed at 50, 4 kWh exported at 20
+  const flat = dailyValue(plant, { tariff: { currency: 'LKR', importRate: 50, exportRate: 20 } }, kpi, evening);
+  expect(flat.savings).toBeCloseTo(400);
+  expect(flat.exportCredit).toBeCloseTo(80);
+  expect(flat.revenue).toBeCloseTo(480);
+
+  // A third of the production falls into the 10:00-14:00 band
+  const value = dailyValue(plant, { tariff: tou }, kpi, evening);
+  expect(value.savings).toBeCloseTo(8 * (50 * 2 / 3 + 30 / 3));
+  expect(value.exportCredit).toBeCloseTo(80);
+
+  // Self-consumption can't exceed consumption
+  expect(dailyValue(plant, { tariff: tou }, { ...kpi, day_use_energy: '2' }, evening).selfConsumed).toBe(2);
+  expect(dailyValue(plant, {}, kpi, evening)).toBeNull();
+  expect(plantRevenue(plant, {}, { day_income: '7.5' })).toEqual({ amount: 7.5, currency: null });
+});
+
+test('money is formatted per locale and summed per currency', () => {
+  expect(formatMoney(1234.5, 'EUR', 'de-DE')).toBe('1.234,50 €');
+  expect(formatMoney(1234.5, 'USD', 'en-US')).toBe('$1,234.50');
+  expect(formatMoney(3, null, 'en-US')).toBe('3.00');
+
+  const sums = sumByCurrency([
+    { amount: 10, currency: 'USD' },
+    { amount: 5, currency: 'USD' },
+    { amount: 2, currency: 'EUR' }
+  ]);
+  expect(sums).toEqual({ USD: 15, EUR: 2 });
+  expect(formatMoneySums(sums, 'en-US')).toBe('$15.00 + €2.00');
+});
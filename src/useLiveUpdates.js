@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_BASE_URL } from './api';
+
+// Wait before opening a new stream after the proxy refused one (the browser
+// reconnects dropped streams by itself)
+const RECONNECT_DELAY_MS = 10000;
+
+const EVENT_TYPES = ['snapshot', 'alarms', 'status'];
+
+// Subscribe to the proxy's live stream (/api/stream) for some plants.
+// handlers.snapshot/alarms/status receive the parsed event data and
+// handlers.refused is called when the proxy rejects the stream, e.g. because
+// the session expired. Returns the connection state: 'connecting',
+// 'connected', 'reconnecting' or 'unsupported' (no EventSource available).
+export const useLiveUpdates = (stationCodes, handlers, enabled = true) => {
+  const supported = typeof EventSource !== 'undefined';
+  const [connection, setConnection] = useState(supported ? 'connecting' : 'unsupported');
+  const handlersRef = useRef(handlers);
+  const key = stationCodes.join(',');
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!supported || !enabled || !key) return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      source = new EventSource(
+        `${API_BASE_URL}/api/stream?stationCodes=${encodeURIComponent(key)}`,
+        { withCredentials: true }
+      );
+      source.onopen = () => setConnection('connected');
+      EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, (event) => {
+          const handler = handlersRef.current[type];
+          if (handler) handler(JSON.parse(event.data));
+        });
+      });
+      source.onerror = () => {
+        if (stopped) return;
+        setConnection('reconnecting');
+        if (source.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(async () => {
+            if (handlersRef.current.refused) await handlersRef.current.refused();
+            if (!stopped) connect();
+          }, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    setConnection('connecting');
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [supported, enabled, key]);
+
+  return connection;
+};
@@ -0,0 +1,65 @@
+// Saved dashboard views: which plants a view shows and how its cards are ordered
+
+export const DEFAULT_TILES = ['generation', 'revenue', 'month', 'lifetime'];
+
+export const CARD_SORTS = [
+  { value: 'name', label: 'Name' },
+  { value: 'capacity', label: 'Capacity' },
+  { value: 'dayPower', label: "Today's yield" },
+  { value: 'specificYield', label: 'Yield per kWp' },
+  { value: 'health', label: 'Health (problems first)' }
+];
+
+export const COLUMN_CHOICES = [1, 2, 3];
+
+// Full class names so Tailwind picks them up
+export const COLUMN_CLASSES = {
+  1: 'grid grid-cols-1 gap-6',
+  2: 'grid grid-cols-1 lg:grid-cols-2 gap-6',
+  3: 'grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6'
+};
+
+// Every tag used by any plant, sorted
+export const allTags = (plantSettings) => {
+  const tags = new Set();
+  Object.values(plantSettings).forEach(settings => (settings.tags || []).forEach(tag => tags.add(tag)));
+  return [...tags].sort((a, b) => a.localeCompare(b));
+};
+
+// Station codes a view shows: plants carrying any of its tags plus the ones
+// it lists explicitly. A view without either shows every plant.
+export const viewPlants = (view, plants, plantSettings = {}) => {
+  const tags = view.tags || [];
+  const codes = new Set(view.stationCodes || []);
+  if (tags.length === 0 && codes.size === 0) {
+    return plants.map(plant => plant.code);
+  }
+  return plants
+    .filter(plant => codes.has(plant.code) ||
+      (plantSettings[plant.code]?.tags || []).some(tag => tags.includes(tag)))
+    .map(plant => plant.code);
+};
+
+const number = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Healthy plants last, unknown states in between
+const HEALTH_RANK = { 1: 0, 2: 1, 3: 3 };
+
+// Order getStationRealKpi items for the plant cards
+export const sortCards = (items, sort, plants) => {
+  const info = Object.fromEntries(plants.map(plant => [plant.code, plant]));
+  const name = (item) => info[item.stationCode]?.name || item.stationCode;
+  const capacity = (item) => info[item.stationCode]?.capacityKw || 0;
+  const byName = (a, b) => name(a).localeCompare(name(b), undefined, { numeric: true });
+  const value = {
+    capacity,
+    dayPower: (item) => number(item.dataItemMap?.day_power),
+    specificYield: (item) => (capacity(item) > 0 ? number(item.dataItemMap?.day_power) / capacity(item) : 0),
+    health: (item) => -(HEALTH_RANK[item.dataItemMap?.real_health_state] ?? 2)
+  }[sort];
+  if (!value) return [...items].sort(byName);
+  return [...items].sort((a, b) => value(b) - value(a) || byName(a, b));
+};
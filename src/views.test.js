@@ -0,0 +1,41 @@
+import { allTags, viewPlants, sortCards } from './views';
+
+const plants = [
+  { code: 'NE=1', name: 'Rooftop 10', capacityKw: 60 },
+  { code: 'NE=2', name: 'Rooftop 2', capacityKw: 20 },
+  { code: 'NE=3', name: 'Factory', capacityKw: 100 }
+];
+
+const settings = {
+  'NE=1': { tags: ['Client A', 'Rooftops > 50 kW'] },
+  'NE=2': { tags: ['Client A'] },
+  'NE=3': {}
+};
+
+const kpi = (stationCode, dayPower, health) => ({
+  stationCode,
+  dataItemMap: { day_power: dayPower, real_health_state: health }
+});
+
+test('allTags lists every tag once, sorted', () => {
+  expect(allTags(settings)).toEqual(['Client A', 'Rooftops > 50 kW']);
+  expect(allTags({})).toEqual([]);
+});
+
+test('viewPlants combines tags with explicitly picked plants', () => {
+  expect(viewPlants({ tags: ['Client A'] }, plants, settings)).toEqual(['NE=1', 'NE=2']);
+  expect(viewPlants({ tags: ['Rooftops > 50 kW'], stationCodes: ['NE=3'] }, plants, settings)).toEqual(['NE=1', 'NE=3']);
+  expect(viewPlants({ tags: [], stationCodes: [] }, plants, settings)).toEqual(['NE=1', 'NE=2', 'NE=3']);
+});
+
+test('sortCards orders by name, capacity, yield and health', () => {
+  const items = [kpi('NE=1', '120', 3), kpi('NE=2', '60', 1), kpi('NE=3', '150', 2)];
+  const codes = (sort) => sortCards(items, sort, plants).map(item => item.stationCode);
+
+  expect(codes('name')).toEqual(['NE=3', 'NE=2', 'NE=1']);
+  expect(codes('capacity')).toEqual(['NE=3', 'NE=1', 'NE=2']);
+  expect(codes('dayPower')).toEqual(['NE=3', 'NE=1', 'NE=2']);
+  expect(codes('specificYield')).toEqual(['NE=2', 'NE=1', 'NE=3']);
+  expect(codes('health')).toEqual(['NE=2', 'NE=3', 'NE=1']);
+  expect(items[0].stationCode).toBe('NE=1');
+});